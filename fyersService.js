@@ -2,10 +2,42 @@ const axios = require('axios');
 const crypto = require('crypto');
 
 // Fyers API v3 configuration
-const FYERS_BASE_URL = 'https://api-t1.fyers.in/api/v3';
+// FYERS_SIMULATOR_URL points every Fyers call at a local simulator instead (see simulator/README.md)
+const FYERS_SIMULATOR_URL = process.env.FYERS_SIMULATOR_URL || null;
+const FYERS_BASE_URL = FYERS_SIMULATOR_URL ? `${FYERS_SIMULATOR_URL}/api/v3` : 'https://api-t1.fyers.in/api/v3';
 const FYERS_APP_ID = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
 const FYERS_SECRET = process.env.FYERS_SECRET || '';
 
+/**
+ * Point the fyers-api-v3 SDK at a local simulator
+ * The SDK reads its endpoints from a shared Config object, so patching it here
+ * redirects every fyersModel and fyersOrderSocket created afterwards.
+ * @param {string} baseUrl - Simulator base URL (e.g. http://localhost:8090)
+ */
+function useFyersSimulator(baseUrl) {
+  const { Config } = require('fyers-api-v3/config/config');
+  const wsUrl = baseUrl.replace(/^http/, 'ws');
+
+  Config.API = `${baseUrl}/api/v2`;
+  Config.SYNC_API = `${baseUrl}/api/v3`;
+  Config.data_Api = `${baseUrl}/data-rest/v2`;
+  Config.data_Api1 = `${baseUrl}/data`;
+  Config.Order_SOCKET = `${wsUrl}/socket/order`;
+
+  console.log(`🧪 Fyers API calls redirected to simulator at ${baseUrl}`);
+}
+
+if (FYERS_SIMULATOR_URL) {
+  useFyersSimulator(FYERS_SIMULATOR_URL);
+}
+
+/**
+ * Get the Fyers API v3 base URL (the simulator's when FYERS_SIMULATOR_URL is set)
+ */
+function getFyersBaseUrl() {
+  return FYERS_BASE_URL;
+}
+
 /**
  * Generate Fyers authorization URL using API v3
  */
@@ -200,6 +232,8 @@ module.exports = {
   validateAuthCode,
   getProfile,
   getFyersAppId,
+  getFyersBaseUrl,
+  useFyersSimulator,
   getFunds,
   getMarketDepth,
   generateAppIdHash,
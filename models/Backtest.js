@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Saved backtest run: its parameters, KPIs and trades
+ */
+const backtestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  symbol: { type: String, required: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  interval: { type: String, required: true },
+  hmaPeriod: { type: Number, required: true },
+  target: { type: Number, required: true },
+  stopLoss: { type: Number, required: true },
+  targetType: { type: String, enum: ['points', 'percentage'], default: 'points' },
+  stopLossType: { type: String, enum: ['points', 'percentage'], default: 'points' },
+  quantity: { type: Number, default: 1 },
+  kpis: {
+    totalTrades: Number,
+    winCount: Number,
+    lossCount: Number,
+    winRate: Number,
+    totalPnL: Number,
+    avgPnL: Number,
+    maxProfit: Number,
+    maxLoss: Number,
+    profitFactor: Number,
+    sharpeRatio: Number,
+    maxDrawdown: Number,
+    requiredMargin: Number,
+    // totalPnL is net of charges; grossPnL before them
+    grossPnL: Number,
+    totalCharges: Number,
+    netPnL: Number,
+    ambiguousExits: Number
+  },
+  trades: [{
+    entryTime: Date,
+    exitTime: Date,
+    entryPrice: Number,
+    exitPrice: Number,
+    pnl: Number,
+    pnlPercentage: Number,
+    exitReason: String,
+    duration: Number,
+    targetPrice: Number,
+    stopLossPrice: Number,
+    quantity: Number,
+    grossPnL: Number,
+    netPnL: Number,
+    charges: {
+      brokerage: Number,
+      stt: Number,
+      exchangeCharges: Number,
+      sebiFees: Number,
+      stampDuty: Number,
+      gst: Number,
+      total: Number
+    },
+    ambiguousExit: Boolean
+  }],
+  // Fill and cost settings the run used
+  execution: {
+    slippageTicks: Number,
+    fillModel: { type: String, enum: ['CLOSE', 'INTRABAR'] },
+    intrabarPriority: { type: String, enum: ['STOP_FIRST', 'TARGET_FIRST', 'OHLC_PATH'] },
+    costsEnabled: Boolean,
+    costSegment: String,
+    exchange: String
+  },
+  // Runs saved from an optimisation job keep their rank in it
+  source: { type: String, enum: ['MANUAL', 'OPTIMIZATION'], default: 'MANUAL' },
+  optimization: {
+    jobId: String,
+    rank: Number,
+    rankBy: String,
+    score: Number
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Backtest', backtestSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Backtest submitted to run in the background (services/backtestJobService.js). Jobs are
+ * persisted so queued work and results survive a server restart; candles are not stored with
+ * the job - it loads them from the historical data store when it runs.
+ */
+const BacktestJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['BACKTEST', 'LIVE_ENGINE', 'PORTFOLIO'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['QUEUED', 'RUNNING', 'DONE', 'FAILED', 'CANCELLED'],
+    default: 'QUEUED'
+  },
+  // Request body of the matching synchronous endpoint, without candles
+  params: {
+    type: Object,
+    default: {}
+  },
+  progress: {
+    percent: { type: Number, default: 0 },
+    message: { type: String, default: 'Queued' }
+  },
+  result: {
+    type: Object,
+    default: null
+  },
+  error: { type: String, default: null },
+  cancelRequested: { type: Boolean, default: false },
+  // Times the job was started; a restart re-queues a RUNNING job until MAX_ATTEMPTS
+  attempts: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+});
+
+BacktestJobSchema.index({ status: 1, createdAt: 1 });
+BacktestJobSchema.index({ userId: 1, createdAt: -1 });
+// Finished jobs are removed after 7 days
+BacktestJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('BacktestJob', BacktestJobSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * One OHLCV candle of the shared historical data store, keyed by symbol, resolution and
+ * candle start time. Filled from Fyers by services/historicalDataService.js; candles are
+ * kept after Fyers stops serving them (expired option contracts).
+ */
+const HistoricalCandleSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true
+  },
+  resolution: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  open: { type: Number, required: true },
+  high: { type: Number, required: true },
+  low: { type: Number, required: true },
+  close: { type: Number, required: true },
+  volume: { type: Number, default: 0 }
+});
+
+// One candle per symbol, resolution and start time; also the range query index
+HistoricalCandleSchema.index({ symbol: 1, resolution: 1, timestamp: 1 }, { unique: true });
+
+module.exports = mongoose.model('HistoricalCandle', HistoricalCandleSchema);
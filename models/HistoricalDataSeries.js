@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coverage of one symbol and resolution in the historical data store: the time ranges
+ * already fetched from Fyers, so only what is missing is fetched again.
+ */
+const HistoricalDataSeriesSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true
+  },
+  resolution: {
+    type: String,
+    required: true
+  },
+  // Fetched ranges, sorted and merged; `to` is exclusive
+  ranges: [{
+    _id: false,
+    from: { type: Date, required: true },
+    to: { type: Date, required: true }
+  }],
+  candleCount: {
+    type: Number,
+    default: 0
+  },
+  firstCandleAt: { type: Date },
+  lastCandleAt: { type: Date },
+  lastSyncedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+HistoricalDataSeriesSchema.index({ symbol: 1, resolution: 1 }, { unique: true });
+
+module.exports = mongoose.model('HistoricalDataSeries', HistoricalDataSeriesSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * One intraday OHLCV bar built from live quotes by services/candleAggregatorService.js, keyed
+ * by symbol, resolution and bar start time. Bars the server missed (restarts, polling pauses)
+ * are backfilled from Fyers history. Kept for RETENTION_DAYS; backtests use HistoricalCandle.
+ */
+const RETENTION_DAYS = 30;
+
+const IntradayCandleSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true
+  },
+  resolution: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  open: { type: Number, required: true },
+  high: { type: Number, required: true },
+  low: { type: Number, required: true },
+  close: { type: Number, required: true },
+  volume: { type: Number, default: 0 },
+  // TICKS: built from live quotes; FYERS: backfilled from history
+  source: {
+    type: String,
+    enum: ['TICKS', 'FYERS'],
+    default: 'TICKS'
+  }
+});
+
+// One bar per symbol, resolution and start time; also the range query index
+IntradayCandleSchema.index({ symbol: 1, resolution: 1, timestamp: 1 }, { unique: true });
+IntradayCandleSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('IntradayCandle', IntradayCandleSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only ledger of order and position events. Events are never updated or deleted;
+ * the current orders and positions of a user are derived by replaying them in order
+ * (see services/ledgerService.js).
+ */
+const LedgerEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'ORDER_PLACED',
+      'ORDER_MODIFIED',
+      'ORDER_FILLED',
+      'ORDER_CANCELLED',
+      'ORDER_REJECTED',
+      'POSITION_OPENED',
+      'POSITION_MODIFIED',
+      'POSITION_PARTIAL_EXIT',
+      'POSITION_CLOSED',
+      'STATE_RESET'
+    ],
+    required: true
+  },
+  symbol: { type: String },
+  orderId: { type: String }, // Broker order ID for ORDER_* events
+  positionId: { type: String }, // activePositions[].id for POSITION_* events
+  // ORDER_PLACED / POSITION_OPENED: the full order or position; other events: the fields that changed
+  data: {
+    type: Object,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Replay order is insertion order (_id), per user
+LedgerEventSchema.index({ userId: 1, _id: 1 });
+LedgerEventSchema.index({ userId: 1, orderId: 1 });
+LedgerEventSchema.index({ userId: 1, positionId: 1 });
+
+module.exports = mongoose.model('LedgerEvent', LedgerEventSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * One flushed batch of the market data recorder (services/marketRecorderService.js) when it
+ * stores to MongoDB (MARKET_RECORDER=mongo). `data` is gzipped JSON lines, one event per line,
+ * in the same format as the recording files; chunks of a session are read in startTime order.
+ */
+const RETENTION_DAYS = parseInt(process.env.MARKET_RECORDING_RETENTION_DAYS) || 30;
+
+const MarketRecordingSchema = new mongoose.Schema({
+  // IST trading date, YYYY-MM-DD
+  session: {
+    type: String,
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  }
+});
+
+MarketRecordingSchema.index({ session: 1, startTime: 1 });
+MarketRecordingSchema.index({ startTime: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('MarketRecording', MarketRecordingSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Account-level risk limits of a user, plus the kill switch that blocks new entries
+ * once a limit is breached. A limit of 0 means "no limit".
+ */
+const RiskProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Largest loss allowed for the day, realized + unrealized (positive rupee amount)
+  maxDailyLoss: { type: Number, default: 0, min: 0 },
+  maxOpenPositions: { type: Number, default: 0, min: 0 },
+  // Capital tied up in open positions and pending entry orders
+  maxCapitalDeployed: { type: Number, default: 0, min: 0 },
+  maxOrdersPerMinute: { type: Number, default: 0, min: 0 },
+  // Square off all open positions at market when a limit is breached
+  flattenOnBreach: { type: Boolean, default: false },
+  killSwitch: {
+    active: { type: Boolean, default: false },
+    breachType: {
+      type: String,
+      enum: ['DAILY_LOSS', 'MAX_OPEN_POSITIONS', 'MAX_CAPITAL_DEPLOYED', 'MAX_ORDERS_PER_MINUTE', 'MANUAL'],
+      default: null
+    },
+    reason: { type: String, default: '' },
+    engagedAt: { type: Date },
+    releasedAt: { type: Date }
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('RiskProfile', RiskProfileSchema);
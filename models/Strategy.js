@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Declarative trading strategy owned by a user.
+ * Monitored symbols point at a strategy through `strategyId`; the monitoring cycle
+ * evaluates whatever rules the strategy defines instead of a hard-coded state machine.
+ * Rules are written for long entries; SELL symbols run them mirrored (see StrategyService.forSide).
+ */
+const StrategySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Indicator the entry and reversal conditions are measured against
+  indicator: {
+    // An IndicatorService type LTP can be compared with (see StrategyService.INDICATOR_TYPES)
+    name: { type: String, enum: ['SMA', 'EMA', 'WMA', 'HMA', 'VWAP', 'SUPERTREND', 'BOLLINGER', 'DONCHIAN'], default: 'HMA' },
+    period: { type: Number, default: 55, min: 1 },
+    params: { type: mongoose.Schema.Types.Mixed, default: undefined }, // Other parameters, e.g. { multiplier: 3 }
+    timeframe: { type: String, enum: ['1', '3', '5', '15', '30', '60'], default: '5' } // Candle size in minutes
+  },
+  entry: {
+    // CROSS_ABOVE: enter when LTP moves above the indicator, CROSS_BELOW: when it moves below
+    condition: { type: String, enum: ['CROSS_ABOVE', 'CROSS_BELOW'], default: 'CROSS_ABOVE' },
+    // Require LTP to first sit on the opposite side of the indicator before looking for entry
+    requireReversal: { type: Boolean, default: true },
+    reversalConfirmationMinutes: { type: Number, default: 15, min: 0 },
+    confirmation: {
+      // NONE: enter on the crossover, TIMER: after `minutes`, CANDLE_CLOSE: at the close of the current `minutes` candle
+      mode: { type: String, enum: ['NONE', 'TIMER', 'CANDLE_CLOSE'], default: 'CANDLE_CLOSE' },
+      minutes: { type: Number, default: 5, min: 0 }
+    },
+    orderType: { type: String, enum: ['MARKET', 'SL_LIMIT'], default: 'MARKET' }
+  },
+  // Conditions on other timeframes that must all hold when an entry is confirmed, e.g. the daily
+  // Hull Suite being bullish for 5-minute long entries (see MultiTimeframeService)
+  filters: [{
+    _id: false,
+    // HULL_SUITE or an indicator of IndicatorService
+    indicator: {
+      type: String,
+      enum: ['HULL_SUITE', 'SMA', 'EMA', 'WMA', 'HMA', 'VWAP', 'RSI', 'MACD', 'ATR', 'SUPERTREND', 'BOLLINGER', 'DONCHIAN', 'ADX'],
+      required: true
+    },
+    timeframe: { type: String, enum: ['1', '3', '5', '15', '30', '60', 'D'], default: 'D' }, // Minutes, or D for daily
+    params: { type: mongoose.Schema.Types.Mixed, default: undefined }, // Indicator parameters, e.g. { period: 14 }
+    period: { type: Number, min: 1 }, // Shorthand for params.period
+    // PRICE_ABOVE / PRICE_BELOW: LTP against the indicator; ABOVE / BELOW: indicator against `threshold`;
+    // RISING / FALLING: against the previous bar; BULLISH / BEARISH: Hull Suite, SuperTrend, MACD, ADX direction
+    condition: {
+      type: String,
+      enum: ['BULLISH', 'BEARISH', 'PRICE_ABOVE', 'PRICE_BELOW', 'ABOVE', 'BELOW', 'RISING', 'FALLING'],
+      required: true
+    },
+    threshold: { type: Number, default: null }
+  }],
+  // Default exit rules, used when the monitored symbol does not set its own
+  exit: {
+    targetPoints: { type: Number, default: 0, min: 0 },
+    stopLossPoints: { type: Number, default: 0, min: 0 },
+    useTrailingStoploss: { type: Boolean, default: false },
+    trailingX: { type: Number, default: 20 },
+    trailingY: { type: Number, default: 15 }
+  },
+  // Strategy used for symbols that are added to monitoring without a strategyId
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+StrategySchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Strategy', StrategySchema);
@@ -20,17 +20,20 @@ const TradeLogSchema = new mongoose.Schema({
       'ORDER_MODIFIED',
       'ORDER_CANCELLED',
       'TARGET_HIT',
+      'PARTIAL_EXIT',
       'STOP_LOSS_HIT',
       'TRAILING_UPDATE',
       'RE_ENTRY_ADDED',
-      'POSITION_CLOSED'
+      'POSITION_CLOSED',
+      'RISK_LIMIT_BREACHED'
     ],
     required: true
   },
   orderType: {
     type: String,
     enum: ['LIMIT', 'MARKET', 'SL-M', 'SL-L', 'BUY_SL_LIMIT', 'SELL_SL_LIMIT', 'SL_LIMIT'],
-    required: true
+    // Risk breaches are account events, not orders
+    required: function() { return this.action !== 'RISK_LIMIT_BREACHED'; }
   },
   quantity: {
     type: Number,
@@ -64,7 +67,8 @@ const TradeLogSchema = new mongoose.Schema({
       'MODIFIED',
       'TARGET_EXECUTED',
       'SL_EXECUTED',
-      'PARTIALLY_FILLED'
+      'PARTIALLY_FILLED',
+      'BLOCKED'
     ],
     required: true
   },
@@ -77,7 +81,8 @@ const TradeLogSchema = new mongoose.Schema({
       'TRAILING',
       'STOP_LOSS',
       'RE_ENTRY',
-      'MANUAL'
+      'MANUAL',
+      'RISK'
     ],
     required: false
   },
@@ -101,7 +106,7 @@ const TradeLogSchema = new mongoose.Schema({
   },
   tradeType: {
     type: String,
-    enum: ['LIVE'],
+    enum: ['LIVE', 'PAPER'],
     default: 'LIVE'
   },
   remarks: {
@@ -40,7 +40,23 @@ const TradingStateSchema = new mongoose.Schema({
     exitAtMarketClose: { type: Boolean },
     exitAfterMinutes: { type: Number },
     maxReEntries: { type: Number },
-    tradingMode: { type: String, default: 'LIVE' }, // 'LIVE' only
+    tradingMode: { type: String, default: 'LIVE' }, // 'LIVE' or 'PAPER' (simulated fills)
+    strategyId: { type: String, default: null }, // Strategy the monitoring cycle runs (null = built-in HMA reversal)
+    // How entry orders are sized (see services/positionSizingService.js)
+    sizing: {
+      mode: { type: String, enum: ['FIXED_LOTS', 'PERCENT_OF_FUNDS', 'FIXED_RISK'], default: 'FIXED_LOTS' },
+      fundsPercent: { type: Number }, // PERCENT_OF_FUNDS: share of available funds per entry
+      riskAmount: { type: Number }, // FIXED_RISK: rupees lost if the stop loss is hit
+      maxLots: { type: Number, default: 0 } // Cap on the computed lots (0 = no cap)
+    },
+    orderLots: { type: Number }, // Lots the current entry order was sized for
+    // Multi-leg target exits (see services/targetLadderService.js); replaces targetPoints when set
+    targetLegs: [{
+      points: { type: Number }, // Distance of the leg's target from the entry price
+      exitPercent: { type: Number }, // Share of the original quantity booked at the leg
+      moveStop: { type: String, enum: ['NONE', 'COST', 'PREVIOUS_TARGET'], default: 'NONE' },
+      trailRemainder: { type: Boolean, default: false } // Trail the remaining quantity after the leg
+    }],
     productType: { type: String },
     orderType: { type: String },
     index: {
@@ -50,6 +66,7 @@ const TradingStateSchema = new mongoose.Schema({
       defaultStopLoss: { type: Number }
     },
     hmaValue: { type: Number },
+    provisionalHmaValue: { type: Number }, // HMA if the forming candle closed at the current price
     lastUpdate: { type: Date },
     currentLTP: { type: Number },
     triggerStatus: {
@@ -128,7 +145,26 @@ const TradingStateSchema = new mongoose.Schema({
       default: 'Active'
     },
     timestamp: { type: Date },
-    tradingMode: { type: String, default: 'LIVE' }, // 'LIVE' only
+    tradingMode: { type: String, default: 'LIVE' }, // 'LIVE' or 'PAPER' (simulated fills)
+    strategyId: { type: String, default: null }, // Strategy that opened the position
+    sizing: { type: Object }, // Sizing configuration of the symbol that opened the position
+    // Target ladder progress
+    targetLegs: [{
+      points: { type: Number },
+      exitPercent: { type: Number },
+      moveStop: { type: String },
+      trailRemainder: { type: Boolean },
+      price: { type: Number }, // Target price of the leg
+      status: { type: String, enum: ['PENDING', 'BOOKED', 'FAILED'], default: 'PENDING' },
+      quantity: { type: Number }, // Qty booked at the leg
+      exitOrderId: { type: String },
+      exitPrice: { type: Number },
+      pnl: { type: Number }, // Realized P&L of the leg
+      bookedAt: { type: Date }
+    }],
+    remainingQuantity: { type: Number }, // Qty still open after partial exits
+    realizedPnL: { type: Number, default: 0 }, // P&L booked by partial exits
+    stage: { type: Number, default: 0 }, // Number of target legs booked
     orderType: { type: String },
     productType: { type: String },
     // Order tracking
@@ -179,7 +215,13 @@ const TradingStateSchema = new mongoose.Schema({
     totalPnL: {
       type: Number,
       default: 0
-    }
+    },
+    // Realized P&L of the trading day in dailyPnLDate (IST, YYYY-MM-DD), used by the risk manager
+    dailyRealizedPnL: {
+      type: Number,
+      default: 0
+    },
+    dailyPnLDate: String
   },
   settings: {
     type: Object,
@@ -5,54 +5,16 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const { HMAService } = require('../services/hmaService');
+const { BacktestService } = require('../services/backtestService');
+const { BacktestOptimizationService } = require('../services/backtestOptimizationService');
+const { LiveEngineBacktestService } = require('../services/liveEngineBacktestService');
+const { HistoricalDataService } = require('../services/historicalDataService');
+const { BacktestReportService } = require('../services/backtestReportService');
+const { BacktestComparisonService } = require('../services/backtestComparisonService');
+const { MonteCarloService } = require('../services/monteCarloService');
+const { BacktestJobService } = require('../services/backtestJobService');
 const LoggerService = require('../services/loggerService');
-const mongoose = require('mongoose');
-
-// Backtest Schema for MongoDB
-const backtestSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  name: { type: String, required: true },
-  symbol: { type: String, required: true },
-  startDate: { type: Date, required: true },
-  endDate: { type: Date, required: true },
-  interval: { type: String, required: true },
-  hmaPeriod: { type: Number, required: true },
-  target: { type: Number, required: true },
-  stopLoss: { type: Number, required: true },
-  targetType: { type: String, enum: ['points', 'percentage'], default: 'points' },
-  stopLossType: { type: String, enum: ['points', 'percentage'], default: 'points' },
-  quantity: { type: Number, default: 1 },
-  kpis: {
-    totalTrades: Number,
-    winCount: Number,
-    lossCount: Number,
-    winRate: Number,
-    totalPnL: Number,
-    avgPnL: Number,
-    maxProfit: Number,
-    maxLoss: Number,
-    profitFactor: Number,
-    sharpeRatio: Number,
-    maxDrawdown: Number,
-    requiredMargin: Number
-  },
-  trades: [{
-    entryTime: Date,
-    exitTime: Date,
-    entryPrice: Number,
-    exitPrice: Number,
-    pnl: Number,
-    pnlPercentage: Number,
-    exitReason: String,
-    duration: Number,
-    targetPrice: Number,
-    stopLossPrice: Number,
-    quantity: Number
-  }],
-  createdAt: { type: Date, default: Date.now }
-});
-
-const Backtest = mongoose.model('Backtest', backtestSchema);
+const Backtest = require('../models/Backtest');
 
 /**
  * @route   POST /api/backtest/test-fyers
@@ -92,7 +54,7 @@ router.post('/test-fyers', auth, async (req, res) => {
 
 /**
  * @route   POST /api/backtest/fetch-historical-data
- * @desc    Fetch historical data for backtesting using Fyers API
+ * @desc    Fetch historical data for backtesting from the historical data store (topped up from Fyers)
  * @access  Private
  */
 router.post('/fetch-historical-data', auth, async (req, res) => {
@@ -141,20 +103,18 @@ router.post('/fetch-historical-data', auth, async (req, res) => {
     console.log('  Combined token length:', accessToken.length);
     console.log('  Combined token starts with:', accessToken.substring(0, 20) + '...');
 
-    // Fetch historical data using enhanced HMAService with prefill
-    const historicalData = await HMAService.fetchHistoricalDataForBacktest(symbol, accessToken, {
-      startDate: new Date(startDate),
-      endDate: new Date(endDate),
-      interval: interval,
-      hmaPeriod: hmaPeriod // Use the provided HMA period for prefill calculation
-    });
+    // Stored candles with HMA prefill; ranges not fetched before come from Fyers
+    const stored = await HistoricalDataService.getBacktestCandles(symbol, {
+      startDate,
+      endDate,
+      interval,
+      prefill: hmaPeriod // Use the provided HMA period for prefill calculation
+    }, accessToken);
 
-    if (!historicalData || historicalData.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'No historical data found for the specified symbol and date range'
-      });
+    if (!stored.success) {
+      return res.status(404).json(stored);
     }
+    const historicalData = stored.data;
 
     console.log(`✅ Backtest: Successfully fetched ${historicalData.length} candles for ${symbol}`);
 
@@ -200,102 +160,469 @@ router.post('/fetch-historical-data', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/backtest/data
+ * @desc    List the symbols and resolutions in the historical data store with their coverage
+ * @access  Private
+ */
+router.get('/data', auth, async (req, res) => {
+  try {
+    const series = await HistoricalDataService.getSeries();
+
+    return res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    console.error('❌ Backtest: Error listing stored historical data:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list stored historical data',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/backtest/data/coverage
+ * @desc    Stored ranges, ranges not fetched yet and in-session gaps of a symbol (?symbol=&interval=&startDate=&endDate=)
+ * @access  Private
+ */
+router.get('/data/coverage', auth, async (req, res) => {
+  try {
+    const { symbol, interval, startDate, endDate } = req.query;
+
+    if (!symbol || !interval) {
+      return res.status(400).json({
+        success: false,
+        message: 'Symbol and interval are required'
+      });
+    }
+
+    const result = await HistoricalDataService.getCoverage(symbol, interval, startDate, endDate);
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error reading historical data coverage:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to read historical data coverage',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/backtest/data/sync
+ * @desc    Fetch the parts of a date range the historical data store is missing (refresh: true to fetch it all again)
+ * @access  Private
+ */
+router.post('/data/sync', auth, async (req, res) => {
+  try {
+    const { symbol, interval, startDate, endDate, refresh = false } = req.body;
+
+    if (!symbol || !interval || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Symbol, interval, startDate and endDate are required'
+      });
+    }
+
+    const accessToken = await HistoricalDataService.getAccessToken(req.user.id);
+    if (!accessToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'No valid Fyers access token found. Please login to Fyers first.'
+      });
+    }
+
+    const result = await HistoricalDataService.ensureRange(
+      symbol,
+      interval,
+      HistoricalDataService.toTimestamp(startDate),
+      HistoricalDataService.toTimestamp(endDate, true),
+      { accessToken, refresh: refresh === true }
+    );
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error syncing historical data:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to sync historical data',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/backtest/indicators
+ * @desc    Indicator series (IndicatorService) on stored candles of startDate - endDate, warmed up on earlier candles
+ * @access  Private
+ */
+router.post('/indicators', auth, async (req, res) => {
+  try {
+    const accessToken = await HistoricalDataService.getAccessToken(req.user.id);
+    const result = await BacktestService.getIndicatorSeries(req.body, accessToken);
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error calculating indicators:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to calculate indicators',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/backtest/execute
- * @desc    Execute backtest with HMA strategy
+ * @desc    Execute backtest with HMA strategy on posted candles, or on stored candles of startDate - endDate
  * @access  Private
  */
 router.post('/execute', auth, async (req, res) => {
   try {
-    const { 
-      symbol, 
-      quantity = 1,
-      startDate, 
-      endDate, 
-      interval, 
-      hmaPeriod, 
-      target, 
+    const result = await BacktestService.runBacktestRequest(req.body, await HistoricalDataService.getAccessToken(req.user.id));
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error executing backtest:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to execute backtest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/backtest/execute-live
+ * @desc    Backtest a symbol through the live monitoring state machine (reversal, confirmation, entry, ladder, trailing)
+ * @access  Private
+ */
+router.post('/execute-live', auth, async (req, res) => {
+  try {
+    const result = await LiveEngineBacktestService.runBacktestRequest(req.user.id, req.body, await HistoricalDataService.getAccessToken(req.user.id));
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error executing live engine backtest:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to execute live engine backtest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/backtest/portfolio
+ * @desc    Backtest the HMA strategy on many symbols with one shared capital pool
+ * @access  Private
+ */
+router.post('/portfolio', auth, async (req, res) => {
+  try {
+    const {
+      symbols,
+      universe,
+      candlesBySymbol,
+      startDate,
+      endDate,
+      interval,
+      hmaPeriod,
+      target,
       stopLoss,
-      targetType = 'points',
-      stopLossType = 'points',
-      candles 
+      initialCapital
     } = req.body;
-    const userId = req.user.id;
 
-    // Validate required fields
-    if (!symbol || !hmaPeriod || !target || !stopLoss) {
+    if ((!Array.isArray(symbols) || symbols.length === 0) && !universe) {
       return res.status(400).json({
         success: false,
-        message: 'Symbol, HMA period, target, and stop loss are required'
+        message: 'A symbols array or a universe ({ type: STRIKES | SCREENER }) is required'
       });
     }
-
-    // Validate candles array
-    if (!candles || !Array.isArray(candles) || candles.length === 0) {
+    if (!hmaPeriod || !target || !stopLoss || !(parseFloat(initialCapital) > 0)) {
       return res.status(400).json({
         success: false,
-        message: 'Historical data (candles) is required. Please fetch historical data first.'
+        message: 'HMA period, target, stop loss and initial capital are required'
       });
     }
 
-    console.log(`🔍 Backtest: Received ${candles.length} candles for execution`);
+    // Candles the client did not send come from the historical data store, topped up from Fyers
+    let accessToken = null;
+    const hasAllCandles = Array.isArray(symbols) && candlesBySymbol && symbols.every(symbol => Array.isArray(candlesBySymbol[symbol]));
+    if (!hasAllCandles) {
+      if (!startDate || !endDate || !interval) {
+        return res.status(400).json({
+          success: false,
+          message: 'startDate, endDate and interval are required to fetch candles'
+        });
+      }
+      accessToken = await HistoricalDataService.getAccessToken(req.user.id);
+    }
 
-    console.log(`🧪 Backtest: Executing backtest for ${symbol} with HMA-${hmaPeriod}, Target: ${target}${targetType === 'percentage' ? '%' : ' points'}, SL: ${stopLoss}${stopLossType === 'percentage' ? '%' : ' points'}`);
+    const result = await BacktestService.runPortfolioBacktest(req.user.id, { ...req.body, accessToken });
 
-    // Calculate HMA values with prefill functionality
-    // The candles already include prefill data from fetchHistoricalDataForBacktest
-    const hmaValues = HMAService.calculateHMAWithPrefill(candles, hmaPeriod, 'close', hmaPeriod);
-    
-    // Filter out null values (beginning of data where HMA is not available)
-    // Temporarily removed market hours filtering to debug
-    const validData = candles.map((candle, index) => ({
-      ...candle,
-      hma: hmaValues[index],
-      originalIndex: index // Add index to the item for debugging
-    })).filter(item => {
-      if (item.hma === null) return false;
-      
-      // Debug logging for first few candles
-      if (item.originalIndex < 10) {
-        const istTime = new Date(item.timestamp + (5.5 * 60 * 60 * 1000));
-        console.log(`🔍 Candle ${item.originalIndex}: ${istTime.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} - HMA: ${item.hma}`);
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error executing portfolio backtest:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to execute portfolio backtest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/backtest/optimize
+ * @desc    Start a background parameter sweep (grid or random) with optional walk-forward validation
+ * @access  Private
+ */
+router.post('/optimize', auth, async (req, res) => {
+  try {
+    const { symbol, interval, startDate, endDate, ranges } = req.body;
+    let { candles } = req.body;
+
+    if (!symbol || !interval || !ranges) {
+      return res.status(400).json({
+        success: false,
+        message: 'Symbol, interval and parameter ranges are required'
+      });
+    }
+
+    // Without client candles, fetch them with enough prefill for the longest HMA period
+    if (!Array.isArray(candles) || candles.length === 0) {
+      if (!startDate || !endDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Candles, or startDate and endDate to fetch them, are required'
+        });
       }
-      
-      return true; // Accept all candles with valid HMA
+
+      const stored = await HistoricalDataService.getBacktestCandles(symbol, {
+        startDate,
+        endDate,
+        interval,
+        prefill: Math.max(...BacktestOptimizationService.expandRange(ranges.hmaPeriod), 1)
+      }, await HistoricalDataService.getAccessToken(req.user.id));
+      if (!stored.success) return res.status(400).json(stored);
+      candles = stored.data;
+    }
+
+    const result = BacktestOptimizationService.startJob(req.user.id, { ...req.body, candles });
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error starting optimisation:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start optimisation',
+      error: error.message
     });
+  }
+});
 
-    console.log(`🔍 Backtest: Total candles: ${candles.length}, Valid data with HMA: ${validData.length}`);
-    
-    if (validData.length === 0) {
+/**
+ * @route   GET /api/backtest/optimize
+ * @desc    List optimisation jobs of the user
+ * @access  Private
+ */
+router.get('/optimize', auth, async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: BacktestOptimizationService.listJobs(req.user.id)
+    });
+  } catch (error) {
+    console.error('❌ Backtest: Error listing optimisation jobs:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list optimisation jobs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/backtest/optimize/:jobId
+ * @desc    Progress and results of an optimisation job
+ * @access  Private
+ */
+router.get('/optimize/:jobId', auth, async (req, res) => {
+  try {
+    const job = BacktestOptimizationService.getJob(req.user.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Optimisation job not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('❌ Backtest: Error fetching optimisation job:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch optimisation job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/backtest/optimize/:jobId
+ * @desc    Cancel a running optimisation job
+ * @access  Private
+ */
+router.delete('/optimize/:jobId', auth, async (req, res) => {
+  try {
+    const result = BacktestOptimizationService.cancelJob(req.user.id, req.params.jobId);
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error cancelling optimisation job:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel optimisation job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/backtest/optimize/:jobId/save
+ * @desc    Save ranked runs ({ name, ranks }) or walk-forward folds ({ name, folds }) as backtests
+ * @access  Private
+ */
+router.post('/optimize/:jobId/save', auth, async (req, res) => {
+  try {
+    const { name, ranks, folds } = req.body;
+    if (!name || ((!Array.isArray(ranks) || ranks.length === 0) && (!Array.isArray(folds) || folds.length === 0))) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient data for HMA calculation'
+        message: 'Name and ranks (or folds for walk-forward jobs) are required'
       });
     }
 
-    // Execute backtest strategy with enhanced logic
-    const results = executeEnhancedBacktestStrategy(validData, {
-      symbol,
-      quantity: parseInt(quantity),
-      hmaPeriod,
-      target: parseFloat(target),
-      stopLoss: parseFloat(stopLoss),
-      targetType,
-      stopLossType
+    const result = await BacktestOptimizationService.saveRuns(req.user.id, req.params.jobId, { name, ranks, folds });
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error saving optimisation runs:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save optimisation runs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/backtest/jobs
+ * @desc    Queue a backtest to run in the background ({ type: BACKTEST | LIVE_ENGINE | PORTFOLIO, ...request body
+ *          of /execute, /execute-live or /portfolio }); progress is pushed as backtest_job_update WebSocket messages
+ * @access  Private
+ */
+router.post('/jobs', auth, async (req, res) => {
+  try {
+    const { type = 'BACKTEST', ...params } = req.body;
+    const result = await BacktestJobService.submit(req.user.id, type, params);
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error queueing backtest job:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to queue backtest job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/backtest/jobs
+ * @desc    List the user's recent backtest jobs (without results)
+ * @access  Private
+ */
+router.get('/jobs', auth, async (req, res) => {
+  try {
+    const jobs = await BacktestJobService.listJobs(req.user.id);
+
+    return res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('❌ Backtest: Error listing backtest jobs:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list backtest jobs',
+      error: error.message
     });
+  }
+});
 
-    console.log(`✅ Backtest: Completed for ${symbol}. Trades: ${results.trades.length}, PnL: ${results.totalPnL}`);
+/**
+ * @route   GET /api/backtest/jobs/:jobId
+ * @desc    Status, progress and result of a backtest job
+ * @access  Private
+ */
+router.get('/jobs/:jobId', auth, async (req, res) => {
+  try {
+    const job = await BacktestJobService.getJob(req.user.id, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest job not found'
+      });
+    }
 
     return res.json({
       success: true,
-      data: results
+      data: job
     });
+  } catch (error) {
+    console.error('❌ Backtest: Error fetching backtest job:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch backtest job',
+      error: error.message
+    });
+  }
+});
 
+/**
+ * @route   DELETE /api/backtest/jobs/:jobId
+ * @desc    Cancel a queued or running backtest job
+ * @access  Private
+ */
+router.delete('/jobs/:jobId', auth, async (req, res) => {
+  try {
+    const result = await BacktestJobService.cancelJob(req.user.id, req.params.jobId);
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
   } catch (error) {
-    console.error('❌ Backtest: Error executing backtest:', error);
+    console.error('❌ Backtest: Error cancelling backtest job:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to execute backtest',
+      message: 'Failed to cancel backtest job',
       error: error.message
     });
   }
@@ -341,7 +668,8 @@ router.post('/save', auth, async (req, res) => {
       stopLossType: backtestData.stopLossType,
       quantity: backtestData.quantity,
       kpis: backtestData.kpis,
-      trades: backtestData.trades
+      trades: backtestData.trades,
+      execution: backtestData.costModel ? BacktestService.describeExecution(backtestData) : undefined
     });
 
     await backtest.save();
@@ -425,6 +753,129 @@ router.get('/saved/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/backtest/compare?ids=<baselineId>,<id>,...
+ * @desc    Compare saved backtests: KPI deltas against the first, equity curves on one time axis, trade-level diff
+ * @access  Private
+ */
+router.get('/compare', auth, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+    const mongoose = require('mongoose');
+
+    if (ids.length < 2 || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least two valid saved backtest ids are required (ids=<baselineId>,<id>,...)'
+      });
+    }
+
+    const backtests = await Backtest.find({ _id: { $in: ids }, userId: req.user.id }).lean();
+    const missing = ids.filter(id => !backtests.some(backtest => String(backtest._id) === id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Backtest not found: ${missing.join(', ')}`
+      });
+    }
+
+    // Baseline first, the rest in the order requested
+    const ordered = ids.map(id => backtests.find(backtest => String(backtest._id) === id));
+    const result = BacktestComparisonService.compare(ordered);
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error comparing backtests:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to compare backtests',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/backtest/saved/:id/monte-carlo?simulations=&method=&capital=&ruinPercent=&seed=
+ * @desc    Monte Carlo analysis of a saved backtest's trades (order shuffles and bootstrap resampling)
+ * @access  Private
+ */
+router.get('/saved/:id/monte-carlo', auth, async (req, res) => {
+  try {
+    const backtest = await Backtest.findOne({ _id: req.params.id, userId: req.user.id }).lean();
+    if (!backtest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest not found'
+      });
+    }
+
+    const { simulations, method, capital, ruinPercent, seed } = req.query;
+    const result = MonteCarloService.analyze(backtest, {
+      simulations,
+      method: method ? method.toUpperCase() : undefined,
+      capital,
+      ruinPercent,
+      seed
+    });
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Backtest: Error running Monte Carlo analysis:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to run Monte Carlo analysis',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/backtest/saved/:id/export/:format
+ * @desc    Download a saved backtest as CSV (trades), JSON or a self-contained HTML tearsheet
+ * @access  Private
+ */
+router.get('/saved/:id/export/:format', auth, async (req, res) => {
+  try {
+    const format = req.params.format.toLowerCase();
+    if (!BacktestReportService.FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported export format: ${req.params.format} (supported: ${BacktestReportService.FORMATS.join(', ')})`
+      });
+    }
+
+    const backtest = await Backtest.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!backtest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest not found'
+      });
+    }
+
+    const fileName = `${backtest.name.replace(/[^\w.-]+/g, '_')}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      return res.send(BacktestReportService.toCSV(backtest));
+    }
+    if (format === 'html') {
+      res.type('text/html');
+      return res.send(BacktestReportService.toHTML(backtest));
+    }
+    return res.json(BacktestReportService.toJSON(backtest));
+  } catch (error) {
+    console.error('❌ Backtest: Error exporting backtest:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export backtest',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/backtest/saved/:id
  * @desc    Delete specific saved backtest
@@ -463,319 +914,4 @@ router.delete('/saved/:id', auth, async (req, res) => {
   }
 });
 
-/**
- * Execute enhanced backtest strategy with percentage support
- * @param {Array} data - Historical data with HMA values
- * @param {Object} params - Strategy parameters
- * @returns {Object} Backtest results
- */
-function executeEnhancedBacktestStrategy(data, params) {
-  const { symbol, quantity = 1, hmaPeriod, target, stopLoss, targetType, stopLossType } = params;
-  const trades = [];
-  let currentPosition = null;
-  let totalPnL = 0;
-  let winCount = 0;
-  let lossCount = 0;
-  let maxDrawdown = 0;
-  let peakValue = 0;
-  let runningPnL = 0;
-  let maxEntryPrice = 0;
-  let entrySignals = 0; // Count of HMA crossover entry signals
-  
-  console.log(`🔍 Backtest: Processing ${data.length} candles for ${symbol}`);
-  console.log(`🔍 Backtest: First candle: ${new Date(data[0].timestamp + (5.5 * 60 * 60 * 1000)).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-  console.log(`🔍 Backtest: Last candle: ${new Date(data[data.length - 1].timestamp + (5.5 * 60 * 60 * 1000)).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-  
-  // Debug: Check a few candles to see the data structure
-  console.log(`🔍 Backtest: Sample candles:`);
-  for (let i = 0; i < Math.min(5, data.length); i++) {
-    const candle = data[i];
-    const istTime = new Date(candle.timestamp + (5.5 * 60 * 60 * 1000));
-    console.log(`  Candle ${i}: ${istTime.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} - Close: ${candle.close}, HMA: ${candle.hma}`);
-  }
-
-  for (let i = 1; i < data.length; i++) {
-    const current = data[i];
-    const previous = data[i - 1];
-    
-    // Check for end of day exit (3:20 PM IST on the same day as entry)
-    const currentTimeIST = new Date(current.timestamp + (5.5 * 60 * 60 * 1000));
-    const isEndOfDay = currentTimeIST.getHours() === 15 && currentTimeIST.getMinutes() >= 20;
-    
-    // Entry condition: LTP crosses above HMA (long strategy)
-    if (previous.close <= previous.hma && current.close > current.hma) {
-      if (!currentPosition) {
-        // Enter long position at next candle open
-        const entryPrice = current.open;
-        if (entryPrice > maxEntryPrice) maxEntryPrice = entryPrice;
-        const targetPrice = targetType === 'percentage' 
-          ? entryPrice * (1 + target / 100)
-          : entryPrice + target;
-        const stopLossPrice = stopLossType === 'percentage'
-          ? entryPrice * (1 - stopLoss / 100)
-          : entryPrice - stopLoss;
-
-        // Convert UTC timestamp to IST for logging (current.timestamp is already in UTC)
-        const entryTimeIST = new Date(current.timestamp + (5.5 * 60 * 60 * 1000));
-        currentPosition = {
-          entryPrice,
-          entryTime: current.timestamp,
-          entryTimeIST: entryTimeIST.toISOString(),
-          entryIndex: i,
-          targetPrice,
-          stopLossPrice,
-          quantity,
-          entryDateIST: entryTimeIST.toDateString() // Store entry date for end-of-day check
-        };
-        entrySignals++; // Count this as an entry signal
-        console.log(`📈 Entry: ${symbol} at ${entryPrice} (HMA: ${current.hma}) at ${entryTimeIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-        
-        // Skip exit condition checks for this candle since we just entered
-        continue;
-      }
-    }
-    
-    // Exit conditions if we have a position (only check after entry is established)
-    if (currentPosition) {
-      const entryPrice = currentPosition.entryPrice;
-      const currentPrice = current.close;
-      const pnl = (currentPrice - entryPrice) * quantity;
-      const pnlPercentage = ((currentPrice - entryPrice) / entryPrice) * 100;
-      
-      // Check for target hit
-      if (currentPrice >= currentPosition.targetPrice) {
-        const targetPrice = currentPosition.targetPrice;
-        const stopLossPrice = currentPosition.stopLossPrice;
-        const pnl = (targetPrice - entryPrice) * quantity;
-        
-        // Convert timestamps to IST (current.timestamp is already in UTC)
-        const exitTimeIST = new Date(current.timestamp + (5.5 * 60 * 60 * 1000));
-        const duration = current.timestamp - currentPosition.entryTime;
-        
-        // Skip trades with 0 duration (entry and exit in same candle)
-        if (duration === 0) {
-          console.log(`⚠️ Skipping trade with 0 duration - Entry and exit in same candle at ${exitTimeIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-          currentPosition = null;
-          continue;
-        }
-        
-        trades.push({
-          entryPrice,
-          exitPrice: targetPrice,
-          entryTime: currentPosition.entryTime,
-          entryTimeIST: currentPosition.entryTimeIST,
-          exitTime: current.timestamp,
-          exitTimeIST: exitTimeIST.toISOString(),
-          pnl,
-          pnlPercentage: ((targetPrice - entryPrice) / entryPrice) * 100,
-          exitReason: 'TARGET',
-          duration: duration,
-          targetPrice,
-          stopLossPrice,
-          quantity
-        });
-        totalPnL += pnl;
-        winCount++;
-        console.log(`🎯 Target hit: ${symbol} at ${targetPrice} (PnL: +${pnl.toFixed(2)}) at ${exitTimeIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-        currentPosition = null;
-      }
-      // Check for stop loss hit
-      else if (currentPrice <= currentPosition.stopLossPrice) {
-        const targetPrice = currentPosition.targetPrice;
-        const stopLossPrice = currentPosition.stopLossPrice;
-        const pnl = (stopLossPrice - entryPrice) * quantity;
-        
-        // Convert timestamps to IST (current.timestamp is already in UTC)
-        const exitTimeIST = new Date(current.timestamp + (5.5 * 60 * 60 * 1000));
-        const duration = current.timestamp - currentPosition.entryTime;
-        
-        // Skip trades with 0 duration (entry and exit in same candle)
-        if (duration === 0) {
-          console.log(`⚠️ Skipping trade with 0 duration - Entry and exit in same candle at ${exitTimeIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-          currentPosition = null;
-          continue;
-        }
-        
-        trades.push({
-          entryPrice,
-          exitPrice: stopLossPrice,
-          entryTime: currentPosition.entryTime,
-          entryTimeIST: currentPosition.entryTimeIST,
-          exitTime: current.timestamp,
-          exitTimeIST: exitTimeIST.toISOString(),
-          pnl,
-          pnlPercentage: ((stopLossPrice - entryPrice) / entryPrice) * 100,
-          exitReason: 'STOP_LOSS',
-          duration: duration,
-          targetPrice,
-          stopLossPrice,
-          quantity
-        });
-        totalPnL += pnl;
-        lossCount++;
-        console.log(`🛑 Stop loss hit: ${symbol} at ${stopLossPrice} (PnL: ${pnl.toFixed(2)}) at ${exitTimeIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-        currentPosition = null;
-      }
-      // Check for end of day exit (3:20 PM IST on the SAME DAY as entry)
-      else if (isEndOfDay && currentPosition) {
-        // Check if current date is the same as entry date
-        const currentDateIST = currentTimeIST.toDateString();
-        const isSameDay = currentDateIST === currentPosition.entryDateIST;
-        
-        if (isSameDay) {
-        const targetPrice = currentPosition.targetPrice;
-        const stopLossPrice = currentPosition.stopLossPrice;
-        const exitPrice = current.close; // Exit at current close price
-        const pnl = (exitPrice - entryPrice) * quantity;
-        
-        // Convert timestamps to IST (current.timestamp is already in UTC)
-        const exitTimeIST = new Date(current.timestamp + (5.5 * 60 * 60 * 1000));
-          const duration = current.timestamp - currentPosition.entryTime;
-          
-          // Skip trades with 0 duration (entry and exit in same candle)
-          if (duration === 0) {
-            console.log(`⚠️ Skipping trade with 0 duration - Entry and exit in same candle at ${exitTimeIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-            currentPosition = null;
-            continue;
-          }
-          
-        trades.push({
-          entryPrice,
-          exitPrice: exitPrice,
-          entryTime: currentPosition.entryTime,
-          entryTimeIST: currentPosition.entryTimeIST,
-          exitTime: current.timestamp,
-          exitTimeIST: exitTimeIST.toISOString(),
-          pnl,
-          pnlPercentage: ((exitPrice - entryPrice) / entryPrice) * 100,
-          exitReason: 'END_OF_DAY',
-            duration: duration,
-          targetPrice,
-          stopLossPrice,
-          quantity
-        });
-        totalPnL += pnl;
-        if (pnl > 0) winCount++;
-        else lossCount++;
-        console.log(`🌅 End of day exit: ${symbol} at ${exitPrice} (PnL: ${pnl.toFixed(2)}) at ${exitTimeIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-        currentPosition = null;
-        } else {
-          // Debug: Log when we're at 3:20 PM but it's a different day
-          console.log(`🔍 At 3:20 PM but different day - Entry: ${currentPosition.entryDateIST}, Current: ${currentDateIST}`);
-        }
-      }
-      // Debug: Log when we're close to stop loss but not hitting it
-      else if (currentPosition && currentPrice <= currentPosition.stopLossPrice * 1.01) { // Within 1% of stop loss
-        console.log(`🔍 Close to stop loss: ${symbol} at ${currentPrice} (Stop: ${currentPosition.stopLossPrice}) at ${new Date(current.timestamp + (5.5 * 60 * 60 * 1000)).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-      }
-    }
-
-    // Update running PnL and drawdown calculations
-    runningPnL = totalPnL;
-    if (runningPnL > peakValue) {
-      peakValue = runningPnL;
-    }
-    const currentDrawdown = peakValue - runningPnL;
-    if (currentDrawdown > maxDrawdown) {
-      maxDrawdown = currentDrawdown;
-    }
-  }
-
-      // Close any remaining position at the end
-    if (currentPosition) {
-      const lastPrice = data[data.length - 1].close;
-      const pnl = (lastPrice - currentPosition.entryPrice) * quantity;
-      // Convert timestamps to IST (timestamp is already in UTC)
-      const exitTimeIST = new Date(data[data.length - 1].timestamp + (5.5 * 60 * 60 * 1000));
-      const duration = data[data.length - 1].timestamp - currentPosition.entryTime;
-      
-      // Skip trades with 0 duration (entry and exit in same candle)
-      if (duration === 0) {
-        console.log(`⚠️ Skipping trade with 0 duration - Entry and exit in same candle at ${exitTimeIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
-      } else {
-      trades.push({
-        entryPrice: currentPosition.entryPrice,
-        exitPrice: lastPrice,
-        entryTime: currentPosition.entryTime,
-        entryTimeIST: currentPosition.entryTimeIST,
-        exitTime: data[data.length - 1].timestamp,
-        exitTimeIST: exitTimeIST.toISOString(),
-        pnl,
-        pnlPercentage: ((lastPrice - currentPosition.entryPrice) / currentPosition.entryPrice) * 100,
-        exitReason: 'END_OF_DATA',
-          duration: duration,
-        targetPrice: currentPosition.targetPrice,
-        stopLossPrice: currentPosition.stopLossPrice,
-        quantity
-      });
-    totalPnL += pnl;
-    if (pnl > 0) winCount++;
-    else lossCount++;
-      }
-  }
-
-  const totalTrades = trades.length;
-  const completedTrades = trades.length;
-  const openTrades = entrySignals - completedTrades;
-  const winRate = totalTrades > 0 ? (winCount / totalTrades) * 100 : 0;
-  const avgPnL = totalTrades > 0 ? totalPnL / totalTrades : 0;
-  
-  // Calculate additional KPIs
-  const profitableTrades = trades.filter(t => t.pnl > 0);
-  const losingTrades = trades.filter(t => t.pnl < 0);
-  const grossProfit = profitableTrades.reduce((sum, t) => sum + t.pnl, 0);
-  const grossLoss = Math.abs(losingTrades.reduce((sum, t) => sum + t.pnl, 0));
-  const profitFactor = grossLoss > 0 ? grossProfit / grossLoss : 0;
-  
-  // Calculate Sharpe Ratio (simplified)
-  const returns = trades.map(t => t.pnlPercentage);
-  const avgReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
-  const variance = returns.length > 0 ? returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length : 0;
-  const sharpeRatio = variance > 0 ? avgReturn / Math.sqrt(variance) : 0;
-
-  // Calculate required margin (assume 20% of max entry value)
-  const requiredMargin = maxEntryPrice * quantity * 0.2;
-
-  return {
-    symbol,
-    quantity,
-    hmaPeriod,
-    target,
-    stopLoss,
-    targetType,
-    stopLossType,
-    totalTrades,
-    entrySignals,
-    completedTrades,
-    openTrades,
-    winCount,
-    lossCount,
-    winRate,
-    totalPnL,
-    avgPnL,
-    maxDrawdown,
-    profitFactor,
-    sharpeRatio,
-    requiredMargin,
-    trades,
-    kpis: {
-      totalTrades,
-      entrySignals,
-      completedTrades,
-      openTrades,
-      winCount,
-      lossCount,
-      winRate: winRate.toFixed(2),
-      totalPnL: totalPnL.toFixed(2),
-      avgPnL: avgPnL.toFixed(2),
-      maxProfit: Math.max(...trades.map(t => t.pnl), 0),
-      maxLoss: Math.min(...trades.map(t => t.pnl), 0),
-      profitFactor: profitFactor.toFixed(2),
-      sharpeRatio: sharpeRatio.toFixed(2),
-      maxDrawdown: maxDrawdown.toFixed(2),
-      requiredMargin: requiredMargin.toFixed(2)
-    }
-  };
-}
-
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Indicator Routes
+ * Indicator library (IndicatorService) on posted candles, like /api/hma/calculate for HMA
+ */
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { IndicatorService } = require('../services/indicatorService');
+
+/**
+ * @route   GET /api/indicators
+ * @desc    List the indicators with their parameters, defaults and the conditions strategy filters can test
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: {
+        indicators: IndicatorService.getCatalog(),
+        sources: IndicatorService.SOURCES
+      }
+    });
+  } catch (error) {
+    console.error('Error listing indicators:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error listing indicators'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/indicators/calculate
+ * @desc    Calculate indicator series for given candles ({ data, indicators: [{ type, key, ...params }] })
+ * @access  Private
+ */
+router.post('/calculate', auth, async (req, res) => {
+  try {
+    const { data, indicators } = req.body;
+
+    if (!data || !Array.isArray(data) || data.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid data array provided'
+      });
+    }
+
+    const errors = IndicatorService.validateSpecs(indicators);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; ')
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: IndicatorService.calculateMany(data, indicators)
+    });
+  } catch (error) {
+    console.error('Error calculating indicators:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error calculating indicators'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * Ledger Routes
+ * Append-only order and position events, the state derived from them, and state rebuilds
+ */
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { LedgerService } = require('../services/ledgerService');
+
+/**
+ * @route   GET /api/ledger/events
+ * @desc    Get ledger events in replay order (filters: orderId, positionId, symbol, type, since, limit)
+ * @access  Private
+ */
+router.get('/events', auth, async (req, res) => {
+  try {
+    const { orderId, positionId, symbol, type, since, limit } = req.query;
+    const events = await LedgerService.getEvents(req.user.id, { orderId, positionId, symbol, type, since, limit });
+
+    return res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    console.error('Error fetching ledger events:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching ledger events'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/ledger/state
+ * @desc    Get orders and positions derived by replaying the ledger
+ * @access  Private
+ */
+router.get('/state', auth, async (req, res) => {
+  try {
+    const derived = await LedgerService.deriveState(req.user.id);
+
+    return res.json({
+      success: true,
+      data: derived
+    });
+  } catch (error) {
+    console.error('Error deriving ledger state:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error deriving ledger state'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/ledger/rebuild
+ * @desc    Rebuild active positions and entry-order tracking from the ledger; pass dryRun: true to only report the changes
+ * @access  Private
+ */
+router.post('/rebuild', auth, async (req, res) => {
+  try {
+    const { dryRun } = req.body;
+
+    const result = await LedgerService.rebuildState(req.user.id, { dryRun: Boolean(dryRun) });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error rebuilding state from ledger:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error rebuilding state from ledger'
+    });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,9 @@ const { SymbolService } = require('../services/symbolService');
 const { getMultipleLiveMarketData, VALID_INDEX_SYMBOLS } = require('../liveMarketDataService');
 const { SymbolService: OldSymbolService } = require('../services/symbolService');
 const { MarketDataService: OldMarketDataService } = require('../services/marketDataService');
+const { CandleAggregatorService } = require('../services/candleAggregatorService');
+const { HistoricalDataService } = require('../services/historicalDataService');
+const { MarketRecorderService } = require('../services/marketRecorderService');
 const LoggerService = require('../services/loggerService');
 const axios = require('axios'); // Added axios for proxy-website route
 
@@ -139,6 +142,53 @@ router.get('/data/:symbol', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/market/candles/:symbol
+ * @desc    Intraday bars built from live quotes (?resolution=5&from=&to=&limit=), with the forming bar
+ * @access  Private
+ */
+router.get('/candles/:symbol', auth, async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { resolution = '5', from, to, limit } = req.query;
+
+    const result = await CandleAggregatorService.getCandles(symbol, resolution, {
+      from: from ? HistoricalDataService.toTimestamp(from) : null,
+      to: to ? HistoricalDataService.toTimestamp(to, true) : null,
+      limit
+    });
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    LoggerService.error('MarketRoute', 'Error fetching intraday candles:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching intraday candles',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/market/recordings
+ * @desc    Recorded market sessions available for replay (npm run replay) and the recorder status
+ * @access  Private
+ */
+router.get('/recordings', auth, async (req, res) => {
+  try {
+    const result = await MarketRecorderService.listSessions();
+    if (!result.success) return res.status(500).json(result);
+    return res.json(result);
+  } catch (error) {
+    LoggerService.error('MarketRoute', 'Error listing market recordings:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error listing market recordings',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/market/data/indicators
  * @desc    Get market data with indicators
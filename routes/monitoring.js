@@ -171,7 +171,7 @@ router.post('/symbols/add', auth, async (req, res) => {
       useTrailingStoploss, trailingX, trailingY,
       timeBasedExit, exitAtMarketClose, exitAfterMinutes, 
       maxReEntries, tradingMode, productType, orderType, 
-      index, hmaValue, quantity
+      index, hmaValue, quantity, strategyId, sizing, targetLegs
     } = req.body;
     
     // Validate required fields
@@ -182,6 +182,35 @@ router.post('/symbols/add', auth, async (req, res) => {
       });
     }
     
+    const { PositionSizingService } = require('../services/positionSizingService');
+    const sizingErrors = PositionSizingService.validateSizing(sizing);
+    if (sizingErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: sizingErrors.join('; ') 
+      });
+    }
+    
+    const { TargetLadderService } = require('../services/targetLadderService');
+    const targetLegErrors = TargetLadderService.validateLegs(targetLegs);
+    if (targetLegErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: targetLegErrors.join('; ') 
+      });
+    }
+    
+    if (strategyId) {
+      const { StrategyService } = require('../services/strategyService');
+      const strategy = await StrategyService.getStrategy(req.user.id, strategyId);
+      if (!strategy) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Strategy not found' 
+        });
+      }
+    }
+    
     const symbolData = {
       symbol,
       type,
@@ -202,11 +231,14 @@ router.post('/symbols/add', auth, async (req, res) => {
       exitAtMarketClose: exitAtMarketClose || false,
       exitAfterMinutes: exitAfterMinutes || 0,
       maxReEntries: maxReEntries || 0,
-      tradingMode: 'LIVE',
+      tradingMode: tradingMode === 'PAPER' ? 'PAPER' : 'LIVE',
       productType: productType || 'INTRADAY',
       orderType: orderType || 'MARKET',
       index: index || { lotSize: 75 },
-      hmaValue: hmaValue || 0
+      hmaValue: hmaValue || 0,
+      strategyId: strategyId || null, // Falls back to the user's default strategy
+      sizing: PositionSizingService.normalizeSizing(sizing), // FIXED_LOTS uses `lots`
+      targetLegs: TargetLadderService.normalizeLegs(targetLegs) // Empty = single target at targetPoints
     };
     
     const state = await MonitoringService.addSymbolToMonitoring(req.user.id, symbolData);
@@ -864,6 +896,79 @@ router.post('/recover-orders', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/monitoring/reconcile
+ * @desc    Compare broker orders, trades and positions with the app and report discrepancies
+ * @access  Private
+ */
+router.get('/reconcile', auth, async (req, res) => {
+  try {
+    const { ReconciliationService } = require('../services/reconciliationService');
+    const report = await ReconciliationService.reconcile(req.user.id);
+
+    return res.json({
+      success: true,
+      message: report.findings.length === 0 ? 'App state matches the broker' : `${report.findings.length} discrepancy(ies) found`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error reconciling with broker:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error reconciling with broker'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/monitoring/reconcile/last
+ * @desc    Latest reconciliation report (scheduled or on demand) without calling the broker
+ * @access  Private
+ */
+router.get('/reconcile/last', auth, async (req, res) => {
+  try {
+    const { ReconciliationService } = require('../services/reconciliationService');
+    const report = ReconciliationService.lastReports.get(String(req.user.id));
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'No reconciliation report yet' });
+    }
+
+    return res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error getting reconciliation report:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error getting reconciliation report'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/monitoring/reconcile/fix
+ * @desc    Apply the fix actions of reconciliation findings ({ findingIds } or { all: true })
+ * @access  Private
+ */
+router.post('/reconcile/fix', auth, async (req, res) => {
+  try {
+    const { findingIds, all } = req.body;
+    if (!all && (!Array.isArray(findingIds) || findingIds.length === 0)) {
+      return res.status(400).json({ success: false, message: 'findingIds array or all: true is required' });
+    }
+
+    const { ReconciliationService } = require('../services/reconciliationService');
+    const result = await ReconciliationService.applyFixes(req.user.id, { findingIds, all: Boolean(all) });
+
+    if (!result.success) return res.status(400).json(result);
+    return res.json(result);
+  } catch (error) {
+    console.error('Error applying reconciliation fixes:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error applying reconciliation fixes'
+    });
+  }
+});
+
 /**
  * @route   POST /api/monitoring/recover-orders-debug
  * @desc    Debug endpoint to recover order statuses without auth (TEMPORARY)
@@ -894,7 +999,7 @@ router.post('/recover-orders-debug', async (req, res) => {
 
 /**
  * @route   DELETE /api/monitoring/orders/:orderId
- * @desc    Cancel an order on Fyers
+ * @desc    Cancel an order with the broker that placed it
  * @access  Private
  */
 router.delete('/orders/:orderId', auth, async (req, res) => {
@@ -903,9 +1008,9 @@ router.delete('/orders/:orderId', auth, async (req, res) => {
     
     console.log(`❌ Cancel order requested for order ID: ${orderId} by user: ${req.user.id}`);
     
-    const success = await MonitoringService.cancelOrder(orderId, req.user.id);
+    const result = await MonitoringService.cancelOrder(orderId, req.user.id);
     
-    if (success) {
+    if (result.success) {
       return res.json({
         success: true,
         message: `Order ${orderId} cancelled successfully`
@@ -913,7 +1018,8 @@ router.delete('/orders/:orderId', auth, async (req, res) => {
     } else {
       return res.status(400).json({
         success: false,
-        message: `Failed to cancel order ${orderId}`
+        message: `Failed to cancel order ${orderId}`,
+        error: result.message
       });
     }
   } catch (error) {
@@ -926,4 +1032,28 @@ router.delete('/orders/:orderId', auth, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @route   GET /api/monitoring/paper-orders
+ * @desc    Get the user's simulated orders from the paper broker
+ * @access  Private
+ */
+router.get('/paper-orders', auth, async (req, res) => {
+  try {
+    const { PaperBrokerService } = require('../services/paperBrokerService');
+    const orders = PaperBrokerService.getOrders(req.user.id);
+
+    return res.json({
+      success: true,
+      data: orders
+    });
+  } catch (error) {
+    console.error('Error getting paper orders:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error getting paper orders',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Risk Routes
+ * Account-level risk profile and kill switch
+ */
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { RiskService } = require('../services/riskService');
+
+/**
+ * @route   GET /api/risk
+ * @desc    Get risk profile, kill switch state and current daily P&L / exposure
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const status = await RiskService.getRiskStatus(req.user.id);
+
+    return res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching risk status:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching risk status'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/risk/profile
+ * @desc    Update risk limits (maxDailyLoss, maxOpenPositions, maxCapitalDeployed, maxOrdersPerMinute, flattenOnBreach)
+ * @access  Private
+ */
+router.put('/profile', auth, async (req, res) => {
+  try {
+    const { maxDailyLoss, maxOpenPositions, maxCapitalDeployed, maxOrdersPerMinute, flattenOnBreach } = req.body;
+
+    const result = await RiskService.updateProfile(req.user.id, { maxDailyLoss, maxOpenPositions, maxCapitalDeployed, maxOrdersPerMinute, flattenOnBreach });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error updating risk profile:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error updating risk profile'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/risk/kill-switch/engage
+ * @desc    Stop new entries and cancel pending entry orders; pass flatten: true to square off positions
+ * @access  Private
+ */
+router.post('/kill-switch/engage', auth, async (req, res) => {
+  try {
+    const { reason, flatten } = req.body;
+
+    const result = await RiskService.engageKillSwitch(req.user.id, reason, flatten !== undefined ? { flatten: Boolean(flatten) } : {});
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error engaging kill switch:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error engaging kill switch'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/risk/kill-switch/release
+ * @desc    Allow new entries again
+ * @access  Private
+ */
+router.post('/kill-switch/release', auth, async (req, res) => {
+  try {
+    const result = await RiskService.releaseKillSwitch(req.user.id);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error releasing kill switch:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error releasing kill switch'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+/**
+ * Strategy Routes
+ * CRUD for the declarative strategies monitored symbols run
+ */
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { StrategyService } = require('../services/strategyService');
+
+/**
+ * @route   GET /api/strategies
+ * @desc    Get user's strategies
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const strategies = await StrategyService.getStrategies(req.user.id);
+    
+    return res.json({
+      success: true,
+      data: strategies
+    });
+  } catch (error) {
+    console.error('Error fetching strategies:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching strategies' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/strategies/default
+ * @desc    Get the strategy used for symbols added without a strategyId
+ * @access  Private
+ */
+router.get('/default', auth, async (req, res) => {
+  try {
+    const strategy = await StrategyService.resolveStrategy(null, req.user.id);
+    
+    return res.json({
+      success: true,
+      data: strategy
+    });
+  } catch (error) {
+    console.error('Error fetching default strategy:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching default strategy' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/strategies/:id
+ * @desc    Get a strategy
+ * @access  Private
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const strategy = await StrategyService.getStrategy(req.user.id, req.params.id);
+    if (!strategy) {
+      return res.status(404).json({ success: false, message: 'Strategy not found' });
+    }
+    
+    return res.json({
+      success: true,
+      data: strategy
+    });
+  } catch (error) {
+    console.error('Error fetching strategy:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching strategy' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/strategies
+ * @desc    Create a strategy
+ * @access  Private
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, description, indicator, entry, filters, exit, isDefault } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Strategy name is required' 
+      });
+    }
+    
+    const result = await StrategyService.createStrategy(req.user.id, { name, description, indicator, entry, filters, exit, isDefault });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error creating strategy:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Server error creating strategy' 
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/strategies/:id
+ * @desc    Update a strategy (only the supplied fields change)
+ * @access  Private
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, description, indicator, entry, filters, exit, isDefault } = req.body;
+    
+    const result = await StrategyService.updateStrategy(req.user.id, req.params.id, { name, description, indicator, entry, filters, exit, isDefault });
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ success: false, message: result.message });
+    }
+    
+    return res.json(result);
+  } catch (error) {
+    console.error('Error updating strategy:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Server error updating strategy' 
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/strategies/:id
+ * @desc    Delete a strategy that is not in use
+ * @access  Private
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const result = await StrategyService.deleteStrategy(req.user.id, req.params.id);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ success: false, message: result.message });
+    }
+    
+    return res.json(result);
+  } catch (error) {
+    console.error('Error deleting strategy:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Server error deleting strategy' 
+    });
+  }
+});
+
+module.exports = router;
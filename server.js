@@ -27,16 +27,25 @@ const userRoutes = require('./routes/user');
 const fyersRoutes = require('./routes/fyers');
 const marketRoutes = require('./routes/market');
 const hmaRoutes = require('./routes/hma');
+const indicatorRoutes = require('./routes/indicators');
 const tradeRoutes = require('./routes/trade');
 const notificationRoutes = require('./routes/notifications');
 const monitoringRoutes = require('./routes/monitoring');
 const signalTableRoutes = require('./routes/signalTable');
 const backtestRoutes = require('./routes/backtest');
+const strategyRoutes = require('./routes/strategies');
+const riskRoutes = require('./routes/risk');
+const ledgerRoutes = require('./routes/ledger');
 const { router: symbolConfigRoutes } = require('./routes/symbolConfig');
 const { fyersWebSocketService } = require('./services/fyersWebSocketService');
 const { WebSocketService } = require('./services/websocketService');
 const { MarketService } = require('./services/marketService');
 const { MonitoringScheduler } = require('./services/monitoringScheduler');
+const { PaperBrokerService } = require('./services/paperBrokerService');
+const { BacktestJobService } = require('./services/backtestJobService');
+const { CandleAggregatorService } = require('./services/candleAggregatorService');
+const { MarketFeedService } = require('./services/marketFeedService');
+const { MarketRecorderService } = require('./services/marketRecorderService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -145,11 +154,15 @@ app.use('/api/user', userRoutes);
 app.use('/api/fyers', fyersRoutes);
 app.use('/api/market', marketRoutes);
 app.use('/api/hma', hmaRoutes);
+app.use('/api/indicators', indicatorRoutes);
 app.use('/api/trade', tradeRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/monitoring', monitoringRoutes);
 app.use('/api/signal-table', signalTableRoutes);
 app.use('/api/backtest', backtestRoutes);
+app.use('/api/strategies', strategyRoutes);
+app.use('/api/risk', riskRoutes);
+app.use('/api/ledger', ledgerRoutes);
 app.use('/api/market', symbolConfigRoutes);
 app.use('/api/token-validation', require('./routes/tokenValidation'));
 
@@ -184,6 +197,9 @@ console.log('✅ Market data polling started with graceful error handling');
 MonitoringScheduler.start();
 console.log('✅ Monitoring scheduler started with graceful error handling');
 
+// Start paper broker fill checks for PAPER trading mode
+PaperBrokerService.start();
+
 // Start token validation service
 const TokenValidationService = require('./services/tokenValidationService');
 TokenValidationService.startPeriodicValidation(30); // Validate every 30 minutes
@@ -205,6 +221,21 @@ setTimeout(async () => {
 const startServer = async () => {
   await connectDB();
 
+  // Pick pending paper orders back up (needs the database)
+  await PaperBrokerService.restoreOrders().catch(error => LoggerService.error('Server', 'Error restoring paper orders:', error));
+
+  // Resume background backtest jobs (needs the database)
+  BacktestJobService.start();
+
+  // Build, persist and backfill intraday bars from the quote feed (needs the database)
+  CandleAggregatorService.start();
+
+  // Shared market data socket for all users' symbols; REST polling is the fallback (needs the database)
+  MarketFeedService.start();
+
+  // Record quotes and order events for session replay (simulator/replaySession.js)
+  MarketRecorderService.start();
+
   // Start socket.io server
   server.listen(PORT, () => {
       LoggerService.success('Server', `Victory Trading API server running on port ${PORT}`);
@@ -239,12 +270,25 @@ const gracefulShutdown = () => {
     MarketService.stopMarketDataPolling();
   }
 
+  // Close the shared market data socket
+  MarketFeedService.stop();
+
   // Stop monitoring scheduler
   const { MonitoringScheduler } = require('./services/monitoringScheduler');
   if (MonitoringScheduler) {
     MonitoringScheduler.stop();
   }
 
+  // Stop paper broker fill checks
+  const { PaperBrokerService } = require('./services/paperBrokerService');
+  PaperBrokerService.stop();
+
+  // Stop the candle aggregator (saves the bars closed so far)
+  CandleAggregatorService.stop();
+
+  // Stop the market recorder (writes the events buffered so far)
+  MarketRecorderService.stop();
+
   // Stop token validation service
   const { TokenValidationService } = require('./services/tokenValidationService');
   if (TokenValidationService) {
@@ -0,0 +1,178 @@
+/**
+ * Backtest Comparison Service
+ * Side-by-side view of saved backtests (typically one symbol with different HMA/target/SL settings):
+ * KPI deltas against a baseline run, equity curves on a common time axis, and a trade-level diff
+ * that aligns the runs' trades by entry time.
+ */
+const { BacktestReportService } = require('./backtestReportService');
+
+class BacktestComparisonService {
+  static MAX_RUNS = 10;
+
+  static KPI_FIELDS = [
+    'totalTrades', 'winCount', 'lossCount', 'winRate', 'totalPnL', 'grossPnL', 'totalCharges',
+    'avgPnL', 'maxProfit', 'maxLoss', 'profitFactor', 'sharpeRatio', 'maxDrawdown'
+  ];
+
+  /**
+   * Trade fields a comparison shows
+   * @param {Object} trade - Saved trade
+   * @returns {Object} { entryTime, exitTime, entryPrice, exitPrice, exitReason, pnl }
+   */
+  static summarizeTrade(trade) {
+    return {
+      entryTime: new Date(trade.entryTime).getTime(),
+      exitTime: new Date(trade.exitTime).getTime(),
+      entryPrice: trade.entryPrice,
+      exitPrice: trade.exitPrice,
+      exitReason: trade.exitReason,
+      pnl: trade.pnl
+    };
+  }
+
+  /**
+   * KPI differences of a run from the baseline (run minus baseline)
+   * @param {Object} baseline - Baseline KPIs
+   * @param {Object} kpis - Run KPIs
+   * @returns {Object} Delta per KPI (null where either run lacks it)
+   */
+  static getKpiDeltas(baseline = {}, kpis = {}) {
+    return this.KPI_FIELDS.reduce((deltas, field) => {
+      const base = Number(baseline[field]);
+      const value = Number(kpis[field]);
+      deltas[field] = baseline[field] !== undefined && kpis[field] !== undefined && Number.isFinite(base) && Number.isFinite(value)
+        ? value - base
+        : null;
+      return deltas;
+    }, {});
+  }
+
+  /**
+   * Equity curves of several runs on the union of their exit times; a run's equity holds between its exits
+   * @param {Array<Array>} tradeLists - Trades of each run, in exit order
+   * @returns {Object} { timestamps, equity: [values per run] }
+   */
+  static alignEquityCurves(tradeLists) {
+    const curves = tradeLists.map(trades => BacktestReportService.getEquityCurve(trades));
+    const timestamps = [...new Set(curves.flatMap(curve => curve.map(point => point.time)))].sort((a, b) => a - b);
+
+    const equity = curves.map(curve => {
+      let index = 0;
+      let current = 0;
+      return timestamps.map(time => {
+        while (index < curve.length && curve[index].time <= time) {
+          current = curve[index].equity;
+          index++;
+        }
+        return current;
+      });
+    });
+    return { timestamps, equity };
+  }
+
+  /**
+   * Align the runs' trades by entry time: trades of different runs entering within `tolerance`
+   * of each other are the same opportunity
+   * @param {Array<Array>} tradeLists - Trades of each run
+   * @param {number} tolerance - Entry time tolerance in ms (the longest candle interval, minus 1)
+   * @returns {Array} Rows [{ entryTime, trades: [trade or null per run] }], oldest first
+   */
+  static alignTrades(tradeLists, tolerance) {
+    const entries = tradeLists
+      .flatMap((trades, run) => trades.map(trade => ({ run, trade: this.summarizeTrade(trade) })))
+      .sort((a, b) => a.trade.entryTime - b.trade.entryTime);
+
+    const rows = [];
+    entries.forEach(({ run, trade }) => {
+      const row = rows[rows.length - 1];
+      if (row && trade.entryTime - row.entryTime <= tolerance && !row.trades[run]) {
+        row.trades[run] = trade;
+      } else {
+        const trades = tradeLists.map(() => null);
+        trades[run] = trade;
+        rows.push({ entryTime: trade.entryTime, trades });
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Compare saved backtests
+   * @param {Array} backtests - Saved backtests, baseline first
+   * @returns {Object} { success, message, data: { baselineId, runs, kpiDeltas, equityCurves, tradeDiff } }
+   */
+  static compare(backtests) {
+    if (backtests.length < 2 || backtests.length > this.MAX_RUNS) {
+      return { success: false, message: `Between 2 and ${this.MAX_RUNS} backtests are required for a comparison` };
+    }
+
+    const tradeLists = backtests.map(backtest => BacktestReportService.getTrades(backtest));
+    const runs = backtests.map((backtest, index) => ({
+      id: String(backtest._id),
+      name: backtest.name,
+      symbol: backtest.symbol,
+      startDate: backtest.startDate,
+      endDate: backtest.endDate,
+      interval: backtest.interval,
+      hmaPeriod: backtest.hmaPeriod,
+      target: backtest.target,
+      targetType: backtest.targetType,
+      stopLoss: backtest.stopLoss,
+      stopLossType: backtest.stopLossType,
+      quantity: backtest.quantity,
+      execution: backtest.execution || null,
+      kpis: backtest.kpis || {},
+      tradeCount: tradeLists[index].length
+    }));
+    const [baseline] = runs;
+
+    const tolerance = Math.max(...backtests.map(backtest => (parseInt(backtest.interval) || 0) * 60 * 1000), 1) - 1;
+    const rows = this.alignTrades(tradeLists, tolerance);
+
+    // Per run against the baseline: trades both took, trades only one took, same entry with another exit
+    const vsBaseline = runs.slice(1).map((run, offset) => {
+      const index = offset + 1;
+      const counts = { common: 0, onlyInRun: 0, onlyInBaseline: 0, differentExit: 0, commonPnLDelta: 0 };
+      rows.forEach(({ trades }) => {
+        const base = trades[0];
+        const other = trades[index];
+        if (base && other) {
+          counts.common++;
+          counts.commonPnLDelta += (other.pnl || 0) - (base.pnl || 0);
+          if (base.exitTime !== other.exitTime || base.exitReason !== other.exitReason) counts.differentExit++;
+        } else if (other) {
+          counts.onlyInRun++;
+        } else if (base) {
+          counts.onlyInBaseline++;
+        }
+      });
+      return { id: run.id, name: run.name, ...counts };
+    });
+
+    const equityCurves = this.alignEquityCurves(tradeLists);
+    return {
+      success: true,
+      message: `Compared ${runs.length} backtests against ${baseline.name}`,
+      data: {
+        baselineId: baseline.id,
+        sameSymbol: runs.every(run => run.symbol === baseline.symbol),
+        runs,
+        kpiDeltas: runs.slice(1).map(run => ({ id: run.id, name: run.name, deltas: this.getKpiDeltas(baseline.kpis, run.kpis) })),
+        equityCurves: {
+          timestamps: equityCurves.timestamps,
+          series: runs.map((run, index) => ({ id: run.id, name: run.name, equity: equityCurves.equity[index] }))
+        },
+        tradeDiff: {
+          entryToleranceMs: tolerance,
+          vsBaseline,
+          // Entries not every run took, or that the runs exited differently
+          rows: rows.filter(({ trades }) => trades.some(trade => !trade
+            || trade.exitTime !== trades[0]?.exitTime
+            || trade.exitReason !== trades[0]?.exitReason))
+        }
+      }
+    };
+  }
+}
+
+module.exports = { BacktestComparisonService };
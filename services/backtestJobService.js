@@ -0,0 +1,282 @@
+/**
+ * Backtest Job Service
+ * Runs backtests in the background so long runs do not hold an HTTP request open:
+ * - jobs are BacktestJob documents: QUEUED -> RUNNING -> DONE | FAILED | CANCELLED
+ * - one job runs at a time, oldest first, through the service behind the matching endpoint
+ *   (BACKTEST: /execute, LIVE_ENGINE: /execute-live, PORTFOLIO: /portfolio)
+ * - status, progress and results are pushed to the submitting user over WebSocketService
+ *   ('backtest_job_update' messages) and can be polled through /api/backtest/jobs/:jobId
+ * - on startup, jobs a restart interrupted are queued again, up to MAX_ATTEMPTS starts
+ */
+const mongoose = require('mongoose');
+const BacktestJob = require('../models/BacktestJob');
+const LoggerService = require('./loggerService');
+
+const MAX_ATTEMPTS = 3;
+const MAX_PENDING_JOBS_PER_USER = 5;
+const PROGRESS_INTERVAL_MS = 1000; // Minimum time between progress saves and pushes
+
+class BacktestJobService {
+  static TYPES = ['BACKTEST', 'LIVE_ENGINE', 'PORTFOLIO'];
+  static processing = false;
+  static cancelled = new Set(); // Ids of running jobs asked to stop
+
+  /**
+   * Recover jobs a restart interrupted and start working through the queue
+   * @returns {Promise<void>}
+   */
+  static async start() {
+    try {
+      const interrupted = await BacktestJob.find({ status: 'RUNNING' });
+      for (const job of interrupted) {
+        if (job.cancelRequested || job.attempts >= MAX_ATTEMPTS) {
+          job.status = job.cancelRequested ? 'CANCELLED' : 'FAILED';
+          job.error = job.cancelRequested ? null : `Interrupted by server restarts ${job.attempts} times`;
+          job.finishedAt = new Date();
+        } else {
+          job.status = 'QUEUED';
+          job.progress = { percent: 0, message: 'Re-queued after server restart' };
+        }
+        await job.save();
+      }
+      if (interrupted.length > 0) {
+        console.log(`🔄 Backtest jobs: recovered ${interrupted.length} job(s) interrupted by a restart`);
+      }
+
+      this.processQueue();
+    } catch (error) {
+      LoggerService.error('BacktestJobService', 'Error starting backtest job queue:', error);
+    }
+  }
+
+  /**
+   * Queue a backtest
+   * @param {string} userId - User ID
+   * @param {string} type - BACKTEST, LIVE_ENGINE or PORTFOLIO
+   * @param {Object} params - Request body of the matching endpoint, with startDate, endDate and interval
+   * @returns {Promise<Object>} { success, message, data: job }
+   */
+  static async submit(userId, type, params = {}) {
+    if (!this.TYPES.includes(type)) {
+      return { success: false, message: `Unsupported job type: ${type} (${this.TYPES.join(', ')})` };
+    }
+    if (params.candles || params.candlesBySymbol) {
+      return {
+        success: false,
+        message: 'Background jobs load candles from the historical data store - send startDate, endDate and interval instead of candles'
+      };
+    }
+    if (!params.startDate || !params.endDate || !params.interval) {
+      return { success: false, message: 'startDate, endDate and interval are required' };
+    }
+
+    const pending = await BacktestJob.countDocuments({ userId, status: { $in: ['QUEUED', 'RUNNING'] } });
+    if (pending >= MAX_PENDING_JOBS_PER_USER) {
+      return { success: false, message: `At most ${MAX_PENDING_JOBS_PER_USER} backtest jobs can be queued or running at once` };
+    }
+
+    const job = await BacktestJob.create({ userId, type, params });
+    console.log(`🧪 Backtest job ${job._id} queued: ${type} ${params.symbol || `${(params.symbols || []).length} symbols`}`);
+    this.notify(job);
+
+    setImmediate(() => this.processQueue());
+    return { success: true, message: 'Backtest job queued', data: this.toSummary(job) };
+  }
+
+  /**
+   * Run queued jobs one after another until the queue is empty
+   * @returns {Promise<void>}
+   */
+  static async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let job;
+      while ((job = await BacktestJob.findOneAndUpdate(
+        { status: 'QUEUED' },
+        { $set: { status: 'RUNNING', startedAt: new Date(), progress: { percent: 0, message: 'Starting' } }, $inc: { attempts: 1 } },
+        { sort: { createdAt: 1 }, new: true }
+      ))) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      LoggerService.error('BacktestJobService', 'Error processing backtest job queue:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run one job and record its outcome
+   * @param {Object} job - BacktestJob document, RUNNING
+   * @returns {Promise<void>}
+   */
+  static async runJob(job) {
+    const jobId = String(job._id);
+    this.notify(job);
+
+    let lastProgressAt = 0;
+    const onProgress = async (percent, message) => {
+      if (this.cancelled.has(jobId)) throw new Error('CANCELLED');
+
+      if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+        lastProgressAt = Date.now();
+        job.progress = { percent, message };
+        await BacktestJob.updateOne({ _id: job._id }, { $set: { progress: job.progress } });
+        this.notify(job);
+      }
+      // Let status polls and cancellations in between steps
+      await new Promise(resolve => setImmediate(resolve));
+    };
+
+    let update;
+    try {
+      const result = await this.execute(job, onProgress);
+      if (this.cancelled.has(jobId)) throw new Error('CANCELLED');
+
+      update = result.success
+        ? { status: 'DONE', result: result.data, progress: { percent: 100, message: result.message || 'Done' } }
+        : { status: 'FAILED', error: result.message, progress: { percent: job.progress.percent, message: 'Failed' } };
+    } catch (error) {
+      if (error.message === 'CANCELLED') {
+        update = { status: 'CANCELLED', progress: { percent: job.progress.percent, message: 'Cancelled' } };
+      } else {
+        LoggerService.error('BacktestJobService', `Backtest job ${jobId} failed:`, error);
+        update = { status: 'FAILED', error: error.message, progress: { percent: job.progress.percent, message: 'Failed' } };
+      }
+    }
+
+    this.cancelled.delete(jobId);
+    update.finishedAt = new Date();
+    await BacktestJob.updateOne({ _id: job._id }, { $set: update });
+    job.set(update);
+
+    console.log(`${update.status === 'DONE' ? '✅' : '🛑'} Backtest job ${jobId} ${update.status}${update.error ? `: ${update.error}` : ''}`);
+    this.notify(job, true);
+  }
+
+  /**
+   * Execute a job through the service of its type
+   * @param {Object} job - BacktestJob document
+   * @param {Function} onProgress - Progress callback (percent, message); throws when the job is cancelled
+   * @returns {Promise<Object>} { success, message, data }
+   */
+  static async execute(job, onProgress) {
+    const { BacktestService } = require('./backtestService');
+    const { LiveEngineBacktestService } = require('./liveEngineBacktestService');
+    const { HistoricalDataService } = require('./historicalDataService');
+
+    const userId = String(job.userId);
+    const accessToken = await HistoricalDataService.getAccessToken(userId);
+    await onProgress(5, 'Loading candles');
+
+    switch (job.type) {
+      case 'BACKTEST':
+        return BacktestService.runBacktestRequest(job.params, accessToken, onProgress);
+      case 'LIVE_ENGINE':
+        return LiveEngineBacktestService.runBacktestRequest(userId, { ...job.params, onProgress }, accessToken);
+      case 'PORTFOLIO':
+        return BacktestService.runPortfolioBacktest(userId, { ...job.params, accessToken, onProgress });
+      default:
+        return { success: false, message: `Unsupported job type: ${job.type}` };
+    }
+  }
+
+  /**
+   * A job of a user, result included
+   * @param {string} userId - User ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job
+   */
+  static async getJob(userId, jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+    const job = await BacktestJob.findOne({ _id: jobId, userId });
+    return job ? this.toSummary(job, true) : null;
+  }
+
+  /**
+   * Recent jobs of a user without their results, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Jobs
+   */
+  static async listJobs(userId) {
+    const jobs = await BacktestJob.find({ userId }).select('-result').sort({ createdAt: -1 }).limit(50);
+    return jobs.map(job => this.toSummary(job));
+  }
+
+  /**
+   * Cancel a job: a queued job at once, a running one at its next progress step
+   * @param {string} userId - User ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} { success, message }
+   */
+  static async cancelJob(userId, jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) return { success: false, message: 'Backtest job not found' };
+
+    const queued = await BacktestJob.findOneAndUpdate(
+      { _id: jobId, userId, status: 'QUEUED' },
+      { $set: { status: 'CANCELLED', cancelRequested: true, finishedAt: new Date(), progress: { percent: 0, message: 'Cancelled' } } },
+      { new: true }
+    );
+    if (queued) {
+      this.notify(queued);
+      return { success: true, message: 'Backtest job cancelled' };
+    }
+
+    const job = await BacktestJob.findOneAndUpdate(
+      { _id: jobId, userId, status: 'RUNNING' },
+      { $set: { cancelRequested: true } }
+    );
+    if (job) {
+      this.cancelled.add(String(job._id));
+      return { success: true, message: 'Backtest job cancellation requested' };
+    }
+
+    const existing = await BacktestJob.findOne({ _id: jobId, userId }).select('status');
+    return { success: false, message: existing ? `Backtest job is already ${existing.status}` : 'Backtest job not found' };
+  }
+
+  /**
+   * Client view of a job
+   * @param {Object} job - BacktestJob document
+   * @param {boolean} withResult - Include the result
+   * @returns {Object} Job summary
+   */
+  static toSummary(job, withResult = false) {
+    const summary = {
+      id: String(job._id),
+      type: job.type,
+      status: job.status,
+      symbol: job.params?.symbol || null,
+      params: job.params,
+      progress: job.progress,
+      error: job.error,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+    if (withResult) summary.result = job.result;
+    return summary;
+  }
+
+  /**
+   * Push a job update to its user over WebSocket
+   * @param {Object} job - BacktestJob document
+   * @param {boolean} withResult - Include the result (when the job finished)
+   */
+  static notify(job, withResult = false) {
+    try {
+      const { WebSocketService } = require('./websocketService');
+      const wsService = WebSocketService.getInstance();
+      if (wsService) {
+        wsService.sendBacktestJobUpdate(String(job.userId), this.toSummary(job, withResult));
+      }
+    } catch (error) {
+      LoggerService.error('BacktestJobService', 'Error sending backtest job update:', error);
+    }
+  }
+}
+
+module.exports = { BacktestJobService };
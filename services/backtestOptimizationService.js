@@ -0,0 +1,469 @@
+/**
+ * Backtest Optimization Service
+ * Background jobs that sweep hmaPeriod / target / stopLoss over a grid (or a random sample of it),
+ * rank the runs by a KPI of the backtest engine, and optionally validate the winners walk-forward:
+ * each fold picks its best parameters on the in-sample window and is scored on the unseen
+ * out-of-sample window that follows it.
+ * Jobs live in memory; their progress is polled through /api/backtest/optimize/:jobId.
+ */
+const crypto = require('crypto');
+const Backtest = require('../models/Backtest');
+const { BacktestService } = require('./backtestService');
+const LoggerService = require('./loggerService');
+
+// KPIs a job can rank by, and whether higher or lower is better
+const RANK_KPIS = {
+  profitFactor: 'desc',
+  sharpeRatio: 'desc',
+  totalPnL: 'desc',
+  avgPnL: 'desc',
+  winRate: 'desc',
+  maxDrawdown: 'asc'
+};
+const PARAMETERS = ['hmaPeriod', 'target', 'stopLoss'];
+const MAX_VALUES_PER_PARAMETER = 200;
+const MAX_RUNS_PER_JOB = 5000;
+const JOB_RETENTION_MS = 2 * 60 * 60 * 1000;
+
+class BacktestOptimizationService {
+  static jobs = new Map();
+
+  /**
+   * Values of one parameter range
+   * @param {Array|Object|number} spec - List of values, { min, max, step } or a single value
+   * @returns {Array<number>} Values
+   */
+  static expandRange(spec) {
+    if (Array.isArray(spec)) return [...new Set(spec.map(Number))];
+    if (spec && typeof spec === 'object') {
+      const min = Number(spec.min);
+      const max = Number(spec.max);
+      const step = Number(spec.step);
+      if (!(step > 0) || !(max >= min)) return [];
+      const values = [];
+      // Round away floating point drift of fractional steps
+      for (let value = min; value <= max + step / 1e6 && values.length <= MAX_VALUES_PER_PARAMETER; value += step) {
+        values.push(Math.round(value * 1e6) / 1e6);
+      }
+      return values;
+    }
+    return spec === undefined || spec === null ? [] : [Number(spec)];
+  }
+
+  /**
+   * Validate job parameters
+   * @param {Object} params - Job parameters
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validate(params) {
+    const errors = [];
+    const { ranges = {}, mode = 'grid', rankBy = 'profitFactor', walkForward } = params;
+
+    for (const name of PARAMETERS) {
+      const values = this.expandRange(ranges[name]);
+      if (values.length === 0) {
+        errors.push(`ranges.${name} needs a value, a list or { min, max, step }`);
+      } else if (values.length > MAX_VALUES_PER_PARAMETER) {
+        errors.push(`ranges.${name} has more than ${MAX_VALUES_PER_PARAMETER} values`);
+      } else if (values.some(value => !(value > 0))) {
+        errors.push(`ranges.${name} values must be greater than 0`);
+      }
+    }
+    if (!['grid', 'random'].includes(mode)) {
+      errors.push(`Unsupported mode: ${mode} (grid or random)`);
+    }
+    errors.push(...BacktestService.validateFillModel(params));
+    if (!RANK_KPIS[rankBy]) {
+      errors.push(`Unsupported rankBy: ${rankBy} (${Object.keys(RANK_KPIS).join(', ')})`);
+    }
+    if (walkForward) {
+      const folds = parseInt(walkForward.folds);
+      const inSamplePercent = Number(walkForward.inSamplePercent ?? 70);
+      if (!(folds >= 1 && folds <= 20)) errors.push('walkForward.folds must be between 1 and 20');
+      if (!(inSamplePercent >= 10 && inSamplePercent <= 90)) errors.push('walkForward.inSamplePercent must be between 10 and 90');
+    }
+    if (errors.length === 0) {
+      const runs = this.countRuns(params);
+      if (runs > MAX_RUNS_PER_JOB) {
+        errors.push(`The job would run ${runs} backtests, more than ${MAX_RUNS_PER_JOB} - narrow the ranges or use random search`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Parameter combinations of a job: the full grid, or a random sample of it
+   * @param {Object} params - { ranges, mode, samples }
+   * @returns {Array<Object>} Combinations of hmaPeriod, target and stopLoss
+   */
+  static buildCombinations({ ranges, mode = 'grid', samples = 50 }) {
+    let combinations = [{}];
+    for (const name of PARAMETERS) {
+      const values = this.expandRange(ranges[name]).map(value => (name === 'hmaPeriod' ? Math.round(value) : value));
+      combinations = combinations.flatMap(combo => [...new Set(values)].map(value => ({ ...combo, [name]: value })));
+    }
+
+    if (mode === 'random' && combinations.length > samples) {
+      // Partial Fisher-Yates shuffle: the first `samples` entries are a uniform sample
+      for (let i = 0; i < samples; i++) {
+        const j = i + Math.floor(Math.random() * (combinations.length - i));
+        [combinations[i], combinations[j]] = [combinations[j], combinations[i]];
+      }
+      combinations = combinations.slice(0, samples);
+    }
+    return combinations;
+  }
+
+  /**
+   * Number of backtests a job will run
+   * @param {Object} params - Job parameters
+   * @returns {number} Runs
+   */
+  static countRuns(params) {
+    const gridSize = PARAMETERS.reduce((size, name) => size * this.expandRange(params.ranges?.[name]).length, 1);
+    const combinations = params.mode === 'random' ? Math.min(gridSize, parseInt(params.samples || 50)) : gridSize;
+    if (!params.walkForward) return combinations;
+    // Every fold sweeps its in-sample window and runs its winner once out of sample
+    return parseInt(params.walkForward.folds) * (combinations + 1);
+  }
+
+  /**
+   * In-sample / out-of-sample windows over a time range
+   * @param {number} from - First candle timestamp
+   * @param {number} to - Last candle timestamp
+   * @param {Object} walkForward - { folds, inSamplePercent, anchored }
+   * @returns {Array<Object>} Folds: { fold, inSample: { from, to }, outOfSample: { from, to } }
+   */
+  static buildFolds(from, to, { folds, inSamplePercent = 70, anchored = false }) {
+    const foldCount = parseInt(folds);
+    const windowSize = (to - from) / foldCount;
+
+    return Array.from({ length: foldCount }, (_, i) => {
+      const windowStart = from + i * windowSize;
+      const windowEnd = i === foldCount - 1 ? to + 1 : from + (i + 1) * windowSize;
+      const split = windowStart + (windowEnd - windowStart) * Number(inSamplePercent) / 100;
+      return {
+        fold: i + 1,
+        // Anchored folds grow the in-sample window from the start of the data
+        inSample: { from: anchored ? from : windowStart, to: split },
+        outOfSample: { from: split, to: windowEnd }
+      };
+    });
+  }
+
+  /**
+   * Run one backtest on the candles of a time window
+   * @param {Array} candles - Candles prepared for the combination's hmaPeriod
+   * @param {Object} combo - { hmaPeriod, target, stopLoss }
+   * @param {Object} window - { from, to } (to exclusive), or null for all candles
+   * @param {Object} base - { symbol, quantity, targetType, stopLossType } plus fill and cost settings
+   * @returns {Object|null} Engine result, or null when the window has too few candles
+   */
+  static runBacktest(candles, combo, window, base) {
+    const data = window ? candles.filter(c => c.timestamp >= window.from && c.timestamp < window.to) : candles;
+    if (data.length < 2) return null;
+
+    return BacktestService.executeEnhancedBacktestStrategy(data, {
+      symbol: base.symbol,
+      quantity: parseInt(base.quantity || 1),
+      hmaPeriod: combo.hmaPeriod,
+      target: combo.target,
+      stopLoss: combo.stopLoss,
+      targetType: base.targetType || 'points',
+      stopLossType: base.stopLossType || 'points',
+      ...BacktestService.getExecutionSettings(base),
+      quiet: true
+    });
+  }
+
+  /**
+   * Numeric KPIs of an engine result, for ranking
+   * @param {Object} result - Engine result
+   * @returns {Object} Metrics
+   */
+  static getMetrics(result) {
+    return {
+      totalTrades: result.totalTrades,
+      winRate: result.winRate,
+      totalPnL: result.totalPnL,
+      avgPnL: result.avgPnL,
+      profitFactor: result.profitFactor,
+      sharpeRatio: result.sharpeRatio,
+      maxDrawdown: result.maxDrawdown
+    };
+  }
+
+  /**
+   * Order runs best first by a KPI. Runs with fewer than minTrades trades rank after all others.
+   * @param {Array<Object>} runs - { params, metrics }
+   * @param {string} rankBy - KPI name
+   * @param {number} minTrades - Trades a run needs to be ranked normally
+   * @returns {Array<Object>} Runs with rank and score, best first
+   */
+  static rankRuns(runs, rankBy, minTrades) {
+    const direction = RANK_KPIS[rankBy] === 'asc' ? 1 : -1;
+    return [...runs]
+      .sort((a, b) => {
+        const aQualified = a.metrics.totalTrades >= minTrades;
+        const bQualified = b.metrics.totalTrades >= minTrades;
+        if (aQualified !== bQualified) return aQualified ? -1 : 1;
+        return direction * (a.metrics[rankBy] - b.metrics[rankBy]) || b.metrics.totalPnL - a.metrics.totalPnL;
+      })
+      .map((run, i) => ({ ...run, rank: i + 1, score: run.metrics[rankBy], qualified: run.metrics.totalTrades >= minTrades }));
+  }
+
+  /**
+   * Start an optimisation job in the background
+   * @param {string} userId - User ID
+   * @param {Object} params - { candles, symbol, ranges, mode, samples, rankBy, minTrades, walkForward,
+   *   quantity, targetType, stopLossType, interval, keepTop }
+   * @returns {Object} { success, message, data: job }
+   */
+  static startJob(userId, params) {
+    this.pruneJobs();
+
+    const running = [...this.jobs.values()].find(job => job.userId === String(userId) && ['QUEUED', 'RUNNING'].includes(job.status));
+    if (running) {
+      return { success: false, message: `Optimisation job ${running.id} is still running` };
+    }
+
+    const errors = this.validate(params);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join('; ') };
+    }
+
+    const { candles, ...settings } = params;
+    const job = {
+      id: crypto.randomUUID(),
+      userId: String(userId),
+      status: 'QUEUED',
+      settings: {
+        ...settings,
+        mode: settings.mode || 'grid',
+        rankBy: settings.rankBy || 'profitFactor',
+        minTrades: parseInt(settings.minTrades ?? 1),
+        keepTop: parseInt(settings.keepTop || 20)
+      },
+      progress: { completed: 0, total: this.countRuns(params), percent: 0 },
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      cancelRequested: false
+    };
+    // Candles stay off the job object so status responses do not echo them
+    this.jobs.set(job.id, job);
+    Object.defineProperty(job, 'candles', { value: candles, enumerable: false, writable: true });
+
+    setImmediate(() => this.runJob(job));
+    console.log(`🧪 Optimisation job ${job.id} queued for ${settings.symbol}: ${job.progress.total} backtests`);
+
+    return { success: true, message: 'Optimisation job started', data: job };
+  }
+
+  /**
+   * Execute a job, yielding to the event loop between backtests
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   */
+  static async runJob(job) {
+    job.status = 'RUNNING';
+    job.startedAt = new Date();
+    const { settings } = job;
+
+    try {
+      const combinations = this.buildCombinations(settings);
+
+      // HMA depends only on past candles, so one pass per period over all the data serves every window
+      const prepared = {};
+      for (const period of new Set(combinations.map(combo => combo.hmaPeriod))) {
+        prepared[period] = BacktestService.prepareCandles(job.candles, period);
+      }
+
+      const step = async (combo, window) => {
+        if (job.cancelRequested) throw new Error('CANCELLED');
+        const result = this.runBacktest(prepared[combo.hmaPeriod], combo, window, settings);
+        job.progress.completed++;
+        job.progress.percent = Math.round((job.progress.completed / job.progress.total) * 100);
+        await new Promise(resolve => setImmediate(resolve));
+        return result;
+      };
+
+      const sweep = async (window) => {
+        const runs = [];
+        for (const combo of combinations) {
+          const result = await step(combo, window);
+          if (result) runs.push({ params: combo, metrics: this.getMetrics(result) });
+        }
+        return this.rankRuns(runs, settings.rankBy, settings.minTrades);
+      };
+
+      if (!settings.walkForward) {
+        const ranked = await sweep(null);
+        job.result = {
+          rankBy: settings.rankBy,
+          runs: ranked.length,
+          best: ranked[0] || null,
+          ranked: ranked.slice(0, settings.keepTop)
+        };
+      } else {
+        const timestamps = job.candles.map(c => c.timestamp);
+        const folds = this.buildFolds(Math.min(...timestamps), Math.max(...timestamps), settings.walkForward);
+        const outOfSampleTrades = [];
+        let inSamplePnLPerCandle = 0;
+        let outOfSamplePnLPerCandle = 0;
+
+        for (const fold of folds) {
+          const ranked = await sweep(fold.inSample);
+          const best = ranked[0];
+          const outOfSample = best ? await step(best.params, fold.outOfSample) : null;
+          fold.best = best || null;
+          fold.outOfSampleMetrics = outOfSample ? this.getMetrics(outOfSample) : null;
+          fold.outOfSampleTrades = outOfSample ? outOfSample.trades.length : 0;
+          if (outOfSample) {
+            outOfSampleTrades.push(...outOfSample.trades);
+            const countCandles = (window) => prepared[best.params.hmaPeriod].filter(c => c.timestamp >= window.from && c.timestamp < window.to).length;
+            inSamplePnLPerCandle += best.metrics.totalPnL / Math.max(countCandles(fold.inSample), 1);
+            outOfSamplePnLPerCandle += outOfSample.totalPnL / Math.max(countCandles(fold.outOfSample), 1);
+          }
+        }
+
+        job.result = {
+          rankBy: settings.rankBy,
+          folds,
+          outOfSample: BacktestService.summarizeTrades(outOfSampleTrades),
+          // Out-of-sample P&L rate relative to in-sample; near 1 means the winners held up on unseen data
+          walkForwardEfficiency: inSamplePnLPerCandle !== 0 ? outOfSamplePnLPerCandle / inSamplePnLPerCandle : null
+        };
+      }
+
+      job.status = 'COMPLETED';
+      job.progress.percent = 100;
+      console.log(`✅ Optimisation job ${job.id} completed: ${job.progress.completed} backtests`);
+    } catch (error) {
+      if (error.message === 'CANCELLED') {
+        job.status = 'CANCELLED';
+        console.log(`🛑 Optimisation job ${job.id} cancelled`);
+      } else {
+        job.status = 'FAILED';
+        job.error = error.message;
+        LoggerService.error('BacktestOptimizationService', `Optimisation job ${job.id} failed:`, error);
+      }
+    } finally {
+      job.finishedAt = new Date();
+    }
+  }
+
+  /**
+   * A job of a user
+   * @param {string} userId - User ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job
+   */
+  static getJob(userId, jobId) {
+    const job = this.jobs.get(jobId);
+    return job && job.userId === String(userId) ? job : null;
+  }
+
+  /**
+   * Jobs of a user without their results, newest first
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} Jobs
+   */
+  static listJobs(userId) {
+    return [...this.jobs.values()]
+      .filter(job => job.userId === String(userId))
+      .map(({ result, ...job }) => job)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Ask a running job to stop after its current backtest
+   * @param {string} userId - User ID
+   * @param {string} jobId - Job ID
+   * @returns {Object} { success, message }
+   */
+  static cancelJob(userId, jobId) {
+    const job = this.getJob(userId, jobId);
+    if (!job) return { success: false, message: 'Optimisation job not found' };
+    if (!['QUEUED', 'RUNNING'].includes(job.status)) {
+      return { success: false, message: `Optimisation job is already ${job.status}` };
+    }
+    job.cancelRequested = true;
+    return { success: true, message: 'Optimisation job cancellation requested' };
+  }
+
+  /**
+   * Save runs of a completed job as Backtest documents, trades included
+   * @param {string} userId - User ID
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { name, ranks } for sweep jobs (1-based ranks), { name, folds } for
+   *   walk-forward jobs (saves each fold's out-of-sample run)
+   * @returns {Promise<Object>} { success, message, data: saved backtests }
+   */
+  static async saveRuns(userId, jobId, { name, ranks = [], folds = [] }) {
+    const job = this.getJob(userId, jobId);
+    if (!job) return { success: false, message: 'Optimisation job not found' };
+    if (job.status !== 'COMPLETED') return { success: false, message: `Optimisation job is ${job.status}` };
+
+    const { settings } = job;
+    const selected = settings.walkForward
+      ? folds.map(n => job.result.folds.find(f => f.fold === Number(n))).filter(f => f?.best)
+        .map(f => ({ run: f.best, window: f.outOfSample, name: `${name} fold ${f.fold} OOS` }))
+      : ranks.map(rank => job.result.ranked.find(r => r.rank === Number(rank))).filter(Boolean)
+        .map(run => ({ run, window: null, name: `${name} #${run.rank}` }));
+    if (selected.length === 0) {
+      return { success: false, message: settings.walkForward ? 'No folds with results selected' : 'No ranked runs selected' };
+    }
+
+    const saved = [];
+    for (const { run, window, name: runName } of selected) {
+      if (await Backtest.exists({ userId, name: runName })) {
+        return { success: false, message: `A backtest named "${runName}" already exists`, data: saved };
+      }
+
+      const candles = BacktestService.prepareCandles(job.candles, run.params.hmaPeriod);
+      const result = this.runBacktest(candles, run.params, window, settings);
+      const data = window ? candles.filter(c => c.timestamp >= window.from && c.timestamp < window.to) : candles;
+
+      const backtest = await Backtest.create({
+        userId,
+        name: runName,
+        symbol: settings.symbol,
+        startDate: new Date(data[0].timestamp),
+        endDate: new Date(data[data.length - 1].timestamp),
+        interval: settings.interval,
+        hmaPeriod: run.params.hmaPeriod,
+        target: run.params.target,
+        stopLoss: run.params.stopLoss,
+        targetType: settings.targetType || 'points',
+        stopLossType: settings.stopLossType || 'points',
+        quantity: parseInt(settings.quantity || 1),
+        kpis: result.kpis,
+        trades: result.trades,
+        execution: BacktestService.describeExecution(result),
+        source: 'OPTIMIZATION',
+        optimization: { jobId, rank: run.rank, rankBy: settings.rankBy, score: run.score }
+      });
+      saved.push({ id: backtest._id, name: backtest.name });
+    }
+
+    console.log(`💾 Saved ${saved.length} optimisation run(s) of job ${jobId} for user ${userId}`);
+    return { success: true, message: `${saved.length} backtest(s) saved`, data: saved };
+  }
+
+  /**
+   * Drop finished jobs older than the retention period
+   */
+  static pruneJobs() {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = { BacktestOptimizationService };
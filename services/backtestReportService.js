@@ -0,0 +1,315 @@
+/**
+ * Backtest Report Service
+ * Exports of a saved backtest for sharing outside the app:
+ * - CSV of the trade list
+ * - JSON of the run (parameters, KPIs, trades, equity curve, monthly returns)
+ * - self-contained HTML tearsheet (inline CSS and SVG charts, no external assets)
+ */
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class BacktestReportService {
+  static FORMATS = ['csv', 'json', 'html'];
+
+  static CSV_COLUMNS = [
+    ['entryTime', 'Entry Time (IST)'],
+    ['exitTime', 'Exit Time (IST)'],
+    ['entryPrice', 'Entry Price'],
+    ['exitPrice', 'Exit Price'],
+    ['quantity', 'Quantity'],
+    ['targetPrice', 'Target'],
+    ['stopLossPrice', 'Stop Loss'],
+    ['exitReason', 'Exit Reason'],
+    ['grossPnL', 'Gross P&L'],
+    ['charges', 'Charges'],
+    ['pnl', 'Net P&L'],
+    ['pnlPercentage', 'P&L %'],
+    ['duration', 'Duration (min)'],
+    ['ambiguousExit', 'Ambiguous Exit']
+  ];
+
+  /**
+   * IST date-time of a timestamp, as YYYY-MM-DD HH:mm
+   * @param {Date|number} time - Time
+   * @returns {string} IST date-time ('' when missing)
+   */
+  static formatIST(time) {
+    if (!time) return '';
+    return new Date(new Date(time).getTime() + IST_OFFSET_MS).toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  /**
+   * Trades of a saved backtest in exit order
+   * @param {Object} backtest - Saved backtest (document or plain object)
+   * @returns {Array} Trades
+   */
+  static getTrades(backtest) {
+    return [...(backtest.trades || [])]
+      .filter(trade => trade.exitTime)
+      .sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+  }
+
+  /**
+   * Cumulative net P&L and drawdown from its running peak after every trade
+   * @param {Array} trades - Trades in exit order
+   * @returns {Array} [{ time, equity, drawdown }]
+   */
+  static getEquityCurve(trades) {
+    let equity = 0;
+    let peak = 0;
+
+    return trades.map(trade => {
+      equity += trade.pnl || 0;
+      peak = Math.max(peak, equity);
+      return { time: new Date(trade.exitTime).getTime(), equity, drawdown: equity - peak };
+    });
+  }
+
+  /**
+   * Net P&L per IST calendar month of exit
+   * @param {Array} trades - Trades in exit order
+   * @param {number} capital - Capital for the return percentage (requiredMargin), or 0 for none
+   * @returns {Array} [{ year, month (1-12), trades, pnl, returnPercent }]
+   */
+  static getMonthlyReturns(trades, capital = 0) {
+    const months = new Map();
+
+    trades.forEach(trade => {
+      const ist = new Date(new Date(trade.exitTime).getTime() + IST_OFFSET_MS);
+      const key = `${ist.getUTCFullYear()}-${ist.getUTCMonth() + 1}`;
+      const month = months.get(key) || { year: ist.getUTCFullYear(), month: ist.getUTCMonth() + 1, trades: 0, pnl: 0 };
+      month.trades++;
+      month.pnl += trade.pnl || 0;
+      months.set(key, month);
+    });
+
+    return [...months.values()].map(month => ({
+      ...month,
+      returnPercent: capital > 0 ? (month.pnl / capital) * 100 : null
+    }));
+  }
+
+  /**
+   * Trade list as CSV
+   * @param {Object} backtest - Saved backtest
+   * @returns {string} CSV
+   */
+  static toCSV(backtest) {
+    const escape = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const cell = (trade, field) => {
+      switch (field) {
+        case 'entryTime':
+        case 'exitTime':
+          return this.formatIST(trade[field]);
+        case 'grossPnL':
+          return (trade.grossPnL ?? trade.pnl)?.toFixed(2);
+        case 'charges':
+          return (trade.charges?.total || 0).toFixed(2);
+        case 'pnl':
+        case 'pnlPercentage':
+          return trade[field]?.toFixed(2);
+        case 'duration':
+          return trade.duration ? Math.round(trade.duration / 60000) : '';
+        case 'ambiguousExit':
+          return trade.ambiguousExit ? 'YES' : '';
+        default:
+          return trade[field];
+      }
+    };
+
+    const rows = this.getTrades(backtest).map(trade => this.CSV_COLUMNS.map(([field]) => escape(cell(trade, field))).join(','));
+    return [this.CSV_COLUMNS.map(([, header]) => header).join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Full run as a JSON document
+   * @param {Object} backtest - Saved backtest
+   * @returns {Object} { name, symbol, parameters, execution, kpis, trades, equityCurve, monthlyReturns, exportedAt }
+   */
+  static toJSON(backtest) {
+    const data = typeof backtest.toObject === 'function' ? backtest.toObject() : backtest;
+    const trades = this.getTrades(data);
+
+    return {
+      name: data.name,
+      symbol: data.symbol,
+      parameters: {
+        startDate: data.startDate,
+        endDate: data.endDate,
+        interval: data.interval,
+        hmaPeriod: data.hmaPeriod,
+        target: data.target,
+        targetType: data.targetType,
+        stopLoss: data.stopLoss,
+        stopLossType: data.stopLossType,
+        quantity: data.quantity
+      },
+      execution: data.execution || null,
+      kpis: data.kpis || {},
+      trades: trades.map(({ _id, ...trade }) => trade),
+      equityCurve: this.getEquityCurve(trades),
+      monthlyReturns: this.getMonthlyReturns(trades, data.kpis?.requiredMargin || 0),
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * SVG line chart of a series, with the area between the line and zero filled
+   * @param {Array<number>} values - Series
+   * @param {Object} options - { color, fill, height }
+   * @returns {string} SVG markup
+   */
+  static renderChart(values, { color, fill, height = 220 }) {
+    const width = 900;
+    const pad = 40;
+    if (values.length === 0) return '<p class="muted">No trades</p>';
+
+    const series = [0, ...values];
+    const min = Math.min(0, ...series);
+    const max = Math.max(0, ...series);
+    const span = max - min || 1;
+    const x = i => pad + (i / (series.length - 1)) * (width - 2 * pad);
+    const y = value => pad / 2 + (1 - (value - min) / span) * (height - pad);
+    const points = series.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+
+    return `<svg viewBox="0 0 ${width} ${height}" class="chart" preserveAspectRatio="none">
+  <line x1="${pad}" x2="${width - pad}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" class="axis"/>
+  <polygon points="${x(0).toFixed(1)},${y(0).toFixed(1)} ${points} ${x(series.length - 1).toFixed(1)},${y(0).toFixed(1)}" fill="${fill}"/>
+  <polyline points="${points}" fill="none" stroke="${color}" stroke-width="2"/>
+  <text x="4" y="${(y(max) + 4).toFixed(1)}" class="label">${this.formatMoney(max)}</text>
+  <text x="4" y="${(y(min) + 4).toFixed(1)}" class="label">${this.formatMoney(min)}</text>
+</svg>`;
+  }
+
+  /**
+   * Rupee amount with Indian digit grouping
+   * @param {number} value - Amount
+   * @returns {string} Formatted amount
+   */
+  static formatMoney(value) {
+    const amount = Number(value) || 0;
+    return `${amount < 0 ? '-' : ''}₹${Math.abs(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  /**
+   * Self-contained HTML tearsheet: KPI block, equity curve, drawdown chart, monthly returns and trades
+   * @param {Object} backtest - Saved backtest
+   * @returns {string} HTML document
+   */
+  static toHTML(backtest) {
+    const report = this.toJSON(backtest);
+    const { kpis, parameters, execution } = report;
+    const escape = value => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const signClass = value => (value > 0 ? 'pos' : value < 0 ? 'neg' : '');
+    const number = (value, digits = 2) => (Number.isFinite(Number(value)) ? Number(value).toFixed(digits) : '-');
+
+    const kpiBlock = [
+      ['Net P&L', this.formatMoney(kpis.totalPnL), signClass(kpis.totalPnL)],
+      ['Gross P&L', kpis.grossPnL !== undefined ? this.formatMoney(kpis.grossPnL) : '-', signClass(kpis.grossPnL)],
+      ['Charges', kpis.totalCharges !== undefined ? this.formatMoney(kpis.totalCharges) : '-', ''],
+      ['Trades', kpis.totalTrades ?? report.trades.length, ''],
+      ['Win Rate', `${number(kpis.winRate)}%`, ''],
+      ['Wins / Losses', `${kpis.winCount ?? '-'} / ${kpis.lossCount ?? '-'}`, ''],
+      ['Avg P&L', this.formatMoney(kpis.avgPnL), signClass(kpis.avgPnL)],
+      ['Best Trade', this.formatMoney(kpis.maxProfit), 'pos'],
+      ['Worst Trade', this.formatMoney(kpis.maxLoss), 'neg'],
+      ['Profit Factor', number(kpis.profitFactor), ''],
+      ['Sharpe Ratio', number(kpis.sharpeRatio), ''],
+      ['Max Drawdown', this.formatMoney(kpis.maxDrawdown), 'neg']
+    ].map(([label, value, cls]) => `<div class="kpi"><span>${label}</span><strong class="${cls}">${escape(value)}</strong></div>`).join('\n');
+
+    // Monthly returns: one row per year, one column per month
+    const years = [...new Set(report.monthlyReturns.map(m => m.year))].sort();
+    const monthlyRows = years.map(year => {
+      const cells = MONTHS.map((_, index) => {
+        const month = report.monthlyReturns.find(m => m.year === year && m.month === index + 1);
+        if (!month) return '<td></td>';
+        const label = month.returnPercent !== null ? `${number(month.returnPercent)}%` : this.formatMoney(month.pnl);
+        return `<td class="${signClass(month.pnl)}" title="${month.trades} trades, ${escape(this.formatMoney(month.pnl))}">${escape(label)}</td>`;
+      }).join('');
+      const total = report.monthlyReturns.filter(m => m.year === year).reduce((sum, m) => sum + m.pnl, 0);
+      return `<tr><th>${year}</th>${cells}<td class="${signClass(total)}"><strong>${escape(this.formatMoney(total))}</strong></td></tr>`;
+    }).join('\n');
+
+    const tradeRows = report.trades.map((trade, index) => `<tr>
+  <td>${index + 1}</td><td>${this.formatIST(trade.entryTime)}</td><td>${this.formatIST(trade.exitTime)}</td>
+  <td>${number(trade.entryPrice)}</td><td>${number(trade.exitPrice)}</td><td>${trade.quantity ?? ''}</td>
+  <td>${escape(trade.exitReason)}${trade.ambiguousExit ? ' *' : ''}</td>
+  <td class="${signClass(trade.grossPnL ?? trade.pnl)}">${number(trade.grossPnL ?? trade.pnl)}</td>
+  <td>${number(trade.charges?.total || 0)}</td>
+  <td class="${signClass(trade.pnl)}">${number(trade.pnl)}</td>
+</tr>`).join('\n');
+
+    const settings = [
+      `${escape(report.symbol)}`,
+      `${this.formatIST(parameters.startDate).slice(0, 10)} to ${this.formatIST(parameters.endDate).slice(0, 10)}`,
+      `${escape(parameters.interval)}m candles`,
+      `HMA-${escape(parameters.hmaPeriod)}`,
+      `Target ${escape(parameters.target)}${parameters.targetType === 'percentage' ? '%' : ' pts'}`,
+      `Stop ${escape(parameters.stopLoss)}${parameters.stopLossType === 'percentage' ? '%' : ' pts'}`,
+      `Qty ${escape(parameters.quantity)}`
+    ];
+    if (execution) {
+      settings.push(`${escape(execution.fillModel)} fills`, `${escape(execution.slippageTicks || 0)} tick slippage`,
+        execution.costsEnabled ? `${escape(execution.costSegment)} charges` : 'no charges');
+    }
+
+    const curve = report.equityCurve;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(report.name)} - Backtest Tearsheet</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; margin: 24px auto; max-width: 960px; color: #1f2933; }
+  h1 { margin-bottom: 4px; } h2 { margin-top: 32px; font-size: 18px; }
+  .muted { color: #7b8794; font-size: 13px; }
+  .kpis { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+  .kpi { border: 1px solid #e4e7eb; border-radius: 6px; padding: 8px 12px; }
+  .kpi span { display: block; font-size: 12px; color: #7b8794; } .kpi strong { font-size: 18px; }
+  .chart { width: 100%; height: 220px; border: 1px solid #e4e7eb; border-radius: 6px; }
+  .axis { stroke: #9aa5b1; stroke-dasharray: 4 4; } .label { font-size: 11px; fill: #7b8794; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #e4e7eb; padding: 4px 6px; text-align: right; }
+  th { background: #f5f7fa; }
+  .pos { color: #0e7c3a; } .neg { color: #c62828; }
+</style>
+</head>
+<body>
+<h1>${escape(report.name)}</h1>
+<p class="muted">${settings.join(' &middot; ')}</p>
+
+<h2>Key Figures</h2>
+<div class="kpis">
+${kpiBlock}
+</div>
+
+<h2>Equity Curve (net P&amp;L)</h2>
+${this.renderChart(curve.map(point => point.equity), { color: '#1565c0', fill: 'rgba(21,101,192,0.12)' })}
+
+<h2>Drawdown</h2>
+${this.renderChart(curve.map(point => point.drawdown), { color: '#c62828', fill: 'rgba(198,40,40,0.15)', height: 160 })}
+
+<h2>Monthly Returns${report.monthlyReturns.some(m => m.returnPercent !== null) ? ' (% of required margin)' : ''}</h2>
+<table>
+<tr><th></th>${MONTHS.map(month => `<th>${month}</th>`).join('')}<th>Year</th></tr>
+${monthlyRows}
+</table>
+
+<h2>Trades</h2>
+<table>
+<tr><th>#</th><th>Entry (IST)</th><th>Exit (IST)</th><th>Entry</th><th>Exit</th><th>Qty</th><th>Reason</th><th>Gross</th><th>Charges</th><th>Net</th></tr>
+${tradeRows}
+</table>
+<p class="muted">* target and stop both inside one candle. Exported ${this.formatIST(report.exportedAt)} IST.</p>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = { BacktestReportService };
@@ -0,0 +1,873 @@
+/**
+ * Backtest Service
+ * HMA crossover backtests: the single-symbol engine behind /api/backtest/execute and
+ * portfolio backtests that run it over many symbols against one shared capital pool.
+ */
+const { HMAService } = require('./hmaService');
+const { SymbolService } = require('./symbolService');
+const { TradingCostService } = require('./tradingCostService');
+const { HistoricalDataService } = require('./historicalDataService');
+const { MultiTimeframeService } = require('./multiTimeframeService');
+const { IndicatorService } = require('./indicatorService');
+const LoggerService = require('./loggerService');
+
+// Portfolio runs fetch candles one symbol at a time; keep a run within Fyers' rate limits
+const MAX_PORTFOLIO_SYMBOLS = 60;
+
+class BacktestService {
+  /**
+   * Attach HMA values to candles and drop the warm-up candles that have none
+   * @param {Array} candles - Candles (prefill included) from fetchHistoricalDataForBacktest
+   * @param {number} hmaPeriod - HMA period
+   * @returns {Array} Candles with an `hma` value
+   */
+  static prepareCandles(candles, hmaPeriod) {
+    // The candles already include prefill data from fetchHistoricalDataForBacktest
+    const hmaValues = HMAService.calculateHMAWithPrefill(candles, hmaPeriod, 'close', hmaPeriod);
+
+    return candles
+      .map((candle, index) => ({ ...candle, hma: hmaValues[index], originalIndex: index }))
+      .filter(item => item.hma !== null);
+  }
+
+  /**
+   * Execute enhanced backtest strategy with percentage support
+   * @param {Array} data - Historical data with HMA values
+   * @param {Object} params - Strategy parameters (quiet: true to skip per-trade logging), plus the fill model:
+   *   slippageTicks   - ticks every fill loses (buys higher, sells lower)
+   *   fillModel       - CLOSE checks target/stop against the candle close, INTRABAR against its high and low
+   *   intrabarPriority - INTRABAR candles that reach both levels: STOP_FIRST, TARGET_FIRST or OHLC_PATH
+   *                      (a rising candle is taken to visit its low first, a falling one its high)
+   *   costs           - { enabled, segment, exchange, rates } for TradingCostService
+   *   filters         - Filters prepared by MultiTimeframeService.prepareFilters; crossovers they reject are skipped
+   * @returns {Object} Backtest results (pnl fields are net of charges; grossPnL alongside)
+   */
+  static executeEnhancedBacktestStrategy(data, params) {
+    const {
+      symbol,
+      quantity = 1,
+      hmaPeriod,
+      target,
+      stopLoss,
+      targetType,
+      stopLossType,
+      slippageTicks = 0,
+      fillModel = 'CLOSE',
+      intrabarPriority = 'STOP_FIRST',
+      costs = {},
+      productType = 'INTRADAY',
+      filters = []
+    } = params;
+    // Optimisation runs execute hundreds of backtests; params.quiet keeps them out of the log
+    const log = params.quiet ? () => {} : console.log;
+    const costModel = TradingCostService.buildCostModel(costs, symbol, productType);
+    const trades = [];
+    let currentPosition = null;
+    let maxEntryPrice = 0;
+    let entrySignals = 0; // Count of HMA crossover entry signals
+    let filteredSignals = 0; // Crossovers the higher-timeframe filters rejected
+    let ambiguousExits = 0; // Candles that reached both target and stop
+
+    const toIST = timestamp => new Date(timestamp + (5.5 * 60 * 60 * 1000));
+    const formatIST = timestamp => toIST(timestamp).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+    log(`🔍 Backtest: Processing ${data.length} candles for ${symbol}`);
+    log(`🔍 Backtest: First candle: ${formatIST(data[0].timestamp)}`);
+    log(`🔍 Backtest: Last candle: ${formatIST(data[data.length - 1].timestamp)}`);
+
+    // Debug: Check a few candles to see the data structure
+    log(`🔍 Backtest: Sample candles:`);
+    for (let i = 0; i < Math.min(5, data.length); i++) {
+      const candle = data[i];
+      log(`  Candle ${i}: ${formatIST(candle.timestamp)} - Close: ${candle.close}, HMA: ${candle.hma}`);
+    }
+
+    // Close the open position; the price is the level or market price before slippage
+    const closePosition = (price, exitReason, candle, details = {}) => {
+      const exitTime = candle.timestamp;
+      const duration = exitTime - currentPosition.entryTime;
+
+      // Skip trades with 0 duration (entry and exit in same candle)
+      if (duration === 0) {
+        log(`⚠️ Skipping trade with 0 duration - Entry and exit in same candle at ${formatIST(exitTime)}`);
+        currentPosition = null;
+        return null;
+      }
+
+      const { entryPrice, targetPrice, stopLossPrice } = currentPosition;
+      const exitPrice = TradingCostService.applySlippage(price, 'SELL', slippageTicks, symbol);
+      const trade = TradingCostService.applyToTrade({
+        entryPrice,
+        exitPrice,
+        entryTime: currentPosition.entryTime,
+        entryTimeIST: currentPosition.entryTimeIST,
+        exitTime,
+        exitTimeIST: toIST(exitTime).toISOString(),
+        pnl: (exitPrice - entryPrice) * quantity,
+        pnlPercentage: ((exitPrice - entryPrice) / entryPrice) * 100,
+        exitReason,
+        duration,
+        targetPrice,
+        stopLossPrice,
+        quantity,
+        ...details
+      }, costModel);
+
+      trades.push(trade);
+      currentPosition = null;
+      return trade;
+    };
+
+    for (let i = 1; i < data.length; i++) {
+      const current = data[i];
+      const previous = data[i - 1];
+
+      // Check for end of day exit (3:20 PM IST on the same day as entry)
+      const currentTimeIST = toIST(current.timestamp);
+      const isEndOfDay = currentTimeIST.getHours() === 15 && currentTimeIST.getMinutes() >= 20;
+
+      // Entry condition: LTP crosses above HMA (long strategy)
+      if (previous.close <= previous.hma && current.close > current.hma) {
+        // Filters only see their bars that closed by the entry at this candle's open
+        const filterCheck = !currentPosition && filters.length > 0
+          ? MultiTimeframeService.checkFilters(filters, current.timestamp, current.open)
+          : null;
+        if (filterCheck && !filterCheck.passed) {
+          filteredSignals++;
+          log(`🚫 ${filterCheck.reason} at ${formatIST(current.timestamp)}`);
+        } else if (!currentPosition) {
+          // Enter long position at next candle open
+          const entryPrice = TradingCostService.applySlippage(current.open, 'BUY', slippageTicks, symbol);
+          if (entryPrice > maxEntryPrice) maxEntryPrice = entryPrice;
+          const targetPrice = targetType === 'percentage' 
+            ? entryPrice * (1 + target / 100)
+            : entryPrice + target;
+          const stopLossPrice = stopLossType === 'percentage'
+            ? entryPrice * (1 - stopLoss / 100)
+            : entryPrice - stopLoss;
+
+          const entryTimeIST = toIST(current.timestamp);
+          currentPosition = {
+            entryPrice,
+            entryTime: current.timestamp,
+            entryTimeIST: entryTimeIST.toISOString(),
+            entryIndex: i,
+            targetPrice,
+            stopLossPrice,
+            quantity,
+            entryDateIST: entryTimeIST.toDateString() // Store entry date for end-of-day check
+          };
+          entrySignals++; // Count this as an entry signal
+          log(`📈 Entry: ${symbol} at ${entryPrice} (HMA: ${current.hma}) at ${formatIST(current.timestamp)}`);
+
+          // Skip exit condition checks for this candle since we just entered
+          continue;
+        }
+      }
+
+      // Exit conditions if we have a position (only check after entry is established)
+      if (currentPosition) {
+        const exit = this.getExitFill(current, currentPosition, fillModel, intrabarPriority);
+
+        if (exit) {
+          if (exit.ambiguous) ambiguousExits++;
+          const trade = closePosition(exit.price, exit.reason, current, exit.ambiguous ? { ambiguousExit: true } : {});
+          if (trade) {
+            const icon = exit.reason === 'TARGET' ? '🎯 Target hit' : '🛑 Stop loss hit';
+            log(`${icon}: ${symbol} at ${trade.exitPrice} (PnL: ${trade.pnl.toFixed(2)}) at ${formatIST(current.timestamp)}`);
+          }
+        }
+        // Check for end of day exit (3:20 PM IST on the SAME DAY as entry)
+        else if (isEndOfDay) {
+          const currentDateIST = currentTimeIST.toDateString();
+
+          if (currentDateIST === currentPosition.entryDateIST) {
+            // Exit at current close price
+            const trade = closePosition(current.close, 'END_OF_DAY', current);
+            if (trade) {
+              log(`🌅 End of day exit: ${symbol} at ${trade.exitPrice} (PnL: ${trade.pnl.toFixed(2)}) at ${formatIST(current.timestamp)}`);
+            }
+          } else {
+            // Debug: Log when we're at 3:20 PM but it's a different day
+            log(`🔍 At 3:20 PM but different day - Entry: ${currentPosition.entryDateIST}, Current: ${currentDateIST}`);
+          }
+        }
+        // Debug: Log when we're close to stop loss but not hitting it
+        else if (current.close <= currentPosition.stopLossPrice * 1.01) { // Within 1% of stop loss
+          log(`🔍 Close to stop loss: ${symbol} at ${current.close} (Stop: ${currentPosition.stopLossPrice}) at ${formatIST(current.timestamp)}`);
+        }
+      }
+    }
+
+    // Close any remaining position at the end
+    if (currentPosition) {
+      closePosition(data[data.length - 1].close, 'END_OF_DATA', data[data.length - 1]);
+    }
+
+    // P&L, win rate, drawdown and ratios are of net P&L, in exit order
+    const summary = this.summarizeTrades(trades);
+    const costSummary = TradingCostService.summarize(trades);
+    const { totalTrades, winCount, lossCount, winRate, totalPnL, avgPnL, profitFactor, sharpeRatio, maxDrawdown } = summary;
+    const completedTrades = trades.length;
+    const openTrades = entrySignals - completedTrades;
+
+    // Calculate required margin (assume 20% of max entry value)
+    const requiredMargin = maxEntryPrice * quantity * 0.2;
+
+    return {
+      symbol,
+      quantity,
+      hmaPeriod,
+      target,
+      stopLoss,
+      targetType,
+      stopLossType,
+      fillModel,
+      intrabarPriority,
+      slippageTicks,
+      costModel,
+      filters: filters.map(({ filter }) => MultiTimeframeService.describeFilter(filter)),
+      totalTrades,
+      entrySignals,
+      filteredSignals,
+      completedTrades,
+      openTrades,
+      winCount,
+      lossCount,
+      winRate,
+      totalPnL,
+      grossPnL: costSummary.grossPnL,
+      totalCharges: costSummary.totalCharges,
+      charges: costSummary.charges,
+      ambiguousExits,
+      avgPnL,
+      maxDrawdown,
+      profitFactor,
+      sharpeRatio,
+      requiredMargin,
+      trades,
+      kpis: {
+        totalTrades,
+        entrySignals,
+        filteredSignals,
+        completedTrades,
+        openTrades,
+        winCount,
+        lossCount,
+        winRate: winRate.toFixed(2),
+        totalPnL: totalPnL.toFixed(2),
+        grossPnL: costSummary.grossPnL.toFixed(2),
+        totalCharges: costSummary.totalCharges.toFixed(2),
+        netPnL: costSummary.netPnL.toFixed(2),
+        ambiguousExits,
+        avgPnL: avgPnL.toFixed(2),
+        maxProfit: summary.maxProfit,
+        maxLoss: summary.maxLoss,
+        profitFactor: profitFactor.toFixed(2),
+        sharpeRatio: sharpeRatio.toFixed(2),
+        maxDrawdown: maxDrawdown.toFixed(2),
+        requiredMargin: requiredMargin.toFixed(2)
+      }
+    };
+  }
+
+  /**
+   * Target or stop exit of a long position in a candle
+   * @param {Object} candle - Candle after the entry candle
+   * @param {Object} position - { targetPrice, stopLossPrice }
+   * @param {string} fillModel - CLOSE or INTRABAR
+   * @param {string} intrabarPriority - STOP_FIRST, TARGET_FIRST or OHLC_PATH
+   * @returns {Object|null} { reason: 'TARGET' | 'STOP_LOSS', price, ambiguous }, or null to stay in
+   */
+  static getExitFill(candle, position, fillModel, intrabarPriority) {
+    const { targetPrice, stopLossPrice } = position;
+
+    if (fillModel !== 'INTRABAR') {
+      if (candle.close >= targetPrice) return { reason: 'TARGET', price: targetPrice, ambiguous: false };
+      if (candle.close <= stopLossPrice) return { reason: 'STOP_LOSS', price: stopLossPrice, ambiguous: false };
+      return null;
+    }
+
+    // Opening through a level fills at the open, not the level
+    if (candle.open >= targetPrice) return { reason: 'TARGET', price: candle.open, ambiguous: false };
+    if (candle.open <= stopLossPrice) return { reason: 'STOP_LOSS', price: candle.open, ambiguous: false };
+
+    const targetReached = candle.high >= targetPrice;
+    const stopReached = candle.low <= stopLossPrice;
+    if (targetReached && stopReached) {
+      const stopFirst = intrabarPriority === 'OHLC_PATH' ? candle.close >= candle.open : intrabarPriority !== 'TARGET_FIRST';
+      return stopFirst
+        ? { reason: 'STOP_LOSS', price: stopLossPrice, ambiguous: true }
+        : { reason: 'TARGET', price: targetPrice, ambiguous: true };
+    }
+    if (targetReached) return { reason: 'TARGET', price: targetPrice, ambiguous: false };
+    if (stopReached) return { reason: 'STOP_LOSS', price: stopLossPrice, ambiguous: false };
+    return null;
+  }
+
+  /**
+   * Run the HMA backtest of a request on its posted candles, or on stored candles of startDate - endDate
+   * @param {Object} params - { symbol, hmaPeriod, target, stopLoss, targetType, stopLossType, quantity,
+   *   candles or startDate/endDate/interval, filters (see MultiTimeframeService), and the fill and cost settings }
+   * @param {string} accessToken - Fyers access token to fetch candles the store is missing (optional)
+   * @param {Function} onProgress - Called with (percent, message) between stages (optional)
+   * @returns {Promise<Object>} { success, message, data: engine result }
+   */
+  static async runBacktestRequest(params, accessToken = null, onProgress = null) {
+    const {
+      symbol,
+      quantity = 1,
+      startDate,
+      endDate,
+      interval,
+      hmaPeriod,
+      target,
+      stopLoss,
+      targetType = 'points',
+      stopLossType = 'points'
+    } = params;
+    let { candles } = params;
+
+    // Validate required fields
+    if (!symbol || !hmaPeriod || !target || !stopLoss) {
+      return { success: false, message: 'Symbol, HMA period, target, and stop loss are required' };
+    }
+
+    const fillErrors = [...this.validateFillModel(params), ...this.validateFilters(params.filters, interval)];
+    if (fillErrors.length > 0) {
+      return { success: false, message: fillErrors.join('; ') };
+    }
+
+    // Without client candles, use the historical data store
+    if (!candles || !Array.isArray(candles) || candles.length === 0) {
+      if (!startDate || !endDate || !interval) {
+        return { success: false, message: 'Candles, or startDate, endDate and interval to load them, are required' };
+      }
+
+      const stored = await HistoricalDataService.getBacktestCandles(symbol, {
+        startDate,
+        endDate,
+        interval,
+        prefill: Math.max(parseInt(hmaPeriod), MultiTimeframeService.getPrefillCandles(params.filters, interval))
+      }, accessToken);
+      if (!stored.success) return stored;
+      candles = stored.data;
+    }
+    if (onProgress) await onProgress(40, `Loaded ${candles.length} candles`);
+
+    // Filters see all candles; the HMA engine only the usual hmaPeriod of prefill
+    const filters = MultiTimeframeService.prepareFilters(params.filters, candles);
+    if (filters.length > 0 && !params.candles?.length) {
+      candles = this.trimPrefill(candles, startDate, parseInt(hmaPeriod));
+    }
+
+    console.log(`🔍 Backtest: Received ${candles.length} candles for execution`);
+
+    console.log(`🧪 Backtest: Executing backtest for ${symbol} with HMA-${hmaPeriod}, Target: ${target}${targetType === 'percentage' ? '%' : ' points'}, SL: ${stopLoss}${stopLossType === 'percentage' ? '%' : ' points'}`);
+
+    // Calculate HMA values with prefill and drop candles where HMA is not available yet
+    const validData = this.prepareCandles(candles, hmaPeriod);
+
+    console.log(`🔍 Backtest: Total candles: ${candles.length}, Valid data with HMA: ${validData.length}`);
+
+    if (validData.length === 0) {
+      return { success: false, message: 'Insufficient data for HMA calculation' };
+    }
+
+    // Execute backtest strategy with enhanced logic
+    const results = this.executeEnhancedBacktestStrategy(validData, {
+      symbol,
+      quantity: parseInt(quantity),
+      hmaPeriod,
+      target: parseFloat(target),
+      stopLoss: parseFloat(stopLoss),
+      targetType,
+      stopLossType,
+      filters,
+      ...this.getExecutionSettings(params)
+    });
+
+    console.log(`✅ Backtest: Completed for ${symbol}. Trades: ${results.trades.length}, Net PnL: ${results.totalPnL} (gross ${results.grossPnL}, charges ${results.totalCharges})`);
+
+    return { success: true, message: `Backtest completed: ${results.trades.length} trades`, data: results };
+  }
+
+  /**
+   * Indicator series over the stored candles of a backtest range, for charting next to its trades.
+   * Candles before startDate warm the indicators up and are left out of the result.
+   * @param {Object} params - { symbol, startDate, endDate, interval, indicators: [{ type, key, ...params }] }
+   * @param {string} accessToken - Fyers access token to fetch candles the store is missing (optional)
+   * @returns {Promise<Object>} { success, message, data: { candles, indicators: series by key } }
+   */
+  static async getIndicatorSeries(params, accessToken = null) {
+    const { symbol, startDate, endDate, interval, indicators } = params;
+
+    if (!symbol || !startDate || !endDate || !interval) {
+      return { success: false, message: 'Symbol, startDate, endDate, and interval are required' };
+    }
+    const errors = IndicatorService.validateSpecs(indicators);
+    if (errors.length > 0) return { success: false, message: errors.join('; ') };
+
+    const prefill = Math.max(...indicators.map(spec => {
+      const type = String(spec.type).toUpperCase();
+      return IndicatorService.getLookback(type, spec.params || spec);
+    }));
+    const stored = await HistoricalDataService.getBacktestCandles(symbol, { startDate, endDate, interval, prefill }, accessToken);
+    if (!stored.success) return stored;
+
+    const series = IndicatorService.calculateMany(stored.data, indicators);
+    const firstMain = stored.data.findIndex(candle => candle.timestamp >= HistoricalDataService.toTimestamp(startDate));
+    const candles = stored.data.slice(firstMain);
+    return {
+      success: true,
+      message: `${Object.keys(series).length} indicators over ${candles.length} candles of ${symbol}`,
+      data: {
+        symbol,
+        interval,
+        candles,
+        indicators: Object.fromEntries(Object.entries(series).map(([key, values]) => [key, values.slice(firstMain)]))
+      }
+    };
+  }
+
+  /**
+   * Validate the higher-timeframe filters of a backtest
+   * @param {Array} filters - Filters (see MultiTimeframeService)
+   * @param {string} interval - Base candle length in minutes (optional with posted candles)
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateFilters(filters, interval) {
+    const errors = MultiTimeframeService.validateFilters(filters);
+    if (errors.length === 0 && interval) {
+      errors.push(...MultiTimeframeService.validateForInterval(filters, interval));
+    }
+    return errors;
+  }
+
+  /**
+   * Drop stored candles loaded as filter warm-up beyond the `prefill` candles before startDate
+   * @param {Array} candles - Candles in time order
+   * @param {string} startDate - Backtest start
+   * @param {number} prefill - Candles to keep before startDate
+   * @returns {Array} Candles
+   */
+  static trimPrefill(candles, startDate, prefill) {
+    const firstMain = candles.findIndex(candle => candle.timestamp >= HistoricalDataService.toTimestamp(startDate));
+    return firstMain === -1 ? candles : candles.slice(Math.max(firstMain - prefill, 0));
+  }
+
+  /**
+   * Fill and cost settings of a backtest request, for executeEnhancedBacktestStrategy
+   * @param {Object} params - Request parameters
+   * @returns {Object} { slippageTicks, fillModel, intrabarPriority, costs, productType }
+   */
+  static getExecutionSettings(params = {}) {
+    return {
+      slippageTicks: parseFloat(params.slippageTicks) || 0,
+      fillModel: params.fillModel || 'CLOSE',
+      intrabarPriority: params.intrabarPriority || 'STOP_FIRST',
+      costs: params.costs || {},
+      productType: params.productType || 'INTRADAY'
+    };
+  }
+
+  /**
+   * Stored form of a result's fill and cost settings (Backtest.execution)
+   * @param {Object} result - Engine result
+   * @returns {Object} { slippageTicks, fillModel, intrabarPriority, costsEnabled, costSegment, exchange }
+   */
+  static describeExecution(result) {
+    return {
+      slippageTicks: result.slippageTicks,
+      fillModel: result.fillModel,
+      intrabarPriority: result.intrabarPriority,
+      costsEnabled: result.costModel.enabled,
+      costSegment: result.costModel.segment,
+      exchange: result.costModel.exchange
+    };
+  }
+
+  /**
+   * Validate the fill and cost settings of a backtest
+   * @param {Object} params - { slippageTicks, fillModel, intrabarPriority, costs }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateFillModel({ slippageTicks, fillModel, intrabarPriority, costs } = {}) {
+    const errors = TradingCostService.validate(costs, slippageTicks);
+    if (fillModel && !['CLOSE', 'INTRABAR'].includes(fillModel)) {
+      errors.push(`Unsupported fill model: ${fillModel}`);
+    }
+    if (intrabarPriority && !['STOP_FIRST', 'TARGET_FIRST', 'OHLC_PATH'].includes(intrabarPriority)) {
+      errors.push(`Unsupported intrabar priority: ${intrabarPriority}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Symbols of a portfolio universe
+   * @param {Object} universe - { type: 'SYMBOLS', symbols }, { type: 'STRIKES', underlying, spotPrice, optionTypes, maxLevel }
+   *                            (strike set from SymbolService.generateStrikeSymbols) or { type: 'SCREENER' } (screener stock list)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Symbols
+   */
+  static async resolveUniverse(universe = {}, userId) {
+    switch ((universe.type || 'SYMBOLS').toUpperCase()) {
+      case 'STRIKES': {
+        if (!universe.underlying || !universe.spotPrice) return [];
+        const strikeSet = SymbolService.generateStrikeSymbols(universe.underlying, parseFloat(universe.spotPrice));
+        const optionTypes = (universe.optionTypes || ['CE', 'PE']).map(type => type.toLowerCase());
+        const maxLevel = universe.maxLevel !== undefined ? parseInt(universe.maxLevel) : Infinity;
+        const strikes = optionTypes
+          .flatMap(type => strikeSet[type] || [])
+          .filter(strike => (strike.level || 0) <= maxLevel)
+          .map(strike => strike.symbol);
+        // Stocks and no-expiry commodities have no strikes, only the underlying
+        return strikes.length > 0
+          ? strikes
+          : [...(strikeSet.stock || []), ...(strikeSet.underlying || [])].map(item => item.symbol);
+      }
+      case 'SCREENER': {
+        const StockScreenerService = require('./stockScreenerService');
+        return new StockScreenerService().getStockList(userId);
+      }
+      default:
+        return universe.symbols || [];
+    }
+  }
+
+  /**
+   * Win/loss statistics of a list of trades
+   * @param {Array} trades - Trades with pnl and pnlPercentage
+   * @returns {Object} { totalTrades, winCount, lossCount, winRate, totalPnL, avgPnL, maxProfit, maxLoss, profitFactor, sharpeRatio, maxDrawdown }
+   */
+  static summarizeTrades(trades) {
+    const totalTrades = trades.length;
+    const winCount = trades.filter(t => t.pnl > 0).length;
+    const totalPnL = trades.reduce((sum, t) => sum + t.pnl, 0);
+    const grossProfit = trades.filter(t => t.pnl > 0).reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(trades.filter(t => t.pnl < 0).reduce((sum, t) => sum + t.pnl, 0));
+
+    // Same simplified per-trade Sharpe ratio as the single-symbol engine
+    const returns = trades.map(t => t.pnlPercentage);
+    const avgReturn = totalTrades > 0 ? returns.reduce((sum, r) => sum + r, 0) / totalTrades : 0;
+    const variance = totalTrades > 0 ? returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / totalTrades : 0;
+
+    // Drawdown of closed-trade P&L in exit order
+    let runningPnL = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    [...trades].sort((a, b) => a.exitTime - b.exitTime).forEach(t => {
+      runningPnL += t.pnl;
+      peak = Math.max(peak, runningPnL);
+      maxDrawdown = Math.max(maxDrawdown, peak - runningPnL);
+    });
+
+    return {
+      totalTrades,
+      winCount,
+      lossCount: totalTrades - winCount,
+      winRate: totalTrades > 0 ? (winCount / totalTrades) * 100 : 0,
+      totalPnL,
+      avgPnL: totalTrades > 0 ? totalPnL / totalTrades : 0,
+      maxProfit: Math.max(...trades.map(t => t.pnl), 0),
+      maxLoss: Math.min(...trades.map(t => t.pnl), 0),
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : 0,
+      sharpeRatio: variance > 0 ? avgReturn / Math.sqrt(variance) : 0,
+      maxDrawdown
+    };
+  }
+
+  /**
+   * Take candidate trades of many symbols in time order against one capital pool.
+   * A trade is skipped when the position limit is reached or its capital is not free; its symbol
+   * then stays out of the market until that trade would have closed (the next signal of the
+   * single-symbol run).
+   * @param {Array} candidates - Trades of all symbols, each with its `symbol`
+   * @param {Object} config - { initialCapital, maxPositions, marginPercent, maxCapitalPerPositionPercent }
+   * @returns {Object} { taken, skipped, maxConcurrentPositions, peakCapitalUsed }
+   */
+  static allocateTrades(candidates, { initialCapital, maxPositions, marginPercent, maxCapitalPerPositionPercent }) {
+    const ordered = [...candidates].sort((a, b) => a.entryTime - b.entryTime || a.symbol.localeCompare(b.symbol));
+    const maxCapitalPerPosition = maxCapitalPerPositionPercent ? initialCapital * maxCapitalPerPositionPercent / 100 : Infinity;
+    const taken = [];
+    const skipped = [];
+    let open = [];
+    let realizedPnL = 0;
+    let capitalUsed = 0;
+    let maxConcurrentPositions = 0;
+    let peakCapitalUsed = 0;
+
+    for (const trade of ordered) {
+      // Trades closed by this entry's time free their capital first
+      open = open.filter(openTrade => {
+        if (openTrade.exitTime > trade.entryTime) return true;
+        realizedPnL += openTrade.pnl;
+        capitalUsed -= openTrade.capitalRequired;
+        return false;
+      });
+
+      const capitalRequired = trade.entryPrice * trade.quantity * marginPercent / 100;
+      const availableCapital = initialCapital + realizedPnL - capitalUsed;
+      let skipReason = null;
+      if (open.length >= maxPositions) {
+        skipReason = 'MAX_POSITIONS';
+      } else if (capitalRequired > maxCapitalPerPosition) {
+        skipReason = 'POSITION_SIZE_LIMIT';
+      } else if (capitalRequired > availableCapital) {
+        skipReason = 'INSUFFICIENT_CAPITAL';
+      }
+
+      if (skipReason) {
+        skipped.push({ ...trade, capitalRequired, skipReason });
+        continue;
+      }
+
+      const accepted = { ...trade, capitalRequired };
+      open.push(accepted);
+      taken.push(accepted);
+      capitalUsed += capitalRequired;
+      maxConcurrentPositions = Math.max(maxConcurrentPositions, open.length);
+      peakCapitalUsed = Math.max(peakCapitalUsed, capitalUsed);
+    }
+
+    return { taken, skipped, maxConcurrentPositions, peakCapitalUsed };
+  }
+
+  /**
+   * Mark-to-market equity of the taken trades on every candle timestamp of the portfolio
+   * @param {Array} trades - Taken trades
+   * @param {Object} candlesBySymbol - Prepared candles per symbol
+   * @param {number} initialCapital - Starting capital
+   * @returns {Object} { equityCurve, maxDrawdown, maxDrawdownPercent }
+   */
+  static buildEquityCurve(trades, candlesBySymbol, initialCapital) {
+    const closesByTime = new Map();
+    for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+      for (const candle of candles) {
+        if (!closesByTime.has(candle.timestamp)) closesByTime.set(candle.timestamp, []);
+        closesByTime.get(candle.timestamp).push([symbol, candle.close]);
+      }
+    }
+
+    const entries = [...trades].sort((a, b) => a.entryTime - b.entryTime);
+    const lastClose = {};
+    let open = [];
+    let nextEntry = 0;
+    let realizedPnL = 0;
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    const equityCurve = [];
+
+    for (const timestamp of [...closesByTime.keys()].sort((a, b) => a - b)) {
+      closesByTime.get(timestamp).forEach(([symbol, close]) => { lastClose[symbol] = close; });
+
+      while (nextEntry < entries.length && entries[nextEntry].entryTime <= timestamp) {
+        open.push(entries[nextEntry++]);
+      }
+      open = open.filter(trade => {
+        if (trade.exitTime > timestamp) return true;
+        realizedPnL += trade.pnl;
+        return false;
+      });
+
+      const unrealizedPnL = open.reduce((sum, trade) => {
+        const price = lastClose[trade.symbol] ?? trade.entryPrice;
+        return sum + (price - trade.entryPrice) * trade.quantity;
+      }, 0);
+      const equity = initialCapital + realizedPnL + unrealizedPnL;
+      peak = Math.max(peak, equity);
+      const drawdown = peak - equity;
+      maxDrawdown = Math.max(maxDrawdown, drawdown);
+      maxDrawdownPercent = Math.max(maxDrawdownPercent, peak > 0 ? (drawdown / peak) * 100 : 0);
+
+      equityCurve.push({
+        timestamp,
+        equity,
+        realizedPnL,
+        unrealizedPnL,
+        openPositions: open.length,
+        drawdown
+      });
+    }
+
+    return { equityCurve, maxDrawdown, maxDrawdownPercent };
+  }
+
+  /**
+   * Portfolio backtest: the HMA strategy on every symbol, sharing one capital pool
+   * @param {string} userId - User ID
+   * @param {Object} params - { symbols or universe, candlesBySymbol, accessToken (to fetch candles the store is missing),
+   *   startDate, endDate, interval, hmaPeriod, target, stopLoss, targetType, stopLossType,
+   *   quantity, quantityBySymbol, initialCapital, maxPositions, marginPercent, maxCapitalPerPositionPercent,
+   *   filters (higher-timeframe entry filters, see MultiTimeframeService), onProgress (called with (percent, message) before each symbol) }
+   * @returns {Promise<Object>} { success, message, data: { kpis, equityCurve, perSymbol, trades, skippedTrades, errors } }
+   */
+  static async runPortfolioBacktest(userId, params) {
+    const {
+      universe,
+      candlesBySymbol = {},
+      accessToken = null,
+      startDate,
+      endDate,
+      interval,
+      hmaPeriod,
+      target,
+      stopLoss,
+      targetType = 'points',
+      stopLossType = 'points',
+      quantity = 1,
+      quantityBySymbol = {},
+      initialCapital,
+      maxPositions = 5,
+      marginPercent = 100,
+      maxCapitalPerPositionPercent = null
+    } = params;
+
+    try {
+      if (!hmaPeriod || !target || !stopLoss || !(parseFloat(initialCapital) > 0)) {
+        return { success: false, message: 'HMA period, target, stop loss and initial capital are required' };
+      }
+      const fillErrors = [...this.validateFillModel(params), ...this.validateFilters(params.filters, interval)];
+      if (fillErrors.length > 0) {
+        return { success: false, message: fillErrors.join('; ') };
+      }
+      const execution = this.getExecutionSettings(params);
+
+      const symbols = [...new Set(params.symbols || await this.resolveUniverse(universe, userId))];
+      if (symbols.length === 0) {
+        return { success: false, message: 'No symbols to backtest' };
+      }
+      if (symbols.length > MAX_PORTFOLIO_SYMBOLS) {
+        return { success: false, message: `A portfolio backtest supports at most ${MAX_PORTFOLIO_SYMBOLS} symbols (got ${symbols.length})` };
+      }
+
+      console.log(`🧪 Portfolio backtest: ${symbols.length} symbols, capital ${initialCapital}, max ${maxPositions} positions`);
+
+      const prepared = {};
+      const candidates = [];
+      const errors = [];
+      const signalsBySymbol = {};
+
+      for (const [index, symbol] of symbols.entries()) {
+        if (params.onProgress) {
+          await params.onProgress(Math.round((index / symbols.length) * 90), `Backtesting ${symbol} (${index + 1}/${symbols.length})`);
+        }
+        try {
+          let candles = candlesBySymbol[symbol];
+          let filters = [];
+          if (!candles) {
+            const stored = await HistoricalDataService.getBacktestCandles(symbol, {
+              startDate,
+              endDate,
+              interval,
+              prefill: Math.max(parseInt(hmaPeriod), MultiTimeframeService.getPrefillCandles(params.filters, interval))
+            }, accessToken);
+            if (!stored.success) throw new Error(stored.message);
+            filters = MultiTimeframeService.prepareFilters(params.filters, stored.data);
+            candles = filters.length > 0 ? this.trimPrefill(stored.data, startDate, parseInt(hmaPeriod)) : stored.data;
+          } else {
+            filters = MultiTimeframeService.prepareFilters(params.filters, candles);
+          }
+
+          const validData = this.prepareCandles(candles || [], hmaPeriod);
+          if (validData.length < 2) throw new Error('Insufficient data for HMA calculation');
+
+          const symbolQuantity = parseInt(quantityBySymbol[symbol] || quantity);
+          const result = this.executeEnhancedBacktestStrategy(validData, {
+            symbol,
+            quantity: symbolQuantity,
+            hmaPeriod,
+            target: parseFloat(target),
+            stopLoss: parseFloat(stopLoss),
+            targetType,
+            stopLossType,
+            filters,
+            ...execution
+          });
+
+          prepared[symbol] = validData;
+          signalsBySymbol[symbol] = result.trades.length;
+          candidates.push(...result.trades.map(trade => ({ ...trade, symbol })));
+        } catch (error) {
+          LoggerService.warn('BacktestService', `Portfolio backtest skipped ${symbol}: ${error.message}`);
+          errors.push({ symbol, message: error.message });
+        }
+      }
+
+      if (Object.keys(prepared).length === 0) {
+        return { success: false, message: 'No symbol had usable data', data: { errors } };
+      }
+
+      const allocation = this.allocateTrades(candidates, {
+        initialCapital: parseFloat(initialCapital),
+        maxPositions: parseInt(maxPositions),
+        marginPercent: parseFloat(marginPercent),
+        maxCapitalPerPositionPercent: maxCapitalPerPositionPercent ? parseFloat(maxCapitalPerPositionPercent) : null
+      });
+      const { equityCurve, maxDrawdown, maxDrawdownPercent } = this.buildEquityCurve(allocation.taken, prepared, parseFloat(initialCapital));
+      const summary = this.summarizeTrades(allocation.taken);
+      const costSummary = TradingCostService.summarize(allocation.taken);
+      const finalEquity = parseFloat(initialCapital) + summary.totalPnL;
+
+      const perSymbol = Object.keys(prepared).map(symbol => {
+        const symbolSummary = this.summarizeTrades(allocation.taken.filter(t => t.symbol === symbol));
+        return {
+          symbol,
+          candles: prepared[symbol].length,
+          signals: signalsBySymbol[symbol],
+          skippedTrades: allocation.skipped.filter(t => t.symbol === symbol).length,
+          ...symbolSummary,
+          contributionPercent: summary.totalPnL !== 0 ? (symbolSummary.totalPnL / Math.abs(summary.totalPnL)) * 100 : 0
+        };
+      }).sort((a, b) => b.totalPnL - a.totalPnL);
+
+      console.log(`✅ Portfolio backtest: ${allocation.taken.length} trades taken, ${allocation.skipped.length} skipped, PnL: ${summary.totalPnL.toFixed(2)}`);
+
+      return {
+        success: true,
+        message: `Portfolio backtest completed for ${perSymbol.length} symbols`,
+        data: {
+          symbols: Object.keys(prepared),
+          initialCapital: parseFloat(initialCapital),
+          maxPositions: parseInt(maxPositions),
+          marginPercent: parseFloat(marginPercent),
+          hmaPeriod,
+          target,
+          stopLoss,
+          targetType,
+          stopLossType,
+          slippageTicks: execution.slippageTicks,
+          fillModel: execution.fillModel,
+          intrabarPriority: execution.intrabarPriority,
+          kpis: {
+            ...summary,
+            grossPnL: costSummary.grossPnL,
+            totalCharges: costSummary.totalCharges,
+            charges: costSummary.charges,
+            skippedTrades: allocation.skipped.length,
+            finalEquity,
+            returnPercent: (summary.totalPnL / parseFloat(initialCapital)) * 100,
+            // Portfolio drawdown is marked to market; summary.maxDrawdown is on closed trades only
+            maxDrawdown,
+            maxDrawdownPercent,
+            maxConcurrentPositions: allocation.maxConcurrentPositions,
+            peakCapitalUsed: allocation.peakCapitalUsed
+          },
+          equityCurve,
+          perSymbol,
+          trades: allocation.taken.sort((a, b) => a.entryTime - b.entryTime),
+          skippedTrades: allocation.skipped,
+          errors
+        }
+      };
+    } catch (error) {
+      // A background job's cancellation (thrown by onProgress) is the job runner's to handle
+      if (error.message === 'CANCELLED') throw error;
+      LoggerService.error('BacktestService', 'Error running portfolio backtest:', error);
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = { BacktestService };
@@ -0,0 +1,168 @@
+/**
+ * Base Broker Adapter
+ * Broker-neutral interface used by TradeService and the monitoring engine.
+ *
+ * Orders are passed in a broker-neutral shape:
+ *   { symbol, qty, side: 'BUY' | 'SELL', type: 'LIMIT' | 'MARKET' | 'SL-M' | 'SL-L',
+ *     productType, limitPrice, stopPrice, validity, orderTag }
+ * Order statuses are always reported as TradeLog statuses (PENDING, FILLED, REJECTED, ...).
+ * Each adapter translates these to and from its own wire format.
+ */
+class BaseBroker {
+  static ORDER_TYPES = {
+    LIMIT: 'LIMIT',
+    MARKET: 'MARKET',
+    SL_MARKET: 'SL-M',
+    SL_LIMIT: 'SL-L'
+  };
+
+  static SIDES = {
+    BUY: 'BUY',
+    SELL: 'SELL'
+  };
+
+  /**
+   * @param {string} name - Broker name used by the registry (e.g. 'fyers', 'paper')
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Validate a broker-neutral order and fill in defaults
+   * @param {Object} order - Broker-neutral order
+   * @returns {Object} Normalized order
+   */
+  normalizeOrder(order) {
+    const { ORDER_TYPES, SIDES } = BaseBroker;
+
+    if (!order || !order.symbol) {
+      throw new Error('Order symbol is required');
+    }
+    if (!order.qty || order.qty <= 0) {
+      throw new Error(`Invalid order quantity: ${order.qty}`);
+    }
+    if (!Object.values(ORDER_TYPES).includes(order.type)) {
+      throw new Error(`Unsupported order type: ${order.type}`);
+    }
+    if (!Object.values(SIDES).includes(order.side)) {
+      throw new Error(`Invalid order side: ${order.side}`);
+    }
+
+    const isMarket = order.type === ORDER_TYPES.MARKET;
+    const isStop = order.type === ORDER_TYPES.SL_MARKET || order.type === ORDER_TYPES.SL_LIMIT;
+
+    return {
+      ...order,
+      productType: order.productType || 'INTRADAY',
+      limitPrice: isMarket || order.type === ORDER_TYPES.SL_MARKET ? 0 : (order.limitPrice || 0),
+      stopPrice: isStop ? (order.stopPrice || 0) : 0,
+      validity: order.validity || 'DAY',
+      disclosedQty: order.disclosedQty || 0,
+      offlineOrder: order.offlineOrder || false
+    };
+  }
+
+  /**
+   * Whether an order ID was issued by this broker
+   * Used to route cancels/modifies when the caller only has the order ID.
+   * @param {string} orderId - Order ID
+   * @returns {boolean} True if this broker owns the order
+   */
+  ownsOrder(orderId) {
+    return false;
+  }
+
+  /**
+   * Place an order
+   * @param {string} userId - User ID
+   * @param {Object} order - Broker-neutral order
+   * @param {Object} options - Adapter-specific options (e.g. an explicit access token)
+   * @returns {Promise<Object>} { id, status, message, fillPrice }
+   */
+  async placeOrder(userId, order, options = {}) {
+    this.notImplemented('placeOrder');
+  }
+
+  /**
+   * Modify a pending order
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {Object} changes - Any of { qty, type, limitPrice, stopPrice }
+   * @returns {Promise<Object>} { success, orderId, message }
+   */
+  async modifyOrder(userId, orderId, changes) {
+    this.notImplemented('modifyOrder');
+  }
+
+  /**
+   * Cancel a pending order
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { success, orderId, message }
+   */
+  async cancelOrder(userId, orderId) {
+    this.notImplemented('cancelOrder');
+  }
+
+  /**
+   * Get today's orders
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Orders as { id, symbol, side, type, qty, filledQty, limitPrice, stopPrice, tradedPrice, status, message, orderTag, placedAt }
+   */
+  async getOrderBook(userId) {
+    this.notImplemented('getOrderBook');
+  }
+
+  /**
+   * Get today's trades (executions)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Trades as { id, orderId, symbol, side, qty, price, productType, tradedAt }
+   */
+  async getTradeBook(userId) {
+    this.notImplemented('getTradeBook');
+  }
+
+  /**
+   * Get open and closed positions for the day
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Positions as { symbol, netQty, avgPrice, ltp, realizedPnl, unrealizedPnl, productType }
+   */
+  async getPositions(userId) {
+    this.notImplemented('getPositions');
+  }
+
+  /**
+   * Get account funds
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { totalBalance, availableBalance, utilizedAmount }
+   */
+  async getFunds(userId) {
+    this.notImplemented('getFunds');
+  }
+
+  /**
+   * Subscribe to order status updates
+   * @param {string} userId - User ID
+   * @param {Function} onUpdate - Called with { orderId, status, filledQty, tradedPrice, message }
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribeOrders(userId, onUpdate) {
+    this.notImplemented('subscribeOrders');
+  }
+
+  /**
+   * Map a broker order status to a TradeLog status
+   * @param {string|number} status - Broker status
+   * @returns {string} TradeLog status
+   */
+  mapOrderStatus(status) {
+    return status;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.name} broker does not implement ${method}`);
+  }
+}
+
+module.exports = { BaseBroker };
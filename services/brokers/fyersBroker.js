@@ -0,0 +1,369 @@
+/**
+ * Fyers Broker Adapter
+ * Translates broker-neutral orders to the Fyers API v3 format and back.
+ * All Fyers-specific details live here: numeric order type/side codes,
+ * the appId:token access token format, error codes and status codes.
+ */
+const { BaseBroker } = require('./baseBroker');
+const LoggerService = require('../loggerService');
+
+class FyersBroker extends BaseBroker {
+  // Fyers order type codes: 1=Limit, 2=Market, 3=Stop (SL-M), 4=Stoplimit (SL-L)
+  static ORDER_TYPE_CODES = {
+    'LIMIT': 1,
+    'MARKET': 2,
+    'SL-M': 3,
+    'SL-L': 4
+  };
+
+  static SIDE_CODES = {
+    'BUY': 1,
+    'SELL': -1
+  };
+
+  // Fyers status codes: 1=Cancelled, 2=Traded/Filled, 3=For future use, 4=Transit,
+  // 5=Rejected, 6=Pending, 7=Expired, 20-24=order socket acknowledgements
+  static STATUS_CODES = {
+    1: 'CANCELLED',
+    2: 'FILLED',
+    3: 'PENDING',
+    4: 'PENDING',
+    5: 'REJECTED',
+    6: 'PENDING',
+    7: 'CANCELLED',
+    20: 'PENDING', // New Ack
+    21: 'PENDING', // Modify Ack
+    22: 'CANCELLED', // Cancel Ack
+    23: 'REJECTED', // Reject
+    24: 'PENDING' // Cancel Reject - order is still open
+  };
+
+  static STATUS_STRINGS = {
+    'FILLED': 'FILLED',
+    'REJECTED': 'REJECTED',
+    'CANCELLED': 'CANCELLED',
+    'PENDING': 'PENDING',
+    'PARTIALLY_FILLED': 'PARTIALLY_FILLED',
+    'MODIFIED': 'MODIFIED',
+    'TRANSIT': 'PENDING'
+  };
+
+  static ERROR_MESSAGES = {
+    '-392': 'Price should be in multiples of tick size',
+    '-50': 'StopLoss not a multiple of tick size',
+    '-201': 'Insufficient funds',
+    '-202': 'Market closed',
+    '-203': 'Invalid symbol'
+  };
+
+  constructor() {
+    super('fyers');
+  }
+
+  getAppId() {
+    return process.env.FYERS_APP_ID || 'XJFL311ATX-100';
+  }
+
+  /**
+   * Build the appId:token string the Fyers SDK expects
+   * @param {string} token - Raw access token (or an already formatted appId:token)
+   * @returns {string} Formatted access token
+   */
+  formatAccessToken(token) {
+    return token.includes(':') ? token : `${this.getAppId()}:${token}`;
+  }
+
+  /**
+   * Get the formatted access token for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} appId:token
+   */
+  async getAccessToken(userId) {
+    const User = require('../../models/User');
+    const user = await User.findById(userId);
+    if (!user || !user.fyers || !user.fyers.accessToken) {
+      throw new Error('No valid Fyers access token found');
+    }
+    return this.formatAccessToken(user.fyers.accessToken);
+  }
+
+  /**
+   * Create an authenticated Fyers API client
+   * @param {string} userId - User ID
+   * @param {string} accessToken - Optional explicit access token
+   * @returns {Promise<Object>} fyersModel instance
+   */
+  async createClient(userId, accessToken = null) {
+    const fullAccessToken = accessToken ? this.formatAccessToken(accessToken) : await this.getAccessToken(userId);
+    const [appId, token] = fullAccessToken.split(':');
+
+    if (!appId || !token) {
+      throw new Error('Invalid access token format - expected appId:token');
+    }
+
+    const FyersAPI = require('fyers-api-v3').fyersModel;
+    const fyers = new FyersAPI();
+    fyers.setAppId(appId);
+    fyers.setAccessToken(token);
+    return fyers;
+  }
+
+  /**
+   * Convert a broker-neutral order to a Fyers order payload
+   * @param {Object} order - Normalized order
+   * @returns {Object} Fyers order payload
+   */
+  toFyersOrder(order) {
+    const payload = {
+      symbol: order.symbol,
+      qty: order.qty,
+      type: FyersBroker.ORDER_TYPE_CODES[order.type],
+      side: FyersBroker.SIDE_CODES[order.side],
+      productType: order.productType,
+      limitPrice: order.limitPrice,
+      stopPrice: order.stopPrice,
+      disclosedQty: order.disclosedQty,
+      validity: order.validity,
+      offlineOrder: order.offlineOrder,
+      stopLoss: 0,
+      takeProfit: 0
+    };
+
+    // Fyers only accepts alphanumeric tags of up to 30 characters
+    if (order.orderTag) {
+      payload.orderTag = order.orderTag;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Convert a Fyers order book entry to the broker-neutral shape
+   * @param {Object} raw - Fyers order
+   * @returns {Object} Broker-neutral order
+   */
+  fromFyersOrder(raw) {
+    const typeName = Object.keys(FyersBroker.ORDER_TYPE_CODES).find(key => FyersBroker.ORDER_TYPE_CODES[key] === raw.type);
+    let status = this.mapOrderStatus(raw.status);
+    if (status === 'PENDING' && raw.filledQty > 0 && raw.filledQty < raw.qty) {
+      status = 'PARTIALLY_FILLED';
+    }
+
+    return {
+      id: raw.id,
+      symbol: raw.symbol,
+      side: raw.side === 1 ? 'BUY' : 'SELL',
+      type: typeName || raw.type,
+      qty: raw.qty,
+      filledQty: raw.filledQty || 0,
+      limitPrice: raw.limitPrice || 0,
+      stopPrice: raw.stopPrice || 0,
+      tradedPrice: raw.tradedPrice || 0,
+      productType: raw.productType,
+      status,
+      message: raw.message || '',
+      orderTag: raw.orderTag,
+      placedAt: raw.orderDateTime
+    };
+  }
+
+  /**
+   * Convert a Fyers net position (REST or position socket) to the broker-neutral shape
+   * @param {Object} raw - Fyers position
+   * @returns {Object} Broker-neutral position
+   */
+  fromFyersPosition(raw) {
+    return {
+      symbol: raw.symbol,
+      netQty: raw.netQty,
+      avgPrice: raw.netAvg || raw.avgPrice || 0,
+      ltp: raw.ltp || 0,
+      realizedPnl: raw.realized_profit || 0,
+      unrealizedPnl: raw.unrealized_profit || 0,
+      productType: raw.productType
+    };
+  }
+
+  /**
+   * Turn a Fyers SDK/API failure into an Error with a readable message
+   * @param {Error|Object} error - Error thrown by the SDK or axios
+   * @returns {Error} Mapped error
+   */
+  toBrokerError(error) {
+    // The SDK rejects with the Fyers error body ({ s: 'error', code, message }) rather than an Error
+    const errorData = error?.response?.data || (error?.s === 'error' ? error : null);
+    if (errorData) {
+      const known = FyersBroker.ERROR_MESSAGES[String(errorData.code)];
+      return new Error(known || `Fyers API error (${errorData.code}): ${errorData.message || 'Unknown error'}`);
+    }
+    if (error?.code === 'ECONNABORTED') {
+      return new Error('Request timeout - please try again');
+    }
+    if (error instanceof Error && error.message.startsWith('Fyers API error')) {
+      return error;
+    }
+    return new Error(`Network error: ${error?.message || JSON.stringify(error)}`);
+  }
+
+  async placeOrder(userId, order, options = {}) {
+    const normalized = this.normalizeOrder(order);
+    const payload = this.toFyersOrder(normalized);
+
+    try {
+      console.log(`🚀 [FYERS API] Placing order:`, payload);
+      const fyers = await this.createClient(userId, options.accessToken);
+      const response = await fyers.place_order(payload);
+      console.log(`📡 [FYERS API] Response:`, response);
+
+      if (response.s !== 'ok') {
+        throw new Error(`Fyers API error: ${response.message || JSON.stringify(response)}`);
+      }
+
+      return {
+        id: response.id,
+        status: response.s,
+        message: response.message
+      };
+    } catch (error) {
+      console.error('[FyersBroker] Fyers order placement failed:', error);
+      throw this.toBrokerError(error);
+    }
+  }
+
+  async modifyOrder(userId, orderId, changes) {
+    const payload = { id: orderId };
+    if (changes.qty !== undefined) payload.qty = changes.qty;
+    if (changes.type !== undefined) payload.type = FyersBroker.ORDER_TYPE_CODES[changes.type];
+    if (changes.limitPrice !== undefined) payload.limitPrice = changes.limitPrice;
+    if (changes.stopPrice !== undefined) payload.stopPrice = changes.stopPrice;
+
+    try {
+      const fyers = await this.createClient(userId);
+      const response = await fyers.modify_order(payload);
+
+      if (response.s !== 'ok') {
+        return { success: false, orderId, message: response.message || 'Order modification failed' };
+      }
+      return { success: true, orderId: response.id || orderId, message: response.message };
+    } catch (error) {
+      LoggerService.error('FyersBroker', `Error modifying order ${orderId}:`, error);
+      return { success: false, orderId, message: this.toBrokerError(error).message };
+    }
+  }
+
+  async cancelOrder(userId, orderId) {
+    try {
+      const fyers = await this.createClient(userId);
+      const response = await fyers.cancel_order({ id: orderId });
+
+      if (response.s !== 'ok') {
+        return { success: false, orderId, message: response.message || 'Order cancellation failed' };
+      }
+      return { success: true, orderId, message: response.message };
+    } catch (error) {
+      LoggerService.error('FyersBroker', `Error cancelling order ${orderId}:`, error);
+      return { success: false, orderId, message: this.toBrokerError(error).message };
+    }
+  }
+
+  async getOrderBook(userId) {
+    try {
+      const fyers = await this.createClient(userId);
+      const response = await fyers.get_orders();
+      if (response.s !== 'ok') {
+        throw new Error(`Fyers API error: ${response.message || JSON.stringify(response)}`);
+      }
+      return (response.orderBook || []).map(order => this.fromFyersOrder(order));
+    } catch (error) {
+      throw this.toBrokerError(error);
+    }
+  }
+
+  async getTradeBook(userId) {
+    try {
+      const fyers = await this.createClient(userId);
+      const response = await fyers.get_tradebook();
+      if (response.s !== 'ok') {
+        throw new Error(`Fyers API error: ${response.message || JSON.stringify(response)}`);
+      }
+      return (response.tradeBook || []).map(trade => ({
+        id: trade.tradeNumber,
+        orderId: trade.orderNumber,
+        symbol: trade.symbol,
+        side: trade.side === 1 ? 'BUY' : 'SELL',
+        qty: trade.tradedQty,
+        price: trade.tradePrice,
+        productType: trade.productType,
+        tradedAt: trade.orderDateTime
+      }));
+    } catch (error) {
+      throw this.toBrokerError(error);
+    }
+  }
+
+  async getPositions(userId) {
+    try {
+      const fyers = await this.createClient(userId);
+      const response = await fyers.get_positions();
+      if (response.s !== 'ok') {
+        throw new Error(`Fyers API error: ${response.message || JSON.stringify(response)}`);
+      }
+      return (response.netPositions || []).map(position => this.fromFyersPosition(position));
+    } catch (error) {
+      throw this.toBrokerError(error);
+    }
+  }
+
+  async getFunds(userId) {
+    try {
+      const fyers = await this.createClient(userId);
+      const response = await fyers.get_funds();
+      if (response.s !== 'ok') {
+        throw new Error(`Fyers API error: ${response.message || JSON.stringify(response)}`);
+      }
+
+      const fundLimits = response.fund_limit || [];
+      const amountFor = (title) => {
+        const entry = fundLimits.find(f => f.title === title);
+        return entry ? entry.equityAmount || 0 : 0;
+      };
+
+      return {
+        totalBalance: amountFor('Total Balance'),
+        availableBalance: amountFor('Available Balance'),
+        utilizedAmount: amountFor('Utilized Amount'),
+        raw: fundLimits
+      };
+    } catch (error) {
+      throw this.toBrokerError(error);
+    }
+  }
+
+  async subscribeOrders(userId, onUpdate) {
+    const { fyersWebSocketService } = require('../fyersWebSocketService');
+
+    if (!fyersWebSocketService.isConnected) {
+      const User = require('../../models/User');
+      const user = await User.findById(userId);
+      if (user?.fyers?.accessToken) {
+        fyersWebSocketService.connectWithToken(user.fyers.accessToken);
+      } else {
+        LoggerService.warn('FyersBroker', `No Fyers token for user ${userId} - order updates will arrive once the socket connects`);
+      }
+    }
+
+    return fyersWebSocketService.addOrderListener(onUpdate);
+  }
+
+  mapOrderStatus(status) {
+    if (typeof status === 'number') {
+      return FyersBroker.STATUS_CODES[status] || 'PENDING';
+    }
+    if (typeof status === 'string' && /^\d+$/.test(status)) {
+      return FyersBroker.STATUS_CODES[parseInt(status, 10)] || 'PENDING';
+    }
+    return FyersBroker.STATUS_STRINGS[status] || 'PENDING';
+  }
+}
+
+module.exports = { FyersBroker };
@@ -0,0 +1,74 @@
+/**
+ * Broker Registry
+ * Resolves which broker adapter handles an order. LIVE trading uses the broker
+ * named by the BROKER environment variable (Fyers by default); PAPER trading
+ * always uses the simulated paper broker.
+ */
+const { BaseBroker } = require('./baseBroker');
+const { FyersBroker } = require('./fyersBroker');
+const { PaperBroker } = require('./paperBroker');
+
+class BrokerRegistry {
+  static brokers = new Map();
+
+  /**
+   * Register a broker adapter (replaces any adapter with the same name)
+   * @param {BaseBroker} broker - Broker adapter instance
+   */
+  static register(broker) {
+    if (!(broker instanceof BaseBroker)) {
+      throw new Error('Broker adapters must extend BaseBroker');
+    }
+    this.brokers.set(broker.name, broker);
+  }
+
+  /**
+   * Get a broker adapter by name
+   * @param {string} name - Broker name
+   * @returns {BaseBroker} Broker adapter
+   */
+  static getBroker(name) {
+    const broker = this.brokers.get(name);
+    if (!broker) {
+      throw new Error(`Unknown broker: ${name}`);
+    }
+    return broker;
+  }
+
+  /**
+   * Get the broker used for live trading
+   * @returns {BaseBroker} Broker adapter
+   */
+  static getLiveBroker() {
+    return this.getBroker(process.env.BROKER || 'fyers');
+  }
+
+  /**
+   * Get the broker for a trading mode
+   * @param {string} tradingMode - 'LIVE' or 'PAPER'
+   * @returns {BaseBroker} Broker adapter
+   */
+  static getBrokerForMode(tradingMode) {
+    return tradingMode === 'PAPER' ? this.getBroker('paper') : this.getLiveBroker();
+  }
+
+  /**
+   * Get the broker that issued an order ID, falling back to the live broker
+   * Paper brokers recognise their IDs by prefix, so a paper order never reaches the live account.
+   * @param {string} orderId - Order ID
+   * @returns {BaseBroker} Broker adapter
+   */
+  static getBrokerForOrder(orderId) {
+    for (const broker of this.brokers.values()) {
+      if (broker.ownsOrder(orderId)) {
+        return broker;
+      }
+    }
+    return this.getLiveBroker();
+  }
+}
+
+BrokerRegistry.register(new FyersBroker());
+BrokerRegistry.register(new PaperBroker());
+
+module.exports = { BrokerRegistry, BaseBroker, FyersBroker, PaperBroker };
@@ -0,0 +1,83 @@
+/**
+ * Paper Broker Adapter
+ * Exposes the simulated order book in PaperBrokerService through the broker interface.
+ */
+const { BaseBroker } = require('./baseBroker');
+const { PaperBrokerService } = require('../paperBrokerService');
+
+class PaperBroker extends BaseBroker {
+  constructor() {
+    super('paper');
+  }
+
+  ownsOrder(orderId) {
+    return PaperBrokerService.isPaperOrder(orderId);
+  }
+
+  async placeOrder(userId, order, options = {}) {
+    return PaperBrokerService.placeOrder(this.normalizeOrder(order), userId);
+  }
+
+  async modifyOrder(userId, orderId, changes) {
+    return PaperBrokerService.modifyOrder(orderId, changes);
+  }
+
+  async cancelOrder(userId, orderId) {
+    return PaperBrokerService.cancelOrder(orderId);
+  }
+
+  async getOrderBook(userId) {
+    return PaperBrokerService.getOrders(userId).map(order => ({
+      id: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      qty: order.qty,
+      filledQty: order.status === 'FILLED' ? order.qty : 0,
+      limitPrice: order.limitPrice,
+      stopPrice: order.stopPrice,
+      tradedPrice: order.fillPrice || 0,
+      productType: order.productType,
+      status: order.status,
+      message: '',
+      orderTag: order.orderTag,
+      placedAt: order.placedAt
+    }));
+  }
+
+  async getTradeBook(userId) {
+    // Paper orders fill in one go, so each filled order is a single trade
+    return PaperBrokerService.getOrders(userId)
+      .filter(order => order.status === 'FILLED')
+      .map(order => ({
+        id: `${order.id}-T1`,
+        orderId: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        qty: order.qty,
+        price: order.fillPrice,
+        productType: order.productType,
+        tradedAt: order.filledAt
+      }));
+  }
+
+  async getPositions(userId) {
+    return PaperBrokerService.getPositions(userId);
+  }
+
+  async getFunds(userId) {
+    return PaperBrokerService.getFunds(userId);
+  }
+
+  async subscribeOrders(userId, onUpdate) {
+    const listener = (update) => {
+      if (update.userId === userId.toString()) {
+        onUpdate(update);
+      }
+    };
+    PaperBrokerService.events.on('order', listener);
+    return () => PaperBrokerService.events.off('order', listener);
+  }
+}
+
+module.exports = { PaperBroker };
@@ -0,0 +1,517 @@
+/**
+ * Candle Aggregator Service
+ * Builds OHLCV bars in process from the live quotes MarketService fetches, so indicators can
+ * update as each bar closes instead of re-fetching history from Fyers, and keeps them:
+ * - every symbol of the quote feed (MarketService.getFeedSymbols) is aggregated at RESOLUTIONS
+ *   (LIVE_CANDLE_RESOLUTIONS, minutes, default 1 and 5); streaming indicators track their own
+ *   symbol/interval too (HMAService.getStreamingHMA seeds its series from Fyers history)
+ * - closed bars are persisted to IntradayCandle, and bars of today's session the server missed
+ *   (restarts, polling pauses) are backfilled from Fyers history when a series starts
+ * Bars are aligned to the 09:15 IST session open like StrategyService.getCandleStart; quotes
+ * outside the 09:15-15:30 IST session are ignored, and quote volume (cumulative for the day)
+ * is turned into per-bar volume.
+ */
+const IntradayCandle = require('../models/IntradayCandle');
+const { StrategyService } = require('./strategyService');
+const LoggerService = require('./loggerService');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_OPEN_IST_MS = (9 * 60 + 15) * 60 * 1000;
+const SESSION_CLOSE_IST_MS = (15 * 60 + 30) * 60 * 1000;
+
+class CandleAggregatorService {
+  static series = new Map(); // `${symbol}|${interval}` -> { symbol, interval, bars, forming, owners, ... }
+  static symbolIntervals = new Map(); // symbol -> Set of tracked intervals
+  static pendingBars = []; // Closed bars not yet persisted: { symbol, interval, bar }
+  static RESOLUTIONS = (process.env.LIVE_CANDLE_RESOLUTIONS || '1,5')
+    .split(',')
+    .map(resolution => resolution.trim())
+    .filter(resolution => /^\d+$/.test(resolution) && Number(resolution) > 0 && Number(resolution) <= 375);
+  static MAX_BARS = 500;
+  static MAX_PENDING_BARS = 20000; // Oldest unsaved bars are dropped while MongoDB is unreachable
+  static MAX_QUERY_BARS = 5000;
+  // A series without a tick for this long is not being fed (polling stopped, market closed)
+  static STALE_MS = 2 * 60 * 1000;
+  static FLUSH_INTERVAL = 15 * 1000;
+  static SYNC_INTERVAL = 60 * 1000;
+  static timer = null;
+  static isRunning = false;
+  static isBusy = false;
+  static lastSyncAt = 0;
+
+  static getKey(symbol, interval) {
+    return `${symbol}|${interval}`;
+  }
+
+  /**
+   * Start aggregating a symbol at an interval
+   * @param {string} symbol - Fyers symbol
+   * @param {string} interval - Bar size in minutes
+   * @param {string} owner - Who needs the series: 'FEED' (quote feed) or a streaming indicator
+   * @returns {Object} Series
+   */
+  static track(symbol, interval, owner = 'FEED') {
+    interval = String(interval);
+    const key = this.getKey(symbol, interval);
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        symbol,
+        interval,
+        minutes: Number(interval),
+        bars: [],
+        forming: null,
+        owners: new Set(),
+        version: 0,
+        seededAt: null,
+        backfilledAt: null,
+        lastTickAt: null,
+        lastVolume: null
+      });
+      if (!this.symbolIntervals.has(symbol)) this.symbolIntervals.set(symbol, new Set());
+      this.symbolIntervals.get(symbol).add(interval);
+    }
+    const series = this.series.get(key);
+    series.owners.add(owner);
+    return series;
+  }
+
+  /**
+   * Stop aggregating a symbol at an interval for one owner; the series goes when nobody needs it
+   * @param {string} symbol - Fyers symbol
+   * @param {string} interval - Bar size in minutes
+   * @param {string} owner - Owner passed to track
+   */
+  static untrack(symbol, interval, owner = 'FEED') {
+    interval = String(interval);
+    const key = this.getKey(symbol, interval);
+    const series = this.series.get(key);
+    if (!series) return;
+
+    series.owners.delete(owner);
+    if (series.owners.size > 0) return;
+
+    // The forming bar is kept like a closed one: it holds the ticks seen so far
+    if (series.forming) this.pendingBars.push({ symbol, interval, bar: series.forming });
+    this.series.delete(key);
+    const intervals = this.symbolIntervals.get(symbol);
+    if (intervals) {
+      intervals.delete(interval);
+      if (intervals.size === 0) this.symbolIntervals.delete(symbol);
+    }
+  }
+
+  /**
+   * Replace a series' bars with history; a bar still forming at `now` becomes the forming bar
+   * @param {string} symbol - Fyers symbol
+   * @param {string} interval - Bar size in minutes
+   * @param {Array} candles - Historical candles in time order
+   * @param {string} owner - Owner of the series (see track)
+   * @param {Date} now - Current time
+   * @returns {Object} Series
+   */
+  static seed(symbol, interval, candles, owner, now = new Date()) {
+    const series = this.track(symbol, interval, owner);
+    const barMs = series.minutes * 60 * 1000;
+    const bars = candles.map(candle => ({
+      timestamp: candle.timestamp,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume || 0
+    }));
+
+    const last = bars[bars.length - 1];
+    series.forming = last && last.timestamp + barMs > now.getTime() ? bars.pop() : null;
+    series.bars = bars.slice(-this.MAX_BARS);
+    series.version++;
+    series.seededAt = now.getTime();
+
+    LoggerService.debug('CandleAggregatorService', `Seeded ${symbol} ${interval}m with ${series.bars.length} bars`);
+    return series;
+  }
+
+  /**
+   * Feed quotes into every series tracking their symbols
+   * @param {Array<Object>} quotes - Quotes as { symbol, ltp, volume, timestamp }
+   */
+  static ingestQuotes(quotes) {
+    if (this.series.size === 0 || !Array.isArray(quotes)) return;
+
+    for (const quote of quotes) {
+      try {
+        this.ingestTick(quote.symbol, quote.ltp, quote.volume, quote.timestamp || Date.now());
+      } catch (error) {
+        LoggerService.error('CandleAggregatorService', `Error aggregating tick for ${quote.symbol}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Add one tick to every series tracking its symbol
+   * @param {string} symbol - Fyers symbol
+   * @param {number} price - Last traded price
+   * @param {number} cumulativeVolume - Day volume so far (0 for indices)
+   * @param {number} time - Tick time (UTC ms)
+   */
+  static ingestTick(symbol, price, cumulativeVolume, time) {
+    const intervals = this.symbolIntervals.get(symbol);
+    if (!intervals || !(price > 0)) return;
+
+    // Pre-open and post-close quotes would start bars Fyers history does not have
+    const istDayTime = (time + IST_OFFSET_MS) % DAY_MS;
+    if (istDayTime < SESSION_OPEN_IST_MS || istDayTime >= SESSION_CLOSE_IST_MS) return;
+
+    for (const interval of intervals) {
+      const series = this.series.get(this.getKey(symbol, interval));
+      const volume = Number(cumulativeVolume) || 0;
+      // Day volume restarts at the session open
+      const volumeDelta = series.lastVolume !== null && volume >= series.lastVolume ? volume - series.lastVolume : 0;
+      series.lastVolume = volume;
+      series.lastTickAt = time;
+
+      this.rollover(series, time);
+      const start = StrategyService.getCandleStart(new Date(time), series.minutes).getTime();
+      const last = series.bars[series.bars.length - 1];
+      // A late tick for a bar that already closed is dropped
+      if (last && start <= last.timestamp) continue;
+
+      if (!series.forming) {
+        series.forming = { timestamp: start, open: price, high: price, low: price, close: price, volume: volumeDelta };
+      } else {
+        series.forming.high = Math.max(series.forming.high, price);
+        series.forming.low = Math.min(series.forming.low, price);
+        series.forming.close = price;
+        series.forming.volume += volumeDelta;
+      }
+    }
+  }
+
+  /**
+   * Close the forming bar once its time is up and queue it for persisting
+   * @param {Object} series - Series
+   * @param {number} time - Current time (UTC ms)
+   */
+  static rollover(series, time) {
+    const barMs = series.minutes * 60 * 1000;
+    if (series.forming && series.forming.timestamp + barMs <= time) {
+      series.bars.push(series.forming);
+      this.pendingBars.push({ symbol: series.symbol, interval: series.interval, bar: series.forming });
+      series.forming = null;
+      if (series.bars.length > this.MAX_BARS) series.bars.shift();
+    }
+  }
+
+  /**
+   * Closed bars and the forming bar of a series
+   * @param {string} symbol - Fyers symbol
+   * @param {string} interval - Bar size in minutes
+   * @param {Date} now - Current time
+   * @returns {Object|null} { bars, forming, version, isLive } or null when not tracked
+   */
+  static getBars(symbol, interval, now = new Date()) {
+    const series = this.series.get(this.getKey(symbol, String(interval)));
+    if (!series) return null;
+
+    this.rollover(series, now.getTime());
+    return {
+      bars: series.bars,
+      forming: series.forming,
+      version: series.version,
+      isLive: this.isLive(series, now)
+    };
+  }
+
+  /**
+   * Whether ticks are arriving for a series
+   * @param {Object} series - Series
+   * @param {Date} now - Current time
+   * @returns {boolean} True when the last tick is recent
+   */
+  static isLive(series, now = new Date()) {
+    return series.lastTickAt !== null && now.getTime() - series.lastTickAt < this.STALE_MS;
+  }
+
+  /**
+   * Whether a series needs history from Fyers: never seeded, or not fed by ticks and
+   * not seeded since the current bar started (so missed bars are fetched at most once a bar)
+   * @param {string} symbol - Fyers symbol
+   * @param {string} interval - Bar size in minutes
+   * @param {Date} now - Current time
+   * @returns {boolean} True when the series should be seeded
+   */
+  static needsBackfill(symbol, interval, now = new Date()) {
+    const series = this.series.get(this.getKey(symbol, String(interval)));
+    if (!series || series.seededAt === null) return true;
+    if (this.isLive(series, now)) return false;
+    return series.seededAt < StrategyService.getCandleStart(now, series.minutes).getTime();
+  }
+
+  /**
+   * Persist the closed bars queued by rollover
+   * @returns {Promise<number>} Bars written
+   */
+  static async flush() {
+    if (this.pendingBars.length === 0) return 0;
+
+    const batch = this.pendingBars.splice(0, this.pendingBars.length);
+    try {
+      await IntradayCandle.bulkWrite(batch.map(({ symbol, interval, bar }) => ({
+        updateOne: {
+          filter: { symbol, resolution: interval, timestamp: new Date(bar.timestamp) },
+          update: {
+            $set: {
+              open: bar.open,
+              high: bar.high,
+              low: bar.low,
+              close: bar.close,
+              volume: bar.volume,
+              source: 'TICKS'
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+      return batch.length;
+    } catch (error) {
+      // Kept for the next flush; the oldest go first if MongoDB stays away
+      this.pendingBars = [...batch, ...this.pendingBars].slice(-this.MAX_PENDING_BARS);
+      LoggerService.error('CandleAggregatorService', `Error saving ${batch.length} intraday bars:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Fill today's session bars the store is missing from Fyers history (bars built from ticks are kept)
+   * @param {string} symbol - Fyers symbol
+   * @param {string} interval - Bar size in minutes
+   * @param {string} accessToken - Fyers access token (appId:token)
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Bars inserted
+   */
+  static async backfill(symbol, interval, accessToken, now = new Date()) {
+    const barMs = Number(interval) * 60 * 1000;
+    const dayStart = Math.floor((now.getTime() + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+    const from = dayStart + SESSION_OPEN_IST_MS;
+    // Only bars that have closed
+    const to = Math.min(StrategyService.getCandleStart(now, Number(interval)).getTime(), dayStart + SESSION_CLOSE_IST_MS);
+    if (to <= from) return 0;
+
+    const stored = await IntradayCandle.countDocuments({
+      symbol,
+      resolution: interval,
+      timestamp: { $gte: new Date(from), $lt: new Date(to) }
+    });
+    if (stored >= Math.floor((to - from) / barMs)) return 0;
+
+    // HMAService requires this service
+    const { HMAService } = require('./hmaService');
+    const candles = (await HMAService.fetchHistoricalData(symbol, accessToken, {
+      startDate: new Date(from),
+      endDate: new Date(to),
+      interval
+    })).filter(candle => candle.timestamp >= from && candle.timestamp < to);
+    if (candles.length === 0) return 0;
+
+    const result = await IntradayCandle.bulkWrite(candles.map(candle => ({
+      updateOne: {
+        filter: { symbol, resolution: interval, timestamp: new Date(candle.timestamp) },
+        update: {
+          $setOnInsert: {
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: Number.isFinite(candle.volume) ? candle.volume : 0,
+            source: 'FYERS'
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const inserted = result.upsertedCount || 0;
+    if (inserted > 0) {
+      LoggerService.info('CandleAggregatorService', `Backfilled ${inserted} ${interval}m bars of ${symbol} from Fyers`);
+    }
+    return inserted;
+  }
+
+  /**
+   * Fyers access token (appId:token) of any connected user, for backfills
+   * @returns {Promise<string|null>} Access token
+   */
+  static async getFeedAccessToken() {
+    const User = require('../models/User');
+    const user = await User.findOne({
+      'fyers.connected': true,
+      'fyers.accessToken': { $exists: true, $ne: null }
+    });
+    if (!user) return null;
+
+    const { BrokerRegistry } = require('./brokers');
+    return BrokerRegistry.getBroker('fyers').formatAccessToken(user.fyers.accessToken);
+  }
+
+  /**
+   * Track the quote feed's symbols at RESOLUTIONS, drop the ones that left it, and backfill
+   * series not backfilled yet
+   * @param {Date} now - Current time
+   */
+  static async syncFeedSymbols(now = new Date()) {
+    // MarketService requires this service
+    const { MarketService } = require('./marketService');
+    // Quotes come back keyed by Fyers symbol; other symbols never match a tick
+    const symbols = new Set((await MarketService.getFeedSymbols()).filter(symbol => symbol.includes(':')));
+
+    for (const series of Array.from(this.series.values())) {
+      if (series.owners.has('FEED') && !symbols.has(series.symbol)) {
+        this.untrack(series.symbol, series.interval, 'FEED');
+      }
+    }
+    for (const symbol of symbols) {
+      for (const resolution of this.RESOLUTIONS) {
+        this.track(symbol, resolution, 'FEED');
+      }
+    }
+
+    const toBackfill = Array.from(this.series.values()).filter(series => series.owners.has('FEED') && series.backfilledAt === null);
+    if (toBackfill.length === 0) return;
+
+    const accessToken = await this.getFeedAccessToken();
+    if (!accessToken) {
+      LoggerService.debug('CandleAggregatorService', `No Fyers token to backfill ${toBackfill.length} series`);
+      return;
+    }
+    for (const series of toBackfill) {
+      try {
+        await this.backfill(series.symbol, series.interval, accessToken, now);
+        series.backfilledAt = now.getTime();
+      } catch (error) {
+        LoggerService.error('CandleAggregatorService', `Error backfilling ${series.symbol} (${series.interval}m):`, error);
+      }
+    }
+  }
+
+  /**
+   * Intraday bars of a symbol: persisted bars, closed bars not saved yet and the forming bar
+   * @param {string} symbol - Fyers symbol
+   * @param {string} resolution - Bar size in minutes
+   * @param {Object} options - { from, to (UTC ms, `to` exclusive; default today's session up to now), limit (latest bars) }
+   * @returns {Promise<Object>} { success, message, data: { symbol, resolution, candles, forming } }
+   */
+  static async getCandles(symbol, resolution, { from = null, to = null, limit = 375 } = {}) {
+    resolution = String(resolution);
+    const now = Date.now();
+    const end = to === null ? now : to;
+    const start = from === null ? Math.floor((end + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS : from;
+    const max = Math.min(Math.max(parseInt(limit, 10) || 375, 1), this.MAX_QUERY_BARS);
+
+    if (!symbol || typeof symbol !== 'string') return { success: false, message: 'Symbol is required' };
+    if (!/^\d+$/.test(resolution) || Number(resolution) <= 0) {
+      return { success: false, message: `Invalid resolution: ${resolution}` };
+    }
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+      return { success: false, message: 'Valid from and to are required, from before to' };
+    }
+
+    const docs = await IntradayCandle.find({
+      symbol,
+      resolution,
+      timestamp: { $gte: new Date(start), $lt: new Date(end) }
+    }).sort({ timestamp: -1 }).limit(max).lean();
+
+    const byTime = new Map(docs.map(doc => [doc.timestamp.getTime(), {
+      timestamp: doc.timestamp.getTime(),
+      open: doc.open,
+      high: doc.high,
+      low: doc.low,
+      close: doc.close,
+      volume: doc.volume,
+      source: doc.source
+    }]));
+    for (const pending of this.pendingBars) {
+      if (pending.symbol === symbol && pending.interval === resolution && pending.bar.timestamp >= start && pending.bar.timestamp < end) {
+        byTime.set(pending.bar.timestamp, { ...pending.bar, source: 'TICKS' });
+      }
+    }
+
+    const candles = Array.from(byTime.values()).sort((a, b) => a.timestamp - b.timestamp).slice(-max);
+    const live = this.getBars(symbol, resolution, new Date(now));
+    const forming = live?.forming && live.forming.timestamp >= start && live.forming.timestamp < end ? { ...live.forming } : null;
+
+    return {
+      success: true,
+      message: `${candles.length} ${resolution}m bars of ${symbol}`,
+      data: { symbol, resolution, candles, forming }
+    };
+  }
+
+  /**
+   * Start closing, persisting and syncing bars
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('🔄 Candle aggregator is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.timer = setInterval(async () => {
+      // Skip this tick while a backfill is still waiting on Fyers
+      if (this.isBusy) return;
+      this.isBusy = true;
+      try {
+        const now = new Date();
+        // Bars whose time is up close even when no tick arrives after them
+        for (const series of this.series.values()) this.rollover(series, now.getTime());
+        await this.flush();
+
+        if (now.getTime() - this.lastSyncAt >= this.SYNC_INTERVAL) {
+          this.lastSyncAt = now.getTime();
+          await this.syncFeedSymbols(now);
+        }
+      } catch (error) {
+        LoggerService.error('CandleAggregatorService', 'Error in candle aggregator cycle:', error);
+      } finally {
+        this.isBusy = false;
+      }
+    }, this.FLUSH_INTERVAL);
+
+    console.log(`🕯️ Candle aggregator started (${this.RESOLUTIONS.join(', ')} minute bars)`);
+  }
+
+  /**
+   * Stop the aggregator, saving the bars closed so far
+   * @returns {Promise<number>} Bars written by the final flush
+   */
+  static async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.isRunning = false;
+    console.log('🛑 Candle aggregator stopped');
+    return this.flush();
+  }
+
+  /**
+   * Tracked series, for monitoring
+   * @returns {Array<Object>} { symbol, interval, owners, bars, forming, lastTickAt, seededAt, backfilledAt }
+   */
+  static getStatus() {
+    return Array.from(this.series.values()).map(series => ({
+      symbol: series.symbol,
+      interval: series.interval,
+      owners: Array.from(series.owners),
+      bars: series.bars.length,
+      forming: series.forming,
+      lastTickAt: series.lastTickAt ? new Date(series.lastTickAt) : null,
+      seededAt: series.seededAt ? new Date(series.seededAt) : null,
+      backfilledAt: series.backfilledAt ? new Date(series.backfilledAt) : null
+    }));
+  }
+}
+
+module.exports = { CandleAggregatorService };
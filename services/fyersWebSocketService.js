@@ -1,6 +1,7 @@
 const FyersOrderSocket = require("fyers-api-v3").fyersOrderSocket;
 const User = require('../models/User');
 const LoggerService = require('./loggerService');
+const { BrokerRegistry } = require('./brokers');
 
 class FyersWebSocketService {
   constructor() {
@@ -13,6 +14,7 @@ class FyersWebSocketService {
     this.shouldReconnect = true; // Flag to control reconnection
     this.isConnecting = false; // Prevent multiple simultaneous connections
     this.connectionPromise = null; // Track ongoing connection attempts
+    this.orderListeners = new Set(); // Broker adapter subscribers (see FyersBroker.subscribeOrders)
   }
 
   /**
@@ -112,13 +114,7 @@ class FyersWebSocketService {
       LoggerService.info('FyersWebSocketService', 'Creating new Fyers WebSocket connection...');
       
       // Ensure token is in correct format (appId:accessToken)
-      let formattedToken = accessToken;
-      if (!accessToken.includes(':')) {
-        // If token doesn't contain ':', add the app ID
-        const appId = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-        formattedToken = `${appId}:${accessToken}`;
-        LoggerService.info('FyersWebSocketService', `Formatted token with app ID: ${appId}`);
-      }
+      const formattedToken = BrokerRegistry.getBroker('fyers').formatAccessToken(accessToken);
       
       this.fyersOrderSocket = new FyersOrderSocket(formattedToken);
 
@@ -391,6 +387,7 @@ class FyersWebSocketService {
   async processOrderStatusUpdates(orders) {
     try {
       const { MonitoringService } = require('./monitoringService');
+      const { LedgerService } = require('./ledgerService');
       const TradingState = require('../models/TradingState');
       const TradeLog = require('../models/TradeLog');
       
@@ -408,6 +405,8 @@ class FyersWebSocketService {
         const fyersRemarks = order.remarks || order.message || order.rejectionReason || '';
         const fyersOrderStatus = order.status;
         const fyersOrderId = order.id;
+        // Monitoring, trade logs and the ledger work with TradeLog statuses, not raw Fyers codes
+        const mappedStatus = BrokerRegistry.getBroker('fyers').mapOrderStatus(order.status);
         
         // Update existing trade logs with Fyers remarks (don't create new ones)
         try {
@@ -417,8 +416,8 @@ class FyersWebSocketService {
               $set: {
                 fyersOrderStatus: fyersOrderStatus,
                 fyersRemarks: fyersRemarks,
-                status: this.mapFyersStatusToTradeLogStatus(fyersOrderStatus),
-                remarks: fyersRemarks || this.getDefaultRemarks(fyersOrderStatus)
+                status: mappedStatus,
+                remarks: fyersRemarks || this.getDefaultRemarks(mappedStatus)
               }
             }
           );
@@ -432,6 +431,12 @@ class FyersWebSocketService {
           LoggerService.error('FyersWebSocketService', 'Error updating trade logs with Fyers remarks:', logError);
         }
         
+        // Terminal statuses of orders this app placed go to the order ledger
+        await LedgerService.recordOrderStatus(null, order.id, mappedStatus, {
+          fillPrice: order.tradedPrice,
+          message: fyersRemarks
+        });
+        
         // Find all users who might have this order
         const states = await TradingState.find({
           'monitoredSymbols.orderId': order.id
@@ -442,13 +447,15 @@ class FyersWebSocketService {
           if (symbol) {
             LoggerService.info('FyersWebSocketService', `Updating order status for ${symbol.symbol}: ${order.status} - Remarks: ${fyersRemarks}`);
             // Pass tradedPrice to monitoring service if FILLED
-            if (this.mapFyersStatusToTradeLogStatus(order.status) === 'FILLED' && order.tradedPrice) {
-              await MonitoringService.handleOrderStatusUpdate(order.id, order.status, state.userId, fyersRemarks, order.tradedPrice);
+            if (mappedStatus === 'FILLED' && order.tradedPrice) {
+              await MonitoringService.handleOrderStatusUpdate(order.id, mappedStatus, state.userId, fyersRemarks, order.tradedPrice);
             } else {
-              await MonitoringService.handleOrderStatusUpdate(order.id, order.status, state.userId, fyersRemarks);
+              await MonitoringService.handleOrderStatusUpdate(order.id, mappedStatus, state.userId, fyersRemarks);
             }
           }
         }
+        
+        this.notifyOrderListeners(order);
       }
     } catch (error) {
       LoggerService.error('FyersWebSocketService', 'Error processing order status updates:', error);
@@ -456,40 +463,37 @@ class FyersWebSocketService {
   }
 
   /**
-   * Map Fyers order status to TradeLog status
-   * @param {string|number} fyersStatus - Fyers order status (can be string or number)
-   * @returns {string} TradeLog status
+   * Register a listener for normalized order updates
+   * @param {Function} listener - Called with { orderId, status, filledQty, tradedPrice, message }
+   * @returns {Function} Unsubscribe function
    */
-  mapFyersStatusToTradeLogStatus(fyersStatus) {
-    // Handle numeric status codes from Fyers API
-    // Fyers Status Codes: 1=Cancelled, 2=Traded/Filled, 3=For future use, 4=Transit, 5=Rejected, 6=Pending
-    const numericStatusMap = {
-      1: 'CANCELLED',
-      2: 'FILLED',
-      3: 'PENDING', // For future use
-      4: 'PENDING', // Transit
-      5: 'REJECTED',
-      6: 'PENDING'
-    };
-    
-    // Handle string statuses
-    const stringStatusMap = {
-      'FILLED': 'FILLED',
-      'REJECTED': 'REJECTED',
-      'CANCELLED': 'CANCELLED',
-      'PENDING': 'PENDING',
-      'PARTIALLY_FILLED': 'PARTIALLY_FILLED',
-      'MODIFIED': 'MODIFIED',
-      'TRANSIT': 'PENDING'
+  addOrderListener(listener) {
+    this.orderListeners.add(listener);
+    return () => this.orderListeners.delete(listener);
+  }
+
+  /**
+   * Notify broker adapter subscribers of an order update
+   * @param {Object} order - Raw Fyers order update
+   */
+  notifyOrderListeners(order) {
+    if (this.orderListeners.size === 0) return;
+
+    const update = {
+      orderId: order.id,
+      status: BrokerRegistry.getBroker('fyers').mapOrderStatus(order.status),
+      filledQty: order.filledQty || 0,
+      tradedPrice: order.tradedPrice || 0,
+      message: order.message || order.remarks || ''
     };
-    
-    // Check if it's a numeric status
-    if (typeof fyersStatus === 'number') {
-      return numericStatusMap[fyersStatus] || 'PENDING';
+
+    for (const listener of this.orderListeners) {
+      try {
+        listener(update);
+      } catch (error) {
+        LoggerService.error('FyersWebSocketService', 'Error in order listener:', error);
+      }
     }
-    
-    // Check if it's a string status
-    return stringStatusMap[fyersStatus] || 'PENDING';
   }
 
   /**
@@ -520,8 +524,9 @@ class FyersWebSocketService {
       const TradingState = require('../models/TradingState');
       const User = require('../models/User');
       
-      // Ensure positions is always an array
-      const positionsArray = Array.isArray(positions) ? positions : [positions];
+      // Ensure positions is always an array, in the broker-neutral shape
+      const broker = BrokerRegistry.getBroker('fyers');
+      const positionsArray = (Array.isArray(positions) ? positions : [positions]).map(position => broker.fromFyersPosition(position));
       
       LoggerService.info('FyersWebSocketService', `Processing ${positionsArray.length} position updates from Fyers`);
       
@@ -550,19 +555,20 @@ class FyersWebSocketService {
   /**
    * Sync Fyers positions with app positions
    * @param {string} userId - User ID
-   * @param {Array} fyersPositions - Array of Fyers positions
+   * @param {Array} fyersPositions - Fyers positions in the broker-neutral shape (FyersBroker.fromFyersPosition)
    * @param {Object} state - Trading state
    */
   async syncFyersPositionsWithApp(userId, fyersPositions, state) {
     try {
-      const { MonitoringService } = require('./monitoringService');
+      const { LedgerService } = require('./ledgerService');
+      const TradingState = require('../models/TradingState');
       
       for (const fyersPosition of fyersPositions) {
         if (!fyersPosition.symbol || !fyersPosition.netQty || fyersPosition.netQty === 0) {
           continue; // Skip positions with no quantity
         }
         
-        LoggerService.info('FyersWebSocketService', `Syncing Fyers position: ${fyersPosition.symbol} - Qty: ${fyersPosition.netQty}, Avg: ${fyersPosition.netAvg}`);
+        LoggerService.info('FyersWebSocketService', `Syncing Fyers position: ${fyersPosition.symbol} - Qty: ${fyersPosition.netQty}, Avg: ${fyersPosition.avgPrice}`);
         
         // Check if this position exists in app's active positions
         const existingPosition = state.activePositions.find(p => p.symbol === fyersPosition.symbol);
@@ -573,31 +579,44 @@ class FyersWebSocketService {
             { userId, 'activePositions.symbol': fyersPosition.symbol },
             {
               $set: {
-                'activePositions.$.currentPrice': fyersPosition.netAvg,
-                'activePositions.$.boughtPrice': fyersPosition.netAvg, // Use Fyers avg price
+                'activePositions.$.currentPrice': fyersPosition.avgPrice,
+                'activePositions.$.boughtPrice': fyersPosition.avgPrice, // Use Fyers avg price
                 'activePositions.$.quantity': Math.abs(fyersPosition.netQty),
-                'activePositions.$.pnl': fyersPosition.unrealized_profit || 0,
-                'activePositions.$.pnlPercentage': fyersPosition.unrealized_profit ? 
-                  (fyersPosition.unrealized_profit / (Math.abs(fyersPosition.netQty) * fyersPosition.netAvg)) * 100 : 0,
+                'activePositions.$.remainingQuantity': Math.abs(fyersPosition.netQty),
+                'activePositions.$.pnl': fyersPosition.unrealizedPnl || 0,
+                'activePositions.$.pnlPercentage': fyersPosition.unrealizedPnl ? 
+                  (fyersPosition.unrealizedPnl / (Math.abs(fyersPosition.netQty) * fyersPosition.avgPrice)) * 100 : 0,
                 'activePositions.$.lastUpdate': new Date()
               }
             }
           );
           
+          await LedgerService.record(userId, 'POSITION_MODIFIED', {
+            symbol: fyersPosition.symbol,
+            positionId: existingPosition.id,
+            data: {
+              boughtPrice: fyersPosition.avgPrice,
+              quantity: Math.abs(fyersPosition.netQty),
+              remainingQuantity: Math.abs(fyersPosition.netQty),
+              pnl: fyersPosition.unrealizedPnl || 0
+            }
+          });
+          
           LoggerService.info('FyersWebSocketService', `Updated existing position for ${fyersPosition.symbol} with Fyers data`);
         } else {
-          // Create new position from Fyers data
+          // Create new position from Fyers data (default levels are mirrored for short positions)
+          const direction = fyersPosition.netQty > 0 ? 1 : -1;
           const newPosition = {
             id: `${fyersPosition.symbol}-${Date.now()}`,
             symbol: fyersPosition.symbol,
             type: fyersPosition.netQty > 0 ? 'LONG' : 'SHORT',
             lots: Math.floor(Math.abs(fyersPosition.netQty) / 75), // Assuming 75 lot size
             quantity: Math.abs(fyersPosition.netQty),
-            boughtPrice: fyersPosition.netAvg,
-            currentPrice: fyersPosition.netAvg,
-            target: fyersPosition.netAvg + 50, // Default target
-            stopLoss: fyersPosition.netAvg - 30, // Default stop loss
-            initialStopLoss: fyersPosition.netAvg - 30,
+            boughtPrice: fyersPosition.avgPrice,
+            currentPrice: fyersPosition.avgPrice,
+            target: fyersPosition.avgPrice + direction * 50, // Default target
+            stopLoss: fyersPosition.avgPrice - direction * 30, // Default stop loss
+            initialStopLoss: fyersPosition.avgPrice - direction * 30,
             useTrailingStoploss: false,
             trailingX: 20,
             trailingY: 15,
@@ -610,14 +629,14 @@ class FyersWebSocketService {
             sellOrderId: null,
             slOrderDetails: null,
             reEntryCount: 0,
-            pnl: fyersPosition.unrealized_profit || 0,
-            pnlPercentage: fyersPosition.unrealized_profit ? 
-              (fyersPosition.unrealized_profit / (Math.abs(fyersPosition.netQty) * fyersPosition.netAvg)) * 100 : 0,
-            hmaValue: fyersPosition.netAvg,
+            pnl: fyersPosition.unrealizedPnl || 0,
+            pnlPercentage: fyersPosition.unrealizedPnl ? 
+              (fyersPosition.unrealizedPnl / (Math.abs(fyersPosition.netQty) * fyersPosition.avgPrice)) * 100 : 0,
+            hmaValue: fyersPosition.avgPrice,
             index: { name: 'NIFTY', lotSize: 75 },
             slStopPrice: null,
             slModifications: [],
-            invested: Math.abs(fyersPosition.netQty) * fyersPosition.netAvg,
+            invested: Math.abs(fyersPosition.netQty) * fyersPosition.avgPrice,
             source: 'FYERS_SYNC' // Mark as synced from Fyers
           };
           
@@ -625,6 +644,7 @@ class FyersWebSocketService {
             { userId },
             { $push: { activePositions: newPosition } }
           );
+          await LedgerService.record(userId, 'POSITION_OPENED', { symbol: newPosition.symbol, positionId: newPosition.id, data: newPosition });
           
           LoggerService.info('FyersWebSocketService', `Created new position for ${fyersPosition.symbol} from Fyers data`);
         }
@@ -697,35 +717,19 @@ class FyersWebSocketService {
    */
   async syncPositionsFromFyersAPI(userId) {
     try {
-      const User = require('../models/User');
       const TradingState = require('../models/TradingState');
-      const axios = require('axios');
-      
-      // Get user with Fyers token
-      const user = await User.findById(userId);
-      if (!user || !user.fyers || !user.fyers.accessToken) {
-        throw new Error('No valid Fyers access token found');
-      }
       
-      // Get positions from Fyers API
-      const accessToken = user.fyers.accessToken;
-      const appId = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-      const formattedToken = accessToken.includes(':') ? accessToken : `${appId}:${accessToken}`;
+      // Get positions from Fyers API (the adapter checks the user's token)
+      const positions = await BrokerRegistry.getBroker('fyers').getPositions(userId);
       
-      const response = await axios.get('https://api-t1.fyers.in/api/v3/positions', {
-        headers: {
-          'Authorization': formattedToken
-        }
-      });
-      
-      if (response.data && response.data.s === 'ok' && response.data.positions) {
-        LoggerService.info('FyersWebSocketService', `Retrieved ${response.data.positions.length} positions from Fyers API`);
+      if (positions.length > 0) {
+        LoggerService.info('FyersWebSocketService', `Retrieved ${positions.length} positions from Fyers API`);
         
         const state = await TradingState.findOne({ userId });
         if (state) {
-          await this.syncFyersPositionsWithApp(userId, response.data.positions, state);
-          return { success: true, positionsCount: response.data.positions.length };
+          await this.syncFyersPositionsWithApp(userId, positions, state);
         }
+        return { success: true, positionsCount: positions.length };
       } else {
         LoggerService.warn('FyersWebSocketService', 'No positions found in Fyers API response');
         return { success: true, positionsCount: 0 };
@@ -789,7 +793,7 @@ class FyersWebSocketService {
                   console.log(`🔄 Recovering order ${symbol.orderId} for ${symbol.symbol}`);
                   
                   // Get order status from Fyers API
-                  const orderStatus = await this.getOrderStatusFromFyers(symbol.orderId, user.fyers.accessToken);
+                  const orderStatus = await this.getOrderStatusFromFyers(symbol.orderId, state.userId);
                   
                   if (orderStatus) {
                     console.log(`✅ Order ${symbol.orderId} status: ${orderStatus}`);
@@ -827,7 +831,7 @@ class FyersWebSocketService {
                   console.log(`🔄 Recovering buy order ${position.buyOrderId} for ${position.symbol}`);
                   
                   // Get order status from Fyers API
-                  const orderStatus = await this.getOrderStatusFromFyers(position.buyOrderId, user.fyers.accessToken);
+                  const orderStatus = await this.getOrderStatusFromFyers(position.buyOrderId, state.userId);
                   
                   if (orderStatus) {
                     console.log(`✅ Buy order ${position.buyOrderId} status: ${orderStatus}`);
@@ -861,7 +865,7 @@ class FyersWebSocketService {
                   console.log(`🔄 Recovering SL order ${position.slOrderId} for ${position.symbol}`);
                   
                   // Get order status from Fyers API
-                  const orderStatus = await this.getOrderStatusFromFyers(position.slOrderId, user.fyers.accessToken);
+                  const orderStatus = await this.getOrderStatusFromFyers(position.slOrderId, state.userId);
                   
                   if (orderStatus) {
                     console.log(`✅ SL order ${position.slOrderId} status: ${orderStatus}`);
@@ -902,46 +906,15 @@ class FyersWebSocketService {
   /**
    * Get order status from Fyers API
    * @param {string} orderId - Fyers order ID
-   * @param {string} accessToken - Fyers access token
-   * @returns {Promise<string|null>} Order status or null if not found
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} TradeLog status or null if not found
    */
-  static async getOrderStatusFromFyers(orderId, accessToken) {
+  static async getOrderStatusFromFyers(orderId, userId) {
     try {
-      const axios = require('axios');
-      
-      // Get order history from Fyers API
-      const response = await axios.get(`https://api-t1.fyers.in/api/v3/orders-history`, {
-        headers: {
-          'Authorization': accessToken
-        },
-        params: {
-          orderId: orderId
-        }
-      });
-      
-      if (response.data && response.data.orderHistory) {
-        const order = response.data.orderHistory.find(o => o.id === orderId);
-        if (order) {
-          // Map Fyers status to our status
-          const statusMapping = {
-            '1': 'PENDING',    // New
-            '2': 'FILLED',     // Filled
-            '3': 'CANCELLED',  // Cancelled
-            '4': 'REJECTED',   // Rejected
-            '5': 'PENDING',    // Pending
-            '6': 'CANCELLED',  // Cancelled
-            '20': 'PENDING',   // New Ack
-            '21': 'PENDING',   // Modify Ack
-            '22': 'CANCELLED', // Cancel Ack
-            '23': 'REJECTED',  // Reject
-            '24': 'REJECTED'   // Cancel Reject
-          };
-          
-          return statusMapping[order.status] || 'PENDING';
-        }
-      }
-      
-      return null;
+      // The adapter maps Fyers status codes to TradeLog statuses
+      const orders = await BrokerRegistry.getBroker('fyers').getOrderBook(userId);
+      const order = orders.find(o => o.id === orderId);
+      return order ? order.status : null;
       
     } catch (error) {
       console.error(`Error getting order status from Fyers for ${orderId}:`, error.message);
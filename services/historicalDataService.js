@@ -0,0 +1,391 @@
+/**
+ * Historical Data Service
+ * Persistent OHLCV store for backtests, shared by all users. Candles are fetched from Fyers once,
+ * through HMAService.fetchHistoricalDataForBacktest, and served from MongoDB afterwards:
+ * - each symbol/resolution series records the ranges already fetched, so a request only fetches
+ *   what it is missing (incremental top-up)
+ * - candles are upserted by symbol, resolution and start time, so overlapping fetches never duplicate
+ * - stored candles stay available after Fyers stops serving them (expired option contracts)
+ */
+const HistoricalCandle = require('../models/HistoricalCandle');
+const HistoricalDataSeries = require('../models/HistoricalDataSeries');
+const { HMAService } = require('./hmaService');
+const { StrategyService } = require('./strategyService');
+const LoggerService = require('./loggerService');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistoricalDataService {
+  // Minute resolutions; fetchHistoricalDataForBacktest computes its windows in minutes
+  static RESOLUTIONS = ['1', '2', '3', '5', '10', '15', '20', '30', '60', '120', '240'];
+  static MAX_DAYS_PER_REQUEST = 100; // Fyers limit for intraday resolutions
+  static SESSION_MINUTES = 375; // 09:15 - 15:30 IST
+
+  /**
+   * Timestamp of a date input; strings without a timezone are IST, as the frontend sends them
+   * @param {string|number|Date} value - Date string (YYYY-MM-DD or YYYY-MM-DDTHH:mm), UNIX ms or Date
+   * @param {boolean} isEnd - The value ends an inclusive range: return the exclusive bound after it
+   *   (the next midnight for a date without a time)
+   * @returns {number} UTC milliseconds (NaN when invalid)
+   */
+  static toTimestamp(value, isEnd = false) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return Date.parse(`${value}T00:00:00+05:30`) + (isEnd ? DAY_MS : 0);
+    }
+
+    let timestamp = NaN;
+    if (value instanceof Date) timestamp = value.getTime();
+    else if (typeof value === 'number') timestamp = value;
+    else if (typeof value === 'string') {
+      timestamp = /(Z|[+-]\d{2}:\d{2})$/.test(value)
+        ? Date.parse(value)
+        : Date.parse(`${value.length === 16 ? `${value}:00` : value}+05:30`);
+    }
+    return isEnd ? timestamp + 1 : timestamp;
+  }
+
+  /**
+   * Fyers access token (appId:token) of a user, or null when not logged in to Fyers;
+   * backtests on stored candles do not need one
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Access token
+   */
+  static async getAccessToken(userId) {
+    const User = require('../models/User');
+    const user = await User.findById(userId);
+    if (!user?.fyers?.accessToken) return null;
+
+    const { BrokerRegistry } = require('./brokers');
+    return BrokerRegistry.getBroker('fyers').formatAccessToken(user.fyers.accessToken);
+  }
+
+  /**
+   * Validate a store request
+   * @param {string} symbol - Symbol
+   * @param {string} resolution - Resolution in minutes
+   * @param {number} from - Range start (UTC ms)
+   * @param {number} to - Range end (UTC ms)
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validate(symbol, resolution, from, to) {
+    const errors = [];
+    if (!symbol || typeof symbol !== 'string') errors.push('Symbol is required');
+    if (!this.RESOLUTIONS.includes(String(resolution))) {
+      errors.push(`Unsupported interval: ${resolution} (supported: ${this.RESOLUTIONS.join(', ')})`);
+    }
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      errors.push('Valid startDate and endDate are required');
+    } else if (from >= to) {
+      errors.push('startDate must be before endDate');
+    }
+    return errors;
+  }
+
+  /**
+   * Sort ranges and merge the ones that overlap or touch
+   * @param {Array} ranges - [{ from, to }] in UTC ms, `to` exclusive
+   * @returns {Array} Merged ranges
+   */
+  static mergeRanges(ranges) {
+    const sorted = ranges
+      .filter(range => range.to > range.from)
+      .sort((a, b) => a.from - b.from);
+
+    return sorted.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.from <= last.to) {
+        last.to = Math.max(last.to, range.to);
+      } else {
+        merged.push({ from: range.from, to: range.to });
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Parts of a range the covered ranges leave out
+   * @param {number} from - Range start (UTC ms)
+   * @param {number} to - Range end (UTC ms, exclusive)
+   * @param {Array} covered - Merged covered ranges
+   * @returns {Array} Missing ranges [{ from, to }]
+   */
+  static subtractRanges(from, to, covered) {
+    const missing = [];
+    let cursor = from;
+
+    for (const range of covered) {
+      if (range.to <= cursor) continue;
+      if (range.from >= to) break;
+      if (range.from > cursor) missing.push({ from: cursor, to: range.from });
+      cursor = Math.max(cursor, range.to);
+    }
+    if (cursor < to) missing.push({ from: cursor, to });
+    return missing;
+  }
+
+  /**
+   * Holes inside trading sessions: consecutive candles of one IST day further apart than one candle
+   * @param {Array} candles - Candles sorted by timestamp
+   * @param {string} resolution - Resolution in minutes
+   * @returns {Array} [{ after, before, missingCandles }] (timestamps in UTC ms)
+   */
+  static findMissingCandles(candles, resolution) {
+    const candleMs = Number(resolution) * 60 * 1000;
+    const istDay = timestamp => Math.floor((timestamp + IST_OFFSET_MS) / DAY_MS);
+    const holes = [];
+
+    for (let i = 1; i < candles.length; i++) {
+      const previous = candles[i - 1].timestamp;
+      const current = candles[i].timestamp;
+      if (istDay(previous) === istDay(current) && current - previous > candleMs) {
+        holes.push({ after: previous, before: current, missingCandles: Math.round((current - previous) / candleMs) - 1 });
+      }
+    }
+    return holes;
+  }
+
+  /**
+   * Fetch one range from Fyers, in requests of at most MAX_DAYS_PER_REQUEST days
+   * @param {string} symbol - Symbol
+   * @param {string} resolution - Resolution in minutes
+   * @param {number} from - Range start (UTC ms)
+   * @param {number} to - Range end (UTC ms, exclusive)
+   * @param {string} accessToken - Fyers access token (appId:token)
+   * @returns {Promise<Array>} [{ from, to, candles }] per request
+   */
+  static async fetchRange(symbol, resolution, from, to, accessToken) {
+    const chunks = [];
+
+    for (let start = from; start < to; start += this.MAX_DAYS_PER_REQUEST * DAY_MS) {
+      const end = Math.min(start + this.MAX_DAYS_PER_REQUEST * DAY_MS, to);
+      let candles = [];
+      try {
+        // fetchHistoricalDataForBacktest shifts the dates it is given back by the IST offset
+        candles = await HMAService.fetchHistoricalDataForBacktest(symbol, accessToken, {
+          startDate: new Date(start + IST_OFFSET_MS),
+          endDate: new Date(end + IST_OFFSET_MS),
+          interval: String(resolution),
+          hmaPeriod: 0
+        });
+      } catch (error) {
+        // Closed-market ranges come back empty, which fetchHistoricalDataForBacktest reports as an error
+        if (!error.message.startsWith('No historical data available')) throw error;
+      }
+      chunks.push({ from: start, to: end, candles: candles.filter(c => c.timestamp >= start && c.timestamp < end) });
+    }
+    return chunks;
+  }
+
+  /**
+   * Upsert candles into the store
+   * @param {string} symbol - Symbol
+   * @param {string} resolution - Resolution in minutes
+   * @param {Array} candles - Candles
+   * @returns {Promise<number>} Candles newly inserted
+   */
+  static async storeCandles(symbol, resolution, candles) {
+    if (candles.length === 0) return 0;
+
+    const result = await HistoricalCandle.bulkWrite(candles.map(candle => ({
+      updateOne: {
+        filter: { symbol, resolution, timestamp: new Date(candle.timestamp) },
+        update: {
+          $set: {
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: Number.isFinite(candle.volume) ? candle.volume : 0
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+    return result.upsertedCount || 0;
+  }
+
+  /**
+   * Make sure a range is in the store, fetching from Fyers only the parts not fetched before
+   * @param {string} symbol - Symbol
+   * @param {string} resolution - Resolution in minutes
+   * @param {number} from - Range start (UTC ms)
+   * @param {number} to - Range end (UTC ms, exclusive)
+   * @param {Object} options - { accessToken, refresh (fetch the whole range again) }
+   * @returns {Promise<Object>} { success, message, data: { fetched, inserted, missing } }
+   */
+  static async ensureRange(symbol, resolution, from, to, { accessToken = null, refresh = false } = {}) {
+    resolution = String(resolution);
+    const errors = this.validate(symbol, resolution, from, to);
+    if (errors.length > 0) return { success: false, message: errors.join('; ') };
+
+    // The candle still forming is not stored: coverage ends where the current candle starts
+    const end = Math.min(to, StrategyService.getCandleStart(new Date(), Number(resolution)).getTime());
+    const series = await HistoricalDataSeries.findOne({ symbol, resolution }).lean();
+    const covered = this.mergeRanges((series?.ranges || []).map(r => ({ from: r.from.getTime(), to: r.to.getTime() })));
+    const missing = from < end ? this.subtractRanges(from, end, refresh ? [] : covered) : [];
+
+    if (missing.length === 0) {
+      return { success: true, message: 'Range already stored', data: { fetched: [], inserted: 0, missing: [] } };
+    }
+    // Without a token the stored candles are all there is (expired contracts Fyers no longer serves)
+    if (!accessToken) {
+      LoggerService.warn('HistoricalDataService', `${symbol} (${resolution}m): ${missing.length} range(s) not stored and no Fyers access token to fetch them`);
+      return {
+        success: true,
+        message: `${missing.length} range(s) not stored; login to Fyers to fetch them`,
+        data: { fetched: [], inserted: 0, missing }
+      };
+    }
+
+    const fetched = [];
+    let inserted = 0;
+    for (const range of missing) {
+      const chunks = await this.fetchRange(symbol, resolution, range.from, range.to, accessToken);
+      for (const chunk of chunks) {
+        inserted += await this.storeCandles(symbol, resolution, chunk.candles);
+        // An empty answer is not recorded as covered: Fyers answers errors with no candles too
+        if (chunk.candles.length > 0) fetched.push({ from: chunk.from, to: chunk.to });
+      }
+    }
+
+    const ranges = this.mergeRanges([...covered, ...fetched]);
+    const [candleCount, first, last] = await Promise.all([
+      HistoricalCandle.countDocuments({ symbol, resolution }),
+      HistoricalCandle.findOne({ symbol, resolution }).sort({ timestamp: 1 }).select('timestamp').lean(),
+      HistoricalCandle.findOne({ symbol, resolution }).sort({ timestamp: -1 }).select('timestamp').lean()
+    ]);
+    await HistoricalDataSeries.updateOne(
+      { symbol, resolution },
+      {
+        $set: {
+          ranges: ranges.map(r => ({ from: new Date(r.from), to: new Date(r.to) })),
+          candleCount,
+          firstCandleAt: first?.timestamp,
+          lastCandleAt: last?.timestamp,
+          lastSyncedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    const stillMissing = this.subtractRanges(from, end, ranges);
+    LoggerService.info('HistoricalDataService', `${symbol} (${resolution}m): fetched ${fetched.length} range(s), ${inserted} new candles, ${stillMissing.length} range(s) without data`);
+    return {
+      success: true,
+      message: `Stored ${inserted} new candles for ${symbol}`,
+      data: { fetched, inserted, missing: stillMissing }
+    };
+  }
+
+  /**
+   * Stored candles of a range
+   * @param {string} symbol - Symbol
+   * @param {string} resolution - Resolution in minutes
+   * @param {number} from - Range start (UTC ms)
+   * @param {number} to - Range end (UTC ms, exclusive)
+   * @returns {Promise<Array>} Candles { timestamp, open, high, low, close, volume }, oldest first
+   */
+  static async getCandles(symbol, resolution, from, to) {
+    const docs = await HistoricalCandle.find({
+      symbol,
+      resolution: String(resolution),
+      timestamp: { $gte: new Date(from), $lt: new Date(to) }
+    }).sort({ timestamp: 1 }).lean();
+
+    return docs.map(doc => ({
+      timestamp: doc.timestamp.getTime(),
+      open: doc.open,
+      high: doc.high,
+      low: doc.low,
+      close: doc.close,
+      volume: doc.volume
+    }));
+  }
+
+  /**
+   * Candles of a backtest: the date range plus `prefill` candles before it for indicator warm-up,
+   * topped up from Fyers when the store does not cover them yet
+   * @param {string} symbol - Symbol
+   * @param {Object} options - { startDate, endDate (inclusive), interval, prefill (candles before startDate) }
+   * @param {string} accessToken - Fyers access token, or null to use stored candles only
+   * @returns {Promise<Object>} { success, message, data: candles }
+   */
+  static async getBacktestCandles(symbol, { startDate, endDate, interval, prefill = 0 }, accessToken = null) {
+    const from = this.toTimestamp(startDate);
+    const to = this.toTimestamp(endDate, true);
+    const errors = this.validate(symbol, String(interval), from, to);
+    if (errors.length > 0) return { success: false, message: errors.join('; ') };
+
+    // Trading days the prefill spans, widened to calendar days with room for weekends and holidays
+    const prefillSessions = Math.ceil((prefill * Number(interval)) / this.SESSION_MINUTES);
+    const prefillFrom = prefill > 0 ? from - (Math.ceil(prefillSessions * 7 / 5) + 4) * DAY_MS : from;
+
+    const stored = await this.ensureRange(symbol, interval, prefillFrom, to, { accessToken });
+    if (!stored.success) return stored;
+
+    const candles = await this.getCandles(symbol, interval, prefillFrom, to);
+    const firstMain = candles.findIndex(candle => candle.timestamp >= from);
+    if (firstMain === -1) {
+      return {
+        success: false,
+        message: accessToken
+          ? 'No historical data found for the specified symbol and date range'
+          : 'No stored historical data for the specified symbol and date range. Please login to Fyers to fetch it.'
+      };
+    }
+
+    const data = candles.slice(Math.max(firstMain - prefill, 0));
+    return { success: true, message: `${data.length} candles of ${symbol}`, data };
+  }
+
+  /**
+   * Stored series with their coverage
+   * @returns {Promise<Array>} Series, most recently synced first
+   */
+  static async getSeries() {
+    return HistoricalDataSeries.find().sort({ lastSyncedAt: -1 }).lean();
+  }
+
+  /**
+   * Coverage of a symbol and resolution: stored ranges, ranges of a requested window not yet
+   * fetched, and holes inside trading sessions of the stored candles
+   * @param {string} symbol - Symbol
+   * @param {string} resolution - Resolution in minutes
+   * @param {string|number} startDate - Window start (optional, defaults to the first stored candle)
+   * @param {string|number} endDate - Window end, inclusive (optional, defaults to the last stored candle)
+   * @returns {Promise<Object>} { success, message, data }
+   */
+  static async getCoverage(symbol, resolution, startDate, endDate) {
+    resolution = String(resolution);
+    const series = await HistoricalDataSeries.findOne({ symbol, resolution }).lean();
+    if (!series && (!startDate || !endDate)) {
+      return { success: false, message: `${symbol} (${resolution}m) is not stored` };
+    }
+
+    const ranges = (series?.ranges || []).map(r => ({ from: r.from.getTime(), to: r.to.getTime() }));
+    const from = startDate ? this.toTimestamp(startDate) : series.firstCandleAt.getTime();
+    const to = this.toTimestamp(endDate || series.lastCandleAt, true);
+    const errors = this.validate(symbol, resolution, from, to);
+    if (errors.length > 0) return { success: false, message: errors.join('; ') };
+
+    const candles = await this.getCandles(symbol, resolution, from, to);
+    return {
+      success: true,
+      message: `${candles.length} stored candles of ${symbol} (${resolution}m)`,
+      data: {
+        symbol,
+        resolution,
+        from,
+        to,
+        storedCandles: candles.length,
+        ranges,
+        missingRanges: this.subtractRanges(from, to, this.mergeRanges(ranges)),
+        missingCandles: this.findMissingCandles(candles, resolution),
+        lastSyncedAt: series?.lastSyncedAt || null
+      }
+    };
+  }
+}
+
+module.exports = { HistoricalDataService };
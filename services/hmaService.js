@@ -4,8 +4,13 @@
  */
 const axios = require('axios');
 const LoggerService = require('./loggerService');
+const { CandleAggregatorService } = require('./candleAggregatorService');
+const { IndicatorService } = require('./indicatorService');
 
 class HMAService {
+  // Streaming HMAs: `${symbol}|${interval}|${period}` -> { indicator, version, lastTimestamp, currentHMA }
+  static streams = new Map();
+
   /**
    * Calculate the latest HMA value using standard Pine Script formula
    * @param {Array} data - Array of price data (objects with close property or numbers)
@@ -411,11 +416,16 @@ class HMAService {
    * Fetch and calculate HMA for a symbol
    * @param {string} symbol - Symbol to calculate HMA for (can be frontend or Fyers format)
    * @param {Object} user - User object with Fyers connection
+   * @param {Object} options - Indicator inputs
+   * @param {number} options.period - HMA period (default 55)
+   * @param {string} options.interval - Candle size in minutes (default '5')
    * @returns {Promise<Object>} - HMA calculation result
    */
-  static async fetchAndCalculateHMA(symbol, user = null) {
+  static async fetchAndCalculateHMA(symbol, user = null, options = {}) {
+    const period = Number(options.period) || 55;
+    const interval = String(options.interval || '5');
     try {
-      LoggerService.info('HMAService', `Fetching real HMA for symbol: ${symbol} using 5-minute candles`);
+      LoggerService.info('HMAService', `Fetching real HMA-${period} for symbol: ${symbol} using ${interval}-minute candles`);
       
       // Handle symbol format - symbol can be either frontend format or Fyers format
       let fyersSymbol = symbol;
@@ -456,40 +466,40 @@ class HMAService {
         return {
           symbol: originalSymbol,
           currentHMA: null,
-          period: 55,
+          period,
           data: [],
           lastUpdate: new Date(),
           status: 'DISCONNECTED',
-          resolution: '5min',
+          resolution: `${interval}min`,
           error: 'Fyers token missing or expired'
         };
       }
       
-      // Fetch 5-minute historical data from Fyers using the converted symbol
-      const historicalData = await this.fetchHistoricalData(fyersSymbol, accessToken);
+      // Fetch historical data from Fyers using the converted symbol
+      const historicalData = await this.fetchHistoricalData(fyersSymbol, accessToken, { interval });
       
-      // For HMA-55, we need at least 55 candles + small buffer for calculation
-      const minRequiredCandles = 60; // 55 for HMA + 5 buffer
+      // We need at least `period` candles + small buffer for calculation
+      const minRequiredCandles = period + 5;
       if (!historicalData || historicalData.length < minRequiredCandles) {
-        throw new Error(`Insufficient 5-minute historical data for HMA calculation. Need at least ${minRequiredCandles} candles, got ${historicalData?.length || 0}`);
+        throw new Error(`Insufficient ${interval}-minute historical data for HMA calculation. Need at least ${minRequiredCandles} candles, got ${historicalData?.length || 0}`);
       }
       
-      // Calculate HMA using the Pine Script algorithm with 5-minute data
-      const hmaResult = this.calculateHMAFromCandles(historicalData);
+      // Calculate HMA using the Pine Script algorithm
+      const hmaResult = this.calculateHMAFromCandles(historicalData, period);
       
       // Use the new HMA calculated logger
       LoggerService.hmaCalculated(fyersSymbol);
-      LoggerService.debug('HMAService', `5-minute data points used: ${historicalData.length}, HMA period: 55`);
+      LoggerService.debug('HMAService', `${interval}-minute data points used: ${historicalData.length}, HMA period: ${period}`);
       
       return {
         symbol: originalSymbol, // Return the original symbol format that frontend expects
         fyersSymbol: fyersSymbol, // Also include the Fyers symbol for reference
         currentHMA: hmaResult.currentHMA,
-        period: 55,
+        period,
         data: hmaResult.data,
         lastUpdate: new Date(),
         status: 'ACTIVE',
-        resolution: '5min'
+        resolution: `${interval}min`
       };
     } catch (error) {
       LoggerService.error('HMAService', `Error calculating real HMA for ${symbol}:`, error);
@@ -504,6 +514,104 @@ class HMAService {
     }
   }
 
+  /**
+   * HMA kept up to date from live quotes (CandleAggregatorService) instead of re-fetching history:
+   * history is fetched once to seed the bars, then the HMA is updated incrementally as each bar
+   * closes. Falls back to history again only while no quotes arrive for the symbol.
+   * A strategy on another IndicatorService type streams that indicator the same way; its primary
+   * value (e.g. the SuperTrend line) is returned in place of the HMA.
+   * @param {string} symbol - Fyers symbol (frontend symbols go through fetchAndCalculateHMA)
+   * @param {Object} user - User object with Fyers connection
+   * @param {Object} options - Indicator inputs
+   * @param {string} options.type - IndicatorService type (default 'HMA')
+   * @param {Object} options.params - Indicator parameters (default { period })
+   * @param {number} options.period - HMA period (default 55)
+   * @param {string} options.interval - Candle size in minutes (default '5')
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} - HMA result; `currentHMA` is the HMA of the last closed bar and
+   *   `provisionalHMA` its value if the forming bar closed at the current price
+   */
+  static async getStreamingHMA(symbol, user = null, options = {}) {
+    if (!symbol.includes(':')) {
+      return this.fetchAndCalculateHMA(symbol, user, options);
+    }
+
+    const period = Number(options.period) || 55;
+    const type = options.type || 'HMA';
+    const params = options.params || { period };
+    const interval = String(options.interval || '5');
+    const now = options.now || new Date();
+
+    if (CandleAggregatorService.needsBackfill(symbol, interval, now)) {
+      if (!user || !user.fyers || !user.fyers.accessToken || !user.fyers.connected) {
+        LoggerService.warn('HMAService', `User ${user?._id || 'unknown'} has no valid Fyers token - skipping HMA calculation`);
+        return {
+          symbol,
+          currentHMA: null,
+          period,
+          data: [],
+          lastUpdate: new Date(),
+          status: 'DISCONNECTED',
+          resolution: `${interval}min`,
+          error: 'Fyers token missing or expired'
+        };
+      }
+
+      const { BrokerRegistry } = require('./brokers');
+      const accessToken = BrokerRegistry.getBroker('fyers').formatAccessToken(user.fyers.accessToken);
+      const historicalData = await this.fetchHistoricalData(symbol, accessToken, { interval });
+      const minimumCandles = IndicatorService.getLookback(type, params) + 5;
+      if (!historicalData || historicalData.length < minimumCandles) {
+        throw new Error(`Insufficient ${interval}-minute historical data for ${type} calculation. Need at least ${minimumCandles} candles, got ${historicalData?.length || 0}`);
+      }
+      CandleAggregatorService.seed(symbol, interval, historicalData, 'HMA', now);
+      LoggerService.info('HMAService', `Seeded streaming ${type}-${period} for ${symbol} from ${historicalData.length} ${interval}-minute candles`);
+    }
+
+    const { bars, forming, version, isLive } = CandleAggregatorService.getBars(symbol, interval, now);
+    const key = `${symbol}|${interval}|${IndicatorService.getKey({ type, params })}`;
+    let stream = this.streams.get(key);
+
+    // New history replaces the bars the HMA was built from
+    if (!stream || stream.version !== version) {
+      stream = { indicator: IndicatorService.create(type, params), version, lastTimestamp: null, currentHMA: null };
+      this.streams.set(key, stream);
+    }
+
+    for (const bar of bars) {
+      if (stream.lastTimestamp !== null && bar.timestamp <= stream.lastTimestamp) continue;
+      stream.currentHMA = IndicatorService.getPrimaryValue(type, stream.indicator.update(bar));
+      stream.lastTimestamp = bar.timestamp;
+    }
+
+    const provisionalHMA = forming ? IndicatorService.getPrimaryValue(type, stream.indicator.preview(forming)) : null;
+
+    return {
+      symbol,
+      fyersSymbol: symbol,
+      currentHMA: stream.currentHMA,
+      provisionalHMA,
+      period,
+      lastBarTime: stream.lastTimestamp ? new Date(stream.lastTimestamp) : null,
+      lastUpdate: now,
+      status: 'ACTIVE',
+      source: isLive ? 'STREAM' : 'HISTORY',
+      resolution: `${interval}min`
+    };
+  }
+
+  /**
+   * Stop streaming HMAs of a symbol (no longer monitored by anyone)
+   * @param {string} symbol - Fyers symbol
+   */
+  static stopStreamingHMA(symbol) {
+    for (const key of this.streams.keys()) {
+      if (!key.startsWith(`${symbol}|`)) continue;
+      this.streams.delete(key);
+      CandleAggregatorService.untrack(symbol, key.split('|')[1], 'HMA');
+    }
+  }
+
   // Helper: Get previous market day (skipping weekends)
   static getPreviousMarketDay(date) {
     const prev = new Date(date);
@@ -685,10 +793,11 @@ class HMAService {
   /**
    * Calculate HMA from candles array using Pine Script logic
    * @param {Array} candles - Array of candle data
+   * @param {number} period - HMA period (default 55)
    * @returns {Object} - HMA calculation result
    */
-  static calculateHMAFromCandles(candles) {
-    const HMA_PERIOD = 55;
+  static calculateHMAFromCandles(candles, period = 55) {
+    const HMA_PERIOD = period;
     
     if (candles.length < HMA_PERIOD) {
       throw new Error(`Insufficient data. Need at least ${HMA_PERIOD} candles for HMA-${HMA_PERIOD}`);
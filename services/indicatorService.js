@@ -0,0 +1,523 @@
+/**
+ * Indicator Service
+ * Technical indicators alongside HMAService: SMA, EMA, WMA, HMA, VWAP, RSI, MACD, ATR, SuperTrend,
+ * Bollinger Bands, Donchian channels and ADX. Every indicator is a calculator with running state:
+ *   update(candle)  - add a closed candle and get the value after it
+ *   preview(candle) - the value if the candle closed now, without changing the state (a forming candle)
+ * A full series is the calculator run over every candle (calculate), so series and incremental
+ * values always agree. Values are null until the indicator has enough candles; smoothed indicators
+ * (Wilder / exponential) are seeded with a simple average, as TradingView does.
+ */
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Price of a candle (or a plain number)
+ * @param {Object|number} candle - Candle
+ * @param {string} source - close, open, high, low, hl2, hlc3 or ohlc4
+ * @returns {number} Price
+ */
+function getSource(candle, source = 'close') {
+  if (typeof candle === 'number') return candle;
+  switch (source) {
+    case 'hl2': return (candle.high + candle.low) / 2;
+    case 'hlc3': return (candle.high + candle.low + candle.close) / 3;
+    case 'ohlc4': return (candle.open + candle.high + candle.low + candle.close) / 4;
+    default: return candle[source] || 0;
+  }
+}
+
+// Running primitives: each takes its state (updated in place), the next value and the period
+
+function smaStep(state, value, period) {
+  state.window = state.window || [];
+  state.window.push(value);
+  if (state.window.length > period) state.window.shift();
+  return state.window.length === period ? state.window.reduce((sum, v) => sum + v, 0) / period : null;
+}
+
+// Same weighting and summing order as HMAService.calculateWMA: newest value weighs `period`
+function wmaStep(state, value, period) {
+  state.window = state.window || [];
+  state.window.push(value);
+  if (state.window.length > period) state.window.shift();
+  if (state.window.length < period) return null;
+
+  let sum = 0;
+  for (let j = 0; j < period; j++) {
+    sum += state.window[period - 1 - j] * (period - j);
+  }
+  return sum / ((period * (period + 1)) / 2);
+}
+
+// Exponential (alpha = 2 / (period + 1)) or Wilder (alpha = 1 / period) average seeded with the SMA
+function smoothStep(state, value, period, alpha) {
+  state.count = (state.count || 0) + 1;
+  if (state.count < period) {
+    state.sum = (state.sum || 0) + value;
+    return null;
+  }
+  state.value = state.count === period ? ((state.sum || 0) + value) / period : state.value + alpha * (value - state.value);
+  return state.value;
+}
+
+const emaStep = (state, value, period) => smoothStep(state, value, period, 2 / (period + 1));
+const rmaStep = (state, value, period) => smoothStep(state, value, period, 1 / period);
+
+function trueRange(candle, previousClose) {
+  if (previousClose === null || previousClose === undefined) return candle.high - candle.low;
+  return Math.max(candle.high - candle.low, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose));
+}
+
+/**
+ * Indicator definitions
+ *   defaults - parameters and their defaults
+ *   kind     - PRICE (compared with price), OSCILLATOR (compared with a threshold)
+ *   warmup   - candles until the first value
+ *   smoothed - recursive average: needs a longer history than `warmup` to settle
+ *   primary  - the value conditions use; trend: 1 bullish, -1 bearish (indicators with a direction)
+ *   step     - (state, candle, params) => value
+ */
+const INDICATORS = {
+  SMA: {
+    defaults: { period: 20, source: 'close' },
+    kind: 'PRICE',
+    warmup: p => p.period,
+    step: (state, candle, p) => smaStep(state, getSource(candle, p.source), p.period)
+  },
+  EMA: {
+    defaults: { period: 20, source: 'close' },
+    kind: 'PRICE',
+    smoothed: true,
+    warmup: p => p.period,
+    step: (state, candle, p) => emaStep(state, getSource(candle, p.source), p.period)
+  },
+  WMA: {
+    defaults: { period: 20, source: 'close' },
+    kind: 'PRICE',
+    warmup: p => p.period,
+    step: (state, candle, p) => wmaStep(state, getSource(candle, p.source), p.period)
+  },
+  HMA: {
+    defaults: { period: 55, source: 'close' },
+    kind: 'PRICE',
+    warmup: p => p.period + Math.floor(Math.sqrt(p.period)) - 1,
+    step: (state, candle, p) => {
+      const value = getSource(candle, p.source);
+      state.half = state.half || {};
+      state.full = state.full || {};
+      state.raw = state.raw || {};
+      const half = wmaStep(state.half, value, Math.floor(p.period / 2));
+      const full = wmaStep(state.full, value, p.period);
+      return full === null ? null : wmaStep(state.raw, 2 * half - full, Math.floor(Math.sqrt(p.period)));
+    }
+  },
+  VWAP: {
+    // Anchored to the IST trading day; null while the day has no volume (indices)
+    defaults: {},
+    kind: 'PRICE',
+    warmup: () => 1,
+    step: (state, candle) => {
+      const time = new Date(candle.timestamp).getTime();
+      const day = Math.floor((time + IST_OFFSET_MS) / DAY_MS);
+      if (state.day !== day) {
+        state.day = day;
+        state.priceVolume = 0;
+        state.volume = 0;
+      }
+      state.priceVolume += getSource(candle, 'hlc3') * (candle.volume || 0);
+      state.volume += candle.volume || 0;
+      return state.volume > 0 ? state.priceVolume / state.volume : null;
+    }
+  },
+  RSI: {
+    defaults: { period: 14, source: 'close' },
+    kind: 'OSCILLATOR',
+    smoothed: true,
+    warmup: p => p.period + 1,
+    step: (state, candle, p) => {
+      const value = getSource(candle, p.source);
+      const previous = state.previous;
+      state.previous = value;
+      if (previous === undefined) return null;
+
+      state.gain = state.gain || {};
+      state.loss = state.loss || {};
+      const gain = rmaStep(state.gain, Math.max(value - previous, 0), p.period);
+      const loss = rmaStep(state.loss, Math.max(previous - value, 0), p.period);
+      if (gain === null) return null;
+      if (loss === 0) return gain === 0 ? 50 : 100;
+      return 100 - 100 / (1 + gain / loss);
+    }
+  },
+  MACD: {
+    defaults: { fast: 12, slow: 26, signal: 9, source: 'close' },
+    kind: 'OSCILLATOR',
+    smoothed: true,
+    warmup: p => p.slow + p.signal - 1,
+    primary: value => value.histogram,
+    trend: value => (value.macd > value.signal ? 1 : value.macd < value.signal ? -1 : 0),
+    step: (state, candle, p) => {
+      const value = getSource(candle, p.source);
+      state.fast = state.fast || {};
+      state.slow = state.slow || {};
+      state.signal = state.signal || {};
+      const fast = emaStep(state.fast, value, p.fast);
+      const slow = emaStep(state.slow, value, p.slow);
+      if (slow === null) return null;
+
+      const macd = fast - slow;
+      const signal = emaStep(state.signal, macd, p.signal);
+      return signal === null ? null : { macd, signal, histogram: macd - signal };
+    }
+  },
+  ATR: {
+    defaults: { period: 14 },
+    kind: 'OSCILLATOR',
+    smoothed: true,
+    warmup: p => p.period,
+    step: (state, candle, p) => {
+      const range = trueRange(candle, state.previousClose);
+      state.previousClose = candle.close;
+      state.atr = state.atr || {};
+      return rmaStep(state.atr, range, p.period);
+    }
+  },
+  SUPERTREND: {
+    defaults: { period: 10, multiplier: 3 },
+    kind: 'PRICE',
+    smoothed: true,
+    warmup: p => p.period,
+    primary: value => value.value,
+    trend: value => value.direction,
+    step: (state, candle, p) => {
+      const previousClose = state.previousClose;
+      state.atr = state.atr || {};
+      const atr = INDICATORS.ATR.step(state.atr, candle, p);
+      state.previousClose = candle.close;
+      if (atr === null) return null;
+
+      // Bands only tighten while price stays inside them
+      const middle = (candle.high + candle.low) / 2;
+      const basicUpper = middle + p.multiplier * atr;
+      const basicLower = middle - p.multiplier * atr;
+      const upper = state.upper === undefined || basicUpper < state.upper || previousClose > state.upper ? basicUpper : state.upper;
+      const lower = state.lower === undefined || basicLower > state.lower || previousClose < state.lower ? basicLower : state.lower;
+
+      if (state.direction === undefined) state.direction = -1;
+      state.direction = state.direction === -1
+        ? (candle.close > upper ? 1 : -1)
+        : (candle.close < lower ? -1 : 1);
+      state.upper = upper;
+      state.lower = lower;
+      return { value: state.direction === 1 ? lower : upper, direction: state.direction, upper, lower };
+    }
+  },
+  BOLLINGER: {
+    defaults: { period: 20, stdDev: 2, source: 'close' },
+    kind: 'PRICE',
+    warmup: p => p.period,
+    primary: value => value.middle,
+    step: (state, candle, p) => {
+      const middle = smaStep(state, getSource(candle, p.source), p.period);
+      if (middle === null) return null;
+
+      const deviation = Math.sqrt(state.window.reduce((sum, v) => sum + (v - middle) ** 2, 0) / p.period);
+      const upper = middle + p.stdDev * deviation;
+      const lower = middle - p.stdDev * deviation;
+      return { middle, upper, lower, bandwidth: middle !== 0 ? (upper - lower) / middle : null };
+    }
+  },
+  DONCHIAN: {
+    defaults: { period: 20 },
+    kind: 'PRICE',
+    warmup: p => p.period,
+    primary: value => value.middle,
+    step: (state, candle, p) => {
+      state.highs = state.highs || [];
+      state.lows = state.lows || [];
+      state.highs.push(candle.high);
+      state.lows.push(candle.low);
+      if (state.highs.length > p.period) {
+        state.highs.shift();
+        state.lows.shift();
+      }
+      if (state.highs.length < p.period) return null;
+
+      const upper = Math.max(...state.highs);
+      const lower = Math.min(...state.lows);
+      return { upper, lower, middle: (upper + lower) / 2 };
+    }
+  },
+  ADX: {
+    defaults: { period: 14 },
+    kind: 'OSCILLATOR',
+    smoothed: true,
+    warmup: p => 2 * p.period,
+    primary: value => value.adx,
+    trend: value => (value.plusDI > value.minusDI ? 1 : value.plusDI < value.minusDI ? -1 : 0),
+    step: (state, candle, p) => {
+      const previous = state.previous;
+      state.previous = { high: candle.high, low: candle.low, close: candle.close };
+      if (!previous) return null;
+
+      const upMove = candle.high - previous.high;
+      const downMove = previous.low - candle.low;
+      state.range = state.range || {};
+      state.plus = state.plus || {};
+      state.minus = state.minus || {};
+      const range = rmaStep(state.range, trueRange(candle, previous.close), p.period);
+      const plus = rmaStep(state.plus, upMove > downMove && upMove > 0 ? upMove : 0, p.period);
+      const minus = rmaStep(state.minus, downMove > upMove && downMove > 0 ? downMove : 0, p.period);
+      if (range === null) return null;
+
+      const plusDI = range > 0 ? (100 * plus) / range : 0;
+      const minusDI = range > 0 ? (100 * minus) / range : 0;
+      const dx = plusDI + minusDI > 0 ? (100 * Math.abs(plusDI - minusDI)) / (plusDI + minusDI) : 0;
+      state.dx = state.dx || {};
+      const adx = rmaStep(state.dx, dx, p.period);
+      return adx === null ? null : { adx, plusDI, minusDI };
+    }
+  }
+};
+
+/**
+ * Running calculator of one indicator
+ */
+class Indicator {
+  /**
+   * @param {string} type - Indicator type (see IndicatorService.TYPES)
+   * @param {Object} params - Parameters, already normalized
+   */
+  constructor(type, params) {
+    this.type = type;
+    this.params = params;
+    this.definition = INDICATORS[type];
+    this.state = {};
+    this.value = null;
+    this.count = 0;
+  }
+
+  /**
+   * Add a closed candle
+   * @param {Object|number} candle - Candle (or price)
+   * @returns {number|Object|null} Value after the candle
+   */
+  update(candle) {
+    this.value = this.definition.step(this.state, candle, this.params);
+    this.count++;
+    return this.value;
+  }
+
+  /**
+   * Value if the candle closed now; the state does not change
+   * @param {Object|number} candle - Forming candle (or price)
+   * @returns {number|Object|null} Value
+   */
+  preview(candle) {
+    return this.definition.step(structuredClone(this.state), candle, this.params);
+  }
+}
+
+class IndicatorService {
+  static TYPES = Object.keys(INDICATORS);
+  static SOURCES = ['close', 'open', 'high', 'low', 'hl2', 'hlc3', 'ohlc4'];
+
+  /**
+   * Indicators with their parameters and defaults, for clients
+   * @returns {Array<Object>} { type, defaults, kind, conditions }
+   */
+  static getCatalog() {
+    return this.TYPES.map(type => ({
+      type,
+      defaults: INDICATORS[type].defaults,
+      kind: INDICATORS[type].kind,
+      conditions: this.getConditions(type)
+    }));
+  }
+
+  /**
+   * Parameters of an indicator with defaults filled in and numbers parsed
+   * @param {string} type - Indicator type
+   * @param {Object} params - Parameters
+   * @returns {Object} Parameters
+   */
+  static normalizeParams(type, params = {}) {
+    const { defaults } = INDICATORS[type];
+    return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+      const value = params[key] ?? fallback;
+      return [key, typeof fallback === 'number' ? Number(value) : value];
+    }));
+  }
+
+  /**
+   * Validate an indicator and its parameters
+   * @param {string} type - Indicator type
+   * @param {Object} params - Parameters
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validate(type, params = {}) {
+    if (!INDICATORS[type]) {
+      return [`Unsupported indicator: ${type} (${this.TYPES.join(', ')})`];
+    }
+
+    const errors = [];
+    const normalized = this.normalizeParams(type, params);
+    for (const [key, value] of Object.entries(normalized)) {
+      if (key === 'source') {
+        if (!this.SOURCES.includes(value)) errors.push(`${type} source must be one of ${this.SOURCES.join(', ')}`);
+      } else if (['multiplier', 'stdDev'].includes(key)) {
+        if (!(value > 0)) errors.push(`${type} ${key} must be positive`);
+      } else if (!Number.isInteger(value) || value < (type === 'HMA' ? 2 : 1)) {
+        errors.push(`${type} ${key} must be a whole number of at least ${type === 'HMA' ? 2 : 1}`);
+      }
+    }
+    if (type === 'MACD' && normalized.fast >= normalized.slow) {
+      errors.push('MACD fast period must be shorter than the slow period');
+    }
+    return errors;
+  }
+
+  /**
+   * Create a running calculator
+   * @param {string} type - Indicator type
+   * @param {Object} params - Parameters (defaults fill the rest)
+   * @returns {Indicator} Calculator with update(candle) and preview(candle)
+   */
+  static create(type, params = {}) {
+    const errors = this.validate(type, params);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return new Indicator(type, this.normalizeParams(type, params));
+  }
+
+  /**
+   * Full series of an indicator
+   * @param {string} type - Indicator type
+   * @param {Array} candles - Candles (or prices) in time order
+   * @param {Object} params - Parameters
+   * @returns {Array} One value (or null) per candle
+   */
+  static calculate(type, candles, params = {}) {
+    const indicator = this.create(type, params);
+    return candles.map(candle => indicator.update(candle));
+  }
+
+  /**
+   * Key a series is returned under, e.g. ema20, macd12_26_9, vwap
+   * @param {Object} spec - { type, key, ...params }
+   * @returns {string} Key
+   */
+  static getKey(spec) {
+    if (spec.key) return spec.key;
+    const type = String(spec.type).toUpperCase();
+    const params = this.normalizeParams(type, spec.params || spec);
+    const numbers = Object.values(params).filter(value => typeof value === 'number');
+    return `${type.toLowerCase()}${numbers.join('_')}`;
+  }
+
+  /**
+   * Validate a list of indicator requests
+   * @param {Array} specs - [{ type, key, params or inline parameters }]
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateSpecs(specs) {
+    if (!Array.isArray(specs) || specs.length === 0) return ['indicators must be a non-empty list'];
+    return specs.flatMap(spec => this.validate(String(spec.type || '').toUpperCase(), spec.params || spec));
+  }
+
+  /**
+   * Several series over the same candles
+   * @param {Array} candles - Candles in time order
+   * @param {Array} specs - [{ type, key, params or inline parameters }] (validateSpecs first)
+   * @returns {Object} Series by key
+   */
+  static calculateMany(candles, specs) {
+    return Object.fromEntries(specs.map(spec => [
+      this.getKey(spec),
+      this.calculate(String(spec.type).toUpperCase(), candles, spec.params || spec)
+    ]));
+  }
+
+  /**
+   * Candles an indicator needs before its values can be used: its warm-up, three times over
+   * for smoothed indicators so the seed has worn off
+   * @param {string} type - Indicator type
+   * @param {Object} params - Parameters
+   * @returns {number} Candles
+   */
+  static getLookback(type, params = {}) {
+    const definition = INDICATORS[type];
+    const warmup = definition.warmup(this.normalizeParams(type, params));
+    return definition.smoothed ? warmup * 3 : warmup;
+  }
+
+  /**
+   * Conditions a strategy filter can test on an indicator
+   * @param {string} type - Indicator type
+   * @returns {Array<string>} Conditions
+   */
+  static getConditions(type) {
+    const definition = INDICATORS[type];
+    if (!definition) return [];
+    return [
+      ...(definition.kind === 'PRICE' ? ['PRICE_ABOVE', 'PRICE_BELOW'] : ['ABOVE', 'BELOW']),
+      'RISING',
+      'FALLING',
+      ...(definition.trend ? ['BULLISH', 'BEARISH'] : [])
+    ];
+  }
+
+  /**
+   * Value of an indicator output that conditions compare (the middle band, the ADX line, ...)
+   * @param {string} type - Indicator type
+   * @param {number|Object|null} value - Indicator value (a number is already the primary value)
+   * @returns {number|null} Value
+   */
+  static getPrimaryValue(type, value) {
+    if (value === null || value === undefined) return null;
+    const { primary } = INDICATORS[type];
+    return primary && typeof value === 'object' ? primary(value) : value;
+  }
+
+  /**
+   * Test a condition on an indicator value
+   * @param {string} type - Indicator type
+   * @param {string} condition - One of getConditions(type)
+   * @param {number|Object|null} value - Value of the last candle
+   * @param {number|Object|null} previous - Value of the candle before
+   * @param {Object} context - { ltp (PRICE_ABOVE / PRICE_BELOW), threshold (ABOVE / BELOW) }
+   * @returns {Object} { passed, state }
+   */
+  static evaluateCondition(type, condition, value, previous, { ltp, threshold } = {}) {
+    const current = this.getPrimaryValue(type, value);
+    if (current === null) return { passed: false, state: 'NOT_READY' };
+
+    switch (condition) {
+      case 'PRICE_ABOVE':
+      case 'PRICE_BELOW': {
+        const state = ltp > current ? 'PRICE_ABOVE' : 'PRICE_BELOW';
+        return { passed: condition === 'PRICE_ABOVE' ? ltp > current : ltp < current, state };
+      }
+      case 'ABOVE':
+      case 'BELOW': {
+        const state = current > threshold ? 'ABOVE' : 'BELOW';
+        return { passed: condition === 'ABOVE' ? current > threshold : current < threshold, state };
+      }
+      case 'BULLISH':
+      case 'BEARISH': {
+        const direction = INDICATORS[type].trend(value);
+        const state = direction === 1 ? 'BULLISH' : direction === -1 ? 'BEARISH' : 'NEUTRAL';
+        return { passed: state === condition, state };
+      }
+      default: {
+        const before = this.getPrimaryValue(type, previous);
+        if (before === null) return { passed: false, state: 'NOT_READY' };
+        const state = current > before ? 'RISING' : current < before ? 'FALLING' : 'FLAT';
+        return { passed: state === condition, state };
+      }
+    }
+  }
+}
+
+module.exports = { IndicatorService };
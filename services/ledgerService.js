@@ -0,0 +1,324 @@
+/**
+ * Ledger Service
+ * Append-only log of order and position events (models/LedgerEvent.js). Call sites record what
+ * happened; current orders and positions are derived by replaying the events, and a user's
+ * TradingState can be rebuilt from that derivation when its in-place copy has drifted.
+ *
+ *   ORDER_PLACED        data: the order (side, orderType, quantity, price, tradingMode)
+ *   ORDER_MODIFIED      data: changed order fields
+ *   ORDER_FILLED / ORDER_CANCELLED / ORDER_REJECTED   data: fill price / broker message
+ *   POSITION_OPENED     data: the full position
+ *   POSITION_MODIFIED / POSITION_PARTIAL_EXIT / POSITION_CLOSED   data: changed position fields
+ *   STATE_RESET         the user cleared their trading state; nothing before it is open
+ */
+const LedgerEvent = require('../models/LedgerEvent');
+const TradingState = require('../models/TradingState');
+const LoggerService = require('./loggerService');
+
+class LedgerService {
+  // Order statuses set by each order event
+  static ORDER_STATUS_EVENTS = {
+    FILLED: 'ORDER_FILLED',
+    CANCELLED: 'ORDER_CANCELLED',
+    REJECTED: 'ORDER_REJECTED'
+  };
+
+  /**
+   * Plain copy of a document, subdocument or object for storing in an event
+   * @param {Object} value - Value to copy
+   * @returns {Object} Plain object
+   */
+  static toPlain(value) {
+    if (!value) return {};
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+    return JSON.parse(JSON.stringify(plain));
+  }
+
+  /**
+   * The given fields of a position or order, for POSITION_MODIFIED-style events
+   * @param {Object} source - Position or order
+   * @param {Array<string>} fields - Field names
+   * @returns {Object} Picked fields
+   */
+  static pick(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source[field]]));
+  }
+
+  /**
+   * Append an event. Never throws - a ledger write must not break order handling.
+   * @param {string} userId - User ID
+   * @param {string} type - Event type
+   * @param {Object} params - { symbol, orderId, positionId, data }
+   * @returns {Promise<Object|null>} Saved event, or null when it could not be written
+   */
+  static async record(userId, type, { symbol, orderId, positionId, data = {} } = {}) {
+    try {
+      return await LedgerEvent.create({
+        userId,
+        type,
+        symbol,
+        orderId: orderId || undefined,
+        positionId: positionId || undefined,
+        data: this.toPlain(data)
+      });
+    } catch (error) {
+      LoggerService.error('LedgerService', `Error recording ${type} for user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a broker status update of an order. Only terminal statuses are events, and a status
+   * the order already has is skipped (brokers repeat updates). Without a userId the owner is
+   * taken from the order's ORDER_PLACED event.
+   * @param {string|null} userId - User ID, if known
+   * @param {string} orderId - Broker order ID
+   * @param {string} status - FILLED, CANCELLED or REJECTED (others are ignored)
+   * @param {Object} data - { fillPrice, message }
+   * @returns {Promise<Object|null>} Saved event, or null when nothing was recorded
+   */
+  static async recordOrderStatus(userId, orderId, status, data = {}) {
+    const type = this.ORDER_STATUS_EVENTS[status];
+    if (!type || !orderId) return null;
+
+    try {
+      if (!userId) {
+        const placed = await LedgerEvent.findOne({ orderId, type: 'ORDER_PLACED' }).lean();
+        if (!placed) return null; // Not an order this app placed
+        userId = placed.userId;
+      }
+
+      const lastStatus = await LedgerEvent.findOne({
+        userId,
+        orderId,
+        type: { $in: Object.values(this.ORDER_STATUS_EVENTS) }
+      }).sort({ _id: -1 }).lean();
+      if (lastStatus && lastStatus.type === type) return null;
+
+      const placed = await LedgerEvent.findOne({ userId, orderId, type: 'ORDER_PLACED' }).lean();
+      return await this.record(userId, type, { symbol: placed?.symbol, orderId, data });
+    } catch (error) {
+      LoggerService.error('LedgerService', `Error recording ${status} for order ${orderId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Record that a position closed. Positions closed by an order update or a manual exit are
+   * swept out of activePositions by the next monitoring cycle, so a position that already has
+   * the event is skipped.
+   * @param {string} userId - User ID
+   * @param {Object} position - Closed position
+   * @returns {Promise<Object|null>} Saved event, or null when nothing was recorded
+   */
+  static async recordPositionClosed(userId, position) {
+    if (!position || !position.id) return null;
+
+    try {
+      const recorded = await LedgerEvent.exists({ userId, positionId: position.id, type: 'POSITION_CLOSED' });
+      if (recorded) return null;
+
+      return await this.record(userId, 'POSITION_CLOSED', {
+        symbol: position.symbol,
+        positionId: position.id,
+        data: this.pick(position, ['status', 'currentPrice', 'pnl', 'pnlPercentage', 'exitPrice', 'exitTimestamp', 'exitOrderId'])
+      });
+    } catch (error) {
+      LoggerService.error('LedgerService', `Error recording POSITION_CLOSED for position ${position.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Events of a user in replay order
+   * @param {string} userId - User ID
+   * @param {Object} filters - Optional { orderId, positionId, symbol, type, since, limit }
+   * @returns {Promise<Array>} Events
+   */
+  static async getEvents(userId, filters = {}) {
+    const query = { userId };
+    if (filters.orderId) query.orderId = filters.orderId;
+    if (filters.positionId) query.positionId = filters.positionId;
+    if (filters.symbol) query.symbol = filters.symbol;
+    if (filters.type) query.type = filters.type;
+    if (filters.since) query.timestamp = { $gte: new Date(filters.since) };
+
+    let cursor = LedgerEvent.find(query).sort({ _id: 1 });
+    if (filters.limit) {
+      cursor = cursor.limit(parseInt(filters.limit));
+    }
+    return cursor.lean();
+  }
+
+  /**
+   * Apply one event to a derived state (mutates and returns it)
+   * @param {Object} derived - { orders, positions } keyed by order ID / position ID
+   * @param {Object} event - Ledger event
+   * @returns {Object} Derived state
+   */
+  static applyEvent(derived, event) {
+    const data = event.data || {};
+    const order = event.orderId ? derived.orders[event.orderId] : null;
+    const position = event.positionId ? derived.positions[event.positionId] : null;
+
+    switch (event.type) {
+      case 'ORDER_PLACED':
+        if (event.orderId) {
+          derived.orders[event.orderId] = {
+            ...data,
+            orderId: event.orderId,
+            symbol: event.symbol,
+            status: 'PENDING',
+            placedAt: event.timestamp,
+            updatedAt: event.timestamp
+          };
+        }
+        break;
+      case 'ORDER_MODIFIED':
+        if (order) Object.assign(order, data, { updatedAt: event.timestamp });
+        break;
+      case 'ORDER_FILLED':
+      case 'ORDER_CANCELLED':
+      case 'ORDER_REJECTED':
+        if (order) {
+          Object.assign(order, data, { status: event.type.replace('ORDER_', ''), updatedAt: event.timestamp });
+        }
+        break;
+      case 'POSITION_OPENED':
+        if (event.positionId) {
+          derived.positions[event.positionId] = { ...data, id: event.positionId };
+        }
+        break;
+      case 'POSITION_MODIFIED':
+      case 'POSITION_PARTIAL_EXIT':
+      case 'POSITION_CLOSED':
+        if (position) Object.assign(position, data);
+        break;
+      case 'STATE_RESET':
+        // Anything still open before a reset was discarded with the state
+        Object.values(derived.orders).filter(o => o.status === 'PENDING').forEach(o => { o.status = 'CANCELLED'; });
+        Object.values(derived.positions).filter(p => p.status === 'Active').forEach(p => { p.status = 'Closed'; });
+        break;
+      default:
+        break;
+    }
+    return derived;
+  }
+
+  /**
+   * Replay events into orders and positions
+   * @param {Array} events - Events in replay order
+   * @returns {Object} { orders, positions } keyed by order ID / position ID
+   */
+  static replay(events) {
+    return events.reduce((derived, event) => this.applyEvent(derived, event), { orders: {}, positions: {} });
+  }
+
+  /**
+   * Current orders and positions of a user, derived from the ledger
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { eventCount, orders, positions, openOrders, openPositions }
+   */
+  static async deriveState(userId) {
+    const events = await this.getEvents(userId);
+    const { orders, positions } = this.replay(events);
+    const orderList = Object.values(orders);
+    const positionList = Object.values(positions);
+
+    return {
+      eventCount: events.length,
+      orders: orderList,
+      positions: positionList,
+      openOrders: orderList.filter(o => o.status === 'PENDING'),
+      openPositions: positionList.filter(p => p.status === 'Active')
+    };
+  }
+
+  /**
+   * Rebuild a user's active positions and entry-order tracking from the ledger.
+   * Positions with no ledger history (opened before the ledger existed) are kept as they are.
+   * @param {string} userId - User ID
+   * @param {Object} options - { dryRun } to report the changes without saving them
+   * @returns {Promise<Object>} { success, message, data: { changes, activePositions } }
+   */
+  static async rebuildState(userId, { dryRun = false } = {}) {
+    try {
+      const state = await TradingState.findOne({ userId });
+      if (!state) {
+        return { success: false, message: 'Trading state not found' };
+      }
+
+      const derived = await this.deriveState(userId);
+      const ordersById = Object.fromEntries(derived.orders.map(o => [o.orderId, o]));
+      const ledgerPositionIds = new Set(derived.positions.map(p => p.id));
+      const changes = [];
+
+      // Active positions: the ledger's open positions, plus positions it has never seen
+      const untracked = state.activePositions.filter(p => !ledgerPositionIds.has(p.id));
+      const currentIds = new Set(state.activePositions.map(p => p.id));
+      const derivedIds = new Set(derived.openPositions.map(p => p.id));
+
+      state.activePositions
+        .filter(p => ledgerPositionIds.has(p.id) && !derivedIds.has(p.id))
+        .forEach(p => changes.push({ type: 'POSITION_REMOVED', positionId: p.id, symbol: p.symbol, reason: `Closed in ledger (${derived.positions.find(d => d.id === p.id).status})` }));
+      derived.openPositions
+        .filter(p => !currentIds.has(p.id))
+        .forEach(p => changes.push({ type: 'POSITION_RESTORED', positionId: p.id, symbol: p.symbol, reason: 'Open in ledger but missing from state' }));
+
+      const activePositions = [
+        ...derived.openPositions,
+        ...untracked.map(p => this.toPlain(p))
+      ];
+
+      // Entry orders of monitored symbols: drop symbols whose entry already became a position,
+      // and release symbols whose entry order was cancelled or rejected
+      const openedByOrder = new Set(derived.positions.map(p => p.buyOrderId).filter(Boolean));
+      const monitoredSymbols = [];
+      for (const symbol of state.monitoredSymbols) {
+        const order = symbol.orderId ? ordersById[symbol.orderId] : null;
+
+        if (order && order.status === 'FILLED' && openedByOrder.has(symbol.orderId)) {
+          changes.push({ type: 'SYMBOL_REMOVED', symbolId: symbol.id, symbol: symbol.symbol, reason: `Entry order ${symbol.orderId} filled into a position` });
+          continue;
+        }
+
+        if (order && order.status !== symbol.orderStatus) {
+          changes.push({ type: 'ORDER_STATUS_CORRECTED', symbolId: symbol.id, symbol: symbol.symbol, orderId: symbol.orderId, from: symbol.orderStatus, to: order.status });
+          symbol.orderStatus = order.status;
+          if (order.status === 'CANCELLED' || order.status === 'REJECTED') {
+            symbol.orderPlaced = false;
+            symbol.orderPlacedAt = null;
+            symbol.pendingSignal = null;
+            symbol.triggerStatus = order.status === 'REJECTED' ? 'ORDER_REJECTED' : 'WAITING_FOR_REVERSAL';
+          }
+        }
+        monitoredSymbols.push(symbol);
+      }
+
+      if (!dryRun && changes.length > 0) {
+        state.activePositions = activePositions;
+        state.monitoredSymbols = monitoredSymbols;
+        await state.save();
+        LoggerService.info('LedgerService', `Rebuilt trading state of user ${userId} from ${derived.eventCount} ledger events: ${changes.length} change(s)`);
+      }
+
+      return {
+        success: true,
+        message: changes.length === 0
+          ? 'Trading state matches the ledger'
+          : `${changes.length} change(s) ${dryRun ? 'found' : 'applied'} from ${derived.eventCount} ledger events`,
+        data: {
+          dryRun,
+          eventCount: derived.eventCount,
+          changes,
+          activePositions
+        }
+      };
+    } catch (error) {
+      LoggerService.error('LedgerService', `Error rebuilding trading state for user ${userId}:`, error);
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = { LedgerService };
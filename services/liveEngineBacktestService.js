@@ -0,0 +1,567 @@
+/**
+ * Live Engine Backtest Service
+ * Replays historical candles through the decision code of live monitoring: the strategy's
+ * reversal → confirmation → entry state machine (StrategyService.advanceSignal), position sizing,
+ * target ladders, stop loss and X/Y trailing (MonitoringService exit helpers), and a fresh
+ * StrategyService.getInitialSignal after every close, as when a closed symbol is re-added.
+ *
+ * Every base candle is replayed as four ticks: open, the extreme the candle probably reached
+ * first (low for a rising candle, high for a falling one), the other extreme, then close, at
+ * 0, 1/3 and 2/3 of the candle and its last second. The indicator only sees candles of its
+ * timeframe that closed before the tick, and the strategy's filters bars of theirs that closed
+ * before the entry (MultiTimeframeService). Simulated orders fill like exchange orders: market
+ * entries at the tick, stops, targets and limit entries at their price - or at the tick when
+ * the price was already through it (a gap at the candle open). Market fills (entries, stops,
+ * targets, square-off) lose `slippageTicks`; every trade carries its charges (TradingCostService).
+ */
+const { IndicatorService } = require('./indicatorService');
+const { StrategyService } = require('./strategyService');
+const { PositionSizingService } = require('./positionSizingService');
+const { TargetLadderService } = require('./targetLadderService');
+const { BacktestService } = require('./backtestService');
+const { SymbolService } = require('./symbolService');
+const { TradingCostService } = require('./tradingCostService');
+const { HistoricalDataService } = require('./historicalDataService');
+const { MultiTimeframeService } = require('./multiTimeframeService');
+const LoggerService = require('./loggerService');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+// State transitions kept in the result; a long replay of a choppy symbol produces thousands
+const MAX_EVENTS = 5000;
+
+class LiveEngineBacktestService {
+  /**
+   * Combine base candles into candles of a longer timeframe, aligned to the session open
+   * @param {Array} candles - Base candles in time order
+   * @param {number} minutes - Timeframe in minutes
+   * @returns {Array} Candles with `closeTime`, the time they are complete
+   */
+  static aggregateCandles(candles, minutes) {
+    return MultiTimeframeService.aggregateCandles(candles, String(minutes));
+  }
+
+  /**
+   * Price updates a candle is replayed as
+   * @param {Object} candle - Candle
+   * @param {number} intervalMs - Candle length in milliseconds
+   * @returns {Array<Object>} Ticks: { time, ltp, isOpen }
+   */
+  static buildTicks(candle, intervalMs) {
+    const rising = candle.close >= candle.open;
+    const path = rising
+      ? [candle.open, candle.low, candle.high, candle.close]
+      : [candle.open, candle.high, candle.low, candle.close];
+    const offsets = [0, intervalMs / 3, (2 * intervalMs) / 3, intervalMs - 1000];
+
+    return path.map((ltp, i) => ({ time: new Date(candle.timestamp + Math.round(offsets[i])), ltp, isOpen: i === 0 }));
+  }
+
+  /**
+   * Fill price of an order resting at `level` that the tick reached. Price moves continuously
+   * between ticks of a candle, so a level crossed since the previous tick fills at the level;
+   * a level the price was already through (a gap at the open, or an order placed behind the
+   * market) fills at the tick.
+   * @param {Object} tick - Tick that reached the level
+   * @param {number} previousLtp - LTP of the previous tick
+   * @param {number} level - Order price
+   * @param {number} side - 1 when the order fills at or above the level, -1 at or below it
+   * @returns {number} Fill price
+   */
+  static getFillPrice(tick, previousLtp, level, side) {
+    return !tick.isOpen && side * (previousLtp - level) < 0 ? level : tick.ltp;
+  }
+
+  /**
+   * Minutes since midnight IST of a time
+   * @param {Date} time - Time
+   * @returns {number} Minutes
+   */
+  static getISTMinutes(time) {
+    const ist = new Date(time.getTime() + IST_OFFSET_MS);
+    return ist.getUTCHours() * 60 + ist.getUTCMinutes();
+  }
+
+  /**
+   * Validate replay parameters
+   * @param {Object} params - Replay parameters
+   * @param {Object} strategy - Strategy definition for the symbol's side
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validate(params, strategy) {
+    const errors = [];
+    const baseMinutes = Number(params.interval);
+    const indicatorMinutes = Number(strategy.indicator.timeframe);
+
+    if (!(baseMinutes > 0)) {
+      errors.push('interval must be a candle length in minutes');
+    } else if (!(indicatorMinutes > 0) || indicatorMinutes % baseMinutes !== 0) {
+      errors.push(`The strategy's ${strategy.indicator.timeframe}-minute indicator timeframe must be a multiple of the ${params.interval}-minute candles`);
+    }
+    if (params.squareOffTime && !/^\d{1,2}:\d{2}$/.test(params.squareOffTime)) {
+      errors.push('squareOffTime must be HH:MM (IST)');
+    }
+    const sizingMode = PositionSizingService.normalizeSizing(params.sizing).mode;
+    if (sizingMode === 'PERCENT_OF_FUNDS' && !(parseFloat(params.initialCapital) > 0)) {
+      errors.push('PERCENT_OF_FUNDS sizing needs initialCapital');
+    }
+
+    return [
+      ...errors,
+      ...(baseMinutes > 0 ? MultiTimeframeService.validateForInterval(strategy.filters, params.interval) : []),
+      ...PositionSizingService.validateSizing(params.sizing),
+      ...TradingCostService.validate(params.costs, params.slippageTicks),
+      ...TargetLadderService.validateLegs(params.targetLegs)
+    ];
+  }
+
+  /**
+   * Replay a request: resolves its strategy (a saved one by strategyId, an inline definition, or the
+   * user's default like live monitoring) and uses posted candles or stored candles of startDate - endDate
+   * @param {string} userId - User ID
+   * @param {Object} params - runBacktest parameters plus strategyId or strategy, and candles or startDate/endDate
+   * @param {string} accessToken - Fyers access token to fetch candles the store is missing (optional)
+   * @returns {Promise<Object>} { success, message, data }
+   */
+  static async runBacktestRequest(userId, params, accessToken = null) {
+    const { symbol, interval, startDate, endDate, strategyId } = params;
+    let { candles, strategy } = params;
+
+    if (!symbol || !interval) {
+      return { success: false, message: 'Symbol and interval are required' };
+    }
+
+    if (strategyId) {
+      strategy = await StrategyService.getStrategy(userId, strategyId);
+      if (!strategy) return { success: false, message: 'Strategy not found' };
+    } else if (strategy) {
+      const errors = StrategyService.validateStrategy(strategy);
+      if (errors.length > 0) return { success: false, message: errors.join('; ') };
+    } else {
+      strategy = (await StrategyService.getStrategies(userId)).find(s => s.isDefault) || StrategyService.DEFAULT_STRATEGY;
+    }
+
+    // Without client candles, load base candles with enough prefill for the indicator and filter timeframes
+    if (!Array.isArray(candles) || candles.length === 0) {
+      if (!startDate || !endDate) {
+        return { success: false, message: 'Candles, or startDate and endDate to fetch them, are required' };
+      }
+
+      const { indicator, filters } = StrategyService.normalizeStrategy(strategy);
+      const candlesPerIndicatorCandle = Math.max(Math.ceil(Number(indicator.timeframe) / Number(interval)), 1);
+      const stored = await HistoricalDataService.getBacktestCandles(symbol, {
+        startDate,
+        endDate,
+        interval,
+        prefill: Math.max(
+          IndicatorService.getLookback(indicator.name, StrategyService.getIndicatorParams(strategy)) * candlesPerIndicatorCandle,
+          MultiTimeframeService.getPrefillCandles(filters, interval)
+        )
+      }, accessToken);
+      if (!stored.success) return stored;
+      candles = stored.data;
+    }
+
+    console.log(`🧪 Backtest: Replaying ${candles.length} candles of ${symbol} through the live engine`);
+    return this.runBacktest(candles, { ...params, strategy });
+  }
+
+  /**
+   * Run a symbol through the live monitoring state machine on historical candles
+   * @param {Array} candles - Base candles ({ timestamp (ms), open, high, low, close }), indicator prefill included
+   * @param {Object} params - { symbol, interval, strategy, type, lots, lotSize, sizing, targetPoints, stopLossPoints,
+   *   targetLegs, useTrailingStoploss, trailingX, trailingY, maxReEntries, productType, squareOffTime, initialCapital,
+   *   slippageTicks, costs, includeEvents, onProgress (called with (percent, message) during the replay) }
+   * @returns {Promise<Object>} { success, message, data } - data has the engine's result fields plus `events`
+   */
+  static async runBacktest(candles, params) {
+    const { MonitoringService } = require('./monitoringService');
+
+    const type = params.type || 'CE';
+    const side = MonitoringService.getEntrySide({ type });
+    const strategy = StrategyService.forSide(params.strategy || StrategyService.DEFAULT_STRATEGY, side);
+
+    const errors = this.validate(params, strategy);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join('; ') };
+    }
+    if (!Array.isArray(candles) || candles.length === 0) {
+      return { success: false, message: 'Historical data (candles) is required' };
+    }
+
+    // The monitored symbol as addSymbolToMonitoring would store it
+    const symbol = StrategyService.applyExitRules({
+      id: `${params.symbol}-backtest`,
+      symbol: params.symbol,
+      type,
+      lots: parseInt(params.lots) || 1,
+      sizing: params.sizing,
+      targetPoints: parseFloat(params.targetPoints) || 0,
+      stopLossPoints: parseFloat(params.stopLossPoints) || 0,
+      targetLegs: TargetLadderService.normalizeLegs(params.targetLegs),
+      useTrailingStoploss: Boolean(params.useTrailingStoploss),
+      trailingX: parseFloat(params.trailingX) || 0,
+      trailingY: parseFloat(params.trailingY) || 0,
+      productType: params.productType || 'INTRADAY',
+      tradingMode: 'PAPER'
+    }, strategy);
+
+    const direction = MonitoringService.getDirection(symbol);
+    const exitSide = MonitoringService.getExitSide(symbol);
+    const slippageTicks = parseFloat(params.slippageTicks) || 0;
+    const costModel = TradingCostService.buildCostModel(params.costs, params.symbol, symbol.productType);
+    const slip = (price, orderSide) => TradingCostService.applySlippage(price, orderSide, slippageTicks, params.symbol);
+    const lotSize = parseInt(params.lotSize) || SymbolService.getLotSizeForSymbol(params.symbol);
+    const intervalMs = Number(params.interval) * 60 * 1000;
+    const maxReEntries = params.maxReEntries === undefined || params.maxReEntries === null ? null : parseInt(params.maxReEntries);
+    const initialCapital = parseFloat(params.initialCapital) || 0;
+    const squareOffTime = symbol.productType === 'INTRADAY' ? (params.squareOffTime === undefined ? '15:20' : params.squareOffTime) : null;
+    const squareOffMinutes = squareOffTime
+      ? Number(squareOffTime.split(':')[0]) * 60 + Number(squareOffTime.split(':')[1])
+      : null;
+
+    const data = [...candles].sort((a, b) => a.timestamp - b.timestamp);
+    const indicatorCandles = this.aggregateCandles(data, Number(strategy.indicator.timeframe));
+    const indicatorValues = IndicatorService.calculate(strategy.indicator.name, indicatorCandles, StrategyService.getIndicatorParams(strategy))
+      .map(value => StrategyService.getIndicatorLevel(strategy, value));
+    const filters = MultiTimeframeService.prepareFilters(strategy.filters, data);
+
+    const sim = {
+      pendingSignal: null,
+      triggerStatus: null,
+      entryOrder: null, // Resting SL_LIMIT entry: { limitPrice, triggerPrice, triggered, lastHmaValue, placedAt }
+      position: null,
+      realizedPnL: 0,
+      closes: 0,
+      entrySignals: 0,
+      filteredEntries: 0,
+      done: false,
+      squaredOffDay: null,
+      trades: [],
+      events: [],
+      eventsTruncated: false
+    };
+
+    const record = (time, event, details = {}) => {
+      if (params.includeEvents === false) return;
+      if (sim.events.length >= MAX_EVENTS) {
+        sim.eventsTruncated = true;
+        return;
+      }
+      sim.events.push({ time: time.toISOString(), event, ...details });
+    };
+
+    const startMonitoring = (ltp, indicatorValue, now) => {
+      const initial = StrategyService.getInitialSignal(strategy, ltp, indicatorValue, now);
+      sim.pendingSignal = initial.pendingSignal;
+      sim.triggerStatus = initial.triggerStatus;
+      record(now, 'MONITORING_STARTED', { ltp, indicatorValue, triggerStatus: initial.triggerStatus, reason: initial.orderModificationReason });
+    };
+
+    const openPosition = (fillPrice, lots, quantity, now, orderType) => {
+      const exitLevels = MonitoringService.getExitLevels(symbol, fillPrice);
+      sim.position = {
+        id: `${symbol.symbol}-${now.getTime()}`,
+        symbol: symbol.symbol,
+        type: symbol.type,
+        lots,
+        quantity,
+        boughtPrice: fillPrice,
+        currentPrice: fillPrice,
+        target: exitLevels.target,
+        stopLoss: exitLevels.stopLoss,
+        initialStopLoss: exitLevels.stopLoss,
+        useTrailingStoploss: symbol.useTrailingStoploss || false,
+        trailingX: symbol.trailingX || 20,
+        trailingY: symbol.trailingY || 15,
+        status: 'Active',
+        timestamp: now,
+        targetLegs: TargetLadderService.buildPositionLegs(symbol.targetLegs, fillPrice, direction),
+        remainingQuantity: quantity,
+        realizedPnL: 0,
+        stage: 0,
+        orderType,
+        slModifications: []
+      };
+      record(now, 'POSITION_OPENED', { price: fillPrice, lots, quantity, target: exitLevels.target, stopLoss: exitLevels.stopLoss });
+    };
+
+    const closePosition = (price, exitReason, now, ltp, indicatorValue) => {
+      const position = sim.position;
+      const exitPrice = slip(price, exitSide);
+      const pnl = position.realizedPnL + direction * (exitPrice - position.boughtPrice) * position.remainingQuantity;
+      const entryTime = position.timestamp.getTime();
+      const fills = [
+        ...position.targetLegs.filter(leg => leg.status === 'BOOKED').map(leg => ({ price: leg.exitPrice, quantity: leg.quantity })),
+        { price: exitPrice, quantity: position.remainingQuantity }
+      ];
+
+      const trade = TradingCostService.applyToTrade({
+        entryPrice: position.boughtPrice,
+        exitPrice,
+        entryTime,
+        entryTimeIST: new Date(entryTime + IST_OFFSET_MS).toISOString(),
+        exitTime: now.getTime(),
+        exitTimeIST: new Date(now.getTime() + IST_OFFSET_MS).toISOString(),
+        pnl,
+        exitReason,
+        duration: now.getTime() - entryTime,
+        targetPrice: position.target,
+        stopLossPrice: position.stopLoss,
+        initialStopLoss: position.initialStopLoss,
+        quantity: position.quantity,
+        lots: position.lots,
+        side,
+        orderType: position.orderType,
+        targetLegs: position.targetLegs,
+        slModifications: position.slModifications,
+        fills
+      }, costModel, direction);
+      sim.trades.push(trade);
+      sim.realizedPnL += trade.pnl;
+      sim.position = null;
+      sim.closes++;
+      record(now, 'POSITION_CLOSED', { price: exitPrice, exitReason, grossPnL: trade.grossPnL, pnl: trade.pnl });
+
+      // A closed symbol is monitored again from the state its rules give for the current LTP
+      if (sim.done) return;
+      if (maxReEntries !== null && sim.closes > maxReEntries) {
+        sim.done = true;
+        record(now, 'MONITORING_STOPPED', { reason: `Max re-entries reached (${maxReEntries})` });
+      } else {
+        startMonitoring(ltp, indicatorValue, now);
+      }
+    };
+
+    // executeStrategyEntry: MARKET fills now, SL_LIMIT rests a stop-limit entry at the indicator
+    const placeEntry = async (ltp, indicatorValue, now) => {
+      const pastSquareOff = squareOffMinutes !== null && this.getISTMinutes(now) >= squareOffMinutes;
+      if (pastSquareOff) {
+        return { placed: false, reason: `Intraday entries are closed after ${squareOffTime}` };
+      }
+
+      const isLimit = strategy.entry.orderType === 'SL_LIMIT';
+      const entryPrice = isLimit ? Math.round(indicatorValue / 0.05) * 0.05 : ltp;
+      const sizing = await PositionSizingService.calculateLots(symbol, {
+        lotSize,
+        entryPrice,
+        availableFunds: initialCapital + sim.realizedPnL
+      });
+      if (sizing.lots < 1) {
+        return { placed: false, reason: `Position sizing (${sizing.mode}): ${sizing.reason}` };
+      }
+
+      sim.pendingSignal = null;
+      if (isLimit) {
+        sim.entryOrder = {
+          limitPrice: entryPrice,
+          triggerPrice: entryPrice - direction * 0.5,
+          triggered: false,
+          lastHmaValue: indicatorValue,
+          lots: sizing.lots,
+          quantity: sizing.quantity,
+          placedAt: now
+        };
+        sim.triggerStatus = 'ORDER_PLACED';
+        record(now, 'ENTRY_ORDER_PLACED', { limitPrice: entryPrice, triggerPrice: sim.entryOrder.triggerPrice, lots: sizing.lots, sizing: sizing.reason });
+      } else {
+        sim.triggerStatus = 'ORDER_PLACED';
+        openPosition(slip(ltp, side), sizing.lots, sizing.quantity, now, 'MARKET');
+      }
+      return { placed: true };
+    };
+
+    let previousLtp = null;
+    let closedIndicatorCandles = 0;
+    let lastIndicatorValue = null;
+
+    const progressStep = Math.max(Math.floor(data.length / 50), 1);
+    for (let index = 0; index < data.length; index++) {
+      const candle = data[index];
+      if (sim.done) break;
+      if (params.onProgress && index % progressStep === 0) {
+        await params.onProgress(Math.round((index / data.length) * 100), `Replayed ${index} of ${data.length} candles`);
+      }
+
+      // Indicator candles that have closed by the start of this candle
+      while (closedIndicatorCandles < indicatorCandles.length && indicatorCandles[closedIndicatorCandles].closeTime <= candle.timestamp) {
+        closedIndicatorCandles++;
+      }
+      const indicatorValue = closedIndicatorCandles > 0 ? indicatorValues[closedIndicatorCandles - 1] : null;
+      if (indicatorValue === null || indicatorValue === undefined) {
+        previousLtp = candle.close;
+        continue;
+      }
+
+      // A resting SL_LIMIT entry follows the indicator like modifyPendingOrderForHMAChange
+      if (sim.entryOrder && Math.abs(indicatorValue - sim.entryOrder.lastHmaValue) >= 0.5) {
+        const limitPrice = Math.round(indicatorValue / 0.05) * 0.05;
+        sim.entryOrder.limitPrice = limitPrice;
+        sim.entryOrder.triggerPrice = limitPrice - direction * 0.5;
+        sim.entryOrder.lastHmaValue = indicatorValue;
+        record(new Date(candle.timestamp), 'ENTRY_ORDER_MODIFIED', { limitPrice, triggerPrice: sim.entryOrder.triggerPrice, indicatorValue });
+      }
+      lastIndicatorValue = indicatorValue;
+
+      for (const tick of this.buildTicks(candle, intervalMs)) {
+        if (sim.done) break;
+        const { ltp, time: now } = tick;
+        const dayKey = new Date(now.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+        if (!sim.pendingSignal && !sim.entryOrder && !sim.position) {
+          startMonitoring(ltp, indicatorValue, now);
+        }
+
+        // Intraday positions and DAY entry orders end at the broker's square-off time
+        if (squareOffMinutes !== null && sim.squaredOffDay !== dayKey && this.getISTMinutes(now) >= squareOffMinutes) {
+          sim.squaredOffDay = dayKey;
+          if (sim.position) {
+            closePosition(ltp, 'SQUARE_OFF', now, ltp, indicatorValue);
+          } else if (sim.entryOrder) {
+            sim.entryOrder = null;
+            record(now, 'ENTRY_ORDER_CANCELLED', { reason: `Intraday square-off at ${squareOffTime}` });
+            startMonitoring(ltp, indicatorValue, now);
+          }
+        }
+
+        if (sim.position) {
+          // updateActivePositions: ladder leg, target, stop, otherwise trail the stop
+          const position = sim.position;
+          position.currentPrice = ltp;
+          const exitAction = MonitoringService.getExitAction(position, ltp);
+
+          if (exitAction === 'TARGET_LEG') {
+            const legIndex = TargetLadderService.getNextLegIndex(position);
+            const { remainingQuantity, legQuantity } = MonitoringService.getLegQuantity(position, legIndex, lotSize);
+            const legPrice = this.getFillPrice(tick, previousLtp, position.targetLegs[legIndex].price, direction);
+
+            if (legQuantity >= remainingQuantity) {
+              closePosition(legPrice, 'TARGET', now, ltp, indicatorValue);
+            } else {
+              const exitPrice = slip(legPrice, exitSide);
+              const legPnL = MonitoringService.applyBookedLeg(position, legIndex, legQuantity, exitPrice, null, now);
+              MonitoringService.applyStopAfterLeg(position, legIndex, now);
+              record(now, 'TARGET_LEG_BOOKED', { leg: legIndex + 1, price: exitPrice, quantity: legQuantity, pnl: legPnL, stopLoss: position.stopLoss });
+            }
+          } else if (exitAction === 'TARGET') {
+            closePosition(this.getFillPrice(tick, previousLtp, position.target, direction), 'TARGET', now, ltp, indicatorValue);
+          } else if (exitAction === 'STOP_LOSS') {
+            closePosition(this.getFillPrice(tick, previousLtp, position.stopLoss, -direction), 'STOP_LOSS', now, ltp, indicatorValue);
+          } else {
+            // Every simulated position has its protective stop order at the exchange, so it always trails
+            const trailingStop = MonitoringService.getTrailingStop(position, ltp);
+            if (trailingStop) {
+              position.slModifications.push({ timestamp: now, oldStopLoss: position.stopLoss, newStopLoss: trailingStop.stopLoss, reason: trailingStop.reason });
+              record(now, 'STOP_TRAILED', { from: position.stopLoss, to: trailingStop.stopLoss, reason: trailingStop.reason });
+              position.stopLoss = trailingStop.stopLoss;
+            }
+          }
+        } else if (sim.entryOrder) {
+          // Entry stop-limit: triggers when the price reaches the trigger, then fills at or better than the limit
+          const order = sim.entryOrder;
+          const triggeredNow = !order.triggered && direction * (ltp - order.triggerPrice) >= 0;
+          if (triggeredNow) order.triggered = true;
+
+          if (order.triggered && direction * (order.limitPrice - ltp) >= 0) {
+            const fillPrice = triggeredNow
+              ? this.getFillPrice(tick, previousLtp, order.triggerPrice, direction)
+              : this.getFillPrice(tick, previousLtp, order.limitPrice, -direction);
+            sim.entryOrder = null;
+            record(now, 'ENTRY_ORDER_FILLED', { price: fillPrice });
+            openPosition(fillPrice, order.lots, order.quantity, now, `${side}_SL_LIMIT`);
+          }
+        } else if (sim.pendingSignal) {
+          const transitions = StrategyService.advanceSignal(strategy, sim.pendingSignal, ltp, indicatorValue, now);
+
+          for (const transition of transitions) {
+            if (transition.triggerStatus) sim.triggerStatus = transition.triggerStatus;
+            record(now, transition.event, { ltp, indicatorValue, triggerStatus: transition.triggerStatus, reason: transition.reason });
+
+            if (transition.event === 'ENTRY_CONFIRMED') {
+              sim.entrySignals++;
+              const filterCheck = filters.length > 0 ? MultiTimeframeService.checkFilters(filters, now.getTime(), ltp) : null;
+              if (filterCheck && !filterCheck.passed) {
+                // Higher-timeframe filters say no: wait for the next entry, as live monitoring does
+                sim.filteredEntries++;
+                StrategyService.resetEntrySignal(sim.pendingSignal);
+                sim.triggerStatus = 'WAITING_FOR_ENTRY';
+                record(now, 'ENTRY_FILTERED', { ltp, indicatorValue, triggerStatus: 'WAITING_FOR_ENTRY', reason: filterCheck.reason, filters: filterCheck.results });
+                continue;
+              }
+
+              const entry = await placeEntry(ltp, indicatorValue, now);
+              if (!entry.placed) {
+                StrategyService.resetEntrySignal(sim.pendingSignal);
+                sim.triggerStatus = 'WAITING_FOR_ENTRY';
+                record(now, 'ENTRY_FAILED', { ltp, indicatorValue, triggerStatus: 'WAITING_FOR_ENTRY', reason: entry.reason });
+              }
+            }
+          }
+        }
+
+        previousLtp = ltp;
+      }
+    }
+
+    // Anything still open is closed at the last price
+    const last = data[data.length - 1];
+    const lastTime = new Date(last.timestamp + intervalMs - 1000);
+    if (sim.position) {
+      sim.done = true; // No restart after the data ends
+      closePosition(last.close, 'END_OF_DATA', lastTime, last.close, lastIndicatorValue);
+    }
+    if (sim.entryOrder) {
+      record(lastTime, 'ENTRY_ORDER_CANCELLED', { reason: 'End of data' });
+    }
+
+    const summary = BacktestService.summarizeTrades(sim.trades);
+    const costs = TradingCostService.summarize(sim.trades);
+    const firstIndicatorValue = indicatorValues.findIndex(value => value !== null);
+    LoggerService.info('LiveEngineBacktestService', `${params.symbol}: replayed ${data.length} candles through ${strategy.name}, ${summary.totalTrades} trades, P&L ${summary.totalPnL.toFixed(2)}`);
+
+    return {
+      success: true,
+      message: `Replayed ${data.length} candles through ${strategy.name}`,
+      data: {
+        mode: 'LIVE_ENGINE',
+        symbol: params.symbol,
+        interval: params.interval,
+        strategy: { name: strategy.name, side, indicator: strategy.indicator, entry: strategy.entry, filters: strategy.filters },
+        lotSize,
+        squareOffTime,
+        slippageTicks,
+        costModel,
+        indicatorReadyAt: firstIndicatorValue >= 0 ? indicatorCandles[firstIndicatorValue].closeTime : null,
+        ...summary,
+        grossPnL: costs.grossPnL,
+        totalCharges: costs.totalCharges,
+        charges: costs.charges,
+        entrySignals: sim.entrySignals,
+        filteredEntries: sim.filteredEntries,
+        finalStatus: sim.triggerStatus,
+        trades: sim.trades,
+        events: sim.events,
+        eventsTruncated: sim.eventsTruncated,
+        kpis: {
+          totalTrades: summary.totalTrades,
+          entrySignals: sim.entrySignals,
+          filteredEntries: sim.filteredEntries,
+          winCount: summary.winCount,
+          lossCount: summary.lossCount,
+          winRate: summary.winRate.toFixed(2),
+          totalPnL: summary.totalPnL.toFixed(2),
+          grossPnL: costs.grossPnL.toFixed(2),
+          totalCharges: costs.totalCharges.toFixed(2),
+          netPnL: costs.netPnL.toFixed(2),
+          avgPnL: summary.avgPnL.toFixed(2),
+          maxProfit: summary.maxProfit,
+          maxLoss: summary.maxLoss,
+          profitFactor: summary.profitFactor.toFixed(2),
+          sharpeRatio: summary.sharpeRatio.toFixed(2),
+          maxDrawdown: summary.maxDrawdown.toFixed(2)
+        }
+      }
+    };
+  }
+}
+
+module.exports = { LiveEngineBacktestService };
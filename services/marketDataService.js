@@ -5,6 +5,7 @@
 const axios = require('axios');
 const mongoose = require('mongoose');
 const { HMAService } = require('./hmaService');
+const { IndicatorService } = require('./indicatorService');
 const LoggerService = require('./loggerService');
 
 // Define a schema for caching market data
@@ -279,7 +280,7 @@ class MarketDataService {
    * Fetch data with indicators
    * @param {string} symbol - Symbol
    * @param {string} timeframe - Timeframe
-   * @param {Array} indicators - Array of indicators to calculate
+   * @param {Array} indicators - Array of indicators to calculate: { type: 'hma' | 'hma_signals' | any IndicatorService type, ...params }
    * @returns {Promise<Object>} - Data with indicators
    */
   static async fetchDataWithIndicators(symbol, timeframe = '1d', indicators = []) {
@@ -311,7 +312,14 @@ class MarketDataService {
             });
             result.indicators.hmaSignals = hmaSignals;
             break;
-          // Add more indicator types as needed
+          default:
+            // Everything else comes from the indicator library (ema, rsi, macd, supertrend, ...)
+            if (IndicatorService.TYPES.includes(String(indicator.type).toUpperCase())) {
+              result.indicators[IndicatorService.getKey(indicator)] = IndicatorService.calculate(
+                String(indicator.type).toUpperCase(), candles, indicator.params || indicator
+              );
+            }
+            break;
         }
       }
       
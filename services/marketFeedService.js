@@ -0,0 +1,397 @@
+/**
+ * Market Feed Service
+ * One Fyers data socket shared by all users for live quotes, instead of REST quote polling.
+ * Symbols are reference counted by owner - the market watch list ('MARKET'), each user's
+ * monitored symbols and open positions (`user:<id>`) and each user's client subscriptions
+ * (`subscription:<id>`) - so a symbol stays subscribed while any owner needs it and is
+ * unsubscribed when the last one lets go. Ticks update the latest quote of their symbol
+ * (served by MarketService.getQuotes), build candles (CandleAggregatorService) and are
+ * broadcast to clients once a second. MarketService's REST polling only runs while the feed
+ * is not healthy (isHealthy).
+ */
+const FyersDataSocket = require('fyers-api-v3').fyersDataSocket;
+const TradingState = require('../models/TradingState');
+const { BrokerRegistry } = require('./brokers');
+const { CandleAggregatorService } = require('./candleAggregatorService');
+const { MarketRecorderService } = require('./marketRecorderService');
+const LoggerService = require('./loggerService');
+
+class MarketFeedService {
+  static socket = null;
+  static isConnected = false;
+  static isConnecting = false;
+  static owners = new Map(); // owner -> Set of symbols
+  static subscribed = new Set(); // Symbols subscribed on the socket
+  static quotes = new Map(); // symbol -> latest quote
+  static changed = new Set(); // Symbols with ticks not yet broadcast
+  static connectedAt = null;
+  static openedAt = null; // When the current socket was created
+  static lastTickAt = null;
+  static broadcastTimer = null;
+  static syncTimer = null;
+  static isRunning = false;
+  static BROADCAST_INTERVAL = 1000;
+  static SYNC_INTERVAL = 60 * 1000;
+  // Without a tick for this long while the market is open the feed is treated as down
+  static STALE_MS = 60 * 1000;
+  // A socket still not connected after this long (reconnects exhausted, token expired) is replaced
+  static CONNECT_TIMEOUT_MS = 5 * 60 * 1000;
+  static RECONNECT_ATTEMPTS = 10; // The SDK allows up to 50
+
+  /**
+   * Symbols the data socket can take: Fyers format (EXCHANGE:SYMBOL) only, frontend
+   * symbols stay on REST quotes
+   * @param {Array<string>} symbols - Symbols
+   * @returns {Array<string>} Fyers symbols without duplicates
+   */
+  static normalizeSymbols(symbols) {
+    return Array.from(new Set((symbols || []).filter(symbol => typeof symbol === 'string' && symbol.includes(':'))));
+  }
+
+  /**
+   * Replace the symbols an owner needs
+   * @param {string} owner - Owner ('MARKET', `user:<id>`, `subscription:<id>`)
+   * @param {Array<string>} symbols - Symbols
+   */
+  static setSymbols(owner, symbols) {
+    const normalized = this.normalizeSymbols(symbols);
+    if (normalized.length > 0) {
+      this.owners.set(owner, new Set(normalized));
+    } else {
+      this.owners.delete(owner);
+    }
+    this.applySubscriptions();
+  }
+
+  /**
+   * Add symbols an owner needs
+   * @param {string} owner - Owner
+   * @param {Array<string>} symbols - Symbols
+   */
+  static addSymbols(owner, symbols) {
+    this.setSymbols(owner, [...(this.owners.get(owner) || []), ...symbols]);
+  }
+
+  /**
+   * Remove symbols an owner no longer needs
+   * @param {string} owner - Owner
+   * @param {Array<string>} symbols - Symbols
+   */
+  static removeSymbols(owner, symbols) {
+    const removed = new Set(symbols);
+    this.setSymbols(owner, Array.from(this.owners.get(owner) || []).filter(symbol => !removed.has(symbol)));
+  }
+
+  /**
+   * Symbols a user's trading state needs quotes for: monitored symbols and open positions
+   * @param {string} userId - User ID
+   * @param {Object} state - Trading state (null when the user has none)
+   */
+  static syncUser(userId, state) {
+    const symbols = [
+      ...(state?.monitoredSymbols || []),
+      ...(state?.activePositions || []).filter(position => position.status === 'Active')
+    ].map(item => item.symbol);
+    this.setSymbols(`user:${userId}`, symbols);
+  }
+
+  /**
+   * Re-read every user's trading state; subscription changes are applied as they happen,
+   * this catches positions opened or closed elsewhere and restores the owners after a restart
+   */
+  static async syncUsers() {
+    const states = await TradingState.find({}, { userId: 1, 'monitoredSymbols.symbol': 1, 'activePositions.symbol': 1, 'activePositions.status': 1 }).lean();
+    const users = new Set();
+    for (const state of states) {
+      users.add(`user:${state.userId}`);
+      this.syncUser(state.userId, state);
+    }
+    for (const owner of Array.from(this.owners.keys())) {
+      if (owner.startsWith('user:') && !users.has(owner)) this.setSymbols(owner, []);
+    }
+
+    if (this.socket && !this.isConnected && Date.now() - this.openedAt > this.CONNECT_TIMEOUT_MS) {
+      LoggerService.warn('MarketFeedService', 'Market data socket did not reconnect - opening a new one');
+      this.disconnect();
+      this.applySubscriptions();
+    }
+  }
+
+  /**
+   * Symbols subscribed by at least one owner
+   * @returns {Array<string>} Symbols
+   */
+  static getSymbols() {
+    const symbols = new Set();
+    for (const ownerSymbols of this.owners.values()) {
+      ownerSymbols.forEach(symbol => symbols.add(symbol));
+    }
+    return Array.from(symbols);
+  }
+
+  /**
+   * Number of owners that need a symbol
+   * @param {string} symbol - Symbol
+   * @returns {number} Reference count
+   */
+  static getRefCount(symbol) {
+    let count = 0;
+    for (const ownerSymbols of this.owners.values()) {
+      if (ownerSymbols.has(symbol)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Bring the socket's subscriptions in line with the owners: subscribe symbols that gained
+   * their first owner, unsubscribe the ones that lost their last, and open or close the socket
+   */
+  static applySubscriptions() {
+    const wanted = new Set(this.getSymbols());
+
+    if (wanted.size === 0) {
+      if (this.socket) this.disconnect();
+      return;
+    }
+    if (!this.socket) {
+      this.connect().catch(error => LoggerService.error('MarketFeedService', 'Error connecting market feed:', error));
+      return;
+    }
+    // Subscribed on connect
+    if (!this.isConnected) return;
+
+    const toSubscribe = Array.from(wanted).filter(symbol => !this.subscribed.has(symbol));
+    const toUnsubscribe = Array.from(this.subscribed).filter(symbol => !wanted.has(symbol));
+    try {
+      if (toSubscribe.length > 0) {
+        this.socket.subscribe(toSubscribe);
+        toSubscribe.forEach(symbol => this.subscribed.add(symbol));
+        LoggerService.debug('MarketFeedService', `Subscribed ${toSubscribe.length} symbols`);
+      }
+      if (toUnsubscribe.length > 0) {
+        this.socket.unsubscribe(toUnsubscribe);
+        toUnsubscribe.forEach(symbol => {
+          this.subscribed.delete(symbol);
+          this.quotes.delete(symbol);
+        });
+        LoggerService.debug('MarketFeedService', `Unsubscribed ${toUnsubscribe.length} symbols`);
+      }
+    } catch (error) {
+      LoggerService.error('MarketFeedService', 'Error updating market feed subscriptions:', error);
+    }
+  }
+
+  /**
+   * Open the data socket with the token of any user logged in to Fyers
+   * @returns {Promise<boolean>} True when a connection was started
+   */
+  static async connect() {
+    if (this.isConnecting || this.socket) return false;
+    // The simulator has no data socket - its quotes are served to MarketService's REST polling
+    if (process.env.FYERS_SIMULATOR_URL) {
+      LoggerService.debug('MarketFeedService', 'Fyers simulator in use - market feed stays on REST polling');
+      return false;
+    }
+    this.isConnecting = true;
+
+    try {
+      const User = require('../models/User');
+      const user = await User.findOne({
+        'fyers.connected': true,
+        'fyers.accessToken': { $exists: true, $ne: null }
+      });
+      if (!user) {
+        LoggerService.debug('MarketFeedService', 'No Fyers token available for the market feed');
+        return false;
+      }
+
+      const accessToken = BrokerRegistry.getBroker('fyers').formatAccessToken(user.fyers.accessToken);
+      const socket = FyersDataSocket.getInstance(accessToken, '', false);
+      this.socket = socket;
+      this.openedAt = Date.now();
+
+      socket.on('connect', () => {
+        LoggerService.success('MarketFeedService', 'Fyers market data socket connected');
+        this.isConnected = true;
+        this.connectedAt = Date.now();
+        this.subscribed = new Set();
+        this.applySubscriptions();
+      });
+      socket.on('message', message => this.handleMessage(message));
+      socket.on('error', error => {
+        LoggerService.error('MarketFeedService', 'Market data socket error:', error);
+      });
+      socket.on('close', () => {
+        LoggerService.warn('MarketFeedService', 'Market data socket closed - REST polling takes over');
+        this.isConnected = false;
+        this.subscribed = new Set();
+      });
+
+      socket.autoReconnect(this.RECONNECT_ATTEMPTS);
+      socket.connect();
+      return true;
+    } catch (error) {
+      LoggerService.error('MarketFeedService', 'Error starting market data socket:', error);
+      this.socket = null;
+      return false;
+    } finally {
+      this.isConnecting = false;
+    }
+  }
+
+  /**
+   * Close the data socket
+   */
+  static disconnect() {
+    if (this.socket) {
+      try {
+        this.socket.close();
+      } catch (error) {
+        LoggerService.error('MarketFeedService', 'Error closing market data socket:', error);
+      }
+    }
+    this.socket = null;
+    this.isConnected = false;
+    this.subscribed = new Set();
+    this.quotes.clear();
+    this.changed.clear();
+  }
+
+  /**
+   * Turn a socket message into a quote in the shape MarketService returns from REST
+   * @param {Object} message - Fyers data socket message
+   * @returns {Object|null} Quote, or null for control and depth messages
+   */
+  static toQuote(message) {
+    if (!message || !message.symbol || !['sf', 'if'].includes(message.type) || message.ltp === undefined) {
+      return null;
+    }
+
+    const previous = this.quotes.get(message.symbol) || {};
+    const value = (key, fallback) => (message[key] !== undefined ? parseFloat(message[key]) || 0 : fallback);
+    return {
+      symbol: message.symbol,
+      ltp: value('ltp', previous.ltp),
+      change: value('ch', previous.change || 0),
+      changePercent: value('chp', previous.changePercent || 0),
+      volume: message.vol_traded_today !== undefined ? parseInt(message.vol_traded_today) || 0 : previous.volume || 0,
+      open: value('open_price', previous.open || 0),
+      high: value('high_price', previous.high || 0),
+      low: value('low_price', previous.low || 0),
+      close: value('prev_close_price', previous.close || 0),
+      timestamp: message.exch_feed_time ? message.exch_feed_time * 1000 : Date.now()
+    };
+  }
+
+  /**
+   * Handle a socket message: keep the quote, feed the candle aggregator, queue the broadcast
+   * @param {Object} message - Fyers data socket message
+   */
+  static handleMessage(message) {
+    try {
+      const quote = this.toQuote(message);
+      if (!quote || !this.subscribed.has(quote.symbol)) return;
+
+      this.quotes.set(quote.symbol, quote);
+      this.changed.add(quote.symbol);
+      this.lastTickAt = Date.now();
+      CandleAggregatorService.ingestQuotes([quote]);
+      MarketRecorderService.recordQuotes([quote]);
+    } catch (error) {
+      LoggerService.error('MarketFeedService', 'Error handling market data message:', error);
+    }
+  }
+
+  /**
+   * Whether the feed can stand in for REST quotes: connected, and ticking while the market is open
+   * @returns {boolean} True when healthy
+   */
+  static isHealthy() {
+    if (!this.isConnected) return false;
+
+    // MarketService requires this service
+    const { MarketService } = require('./marketService');
+    if (!MarketService.isMarketOpenNow()) return true;
+    return Date.now() - (this.lastTickAt || this.connectedAt) < this.STALE_MS;
+  }
+
+  /**
+   * Latest quotes of symbols from the feed
+   * @param {Array<string>} symbols - Symbols
+   * @returns {Array<Object>|null} Quotes, or null unless the feed is healthy and has all of them
+   */
+  static getQuotes(symbols) {
+    if (!this.isHealthy()) return null;
+
+    const quotes = symbols.map(symbol => this.quotes.get(symbol));
+    return quotes.every(Boolean) ? quotes.map(quote => ({ ...quote })) : null;
+  }
+
+  /**
+   * Send the quotes that ticked since the last broadcast to clients
+   */
+  static async broadcastChanges() {
+    if (this.changed.size === 0) return;
+
+    const quotes = Array.from(this.changed).map(symbol => this.quotes.get(symbol)).filter(Boolean);
+    this.changed.clear();
+    // MarketService requires this service
+    const { MarketService } = require('./marketService');
+    await MarketService.sendBulkMarketDataToClients(quotes);
+  }
+
+  /**
+   * Start broadcasting ticks and syncing users' symbols
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('🔄 Market feed is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.broadcastTimer = setInterval(() => {
+      this.broadcastChanges().catch(error => LoggerService.error('MarketFeedService', 'Error broadcasting market feed:', error));
+    }, this.BROADCAST_INTERVAL);
+
+    const sync = () => this.syncUsers().catch(error => LoggerService.error('MarketFeedService', 'Error syncing market feed symbols:', error));
+    sync();
+    this.syncTimer = setInterval(sync, this.SYNC_INTERVAL);
+
+    console.log('📡 Market feed started (shared Fyers data socket, REST polling as fallback)');
+  }
+
+  /**
+   * Stop the feed and close the socket
+   */
+  static stop() {
+    if (this.broadcastTimer) {
+      clearInterval(this.broadcastTimer);
+      this.broadcastTimer = null;
+    }
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+    this.isRunning = false;
+    this.disconnect();
+    console.log('🛑 Market feed stopped');
+  }
+
+  /**
+   * Feed state, for monitoring
+   * @returns {Object} { connected, healthy, symbols, owners, lastTickAt }
+   */
+  static getStatus() {
+    return {
+      connected: this.isConnected,
+      healthy: this.isHealthy(),
+      subscribedSymbols: this.subscribed.size,
+      symbols: this.getSymbols().map(symbol => ({ symbol, refCount: this.getRefCount(symbol) })),
+      owners: Array.from(this.owners.entries()).map(([owner, symbols]) => ({ owner, symbols: symbols.size })),
+      lastTickAt: this.lastTickAt ? new Date(this.lastTickAt) : null
+    };
+  }
+}
+
+module.exports = { MarketFeedService };
@@ -0,0 +1,438 @@
+/**
+ * Market Recorder Service
+ * Records what the trading engine sees during the day so a session can be replayed later
+ * (simulator/replaySession.js):
+ * - quote: every changed quote from the market data socket or REST polling (MarketService)
+ * - order: order placements, modifications and cancellations (TradeService) and the status
+ *   updates the monitoring engine processes (MonitoringService.handleOrderStatusUpdate)
+ * - hma: the HMA values the scheduler hands to the monitoring engine
+ * - state: a user's monitored symbols (and the strategies they use) when monitoring starts,
+ *   symbols change, or a new session begins
+ *
+ * Events are buffered and written every FLUSH_INTERVAL as gzipped JSON lines, one session per
+ * IST trading date, either to files in MARKET_RECORDING_DIR (MARKET_RECORDER=file, the default)
+ * or to the MarketRecording collection (MARKET_RECORDER=mongo). MARKET_RECORDER=off disables it.
+ * Recordings older than MARKET_RECORDING_RETENTION_DAYS (default 30) are removed.
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const MarketRecording = require('../models/MarketRecording');
+const LoggerService = require('./loggerService');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class MarketRecorderService {
+  static STORAGE = (process.env.MARKET_RECORDER || 'file').toLowerCase();
+  static RECORDING_DIR = process.env.MARKET_RECORDING_DIR || path.join(__dirname, '..', 'recordings');
+  static RETENTION_DAYS = parseInt(process.env.MARKET_RECORDING_RETENTION_DAYS) || 30;
+  static FLUSH_INTERVAL = 5000;
+  static MAX_BUFFERED_EVENTS = 100000; // Oldest events are dropped while storage is failing
+  static buffer = []; // { t, session, line }
+  static lastQuotes = new Map(); // symbol -> last recorded quote key
+  static lastHMAs = new Map(); // `${userId}|${symbolId}` -> last recorded HMA key
+  static session = null;
+  static snapshotPending = false;
+  static timer = null;
+  static isRunning = false;
+  static isFlushing = false;
+  static stats = { events: 0, written: 0, dropped: 0, lastFlushAt: null, lastError: null };
+
+  /**
+   * Get the session (IST trading date) a time belongs to
+   * @param {number} time - Epoch milliseconds
+   * @returns {string} YYYY-MM-DD
+   */
+  static getSession(time = Date.now()) {
+    return new Date(time + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the recording file of a session
+   * @param {string} session - YYYY-MM-DD
+   * @returns {string} File path
+   */
+  static getSessionFile(session) {
+    return path.join(this.RECORDING_DIR, `${session}.jsonl.gz`);
+  }
+
+  /**
+   * Move to the session of a time. On the first event of a new day the next flush records who
+   * is monitoring what, and the session starts with full quotes and HMA values of its own.
+   * @param {number} time - Epoch milliseconds
+   * @returns {string} Current session
+   */
+  static rollSession(time) {
+    const session = this.getSession(time);
+    if (session !== this.session) {
+      this.session = session;
+      this.snapshotPending = true;
+      this.lastQuotes.clear();
+      this.lastHMAs.clear();
+    }
+    return session;
+  }
+
+  /**
+   * Buffer one event
+   * @param {string} type - quote, order, hma or state
+   * @param {Object} data - Event payload
+   * @param {number} time - When the server saw it (epoch milliseconds)
+   */
+  static record(type, data, time = Date.now()) {
+    if (!this.isRunning) return;
+
+    const session = this.rollSession(time);
+    this.buffer.push({ t: time, session, line: JSON.stringify({ t: time, type, ...data }) });
+    this.stats.events++;
+    if (this.buffer.length > this.MAX_BUFFERED_EVENTS) {
+      this.stats.dropped += this.buffer.length - this.MAX_BUFFERED_EVENTS;
+      this.buffer.splice(0, this.buffer.length - this.MAX_BUFFERED_EVENTS);
+    }
+  }
+
+  /**
+   * Record quotes, skipping symbols whose price and volume have not changed since the last one
+   * @param {Array<Object>} quotes - Quotes in MarketService format
+   */
+  static recordQuotes(quotes) {
+    if (!this.isRunning || !Array.isArray(quotes)) return;
+
+    this.rollSession(Date.now());
+    for (const quote of quotes) {
+      if (!quote || !quote.symbol || !(quote.ltp > 0)) continue;
+
+      const key = `${quote.ltp}|${quote.volume || 0}`;
+      if (this.lastQuotes.get(quote.symbol) === key) continue;
+      this.lastQuotes.set(quote.symbol, key);
+
+      this.record('quote', {
+        symbol: quote.symbol,
+        ltp: quote.ltp,
+        open: quote.open || 0,
+        high: quote.high || 0,
+        low: quote.low || 0,
+        close: quote.close || 0,
+        volume: quote.volume || 0,
+        change: quote.change || 0,
+        changePercent: quote.changePercent || 0
+      });
+    }
+  }
+
+  /**
+   * Record an order event
+   * @param {string} event - PLACE, PLACE_FAILED, MODIFY, CANCEL or STATUS
+   * @param {Object} data - Order details ({ userId, orderId, symbol, ... })
+   */
+  static recordOrderEvent(event, data) {
+    if (!this.isRunning) return;
+    this.record('order', { event, ...data, userId: data.userId ? String(data.userId) : null });
+  }
+
+  /**
+   * Record the HMA value handed to the monitoring engine for a monitored symbol, when it changed
+   * @param {string} userId - User ID
+   * @param {Object} symbol - Monitored symbol
+   * @param {Object} hmaData - HMAService.getStreamingHMA result
+   */
+  static recordHMA(userId, symbol, hmaData) {
+    if (!this.isRunning) return;
+
+    this.rollSession(Date.now());
+    const hmaValue = hmaData.currentHMA || hmaData.hmaValue;
+    const provisionalHmaValue = hmaData.provisionalHMA ?? null;
+    const id = `${userId}|${symbol.id}`;
+    const key = `${hmaValue}|${provisionalHmaValue}`;
+    if (this.lastHMAs.get(id) === key) return;
+    this.lastHMAs.set(id, key);
+
+    this.record('hma', {
+      userId: String(userId),
+      symbolId: symbol.id,
+      symbol: symbol.symbol,
+      hmaValue,
+      provisionalHmaValue,
+      lastUpdate: hmaData.lastUpdate || null
+    });
+  }
+
+  /**
+   * Record a user's monitoring state and the strategies its symbols resolve to
+   * @param {string} userId - User ID
+   * @param {Object} state - TradingState document or plain object
+   * @returns {Promise<void>}
+   */
+  static async recordState(userId, state) {
+    if (!this.isRunning || !state) return;
+
+    try {
+      // Copy now; the document keeps changing while strategies load
+      const plain = typeof state.toObject === 'function' ? state.toObject() : state;
+      const monitoredSymbols = JSON.parse(JSON.stringify(plain.monitoredSymbols || []));
+      const isMonitoring = !!plain.tradeExecutionState?.isMonitoring;
+      const time = Date.now();
+
+      const Strategy = require('../models/Strategy');
+      const strategyIds = [...new Set(monitoredSymbols.map(s => s.strategyId).filter(Boolean))];
+      const strategies = await Strategy.find({
+        userId,
+        $or: [{ _id: { $in: strategyIds } }, { isDefault: true }]
+      }).lean();
+
+      this.record('state', { userId: String(userId), isMonitoring, monitoredSymbols, strategies }, time);
+    } catch (error) {
+      LoggerService.error('MarketRecorderService', `Error recording monitoring state for user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Record the state of every user who is monitoring (start of a recording or a session)
+   * @returns {Promise<number>} Users recorded
+   */
+  static async recordMonitoringStates() {
+    const TradingState = require('../models/TradingState');
+    const states = await TradingState.find({ 'tradeExecutionState.isMonitoring': true }).lean();
+    for (const state of states) {
+      await this.recordState(state.userId, state);
+    }
+    return states.length;
+  }
+
+  /**
+   * Write buffered events to storage, one gzip chunk per session
+   * @returns {Promise<number>} Events written
+   */
+  static async flush() {
+    if (this.isFlushing) return 0;
+    this.isFlushing = true;
+
+    try {
+      if (this.snapshotPending) {
+        this.snapshotPending = false;
+        await this.recordMonitoringStates().catch(error => {
+          LoggerService.error('MarketRecorderService', 'Error recording monitoring states:', error);
+        });
+      }
+      if (this.buffer.length === 0) return 0;
+
+      const batch = this.buffer.splice(0, this.buffer.length);
+      const sessions = new Map();
+      for (const event of batch) {
+        if (!sessions.has(event.session)) sessions.set(event.session, []);
+        sessions.get(event.session).push(event);
+      }
+
+      let written = 0;
+      for (const [session, events] of sessions) {
+        try {
+          await this.writeChunk(session, events);
+          written += events.length;
+        } catch (error) {
+          // Kept for the next flush; the oldest go first if storage stays away
+          this.buffer = [...events, ...this.buffer].slice(-this.MAX_BUFFERED_EVENTS);
+          this.stats.lastError = error.message;
+          LoggerService.error('MarketRecorderService', `Error writing ${events.length} events of session ${session}:`, error);
+        }
+      }
+
+      this.stats.written += written;
+      this.stats.lastFlushAt = new Date();
+      return written;
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Write one gzip chunk of events
+   * Chunks are appended to the session file as separate gzip members, which read back as one stream.
+   * @param {string} session - YYYY-MM-DD
+   * @param {Array<Object>} events - Buffered events of that session
+   */
+  static async writeChunk(session, events) {
+    const data = await gzip(events.map(event => event.line).join('\n') + '\n');
+
+    if (this.STORAGE === 'mongo') {
+      await MarketRecording.create({
+        session,
+        startTime: new Date(events[0].t),
+        endTime: new Date(events[events.length - 1].t),
+        count: events.length,
+        data
+      });
+      return;
+    }
+
+    await fs.promises.appendFile(this.getSessionFile(session), data);
+  }
+
+  /**
+   * Delete recording files past the retention period (MongoDB chunks expire through a TTL index)
+   * @returns {Promise<number>} Files deleted
+   */
+  static async prune() {
+    if (this.STORAGE !== 'file') return 0;
+
+    const cutoff = this.getSession(Date.now() - this.RETENTION_DAYS * DAY_MS);
+    const files = await fs.promises.readdir(this.RECORDING_DIR).catch(() => []);
+    let deleted = 0;
+    for (const file of files) {
+      const session = file.replace('.jsonl.gz', '');
+      if (SESSION_PATTERN.test(session) && session < cutoff) {
+        await fs.promises.unlink(path.join(this.RECORDING_DIR, file));
+        deleted++;
+      }
+    }
+    if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} market recordings older than ${this.RETENTION_DAYS} days`);
+    }
+    return deleted;
+  }
+
+  /**
+   * List recorded sessions
+   * @returns {Promise<Object>} Result with the recorder status and [{ session, size, ... }]
+   */
+  static async listSessions() {
+    try {
+      let sessions;
+      if (this.STORAGE === 'mongo') {
+        sessions = await MarketRecording.aggregate([
+          { $group: { _id: '$session', events: { $sum: '$count' }, size: { $sum: { $binarySize: '$data' } }, startTime: { $min: '$startTime' }, endTime: { $max: '$endTime' } } },
+          { $sort: { _id: -1 } }
+        ]);
+        sessions = sessions.map(({ _id, ...session }) => ({ session: _id, ...session }));
+      } else {
+        const files = await fs.promises.readdir(this.RECORDING_DIR).catch(() => []);
+        sessions = [];
+        for (const file of files.filter(name => SESSION_PATTERN.test(name.replace('.jsonl.gz', ''))).sort().reverse()) {
+          const stat = await fs.promises.stat(path.join(this.RECORDING_DIR, file));
+          sessions.push({ session: file.replace('.jsonl.gz', ''), size: stat.size, updatedAt: stat.mtime });
+        }
+      }
+
+      return {
+        success: true,
+        message: `${sessions.length} recorded sessions`,
+        data: { recorder: this.getStatus(), sessions }
+      };
+    } catch (error) {
+      LoggerService.error('MarketRecorderService', 'Error listing recorded sessions:', error);
+      return { success: false, message: 'Failed to list recorded sessions', error: error.message };
+    }
+  }
+
+  /**
+   * Read a recorded session back
+   * @param {Object} options - Where to read from
+   * @param {string} options.file - Recording file (any path)
+   * @param {string} options.session - Session date, read from MARKET_RECORDING_DIR or MongoDB
+   * @param {Object} options.model - MarketRecording model to read chunks from (e.g. on another connection)
+   * @returns {Promise<Array<Object>>} Events in time order
+   */
+  static async readSession({ file = null, session = null, model = null } = {}) {
+    const chunks = [];
+    if (model) {
+      const docs = await model.find({ session }).sort({ startTime: 1, _id: 1 }).lean();
+      for (const doc of docs) {
+        // Lean documents hold BSON Binary values rather than Buffers
+        chunks.push(await gunzip(Buffer.isBuffer(doc.data) ? doc.data : doc.data.buffer));
+      }
+    } else {
+      chunks.push(await gunzip(await fs.promises.readFile(file || this.getSessionFile(session))));
+    }
+
+    const events = [];
+    for (const chunk of chunks) {
+      for (const line of chunk.toString('utf8').split('\n')) {
+        if (line.trim()) events.push(JSON.parse(line));
+      }
+    }
+    // Stable: events with the same time keep their recorded order
+    return events.sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Start recording
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('🔄 Market recorder is already running');
+      return;
+    }
+    if (!['file', 'mongo'].includes(this.STORAGE)) {
+      console.log('⏹️ Market recorder disabled (MARKET_RECORDER=off)');
+      return;
+    }
+    if (this.STORAGE === 'file') {
+      fs.mkdirSync(this.RECORDING_DIR, { recursive: true });
+    }
+
+    this.isRunning = true;
+    this.session = null;
+    this.prune().catch(error => LoggerService.error('MarketRecorderService', 'Error pruning recordings:', error));
+
+    let lastPruneSession = this.getSession();
+    this.timer = setInterval(async () => {
+      try {
+        await this.flush();
+        if (this.getSession() !== lastPruneSession) {
+          lastPruneSession = this.getSession();
+          await this.prune();
+        }
+      } catch (error) {
+        LoggerService.error('MarketRecorderService', 'Error in market recorder cycle:', error);
+      }
+    }, this.FLUSH_INTERVAL);
+
+    console.log(`📼 Market recorder started (${this.STORAGE === 'mongo' ? 'MongoDB' : this.RECORDING_DIR})`);
+  }
+
+  /**
+   * Stop recording, writing what is buffered
+   * @returns {Promise<number>} Events written by the final flush
+   */
+  static async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (!this.isRunning) return 0;
+
+    // Nothing left to snapshot; only buffered events are written
+    this.snapshotPending = false;
+    while (this.isFlushing) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    const written = await this.flush();
+    this.isRunning = false;
+    this.lastQuotes.clear();
+    this.lastHMAs.clear();
+    console.log('🛑 Market recorder stopped');
+    return written;
+  }
+
+  /**
+   * Get recorder status
+   * @returns {Object} Status
+   */
+  static getStatus() {
+    return {
+      isRunning: this.isRunning,
+      storage: this.STORAGE,
+      directory: this.STORAGE === 'file' ? this.RECORDING_DIR : null,
+      session: this.session,
+      bufferedEvents: this.buffer.length,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { MarketRecorderService };
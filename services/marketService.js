@@ -8,6 +8,9 @@ const { getMarketDepth, getFyersAppId } = require('../fyersService');
 const TradingState = require('../models/TradingState');
 const LoggerService = require('./loggerService');
 const SymbolConfig = require('../models/SymbolConfig');
+const { CandleAggregatorService } = require('./candleAggregatorService');
+const { MarketFeedService } = require('./marketFeedService');
+const { MarketRecorderService } = require('./marketRecorderService');
 
 // Define a schema for market data subscriptions
 const MarketSubscriptionSchema = new mongoose.Schema({
@@ -203,6 +206,10 @@ class MarketService {
    */
   static async getQuote(symbol, user = null) {
     try {
+      // The shared market feed has the latest tick
+      const feedQuotes = MarketFeedService.getQuotes([symbol]);
+      if (feedQuotes) return feedQuotes[0];
+      
       // Check cache first
       const cachedQuote = this.marketDataCache.quotes.get(symbol);
       if (cachedQuote && (Date.now() - cachedQuote.timestamp < this.CACHE_TTL.quotes)) {
@@ -237,6 +244,10 @@ class MarketService {
    */
   static async getQuotes(symbols, user = null) {
     try {
+      // The shared market feed has the latest ticks when it carries every symbol
+      const feedQuotes = MarketFeedService.getQuotes(symbols);
+      if (feedQuotes) return feedQuotes;
+      
       // Generate cache key based on symbols
       const cacheKey = symbols.sort().join(',');
       
@@ -470,6 +481,10 @@ class MarketService {
           });
         }
         
+        // Build live candles for streaming indicators (HMAService.getStreamingHMA)
+        CandleAggregatorService.ingestQuotes(marketData);
+        MarketRecorderService.recordQuotes(marketData);
+        
         return marketData;
       } else {
         console.error('[MarketService] Fyers API error or unexpected response:', response);
@@ -516,6 +531,9 @@ class MarketService {
    */
   static async subscribeToSymbols(symbols, userId) {
     try {
+      // Keep the symbols on the shared market feed while the user is subscribed
+      MarketFeedService.addSymbols(`subscription:${userId}`, symbols);
+      
       // Update or create subscription in database
       await MarketSubscription.findOneAndUpdate(
         { userId },
@@ -527,8 +545,6 @@ class MarketService {
         { upsert: true }
       );
       
-      // TODO: Subscribe to Fyers WebSocket
-      
       return true;
     } catch (error) {
       console.error('[MarketService] Error subscribing to symbols:', error);
@@ -544,6 +560,9 @@ class MarketService {
    */
   static async unsubscribeFromSymbols(symbols, userId) {
     try {
+      // Released from the shared market feed once no other owner needs them
+      MarketFeedService.removeSymbols(`subscription:${userId}`, symbols);
+      
       // Update subscription in database
       await MarketSubscription.findOneAndUpdate(
         { userId },
@@ -553,8 +572,6 @@ class MarketService {
         }
       );
       
-      // TODO: Unsubscribe from Fyers WebSocket
-      
       return true;
     } catch (error) {
       console.error('[MarketService] Error unsubscribing from symbols:', error);
@@ -569,6 +586,8 @@ class MarketService {
    */
   static async unsubscribeFromAllSymbols(userId) {
     try {
+      MarketFeedService.setSymbols(`subscription:${userId}`, []);
+      
       // Update subscription in database
       await MarketSubscription.findOneAndUpdate(
         { userId },
@@ -578,8 +597,6 @@ class MarketService {
         }
       );
       
-      // TODO: Unsubscribe from Fyers WebSocket
-      
       return true;
     } catch (error) {
       console.error('[MarketService] Error unsubscribing from all symbols:', error);
@@ -827,12 +844,19 @@ class MarketService {
     // Stop any existing polling
     this.stopMarketDataPolling();
     
-    // Start combined market data polling (every 1 second) - fetch ALL symbols in ONE request
+    // Start combined market data polling - fetch ALL symbols in ONE request, only while the
+    // shared market feed (MarketFeedService) is down
     this.pollingTimers.combined = setInterval(async () => {
       try {
         // Get all market symbols (indices, stocks, commodities)
         const allSymbols = await this.getAllMarketSymbols();
         
+        // Keep them on the shared market feed; monitored symbols are added by their users
+        MarketFeedService.setSymbols('MARKET', allSymbols);
+        if (MarketFeedService.isHealthy()) {
+          return;
+        }
+        
         // Get all monitored symbols
         const allMonitoredSymbols = await this.getAllMonitoredSymbols();
         
@@ -919,11 +943,23 @@ class MarketService {
       combined: {
         active: this.pollingTimers.combined !== null,
         interval: this.POLLING_INTERVALS.combined,
-        description: 'All symbols (market + monitored) in single request - optimized for Fyers rate limits'
-      }
+        fallbackOnly: MarketFeedService.isHealthy(),
+        description: 'All symbols (market + monitored) in single request while the market feed is down - optimized for Fyers rate limits'
+      },
+      feed: MarketFeedService.getStatus()
     };
   }
 
+  /**
+   * Symbols the quote feed fetches: market symbols and every user's monitored symbols
+   * @returns {Promise<Array<string>>} Symbols without duplicates
+   */
+  static async getFeedSymbols() {
+    const allSymbols = await this.getAllMarketSymbols();
+    const allMonitoredSymbols = await this.getAllMonitoredSymbols();
+    return Array.from(new Set([...allSymbols, ...allMonitoredSymbols]));
+  }
+
   /**
    * Get all monitored symbols from all users with caching
    * @returns {Promise<Set<string>>} Set of monitored symbols
@@ -1,4 +1,6 @@
 const { MonitoringService } = require('./monitoringService');
+const { RiskService } = require('./riskService');
+const { ReconciliationService } = require('./reconciliationService');
 const TradingState = require('../models/TradingState');
 
 /**
@@ -9,6 +11,7 @@ const TradingState = require('../models/TradingState');
 class MonitoringScheduler {
   static monitoringTimer = null;
   static hmaUpdateTimer = null;
+  static reconciliationTimer = null;
   static isRunning = false;
 
   /**
@@ -65,13 +68,17 @@ class MonitoringScheduler {
           
           // Update active positions
           await MonitoringService.updateActivePositions(userId);
+          
+          // Enforce account-level risk limits on the updated P&L and exposure
+          await RiskService.evaluateAccountRisk(userId);
         }
       } catch (error) {
         console.error('Error in monitoring cycle:', error);
       }
     }, 5000); // 5 seconds - increased from 2 seconds to reduce race conditions
 
-    // Run HMA updates every 5 minutes for all users
+    // Run HMA updates every 5 minutes for all users (HMAs stream from live quotes; this only
+    // refetches history for symbols whose quotes stopped arriving)
     this.hmaUpdateTimer = setInterval(async () => {
       try {
         await this.updateHMAForAllUsers();
@@ -80,8 +87,18 @@ class MonitoringScheduler {
       }
     }, 5 * 60 * 1000); // 5 minutes
 
+    // Reconcile app state with the broker every 5 minutes
+    this.reconciliationTimer = setInterval(async () => {
+      try {
+        await ReconciliationService.runScheduledReconciliation();
+      } catch (error) {
+        console.error('❌ Error in reconciliation scheduler:', error);
+      }
+    }, 5 * 60 * 1000); // 5 minutes
+
     console.log('✅ Backend monitoring scheduler started (5-second intervals)');
     console.log('✅ HMA update scheduler started (5-minute intervals)');
+    console.log('✅ Broker reconciliation scheduler started (5-minute intervals)');
   }
 
   /**
@@ -96,6 +113,10 @@ class MonitoringScheduler {
       clearInterval(this.hmaUpdateTimer);
       this.hmaUpdateTimer = null;
     }
+    if (this.reconciliationTimer) {
+      clearInterval(this.reconciliationTimer);
+      this.reconciliationTimer = null;
+    }
     this.isRunning = false;
     console.log('🛑 Backend monitoring scheduler stopped');
   }
@@ -220,6 +241,8 @@ class MonitoringScheduler {
           if (results.closed > 0) {
             console.log(`🎯 User ${state.userId}: ${results.closed} positions closed`);
           }
+
+          await RiskService.evaluateAccountRisk(state.userId);
         } catch (error) {
           console.error(`❌ Error updating positions for user ${state.userId}:`, error);
         }
@@ -237,7 +260,8 @@ class MonitoringScheduler {
       isRunning: this.isRunning,
       monitoringInterval: 5000,
       hmaUpdateInterval: 5 * 60 * 1000,
-      description: 'Backend monitoring scheduler - runs trade logic every 5 seconds, HMA updates every 5 minutes'
+      reconciliationInterval: 5 * 60 * 1000,
+      description: 'Backend monitoring scheduler - runs trade logic every 5 seconds, HMA updates and broker reconciliation every 5 minutes'
     };
   }
 }
@@ -1,10 +1,17 @@
 const TradingState = require('../models/TradingState');
 const { TradeService } = require('./tradeService');
 const { HMAService } = require('./hmaService');
+const { MarketFeedService } = require('./marketFeedService');
+const { MarketRecorderService } = require('./marketRecorderService');
 const { MarketDataService } = require('./marketDataService');
 const { MarketService } = require('./marketService');
 const { TradeLogService } = require('./tradeLogService');
-const axios = require('axios');
+const { StrategyService } = require('./strategyService');
+const { MultiTimeframeService } = require('./multiTimeframeService');
+const { RiskService } = require('./riskService');
+const { PositionSizingService } = require('./positionSizingService');
+const { TargetLadderService } = require('./targetLadderService');
+const { LedgerService } = require('./ledgerService');
 
 // Get singleton instance of Fyers WebSocket service
 const { fyersWebSocketService } = require('./fyersWebSocketService');
@@ -48,6 +55,7 @@ class MonitoringService {
       state.tradeExecutionState.isMonitoring = true;
       state.tradeExecutionState.monitoringStartTime = new Date();
       await state.save();
+      MarketRecorderService.recordState(userId, state);
       
       // Start Fyers WebSocket for order updates
       const webSocketStarted = await fyersWebSocketService.startConnection();
@@ -82,6 +90,7 @@ class MonitoringService {
       if (state) {
         state.tradeExecutionState.isMonitoring = false;
         await state.save();
+        MarketRecorderService.recordState(userId, state);
       }
       
       // Manage WebSocket connection
@@ -109,6 +118,10 @@ class MonitoringService {
         state = new TradingState({ userId });
       }
       
+      // Resolve the strategy this symbol runs and fill its default exit rules
+      const strategy = await StrategyService.resolveStrategy(symbolData.strategyId, userId, this.getEntrySide(symbolData));
+      symbolData = StrategyService.applyExitRules(symbolData, strategy);
+      
       // Fetch current LTP and HMA values to determine initial status
       let initialStatus = 'WAITING_FOR_REVERSAL'; // Default fallback
       let orderModificationReason = 'Initial status - waiting for data';
@@ -119,7 +132,7 @@ class MonitoringService {
         const user = await User.findById(userId);
         if (user) {
           // Fetch HMA value
-          const hmaData = await HMAService.fetchAndCalculateHMA(symbolData.symbol, user);
+          const hmaData = await HMAService.getStreamingHMA(symbolData.symbol, user, StrategyService.getIndicatorOptions(strategy));
           const hmaValue = hmaData.currentHMA || hmaData.hmaValue;
           
           // Fetch current LTP
@@ -127,35 +140,12 @@ class MonitoringService {
           const ltp = liveQuote?.ltp;
           
           if (hmaValue && ltp) {
-            console.log(`🔍 ${symbolData.symbol}: LTP=${ltp}, HMA=${hmaValue}`);
+            console.log(`🔍 ${symbolData.symbol}: LTP=${ltp}, HMA=${hmaValue}, strategy=${strategy.name}`);
             
-            if (ltp > hmaValue) {
-              // LTP > HMA: Waiting for Reversal
-              initialStatus = 'WAITING_FOR_REVERSAL';
-              orderModificationReason = 'LTP above HMA - waiting for reversal crossover';
-              pendingSignal = {
-                direction: 'REVERSAL',
-                triggeredAt: new Date(),
-                hmaAtTrigger: hmaValue,
-                ltpAtTrigger: ltp,
-                state: 'WAITING',
-                reversalDetected: false,
-                confirmationTimer: null
-              };
-            } else {
-              // LTP ≤ HMA: Waiting for Entry
-              initialStatus = 'WAITING_FOR_ENTRY';
-              orderModificationReason = 'LTP below HMA - ready for bullish crossover entry';
-              pendingSignal = {
-                direction: 'ENTRY',
-                triggeredAt: new Date(),
-                hmaAtTrigger: hmaValue,
-                ltpAtTrigger: ltp,
-                state: 'WAITING',
-                reversalConfirmed: true,
-                entryReadyAt: new Date()
-              };
-            }
+            const initialSignal = StrategyService.getInitialSignal(strategy, ltp, hmaValue, new Date());
+            initialStatus = initialSignal.triggerStatus;
+            orderModificationReason = initialSignal.orderModificationReason;
+            pendingSignal = initialSignal.pendingSignal;
             
             console.log(`✅ ${symbolData.symbol}: Categorized as ${initialStatus}`);
           } else {
@@ -171,6 +161,7 @@ class MonitoringService {
       const newSymbol = {
         id: `${symbolData.symbol}-${Date.now()}`,
         ...symbolData,
+        strategyId: strategy._id ? String(strategy._id) : null,
         useTrailingStoploss: symbolData.useTrailingStoploss || false,
         trailingX: symbolData.trailingX || 20,
         trailingY: symbolData.trailingY || 15,
@@ -186,6 +177,8 @@ class MonitoringService {
       
       state.monitoredSymbols.push(newSymbol);
       await state.save();
+      MarketFeedService.syncUser(userId, state);
+      MarketRecorderService.recordState(userId, state);
       
       console.log(`📊 Added ${symbolData.symbol} to monitoring for user ${userId} with status: ${initialStatus}`);
       return state;
@@ -206,8 +199,16 @@ class MonitoringService {
       const state = await TradingState.findOne({ userId });
       if (!state) return null;
       
+      const removed = state.monitoredSymbols.find(s => s.id === symbolId);
       state.monitoredSymbols = state.monitoredSymbols.filter(s => s.id !== symbolId);
       await state.save();
+      MarketFeedService.syncUser(userId, state);
+      MarketRecorderService.recordState(userId, state);
+      
+      // Stop building live candles for a symbol nobody monitors any more
+      if (removed && !(await TradingState.exists({ 'monitoredSymbols.symbol': removed.symbol }))) {
+        HMAService.stopStreamingHMA(removed.symbol);
+      }
       
       console.log(`🗑️ Removed symbol ${symbolId} from monitoring for user ${userId}`);
       return state;
@@ -230,6 +231,8 @@ class MonitoringService {
         state.tradeExecutionState.isMonitoring = false;
         await state.save();
       }
+      MarketFeedService.syncUser(userId, state);
+      MarketRecorderService.recordState(userId, state);
       
       // Check if any other users are still monitoring
       const activeMonitoring = await TradingState.findOne({
@@ -273,6 +276,7 @@ class MonitoringService {
       
       // Get current state with updated symbols
       const updatedState = await TradingState.findOne({ userId });
+      const strategies = await StrategyService.resolveStrategiesForSymbols(updatedState.monitoredSymbols, userId);
       
       // Process each monitored symbol for HMA updates and order modifications
       for (const symbol of updatedState.monitoredSymbols) {
@@ -284,38 +288,9 @@ class MonitoringService {
             continue;
           }
           
-          const hmaData = await HMAService.fetchAndCalculateHMA(symbol.symbol, user);
-          const newHmaValue = hmaData.currentHMA || hmaData.hmaValue;
-          const oldHmaValue = symbol.hmaValue;
-          
-          // Update HMA value
-          await TradingState.updateOne(
-            { userId, 'monitoredSymbols.id': symbol.id },
-            {
-              $set: {
-                'monitoredSymbols.$.hmaValue': newHmaValue,
-                'monitoredSymbols.$.lastUpdate': hmaData.lastUpdate || new Date()
-              }
-            }
-          );
-          
-          // Check if HMA changed significantly
-          if (oldHmaValue && Math.abs(newHmaValue - oldHmaValue) >= 0.5) {
-            console.log(`📈 HMA changed for ${symbol.symbol}: ${oldHmaValue} → ${newHmaValue}`);
-            
-            // Modify BUY SL-L order if it's pending and not filled
-            if (symbol.orderPlaced && symbol.orderStatus === 'PENDING' && symbol.orderId && !symbol.sellOrderId) {
-              await this.modifyPendingOrderForHMAChange(symbol, oldHmaValue, newHmaValue, userId);
-            }
-          }
-          
-          // Check for SELL SL-L order modifications based on trailing stop loss
-          if (symbol.sellOrderId && symbol.orderStatus === 'PENDING' && symbol.useTrailingStoploss) {
-            const liveQuote = await this.getLiveQuote(symbol.symbol, userId);
-            if (liveQuote && liveQuote.ltp) {
-              await this.modifySellSLLOrderForTrailingStop(symbol, liveQuote.ltp, userId);
-            }
-          }
+          const hmaData = await HMAService.getStreamingHMA(symbol.symbol, user, StrategyService.getIndicatorOptions(strategies.get(symbol.id)));
+          MarketRecorderService.recordHMA(userId, symbol, hmaData);
+          await this.applyHMAValue(symbol, hmaData, userId);
           
         } catch (error) {
           console.error(`Error updating HMA for ${symbol.symbol}:`, error);
@@ -335,6 +310,48 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Store a new HMA value for a monitored symbol and follow it with its pending orders
+   * (also used by simulator/replaySession.js to apply recorded HMA values)
+   * @param {Object} symbol - Monitored symbol (as it was before the update)
+   * @param {Object} hmaData - HMAService.getStreamingHMA result
+   * @param {string} userId - User ID
+   */
+  static async applyHMAValue(symbol, hmaData, userId) {
+    const newHmaValue = hmaData.currentHMA || hmaData.hmaValue;
+    const oldHmaValue = symbol.hmaValue;
+    
+    // Update HMA value (last closed candle) and the provisional value of the forming candle
+    await TradingState.updateOne(
+      { userId, 'monitoredSymbols.id': symbol.id },
+      {
+        $set: {
+          'monitoredSymbols.$.hmaValue': newHmaValue,
+          'monitoredSymbols.$.provisionalHmaValue': hmaData.provisionalHMA ?? null,
+          'monitoredSymbols.$.lastUpdate': hmaData.lastUpdate || new Date()
+        }
+      }
+    );
+    
+    // Check if HMA changed significantly
+    if (oldHmaValue && Math.abs(newHmaValue - oldHmaValue) >= 0.5) {
+      console.log(`📈 HMA changed for ${symbol.symbol}: ${oldHmaValue} → ${newHmaValue}`);
+      
+      // Modify BUY SL-L order if it's pending and not filled
+      if (symbol.orderPlaced && symbol.orderStatus === 'PENDING' && symbol.orderId && !symbol.sellOrderId) {
+        await this.modifyPendingOrderForHMAChange(symbol, oldHmaValue, newHmaValue, userId);
+      }
+    }
+    
+    // Check for SELL SL-L order modifications based on trailing stop loss
+    if (symbol.sellOrderId && symbol.orderStatus === 'PENDING' && symbol.useTrailingStoploss) {
+      const liveQuote = await this.getLiveQuote(symbol.symbol, userId);
+      if (liveQuote && liveQuote.ltp) {
+        await this.modifySellSLLOrderForTrailingStop(symbol, liveQuote.ltp, userId);
+      }
+    }
+  }
+
   /**
    * Modify pending BUY SL-L order when HMA changes
    * @param {Object} symbol - Symbol data
@@ -483,9 +500,10 @@ class MonitoringService {
   /**
    * Execute monitoring cycle - check for trade signals and execute trades
    * @param {string} userId - User ID
+   * @param {Date} now - Cycle time (a replay passes the recorded time)
    * @returns {Promise<Object>} Execution results
    */
-  static async executeMonitoringCycle(userId) {
+  static async executeMonitoringCycle(userId, now = new Date()) {
     try {
       const TradingState = require('../models/TradingState');
       const state = await TradingState.findOne({ userId });
@@ -501,7 +519,9 @@ class MonitoringService {
         console.log(`📊 No monitored symbols for user ${userId}`);
         return { executed: 0, errors: [] };
       }
+      // The kill switch only blocks entries (RiskService.checkEntry); HMA refreshes and signals keep running
       const results = { executed: 0, errors: [] };
+      
       const symbolsToFetch = state.monitoredSymbols.map(s => s.symbol).filter(Boolean);
       if (symbolsToFetch.length === 0) return results;
       const User = require('../models/User');
@@ -514,7 +534,7 @@ class MonitoringService {
       }
       
       const liveData = await MarketService.getQuotes(symbolsToFetch, user);
-      const now = new Date();
+      const strategies = await StrategyService.resolveStrategiesForSymbols(state.monitoredSymbols, userId);
       // Process each monitored symbol
       for (const symbol of state.monitoredSymbols) {
         try {
@@ -537,7 +557,7 @@ class MonitoringService {
                 continue;
               }
               
-              const hmaData = await HMAService.fetchAndCalculateHMA(symbol.symbol, user);
+              const hmaData = await HMAService.getStreamingHMA(symbol.symbol, user, StrategyService.getIndicatorOptions(strategies.get(symbol.id)));
               if (hmaData.currentHMA || hmaData.hmaValue) {
                 await TradingState.updateOne(
                   { userId, 'monitoredSymbols.id': symbol.id },
@@ -561,7 +581,7 @@ class MonitoringService {
           }
           
           const ltp = liveQuote.ltp;
-          const updatedSymbol = await this.processSymbolSignal(symbol, ltp, now, userId);
+          const updatedSymbol = await this.processSymbolSignal(symbol, ltp, now, userId, strategies.get(symbol.id));
           console.log(`🔍 [DEBUG] processSymbolSignal result for ${symbol.symbol}:`, {
             executed: updatedSymbol.executed,
             symbolRemoved: updatedSymbol.symbolRemoved,
@@ -642,16 +662,20 @@ class MonitoringService {
   }
 
   /**
-   * Process symbol signal and execute trades
+   * Process symbol signal and execute trades using the symbol's strategy
    * @param {Object} symbol - Symbol data
    * @param {number} ltp - Current LTP
    * @param {Date} now - Current time
    * @param {string} userId - User ID
+   * @param {Object} strategy - Strategy definition (resolved from symbol.strategyId when omitted)
    * @returns {Promise<Object>} Execution result
    */
-  static async processSymbolSignal(symbol, ltp, now, userId) {
+  static async processSymbolSignal(symbol, ltp, now, userId, strategy = null) {
     const result = { executed: false, position: null, symbolRemoved: false };
     const hma = symbol.hmaValue;
+    if (!strategy) {
+      strategy = await StrategyService.resolveStrategy(symbol.strategyId, userId, this.getEntrySide(symbol));
+    }
     
     if (!hma) {
       console.log(`⚠️ No HMA value for ${symbol.symbol}`);
@@ -682,7 +706,7 @@ class MonitoringService {
 
     // --- STATE MACHINE LOGIC FOR EXISTING STATES ONLY ---
     // This method only handles state transitions, NOT initial categorization
-    // Initial categorization (LTP > HMA vs LTP <= HMA) happens only in addSymbolToMonitoring()
+    // Initial categorization (StrategyService.getInitialSignal) happens only in addSymbolToMonitoring()
     
     const TradingState = require('../models/TradingState');
 
@@ -692,251 +716,84 @@ class MonitoringService {
       return result;
     }
 
-    // Handle REVERSAL state transitions
-    if (symbol.pendingSignal.direction === 'REVERSAL') {
-      if (symbol.pendingSignal.state === 'WAITING') {
-        // We're already waiting for reversal - check if LTP has crossed below HMA
-        if (ltp <= hma) {
-          // Reversal detected! Start 15-minute confirmation timer
-          symbol.pendingSignal.state = 'CONFIRMING';
-          symbol.pendingSignal.reversalDetected = true;
-          symbol.pendingSignal.confirmationStartTime = now;
-          symbol.pendingSignal.confirmationEndTime = new Date(now.getTime() + 15 * 60 * 1000); // 15 minutes
-          // Update status to CONFIRMING_REVERSAL
-          await TradingState.updateOne(
-            { userId, 'monitoredSymbols.id': symbol.id },
-            {
-              $set: {
-                'monitoredSymbols.$.triggerStatus': 'CONFIRMING_REVERSAL',
-                'monitoredSymbols.$.pendingSignal': symbol.pendingSignal,
-                'monitoredSymbols.$.orderModificationReason': 'Reversal detected - 15-minute confirmation timer started'
-              }
-            }
-          );
-          console.log(`⏰ ${symbol.symbol}: 15-minute confirmation timer started, ends at ${symbol.pendingSignal.confirmationEndTime}`);
-        }
-      } else if (symbol.pendingSignal.state === 'CONFIRMING') {
-        // We're in confirmation phase - check if timer has expired or if LTP went back above HMA
-        if (ltp > hma) {
-          // LTP went back above HMA during confirmation - cancel timer and go back to waiting
-          symbol.pendingSignal.state = 'WAITING';
-          symbol.pendingSignal.reversalDetected = false;
-          symbol.pendingSignal.confirmationStartTime = null;
-          symbol.pendingSignal.confirmationEndTime = null;
-          // Update status back to WAITING_FOR_REVERSAL
-          await TradingState.updateOne(
-            { userId, 'monitoredSymbols.id': symbol.id },
-            {
-              $set: {
-                'monitoredSymbols.$.triggerStatus': 'WAITING_FOR_REVERSAL',
-                'monitoredSymbols.$.pendingSignal': symbol.pendingSignal,
-                'monitoredSymbols.$.opportunityActive': false, // Reset opportunity flag when confirmation is canceled
-                'monitoredSymbols.$.orderModificationReason': 'Confirmation canceled - LTP back above HMA'
-              }
-            }
-          );
-          console.log(`🔄 ${symbol.symbol}: Back to waiting for reversal`);
-        } else if (now >= symbol.pendingSignal.confirmationEndTime) {
-          // 15-minute timer expired and LTP is still below HMA - move to "Waiting for Entry" state
-          symbol.pendingSignal.direction = 'ENTRY';
-          symbol.pendingSignal.state = 'WAITING';
-          symbol.pendingSignal.reversalConfirmed = true;
-          symbol.pendingSignal.entryReadyAt = now;
-          // Update status to WAITING_FOR_ENTRY
-          await TradingState.updateOne(
-            { userId, 'monitoredSymbols.id': symbol.id },
-            {
-              $set: {
-                'monitoredSymbols.$.triggerStatus': 'WAITING_FOR_ENTRY',
-                'monitoredSymbols.$.pendingSignal': symbol.pendingSignal,
-                'monitoredSymbols.$.orderModificationReason': 'Reversal confirmed - waiting for bullish crossover'
-              }
-            }
-          );
-          console.log(`🎯 ${symbol.symbol}: Ready for entry - waiting for LTP to cross above HMA`);
-        } else {
-          // Still in confirmation phase - show remaining time
-          const remainingTime = Math.max(0, symbol.pendingSignal.confirmationEndTime - now);
-          const remainingMinutes = Math.floor(remainingTime / (60 * 1000));
-          const remainingSeconds = Math.floor((remainingTime % (60 * 1000)) / 1000);
-          console.log(`⏰ ${symbol.symbol}: Confirming reversal - ${remainingMinutes}m ${remainingSeconds}s remaining`);
+    // Advance the strategy's state machine and persist each transition in order
+    const indicatorName = strategy.indicator.name;
+    const entryDescription = StrategyService.describeEntry(strategy);
+    const transitions = StrategyService.advanceSignal(strategy, symbol.pendingSignal, ltp, hma, now);
+    const saveSignalState = (triggerStatus, pendingSignal, reason, resetOpportunity) => TradingState.updateOne(
+      { userId, 'monitoredSymbols.id': symbol.id },
+      {
+        $set: {
+          'monitoredSymbols.$.triggerStatus': triggerStatus,
+          'monitoredSymbols.$.pendingSignal': pendingSignal,
+          ...(resetOpportunity && { 'monitoredSymbols.$.opportunityActive': false }), // Reset opportunity flag when confirmation is canceled
+          'monitoredSymbols.$.orderModificationReason': reason
         }
       }
-    }
-    
-    // Handle ENTRY state transitions
-    if (symbol.pendingSignal.direction === 'ENTRY') {
-      if (symbol.pendingSignal.state === 'WAITING') {
-        // We're in "Waiting for Entry" state - check for bullish crossover
-        if (ltp > hma) {
-          // Bullish crossover detected! Start 5-minute candle confirmation
-          console.log(`🚀 ${symbol.symbol}: Bullish crossover detected! LTP (${ltp}) > HMA (${hma}) - Starting 5-minute candle confirmation`);
-          
-          symbol.pendingSignal.state = 'CONFIRMING';
-          symbol.pendingSignal.crossoverDetected = true;
-          symbol.pendingSignal.crossoverTime = now;
-          
-          // Calculate the end of current 5-minute candle (MM:59)
-          const currentMinute = now.getMinutes();
-          const currentSecond = now.getSeconds();
-          
-          // Find the next 5-minute boundary (MM:59)
-          const nextFiveMinBoundary = Math.ceil(currentMinute / 5) * 5 - 1; // 4, 9, 14, 19, 24, 29, 34, 39, 44, 49, 54, 59
-          const minutesUntilBoundary = nextFiveMinBoundary - currentMinute;
-          const secondsUntilBoundary = 59 - currentSecond;
-          
-          const totalSecondsUntilBoundary = minutesUntilBoundary * 60 + secondsUntilBoundary;
-          symbol.pendingSignal.confirmationEndTime = new Date(now.getTime() + totalSecondsUntilBoundary * 1000);
-          
-          // Update status to CONFIRMING_ENTRY
-          await TradingState.updateOne(
-            { userId, 'monitoredSymbols.id': symbol.id },
-            {
-              $set: {
-                'monitoredSymbols.$.triggerStatus': 'CONFIRMING_ENTRY',
-                'monitoredSymbols.$.pendingSignal': symbol.pendingSignal,
-                'monitoredSymbols.$.orderModificationReason': 'Bullish crossover detected - waiting for 5-minute candle close confirmation'
-              }
-            }
-          );
-          
-          console.log(`⏰ ${symbol.symbol}: 5-minute candle confirmation started, ends at ${symbol.pendingSignal.confirmationEndTime}`);
-        }
-      } else if (symbol.pendingSignal.state === 'CONFIRMING') {
-        // We're in confirmation phase - check if LTP went back below HMA or if timer expired
-        if (ltp <= hma) {
-          // LTP went back below HMA during confirmation - cancel confirmation and go back to waiting
-          console.log(`❌ ${symbol.symbol}: LTP (${ltp}) went back below HMA (${hma}) during confirmation - canceling entry`);
-          
-          symbol.pendingSignal.state = 'WAITING';
-          symbol.pendingSignal.crossoverDetected = false;
-          symbol.pendingSignal.crossoverTime = null;
-          symbol.pendingSignal.confirmationEndTime = null;
-          
-          // Update status back to WAITING_FOR_ENTRY
-          await TradingState.updateOne(
-            { userId, 'monitoredSymbols.id': symbol.id },
-            {
-              $set: {
-                'monitoredSymbols.$.triggerStatus': 'WAITING_FOR_ENTRY',
-                'monitoredSymbols.$.pendingSignal': symbol.pendingSignal,
-                'monitoredSymbols.$.opportunityActive': false, // Reset opportunity flag when confirmation is canceled
-                'monitoredSymbols.$.orderModificationReason': 'Entry confirmation canceled - LTP back below HMA'
-              }
-            }
-          );
-          
-          console.log(`🔄 ${symbol.symbol}: Back to waiting for entry`);
-        } else if (now >= symbol.pendingSignal.confirmationEndTime) {
-          // 5-minute candle confirmation completed and LTP is still above HMA - execute market order
-          console.log(`✅ ${symbol.symbol}: 5-minute candle confirmation completed! LTP still above HMA - executing market order`);
+    );
+
+    for (const transition of transitions) {
+      if (transition.event !== 'ENTRY_CONFIRMED') {
+        await saveSignalState(transition.triggerStatus, transition.pendingSignal, transition.reason, transition.resetOpportunity);
+      }
+
+      switch (transition.event) {
+        case 'REVERSAL_DETECTED':
+          console.log(`⏰ ${symbol.symbol}: Reversal confirmation timer started, ends at ${transition.pendingSignal.confirmationEndTime}`);
+          break;
+        case 'REVERSAL_CANCELLED':
+          console.log(`🔄 ${symbol.symbol}: Back to waiting for reversal`);
+          break;
+        case 'REVERSAL_CONFIRMED':
+          console.log(`🎯 ${symbol.symbol}: Ready for entry - waiting for ${entryDescription} of ${indicatorName}`);
+          break;
+        case 'ENTRY_DETECTED':
+          console.log(`🚀 ${symbol.symbol}: ${entryDescription} detected! LTP (${ltp}) vs ${indicatorName} (${hma}) - confirmation: ${strategy.entry.confirmation.mode}`);
+          console.log(`⏰ ${symbol.symbol}: Entry confirmation started, ends at ${transition.pendingSignal.confirmationEndTime}`);
+          break;
+        case 'ENTRY_CANCELLED':
+          console.log(`❌ ${symbol.symbol}: LTP (${ltp}) went back across ${indicatorName} (${hma}) during confirmation - canceling entry`);
+          break;
+        case 'ENTRY_CONFIRMED': {
+          // Entry confirmed and LTP is still on the entry side - place the strategy's entry order
+          console.log(`✅ ${symbol.symbol}: Entry confirmation completed! Placing ${strategy.entry.orderType} entry (${strategy.name})`);
           console.log(`🔍 [DEBUG] ${symbol.symbol}: Current time: ${now}, Confirmation end time: ${symbol.pendingSignal.confirmationEndTime}`);
-          console.log(`🔍 [DEBUG] ${symbol.symbol}: LTP: ${ltp}, HMA: ${hma}, LTP > HMA: ${ltp > hma}`);
-          
-          try {
-            // Place market order immediately
-            const position = await this.executeMarketOrder(symbol, now, userId);
-            
-            if (position) {
-              // Update symbol status to ORDER_PLACED
-              await TradingState.updateOne(
-                { userId, 'monitoredSymbols.id': symbol.id },
-                {
-                  $set: {
-                    'monitoredSymbols.$.triggerStatus': 'ORDER_PLACED',
-                    'monitoredSymbols.$.orderPlaced': true,
-                    'monitoredSymbols.$.orderPlacedAt': now,
-                    'monitoredSymbols.$.orderId': position.buyOrderId,
-                    'monitoredSymbols.$.orderStatus': 'PENDING',
-                    'monitoredSymbols.$.lastHmaValue': hma,
-                    'monitoredSymbols.$.opportunityActive': false, // Reset to false since order is placed
-                    'monitoredSymbols.$.lastOpportunityTime': now,
-                    'monitoredSymbols.$.orderModificationReason': 'Market order placed at bullish crossover confirmation',
-                    'monitoredSymbols.$.pendingSignal': null // Clear pending signal
-                  }
-                }
-              );
-              
-              // Add to active positions immediately
-              await TradingState.updateOne(
-                { userId },
-                { $push: { activePositions: position } }
-              );
-              
-              console.log(`✅ Market order placed for ${symbol.symbol} at bullish crossover confirmation`);
-              console.log(`📊 Added ${symbol.symbol} to active positions while keeping in monitoring`);
-              
-              // Place SL-M order after 5 seconds
-              setTimeout(async () => {
-                try {
-                  console.log(`🛡️ Placing SL-M order for ${symbol.symbol} after 5-second delay`);
-                  const slOrderResult = await this.placeSLMOrder(position, userId);
-                  
-                  if (slOrderResult.success) {
-                    console.log(`✅ SL-M order placed for ${symbol.symbol} - Order ID: ${slOrderResult.sellOrderId}`);
-                  } else {
-                    console.error(`❌ Failed to place SL-M order for ${symbol.symbol}: ${slOrderResult.error}`);
-                  }
-                } catch (error) {
-                  console.error(`❌ Error placing SL-M order for ${symbol.symbol}:`, error);
-                }
-              }, 5000);
-              
-              result.executed = true;
-              result.position = position;
-            } else {
-              console.error(`❌ Failed to execute market order for ${symbol.symbol}`);
-              
-              // Reset to waiting for entry if order placement failed
-              symbol.pendingSignal.state = 'WAITING';
-              symbol.pendingSignal.crossoverDetected = false;
-              symbol.pendingSignal.crossoverTime = null;
-              symbol.pendingSignal.confirmationEndTime = null;
-              
-              await TradingState.updateOne(
-                { userId, 'monitoredSymbols.id': symbol.id },
-                {
-                  $set: {
-                    'monitoredSymbols.$.triggerStatus': 'WAITING_FOR_ENTRY',
-                    'monitoredSymbols.$.pendingSignal': symbol.pendingSignal,
-                    'monitoredSymbols.$.opportunityActive': false, // Reset opportunity flag on failure
-                    'monitoredSymbols.$.orderModificationReason': 'Market order placement failed - retrying on next crossover'
-                  }
-                }
-              );
-            }
-          } catch (error) {
-            console.error(`❌ Error executing market order for ${symbol.symbol}:`, error);
-            
+          console.log(`🔍 [DEBUG] ${symbol.symbol}: LTP: ${ltp}, ${indicatorName}: ${hma}`);
+
+          // Higher-timeframe filters of the strategy must all hold on their last closed bars
+          const filterCheck = await MultiTimeframeService.checkLiveFilters(strategy, symbol.symbol, ltp, userId, now);
+          if (!filterCheck.passed) {
+            console.log(`🚫 ${symbol.symbol}: ${filterCheck.reason}`);
+            StrategyService.resetEntrySignal(symbol.pendingSignal);
+            await saveSignalState('WAITING_FOR_ENTRY', StrategyService.snapshotSignal(symbol.pendingSignal), filterCheck.reason, true);
+            break;
+          }
+
+          const position = await this.executeStrategyEntry(symbol, strategy, hma, now, userId);
+
+          if (position) {
+            result.executed = true;
+            result.position = position;
+          } else {
             // Reset to waiting for entry if order placement failed
-            symbol.pendingSignal.state = 'WAITING';
-            symbol.pendingSignal.crossoverDetected = false;
-            symbol.pendingSignal.crossoverTime = null;
-            symbol.pendingSignal.confirmationEndTime = null;
-            
-            await TradingState.updateOne(
-              { userId, 'monitoredSymbols.id': symbol.id },
-              {
-                $set: {
-                  'monitoredSymbols.$.triggerStatus': 'WAITING_FOR_ENTRY',
-                  'monitoredSymbols.$.pendingSignal': symbol.pendingSignal,
-                  'monitoredSymbols.$.opportunityActive': false, // Reset opportunity flag on failure
-                  'monitoredSymbols.$.orderModificationReason': 'Market order placement failed - retrying on next crossover'
-                }
-              }
-            );
+            StrategyService.resetEntrySignal(symbol.pendingSignal);
+            await saveSignalState('WAITING_FOR_ENTRY', StrategyService.snapshotSignal(symbol.pendingSignal), `Entry order placement failed - retrying on next ${entryDescription}`, true);
           }
-        } else {
-          // Still in confirmation phase - show remaining time
-          const remainingTime = Math.max(0, symbol.pendingSignal.confirmationEndTime - now);
-          const remainingMinutes = Math.floor(remainingTime / 60);
-          const remainingSeconds = remainingTime % 60;
-          
-          console.log(`⏰ ${symbol.symbol}: Confirming entry - ${remainingMinutes}m ${remainingSeconds}s remaining`);
+          break;
         }
+        default:
+          break;
       }
     }
 
+    if (symbol.pendingSignal.state === 'CONFIRMING' && !result.executed) {
+      // Still in confirmation phase - show remaining time
+      const remainingTime = Math.max(0, symbol.pendingSignal.confirmationEndTime - now);
+      const remainingMinutes = Math.floor(remainingTime / (60 * 1000));
+      const remainingSeconds = Math.floor((remainingTime % (60 * 1000)) / 1000);
+      console.log(`⏰ ${symbol.symbol}: Confirming ${symbol.pendingSignal.direction === 'REVERSAL' ? 'reversal' : 'entry'} - ${remainingMinutes}m ${remainingSeconds}s remaining`);
+    }
+
     // --- ONLY BLOCK ORDER PLACEMENT BELOW ---
     // Only place a buy order if not already processing an opportunity
     if (symbol.tradesToday >= (symbol.maxPerDay || 4)) {
@@ -1078,44 +935,15 @@ class MonitoringService {
                   { userId },
                   { $push: { activePositions: position } }
                 );
+                await LedgerService.record(userId, 'POSITION_OPENED', { symbol: position.symbol, positionId: position.id, data: position });
                 
                 console.log(`✅ Market order placed for ${symbol.symbol} at bullish crossover confirmation`);
                 console.log(`📊 Added ${symbol.symbol} to active positions while keeping in monitoring`);
                 
-                // Place SL-M order after 5 seconds
-                setTimeout(async () => {
-                  try {
-                    console.log(`🛡️ Placing SL-M order for ${symbol.symbol} after 5-second delay`);
-                    const slOrderResult = await this.placeSLMOrder(position, userId);
-                    
-                    if (slOrderResult.success) {
-                      // Update active position with SL order details
-                      await TradingState.updateOne(
-                        { userId, 'activePositions.buyOrderId': position.buyOrderId },
-                        {
-                          $set: {
-                            'activePositions.$.slOrderId': slOrderResult.slOrderId,
-                            'activePositions.$.slStopPrice': slOrderResult.stopLossPrice,
-                            'activePositions.$.slTriggerPrice': slOrderResult.triggerPrice,
-                            'activePositions.$.slOrderDetails': {
-                              orderId: slOrderResult.slOrderId,
-                              stopLossPrice: slOrderResult.stopLossPrice,
-                              triggerPrice: slOrderResult.triggerPrice,
-                              placedAt: new Date(),
-                              modifications: []
-                            }
-                          }
-                        }
-                      );
-                      
-                      console.log(`✅ SL-M order placed for ${symbol.symbol}:`, slOrderResult);
-                    } else {
-                      console.error(`❌ Failed to place SL-M order for ${symbol.symbol}:`, slOrderResult.error);
-                    }
-                  } catch (error) {
-                    console.error(`❌ Error placing SL-M order for ${symbol.symbol}:`, error);
-                  }
-                }, 5000);
+                // A live entry gets its SL-M once handleOrderStatusUpdate confirms the fill
+                if (position.status === 'Active') {
+                  this.scheduleSLMOrder(position, userId);
+                }
                 
                 result.executed = true;
                 result.position = position;
@@ -1169,14 +997,109 @@ class MonitoringService {
   }
 
   /**
-   * Execute a BUY SL-L order (Stop Loss - Limit)
+   * Place the entry order a strategy asks for once its entry is confirmed.
+   * MARKET entries become active positions immediately and get an SL-M order after 5 seconds;
+   * SL_LIMIT entries place a BUY SL-L at the indicator value and open the position when filled.
+   * @param {Object} symbol - Symbol data
+   * @param {Object} strategy - Strategy definition
+   * @param {number} indicatorValue - Current indicator value
+   * @param {Date} now - Current time
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Position data, or null when the order could not be placed
+   */
+  static async executeStrategyEntry(symbol, strategy, indicatorValue, now, userId) {
+    const TradingState = require('../models/TradingState');
+    const entryDescription = StrategyService.describeEntry(strategy);
+
+    try {
+      if (strategy.entry.orderType === 'SL_LIMIT') {
+        const position = await this.executeLimitOrder(symbol, indicatorValue, now, userId);
+        if (!position) {
+          console.error(`❌ Failed to place BUY SL-L entry for ${symbol.symbol}`);
+          return null;
+        }
+
+        await TradingState.updateOne(
+          { userId, 'monitoredSymbols.id': symbol.id },
+          {
+            $set: {
+              'monitoredSymbols.$.triggerStatus': 'ORDER_PLACED',
+              'monitoredSymbols.$.orderPlaced': true,
+              'monitoredSymbols.$.orderPlacedAt': now,
+              'monitoredSymbols.$.orderId': position.buyOrderId,
+              'monitoredSymbols.$.orderStatus': 'PENDING',
+              'monitoredSymbols.$.lastHmaValue': indicatorValue,
+              'monitoredSymbols.$.opportunityActive': false,
+              'monitoredSymbols.$.lastOpportunityTime': now,
+              'monitoredSymbols.$.orderModificationReason': `BUY SL-L order placed at ${entryDescription} confirmation`,
+              'monitoredSymbols.$.pendingSignal': null // Clear pending signal
+            }
+          }
+        );
+
+        // Position is opened by handleOrderStatusUpdate once the entry fills
+        console.log(`✅ BUY SL-L entry placed for ${symbol.symbol} at ${entryDescription} confirmation`);
+        return position;
+      }
+
+      // Place market order immediately
+      const position = await this.executeMarketOrder(symbol, now, userId);
+      if (!position) {
+        console.error(`❌ Failed to execute market order for ${symbol.symbol}`);
+        return null;
+      }
+
+      // Update symbol status to ORDER_PLACED
+      await TradingState.updateOne(
+        { userId, 'monitoredSymbols.id': symbol.id },
+        {
+          $set: {
+            'monitoredSymbols.$.triggerStatus': 'ORDER_PLACED',
+            'monitoredSymbols.$.orderPlaced': true,
+            'monitoredSymbols.$.orderPlacedAt': now,
+            'monitoredSymbols.$.orderId': position.buyOrderId,
+            'monitoredSymbols.$.orderStatus': 'PENDING',
+            'monitoredSymbols.$.lastHmaValue': indicatorValue,
+            'monitoredSymbols.$.opportunityActive': false, // Reset to false since order is placed
+            'monitoredSymbols.$.lastOpportunityTime': now,
+            'monitoredSymbols.$.orderModificationReason': `Market order placed at ${entryDescription} confirmation`,
+            'monitoredSymbols.$.pendingSignal': null // Clear pending signal
+          }
+        }
+      );
+      
+      // Add to active positions immediately
+      await TradingState.updateOne(
+        { userId },
+        { $push: { activePositions: position } }
+      );
+      await LedgerService.record(userId, 'POSITION_OPENED', { symbol: position.symbol, positionId: position.id, data: position });
+      
+      console.log(`✅ Market order placed for ${symbol.symbol} at ${entryDescription} confirmation`);
+      console.log(`📊 Added ${symbol.symbol} to active positions while keeping in monitoring`);
+      
+      // A live entry gets its SL-M once handleOrderStatusUpdate confirms the fill
+      if (position.status === 'Active') {
+        this.scheduleSLMOrder(position, userId);
+      }
+      
+      return position;
+    } catch (error) {
+      console.error(`❌ Error executing ${strategy.entry.orderType} entry for ${symbol.symbol}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Execute an entry SL-L order (Stop Loss - Limit): BUY for long symbols, SELL for short symbols
    * @param {Object} symbol - Symbol data
    * @param {number} limitPrice - Limit price (HMA value)
    * @param {Date} now - Current time
    * @param {string} userId - User ID
+   * @param {Object} options - Optional { onRiskBlocked(reason) } called when risk limits block the entry
    * @returns {Promise<Object>} Position data
    */
-  static async executeLimitOrder(symbol, limitPrice, now, userId) {
+  static async executeLimitOrder(symbol, limitPrice, now, userId, options = {}) {
     try {
       // Get the correct lot size based on the index
       const getLotSize = (symbolString) => {
@@ -1202,36 +1125,53 @@ class MonitoringService {
       };
       
       const lotSize = getLotSize(symbol.symbol);
-      // Ensure lots is a whole number and calculate quantity
-      const lots = Math.floor(symbol.lots || 1); // Ensure lots is a whole number
-      const quantity = lots * lotSize; // Calculate quantity based on lots and lot size
       const roundedLimitPrice = roundToTickSize(limitPrice);
       
+      // Lot count comes from the symbol's sizing mode (fixed lots, % of funds or fixed risk)
+      const sizing = await PositionSizingService.calculateLots(symbol, { lotSize, entryPrice: roundedLimitPrice, userId });
+      if (sizing.lots < 1) {
+        throw new Error(`Position sizing (${sizing.mode}): ${sizing.reason}`);
+      }
+      const lots = sizing.lots;
+      const quantity = sizing.quantity;
+      
+      const entrySide = this.getEntrySide(symbol);
+      const direction = this.getDirection(symbol);
+      
+      // Account-level risk limits
+      const riskCheck = await RiskService.checkEntry(userId, symbol, roundedLimitPrice, quantity);
+      if (!riskCheck.allowed) {
+        if (options.onRiskBlocked) options.onRiskBlocked(riskCheck.reason);
+        return null;
+      }
+      
       // Debug logging to check symbol data
-      console.log(`🔍 [DEBUG] Symbol data for BUY SL-L order placement:`, {
+      console.log(`🔍 [DEBUG] Symbol data for ${entrySide} SL-L order placement:`, {
         symbol: symbol.symbol,
-        lots: symbol.lots,
+        lots: lots,
+        sizing: sizing.reason,
         calculatedQuantity: quantity,
         lotSize: lotSize,
         originalPrice: limitPrice,
         roundedPrice: roundedLimitPrice
       });
       
-      // Prepare BUY SL-L order data according to Fyers API documentation
+      // Prepare entry SL-L order data according to Fyers API documentation
       // For BUY SL-L: stopPrice (trigger) should be LOWER than limitPrice
-      const triggerPrice = roundedLimitPrice - 0.5; // Trigger 0.5 points BELOW limit price for BUY
+      // For SELL SL-L (short entry): stopPrice (trigger) should be HIGHER than limitPrice
+      const triggerPrice = roundedLimitPrice - direction * 0.5;
       
       // Create alphanumeric order tag (max 30 chars, no special characters)
-      const orderTag = `VICTORYBUY${Date.now().toString().slice(-8)}`;
+      const orderTag = `${entrySide === 'BUY' ? 'VICTORYBUY' : 'VICTORYSHORT'}${Date.now().toString().slice(-8)}`;
       
       const buyOrderData = {
         symbol: symbol.symbol,
         qty: quantity,
-        type: 4, // Stop Limit Order (SL-L)
-        side: 1, // Buy
+        type: 'SL-L', // Stop Limit Order
+        side: entrySide,
         productType: symbol.productType || 'INTRADAY',
-        limitPrice: roundedLimitPrice, // Buy price (HMA value)
-        stopPrice: triggerPrice, // Trigger price (0.5 points BELOW limit for BUY)
+        limitPrice: roundedLimitPrice, // Entry price (HMA value)
+        stopPrice: triggerPrice, // Trigger price (0.5 points on the approach side of the limit)
         disclosedQty: 0,
         validity: 'DAY',
         offlineOrder: false,
@@ -1240,52 +1180,65 @@ class MonitoringService {
         orderTag: orderTag // Alphanumeric only, max 30 chars
       };
       
-      console.log(`📋 [BUY SL-L ORDER] Placing BUY SL-L order:`, buyOrderData);
+      console.log(`📋 [${entrySide} SL-L ORDER] Placing ${entrySide} SL-L entry order:`, buyOrderData);
       
-      // Use live trade service to place BUY SL-L order
+      // Use live trade service to place the entry SL-L order
       const tradeResult = await TradeService.placeLiveTrade({
         symbol: symbol.symbol,
         quantity: quantity,
         price: roundedLimitPrice,
-        action: 'BUY',
-        orderType: 'SL_LIMIT', // BUY SL-L order type
+        action: entrySide,
+        orderType: 'SL_LIMIT', // Entry SL-L order type
         productType: symbol.productType || 'INTRADAY',
         userId,
         offlineOrder: false, // This is a live order
-        orderData: buyOrderData // Pass complete order data
+        orderData: buyOrderData, // Pass complete order data
+        tradingMode: symbol.tradingMode || 'LIVE',
+        details: { sizing }
       });
       
       // Check if order was rejected during placement
       if (!tradeResult || !tradeResult.success) {
-        throw new Error(`BUY SL-L order placement failed: ${tradeResult?.message || 'Unknown error'}`);
+        throw new Error(`${entrySide} SL-L order placement failed: ${tradeResult?.message || 'Unknown error'}`);
       }
+      RiskService.recordOrder(userId);
       
+      // The fill handler and the stop loss order size the position from orderLots
+      await TradingState.updateOne(
+        { userId, 'monitoredSymbols.id': symbol.id },
+        { $set: { 'monitoredSymbols.$.orderLots': lots } }
+      );
+      symbol.orderLots = lots;
+      
+      const exitLevels = this.getExitLevels(symbol, roundedLimitPrice);
       const position = {
         id: `${symbol.symbol}-${now.getTime()}`,
         symbol: symbol.symbol,
         type: symbol.type,
-        lots: symbol.lots,
+        lots: lots,
         quantity: quantity,
         boughtPrice: roundedLimitPrice,
         currentPrice: roundedLimitPrice,
-        target: roundedLimitPrice + parseFloat(symbol.targetPoints || 0),
-        stopLoss: roundedLimitPrice - parseFloat(symbol.stopLossPoints || 0),
-        initialStopLoss: roundedLimitPrice - parseFloat(symbol.stopLossPoints || 0),
+        target: exitLevels.target,
+        stopLoss: exitLevels.stopLoss,
+        initialStopLoss: exitLevels.stopLoss,
         useTrailingStoploss: symbol.useTrailingStoploss || false,
         trailingX: symbol.trailingX || 20,
         trailingY: symbol.trailingY || 15,
         status: 'Pending', // Initially pending until BUY order is filled
         timestamp: now,
-        tradingMode: 'LIVE',
-        orderType: 'BUY_SL_LIMIT',
+        tradingMode: symbol.tradingMode || 'LIVE',
+        strategyId: symbol.strategyId || null,
+        sizing: symbol.sizing,
+        orderType: `${entrySide}_SL_LIMIT`,
         productType: symbol.productType || 'INTRADAY',
-        buyOrderId: tradeResult?.orderId || null, // Store BUY order ID
+        buyOrderId: tradeResult?.orderId || null, // Store entry order ID
         sellOrderId: null, // Will be set when SELL SL-L order is placed
         orderStatus: 'PENDING', // Track order status from Fyers
         slStopPrice: null // Current SL stop price
       };
       
-      console.log(`✅ [BUY SL-L ORDER] BUY SL-L order placed for ${symbol.symbol} at ${roundedLimitPrice} (trigger: ${triggerPrice})`);
+      console.log(`✅ [${entrySide} SL-L ORDER] ${entrySide} SL-L order placed for ${symbol.symbol} at ${roundedLimitPrice} (trigger: ${triggerPrice})`);
       
       // Note: Trade logging will be handled by Fyers WebSocket when order status updates are received
       
@@ -1294,7 +1247,7 @@ class MonitoringService {
       
       return position;
     } catch (error) {
-      console.error(`❌ BUY SL-L order execution failed for ${symbol.symbol}:`, error);
+      console.error(`❌ Entry SL-L order execution failed for ${symbol.symbol}:`, error);
       
       // Log the order rejection
       try {
@@ -1403,8 +1356,8 @@ class MonitoringService {
       };
       
       const lotSize = getLotSize(symbol.symbol);
-      // Ensure lots is a whole number and calculate quantity
-      const lots = Math.floor(symbol.lots || 1); // Ensure lots is a whole number
+      // Ensure lots is a whole number and calculate quantity (orderLots is the sized entry)
+      const lots = Math.floor(symbol.orderLots || symbol.lots || 1); // Ensure lots is a whole number
       const quantity = lots * lotSize;
       const stopLossPoints = parseFloat(symbol.stopLossPoints || 0);
       const stopLossPrice = buyPrice - stopLossPoints;
@@ -1419,8 +1372,8 @@ class MonitoringService {
       const sellOrderData = {
         symbol: symbol.symbol,
         qty: quantity,
-        type: 3, // Stop Market Order (SL-M)
-        side: -1, // Sell
+        type: 'SL-M', // Stop Market Order
+        side: 'SELL',
         productType: symbol.productType || 'INTRADAY',
         stopPrice: roundedStopLossPrice, // Stop loss trigger price
         disclosedQty: 0,
@@ -1443,7 +1396,8 @@ class MonitoringService {
         productType: symbol.productType || 'INTRADAY',
         userId,
         offlineOrder: false,
-        orderData: sellOrderData
+        orderData: sellOrderData,
+        tradingMode: symbol.tradingMode || 'LIVE'
       });
       
       // Check if order was rejected during placement
@@ -1475,14 +1429,16 @@ class MonitoringService {
   }
 
   /**
-   * Place SELL SL-L (Stop Limit) order for stop loss protection
+   * Place SL-L (Stop Limit) order for stop loss protection.
+   * Long entries are protected by a SELL stop below the entry, short entries by a BUY stop above it.
    * @param {Object} symbol - Symbol configuration
-   * @param {string} buyOrderId - BUY order ID
-   * @param {number} buyPrice - BUY order fill price
+   * @param {string} buyOrderId - Entry order ID
+   * @param {number} buyPrice - Entry order fill price
    * @param {string} userId - User ID
+   * @param {Object} options - Optional { quantity, stopLossPrice } overriding the sized quantity and the stopLossPoints level
    * @returns {Promise<Object>} Order result
    */
-  static async placeSellSLLOrder(symbol, buyOrderId, buyPrice, userId) {
+  static async placeSellSLLOrder(symbol, buyOrderId, buyPrice, userId, options = {}) {
     try {
       // Get the correct lot size based on the index
       const getLotSize = (symbolString) => {
@@ -1508,28 +1464,30 @@ class MonitoringService {
       };
       
       const lotSize = getLotSize(symbol.symbol);
-      // Ensure lots is a whole number and calculate quantity
-      const lots = Math.floor(symbol.lots || 1); // Ensure lots is a whole number
-      const quantity = lots * lotSize;
-      const stopLossPoints = parseFloat(symbol.stopLossPoints || 0);
-      const stopLossPrice = buyPrice - stopLossPoints;
+      // Ensure lots is a whole number and calculate quantity (orderLots is the sized entry)
+      const lots = Math.floor(symbol.orderLots || symbol.lots || 1); // Ensure lots is a whole number
+      const quantity = options.quantity || lots * lotSize;
+      const exitSide = this.getExitSide(symbol);
+      const direction = this.getDirection(symbol);
+      const stopLossPrice = options.stopLossPrice ?? this.getExitLevels(symbol, buyPrice).stopLoss;
       const roundedStopLossPrice = roundToTickSize(stopLossPrice);
       
       // For SELL SL-L: limitPrice should be the stop loss price, stopPrice (trigger) should be 0.5 higher
+      // For BUY SL-L (short stop): stopPrice (trigger) should be 0.5 lower
       const limitPrice = roundedStopLossPrice; // Limit price = stop loss price
-      const triggerPrice = roundedStopLossPrice + 0.5; // Trigger 0.5 points ABOVE limit price for SELL
+      const triggerPrice = roundedStopLossPrice + direction * 0.5;
       
       // Create alphanumeric order tag (max 30 chars, no special characters)
-      const orderTag = `VICTORYSELL${Date.now().toString().slice(-8)}`;
+      const orderTag = `${exitSide === 'SELL' ? 'VICTORYSELL' : 'VICTORYCOVER'}${Date.now().toString().slice(-8)}`;
       
       const sellOrderData = {
         symbol: symbol.symbol,
         qty: quantity,
-        type: 4, // Stop Limit Order (SL-L)
-        side: -1, // Sell
+        type: 'SL-L', // Stop Limit Order
+        side: exitSide,
         productType: symbol.productType || 'INTRADAY',
         limitPrice: limitPrice, // Stop loss price as limit
-        stopPrice: triggerPrice, // Trigger price 0.5 higher
+        stopPrice: triggerPrice, // Trigger price 0.5 before the limit
         disclosedQty: 0,
         validity: 'DAY',
         offlineOrder: false,
@@ -1538,27 +1496,28 @@ class MonitoringService {
         orderTag: orderTag // Alphanumeric only, max 30 chars
       };
       
-      console.log(`📋 [SELL SL-L ORDER] Placing SELL SL-L order:`, sellOrderData);
+      console.log(`📋 [${exitSide} SL-L ORDER] Placing ${exitSide} SL-L stop loss order:`, sellOrderData);
       
-      // Use live trade service to place SELL SL-L order
+      // Use live trade service to place the stop loss SL-L order
       const tradeResult = await TradeService.placeLiveTrade({
         symbol: symbol.symbol,
         quantity: quantity,
         price: limitPrice,
-        action: 'SELL',
-        orderType: 'SL_LIMIT', // SELL SL-L order type
+        action: exitSide,
+        orderType: 'SL_LIMIT', // Stop loss SL-L order type
         productType: symbol.productType || 'INTRADAY',
         userId,
         offlineOrder: false,
-        orderData: sellOrderData
+        orderData: sellOrderData,
+        tradingMode: symbol.tradingMode || 'LIVE'
       });
       
       // Check if order was rejected during placement
       if (!tradeResult || !tradeResult.success) {
-        throw new Error(`SELL SL-L order placement failed: ${tradeResult?.message || 'Unknown error'}`);
+        throw new Error(`${exitSide} SL-L order placement failed: ${tradeResult?.message || 'Unknown error'}`);
       }
       
-      console.log(`✅ [SELL SL-L ORDER] SELL SL-L order placed for ${symbol.symbol} at ${limitPrice}`);
+      console.log(`✅ [${exitSide} SL-L ORDER] ${exitSide} SL-L order placed for ${symbol.symbol} at ${limitPrice}`);
       
       // Note: Trade logging will be handled by Fyers WebSocket when order status updates are received
       
@@ -1570,7 +1529,7 @@ class MonitoringService {
       };
       
     } catch (error) {
-      console.error(`❌ SELL SL-L order placement failed for ${symbol.symbol}:`, error);
+      console.error(`❌ Stop loss SL-L order placement failed for ${symbol.symbol}:`, error);
       
       // Note: Trade logging will be handled by Fyers WebSocket when order status updates are received
       
@@ -1582,12 +1541,13 @@ class MonitoringService {
   }
 
   /**
-   * Place market sell order for immediate exit
+   * Place market exit order for immediate exit (SELL for long positions, BUY to cover shorts)
    * @param {Object} position - Active position object
    * @param {string} userId - User ID
+   * @param {number|null} exitQuantity - Quantity to exit (defaults to the open quantity, partial for target legs)
    * @returns {Promise<Object>} Order result
    */
-  static async placeMarketSellOrder(position, userId) {
+  static async placeMarketSellOrder(position, userId, exitQuantity = null) {
     try {
       // Get the correct lot size based on the index
       const getLotSize = (symbolString) => {
@@ -1605,16 +1565,18 @@ class MonitoringService {
       };
       
       const lotSize = getLotSize(position.symbol);
-      const quantity = Math.floor(position.lots || 1) * lotSize;
+      // Partial target exits leave less than the entry quantity open
+      const quantity = exitQuantity || position.remainingQuantity || Math.floor(position.lots || 1) * lotSize;
       
       // Create alphanumeric order tag (max 30 chars, no special characters)
       const orderTag = `VICTORYEXIT${Date.now().toString().slice(-8)}`;
       
+      const exitSide = this.getExitSide(position);
       const marketSellOrderData = {
         symbol: position.symbol,
         qty: quantity,
-        type: 2, // Market Order
-        side: -1, // Sell
+        type: 'MARKET', // Market Order
+        side: exitSide,
         productType: position.productType || 'INTRADAY',
         limitPrice: 0, // Market order - no limit price
         stopPrice: 0, // Market order - no stop price
@@ -1633,12 +1595,13 @@ class MonitoringService {
         symbol: position.symbol,
         quantity: quantity,
         price: 0, // Market order
-        action: 'SELL',
+        action: exitSide,
         orderType: 'MARKET',
         productType: position.productType || 'INTRADAY',
         userId,
         offlineOrder: false,
-        orderData: marketSellOrderData
+        orderData: marketSellOrderData,
+        tradingMode: position.tradingMode || 'LIVE'
       });
       
       // Check if order was rejected during placement
@@ -1680,6 +1643,7 @@ class MonitoringService {
       
       let updated = 0;
       let closed = 0;
+      let bookedPnL = 0; // Realized by target legs booked this cycle
       
       for (const position of state.activePositions) {
         const liveQuote = liveData.find(d => d.symbol === position.symbol);
@@ -1704,11 +1668,23 @@ class MonitoringService {
             }
           };
           const lotSize = getLotSize(position.symbol);
-        position.pnl = (ltp - position.boughtPrice) * Math.floor(position.lots || 1) * lotSize;
-        position.pnlPercentage = ((ltp - position.boughtPrice) / position.boughtPrice) * 100;
+          // Shorts profit when LTP falls below the entry price
+          const direction = this.getDirection(position);
+          const openQuantity = position.remainingQuantity ?? Math.floor(position.lots || 1) * lotSize;
+        position.pnl = (position.realizedPnL || 0) + direction * (ltp - position.boughtPrice) * openQuantity;
+        position.pnlPercentage = direction * ((ltp - position.boughtPrice) / position.boughtPrice) * 100;
         
-        // Check for target or stop loss
-          if (ltp >= position.target) {
+        // Check for target or stop loss (target below and stop above the entry for shorts)
+          const exitAction = this.getExitAction(position, ltp);
+          if (exitAction === 'TARGET_LEG') {
+            // Laddered target - book the leg's share and keep the rest open until its last leg
+            const legResult = await this.bookTargetLeg(position, ltp, lotSize, userId);
+            bookedPnL += legResult.pnl;
+            if (legResult.closed) {
+              position.status = 'Target Hit';
+              closed++;
+            }
+          } else if (exitAction === 'TARGET') {
           position.status = 'Target Hit';
           closed++;
               
@@ -1762,7 +1738,7 @@ class MonitoringService {
                   );
                 }
               }
-          } else if (ltp <= position.stopLoss) {
+          } else if (exitAction === 'STOP_LOSS') {
           position.status = 'Stop Loss Hit';
           closed++;
               
@@ -1783,6 +1759,17 @@ class MonitoringService {
       const closedPositions = state.activePositions.filter(p => p.status !== 'Active');
       state.activePositions = state.activePositions.filter(p => p.status === 'Active');
       
+      for (const closedPosition of closedPositions) {
+        await LedgerService.recordPositionClosed(userId, closedPosition);
+      }
+      
+      // Paper stop orders have no exchange to expire them - cancel them with the position
+      for (const closedPosition of closedPositions) {
+        if (closedPosition.tradingMode === 'PAPER' && closedPosition.sellOrderId) {
+          await TradeService.cancelOrder(closedPosition.sellOrderId, userId);
+        }
+      }
+      
       // Handle re-entries for fully closed positions
       for (const closedPosition of closedPositions) {
         const origSymbol = state.monitoredSymbols.find(s => s.symbol === closedPosition.symbol && s.type === closedPosition.type);
@@ -1809,8 +1796,11 @@ class MonitoringService {
         }
       }
       
-      if (closed > 0) {
-        state.tradeExecutionState.totalPnL += closedPositions.reduce((sum, p) => sum + p.pnl, 0);
+      if (closed > 0 || bookedPnL !== 0) {
+        // Target legs were realized as they were booked; closing realizes the rest
+        const realizedPnL = bookedPnL + closedPositions.reduce((sum, p) => sum + p.pnl - (p.realizedPnL || 0), 0);
+        state.tradeExecutionState.totalPnL += realizedPnL;
+        RiskService.recordRealizedPnL(state, realizedPnL);
       }
       
       await state.save();
@@ -1827,47 +1817,292 @@ class MonitoringService {
   }
 
   /**
-   * Update trailing stop loss for a position
-   * @param {Object} position - Position data
-   * @param {number} currentPrice - Current LTP
+   * Book the next target leg of a laddered position: exit the leg's share at market, then
+   * re-place the protective stop for what remains (moved to cost / the previous target when the leg says so)
+   * @param {Object} position - Active position (updated in place)
+   * @param {number} ltp - Current LTP
+   * @param {number} lotSize - Lot size of the symbol
    * @param {string} userId - User ID
+   * @returns {Promise<Object>} { booked, closed, pnl }
    */
-  static async updateTrailingStopLoss(position, currentPrice, userId) {
+  static async bookTargetLeg(position, ltp, lotSize, userId) {
+    const legIndex = TargetLadderService.getNextLegIndex(position);
+    const leg = position.targetLegs[legIndex];
+    const { remainingQuantity, legQuantity } = this.getLegQuantity(position, legIndex, lotSize);
+    const closesPosition = legQuantity >= remainingQuantity;
+    const stopOrderId = position.sellOrderId || position.slOrderId;
+
+    console.log(`🎯 Target T${legIndex + 1} hit for ${position.symbol} at ${ltp} - booking ${legQuantity} of ${remainingQuantity}`);
+
     try {
-      let newStopLoss = null;
-      let reason = '';
-
-      // Handle standard trailing stop loss (trail to cost)
-      if (position.trailingStopLoss && currentPrice > position.boughtPrice) {
-        newStopLoss = currentPrice - position.stopLossPoints;
-        if (newStopLoss > position.stopLoss) {
-          reason = 'Standard trailing';
+      // The exchange stop covers the whole open quantity - take it off before exiting part of it
+      if (stopOrderId) {
+        const cancelResult = await this.cancelOrder(stopOrderId, userId);
+        if (!cancelResult.success) {
+          console.error(`❌ Failed to cancel stop order for ${position.symbol} - T${legIndex + 1} not booked`);
+          return { booked: false, closed: false, pnl: 0 };
         }
+        position.sellOrderId = null;
+        position.slOrderId = null;
       }
-      
-      // Handle advanced trailing stoploss with X/Y parameters
-      if (position.useTrailingStoploss && position.trailingX && position.trailingY) {
-        const priceMovement = currentPrice - position.boughtPrice;
-        
-        // Only trail if price has moved up by at least X points
-        if (priceMovement >= position.trailingX) {
-          // Calculate how many "X" intervals we've moved
-          const intervals = Math.floor(priceMovement / position.trailingX);
-          
-          // Calculate new stop loss based on Y points per X interval
-          const slMovement = intervals * position.trailingY;
-          const advancedStopLoss = position.initialStopLoss + slMovement;
-          
-          // Only update if the new stop loss is higher than current
-          if (advancedStopLoss > position.stopLoss) {
-            newStopLoss = advancedStopLoss;
-            reason = `Advanced trailing (${intervals} intervals)`;
-          }
+
+      const exitResult = await this.placeMarketSellOrder(position, userId, legQuantity);
+      if (!exitResult.success) {
+        console.error(`❌ T${legIndex + 1} exit order failed for ${position.symbol}: ${exitResult.error}`);
+        // Restore the stop; the leg is retried on the next cycle
+        if (stopOrderId) {
+          await this.placeLadderStopOrder(position, remainingQuantity, userId);
+        }
+        return { booked: false, closed: false, pnl: 0 };
+      }
+
+      const legPnL = this.applyBookedLeg(position, legIndex, legQuantity, ltp, exitResult.orderId, new Date());
+
+      try {
+        await TradeLogService.logPartialExit({
+          userId,
+          symbol: position.symbol,
+          leg: legIndex + 1,
+          entryPrice: position.boughtPrice,
+          targetPrice: leg.price,
+          exitPrice: ltp,
+          quantity: legQuantity,
+          remainingQuantity: position.remainingQuantity,
+          pnl: legPnL,
+          orderId: exitResult.orderId,
+          side: this.getExitSide(position),
+          tradingMode: position.tradingMode
+        });
+      } catch (logError) {
+        console.error(`❌ Failed to log T${legIndex + 1} partial exit for ${position.symbol}:`, logError);
+      }
+
+      if (closesPosition) {
+        position.orderStatus = 'TARGET_EXIT_EXECUTED';
+        position.exitOrderId = exitResult.orderId;
+        position.exitPrice = ltp;
+        position.exitTimestamp = new Date();
+        position.pnl = position.realizedPnL;
+        await this.recordLegBooked(position, userId);
+        console.log(`✅ Final target T${legIndex + 1} booked for ${position.symbol} - position closed`);
+        return { booked: true, closed: true, pnl: legPnL };
+      }
+
+      this.applyStopAfterLeg(position, legIndex, new Date());
+
+      if (stopOrderId) {
+        await this.placeLadderStopOrder(position, position.remainingQuantity, userId);
+      }
+      await this.recordLegBooked(position, userId);
+
+      console.log(`✅ T${legIndex + 1} booked for ${position.symbol}: ${legQuantity} @ ${ltp}, P&L ₹${legPnL.toFixed(2)}, ${position.remainingQuantity} open, stop ${position.stopLoss}`);
+      return { booked: true, closed: false, pnl: legPnL };
+    } catch (error) {
+      console.error(`❌ Error booking T${legIndex + 1} for ${position.symbol}:`, error);
+      return { booked: false, closed: false, pnl: 0 };
+    }
+  }
+
+  /**
+   * Which exit the LTP triggers for an active position, in the order they are checked:
+   * the next ladder leg, the single target, then the stop (mirrored for shorts)
+   * @param {Object} position - Active position
+   * @param {number} ltp - Current LTP
+   * @returns {string|null} 'TARGET_LEG', 'TARGET', 'STOP_LOSS' or null to keep the position open
+   */
+  static getExitAction(position, ltp) {
+    const direction = this.getDirection(position);
+    const nextLegIndex = TargetLadderService.getNextLegIndex(position);
+
+    if (nextLegIndex >= 0 && direction * (ltp - position.targetLegs[nextLegIndex].price) >= 0) {
+      return 'TARGET_LEG';
+    }
+    if (nextLegIndex < 0 && direction * (ltp - position.target) >= 0) {
+      return 'TARGET';
+    }
+    if (direction * (ltp - position.stopLoss) <= 0) {
+      return 'STOP_LOSS';
+    }
+    return null;
+  }
+
+  /**
+   * Open quantity of a laddered position and the share of it booked at a leg
+   * @param {Object} position - Active position
+   * @param {number} legIndex - Leg being booked
+   * @param {number} lotSize - Lot size of the symbol
+   * @returns {Object} { remainingQuantity, legQuantity }
+   */
+  static getLegQuantity(position, legIndex, lotSize) {
+    const remainingQuantity = position.remainingQuantity ?? position.quantity;
+    const remainingLots = Math.floor(remainingQuantity / lotSize);
+    const legQuantity = TargetLadderService.getLegLots(position, legIndex, remainingLots) * lotSize;
+    return { remainingQuantity, legQuantity };
+  }
+
+  /**
+   * Mark a target leg booked and take its quantity off the position
+   * @param {Object} position - Active position (updated in place)
+   * @param {number} legIndex - Booked leg
+   * @param {number} legQuantity - Quantity exited at the leg
+   * @param {number} exitPrice - Exit price of the leg
+   * @param {string} orderId - Exit order ID
+   * @param {Date} bookedAt - Time of the exit
+   * @returns {number} Realized P&L of the leg
+   */
+  static applyBookedLeg(position, legIndex, legQuantity, exitPrice, orderId, bookedAt) {
+    const leg = position.targetLegs[legIndex];
+    const remainingQuantity = position.remainingQuantity ?? position.quantity;
+    const legPnL = this.getDirection(position) * (exitPrice - position.boughtPrice) * legQuantity;
+
+    leg.status = 'BOOKED';
+    leg.quantity = legQuantity;
+    leg.exitOrderId = orderId;
+    leg.exitPrice = exitPrice;
+    leg.pnl = legPnL;
+    leg.bookedAt = bookedAt;
+    position.remainingQuantity = remainingQuantity - legQuantity;
+    position.invested = position.remainingQuantity * position.boughtPrice;
+    position.realizedPnL = (position.realizedPnL || 0) + legPnL;
+    position.stage = legIndex + 1;
+    return legPnL;
+  }
+
+  /**
+   * Move the stop of a laddered position after a leg was booked, and switch the remainder
+   * to X/Y trailing when the leg says so
+   * @param {Object} position - Active position (updated in place)
+   * @param {number} legIndex - Booked leg
+   * @param {Date} now - Time of the change
+   */
+  static applyStopAfterLeg(position, legIndex, now) {
+    const leg = position.targetLegs[legIndex];
+    const newStopLoss = TargetLadderService.getStopAfterLeg(position, legIndex, this.getDirection(position));
+
+    if (newStopLoss !== null) {
+      position.slModifications.push({
+        timestamp: now,
+        oldStopLoss: position.stopLoss,
+        newStopLoss,
+        reason: `T${legIndex + 1} booked - stop moved to ${leg.moveStop === 'COST' ? 'cost' : 'previous target'}`
+      });
+      position.stopLoss = newStopLoss;
+    }
+    if (leg.trailRemainder) {
+      // X/Y trailing of the remainder starts from the current stop
+      position.useTrailingStoploss = true;
+      position.initialStopLoss = position.stopLoss;
+    }
+  }
+
+  /**
+   * Record a booked target leg, with the stop and quantity changes it caused, in the order ledger
+   * @param {Object} position - Active position after the leg
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Ledger event
+   */
+  static async recordLegBooked(position, userId) {
+    return LedgerService.record(userId, 'POSITION_PARTIAL_EXIT', {
+      symbol: position.symbol,
+      positionId: position.id,
+      data: LedgerService.pick(position, [
+        'targetLegs', 'stage', 'remainingQuantity', 'invested', 'realizedPnL', 'pnl',
+        'stopLoss', 'initialStopLoss', 'useTrailingStoploss', 'slModifications',
+        'sellOrderId', 'slOrderId', 'slStopPrice', 'slTriggerPrice', 'slOrderDetails',
+        'exitOrderId', 'exitPrice', 'exitTimestamp'
+      ])
+    });
+  }
+
+  /**
+   * Place the protective SL-L order of a laddered position for its open quantity at its current stop
+   * @param {Object} position - Active position (updated in place)
+   * @param {number} quantity - Open quantity
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Order result
+   */
+  static async placeLadderStopOrder(position, quantity, userId) {
+    const slOrderResult = await this.placeSellSLLOrder(position, position.buyOrderId, position.boughtPrice, userId, {
+      quantity,
+      stopLossPrice: position.stopLoss
+    });
+
+    if (slOrderResult.success) {
+      position.sellOrderId = slOrderResult.sellOrderId;
+      position.slStopPrice = slOrderResult.stopLossPrice;
+      position.slTriggerPrice = slOrderResult.triggerPrice;
+      position.slOrderDetails = {
+        orderId: slOrderResult.sellOrderId,
+        stopPrice: slOrderResult.stopLossPrice,
+        triggerPrice: slOrderResult.triggerPrice,
+        placedAt: new Date()
+      };
+    } else {
+      console.error(`❌ Stop order re-placement failed for ${position.symbol}: ${slOrderResult.error}`);
+    }
+    return slOrderResult;
+  }
+
+  /**
+   * Tighter stop for a position from its standard or X/Y trailing rules.
+   * Long stops trail upward as price rises; short stops trail downward as price falls.
+   * @param {Object} position - Active position
+   * @param {number} currentPrice - Current LTP
+   * @returns {Object|null} { stopLoss, reason }, or null when the stop stays where it is
+   */
+  static getTrailingStop(position, currentPrice) {
+    let newStopLoss = null;
+    let reason = '';
+    const direction = this.getDirection(position);
+    // True when `price` is a tighter (more protective) stop than the current one
+    const tightens = (price) => direction * (price - position.stopLoss) > 0;
+
+    // Handle standard trailing stop loss (trail to cost)
+    if (position.trailingStopLoss && direction * (currentPrice - position.boughtPrice) > 0) {
+      newStopLoss = currentPrice - direction * position.stopLossPoints;
+      if (tightens(newStopLoss)) {
+        reason = 'Standard trailing';
+      }
+    }
+
+    // Handle advanced trailing stoploss with X/Y parameters
+    if (position.useTrailingStoploss && position.trailingX && position.trailingY) {
+      const priceMovement = direction * (currentPrice - position.boughtPrice);
+
+      // Only trail if price has moved in our favour by at least X points
+      if (priceMovement >= position.trailingX) {
+        // Calculate how many "X" intervals we've moved
+        const intervals = Math.floor(priceMovement / position.trailingX);
+
+        // Calculate new stop loss based on Y points per X interval
+        const slMovement = intervals * position.trailingY;
+        const advancedStopLoss = position.initialStopLoss + direction * slMovement;
+
+        // Only update if the new stop loss is tighter than current
+        if (tightens(advancedStopLoss)) {
+          newStopLoss = advancedStopLoss;
+          reason = `Advanced trailing (${intervals} intervals)`;
         }
       }
+    }
+
+    return newStopLoss && tightens(newStopLoss) ? { stopLoss: newStopLoss, reason } : null;
+  }
+
+  /**
+   * Update trailing stop loss for a position.
+   * Long stops trail upward as price rises; short stops trail downward as price falls.
+   * @param {Object} position - Position data
+   * @param {number} currentPrice - Current LTP
+   * @param {string} userId - User ID
+   */
+  static async updateTrailingStopLoss(position, currentPrice, userId) {
+    try {
+      const trailingStop = this.getTrailingStop(position, currentPrice);
 
       // Modify SL-M order if stop loss needs updating
-      if (newStopLoss && newStopLoss > position.stopLoss && position.slOrderId) {
+      if (trailingStop && position.slOrderId) {
+        const { stopLoss: newStopLoss, reason } = trailingStop;
         console.log(`📈 ${reason} SL update for ${position.symbol}: ${position.stopLoss} → ${newStopLoss}`);
         
         // Stop loss modifications handled by trade service
@@ -1875,6 +2110,11 @@ class MonitoringService {
         console.log(`📝 Stop loss modifications handled by trade service`);
         position.stopLoss = newStopLoss;
         position.slStopPrice = newStopLoss;
+        await LedgerService.record(userId, 'POSITION_MODIFIED', {
+          symbol: position.symbol,
+          positionId: position.id,
+          data: { stopLoss: newStopLoss, slStopPrice: newStopLoss }
+        });
       }
     } catch (error) {
       console.error(`Error updating trailing stop loss for ${position.symbol}:`, error);
@@ -1882,7 +2122,7 @@ class MonitoringService {
   }
 
   /**
-   * Modify SELL SL-L order based on trailing stop loss
+   * Modify the stop loss SL-L order (SELL for longs, BUY for shorts) based on trailing stop loss
    * @param {Object} symbol - Symbol data
    * @param {number} currentPrice - Current market price
    * @param {string} userId - User ID
@@ -1899,7 +2139,7 @@ class MonitoringService {
       // Calculate new trailing stop loss price
       const newStopLossPrice = this.calculateTrailingStopLoss(symbol, currentPrice);
       
-      if (!newStopLossPrice || newStopLossPrice <= symbol.slStopPrice) {
+      if (!newStopLossPrice || this.getDirection(symbol) * (newStopLossPrice - symbol.slStopPrice) <= 0) {
         console.log(`📊 No trailing stop loss update needed for ${symbol.symbol}: current=${symbol.slStopPrice}, new=${newStopLossPrice}`);
         return false;
       }
@@ -1919,7 +2159,7 @@ class MonitoringService {
       if (sellOrderResult.success) {
         // Update active position with new SELL order details and track modification
         const TradingState = require('../models/TradingState');
-        await TradingState.updateOne(
+        const updatedState = await TradingState.findOneAndUpdate(
           { userId, 'activePositions.sellOrderId': symbol.sellOrderId },
           {
             $set: {
@@ -1936,8 +2176,18 @@ class MonitoringService {
                 orderId: sellOrderResult.sellOrderId
               }
             }
-          }
+          },
+          { new: true }
         );
+        
+        const modifiedPosition = updatedState?.activePositions.find(p => p.sellOrderId === sellOrderResult.sellOrderId);
+        if (modifiedPosition) {
+          await LedgerService.record(userId, 'POSITION_MODIFIED', {
+            symbol: modifiedPosition.symbol,
+            positionId: modifiedPosition.id,
+            data: LedgerService.pick(modifiedPosition, ['sellOrderId', 'slStopPrice', 'slTriggerPrice', 'slModifications'])
+          });
+        }
 
         console.log(`✅ SELL SL-L order modified for ${symbol.symbol} at new stop loss: ${sellOrderResult.stopLossPrice}`);
         return true;
@@ -1953,7 +2203,7 @@ class MonitoringService {
   }
 
   /**
-   * Calculate trailing stop loss price
+   * Calculate trailing stop loss price (trails upward for longs, downward for shorts)
    * @param {Object} symbol - Symbol data
    * @param {number} currentPrice - Current market price
    * @returns {number|null} New stop loss price or null if no update needed
@@ -1965,30 +2215,83 @@ class MonitoringService {
       }
 
       const { trailingX, trailingY, stopLossPoints } = symbol;
-      const initialStopLoss = symbol.slStopPrice + parseFloat(stopLossPoints || 0); // Convert back to entry price
+      const direction = this.getDirection(symbol);
+      const initialStopLoss = symbol.slStopPrice + direction * parseFloat(stopLossPoints || 0); // Convert back to entry price
       
       // Calculate trailing stop loss using the same logic as in updateTrailingStopLoss
       let newStopLoss = symbol.slStopPrice;
       
-      if (currentPrice > initialStopLoss) {
-        // Price is above entry, calculate trailing stop loss
-        const profit = currentPrice - initialStopLoss;
+      if (direction * (currentPrice - initialStopLoss) > 0) {
+        // Price has moved past the entry in our favour, calculate trailing stop loss
+        const profit = direction * (currentPrice - initialStopLoss);
         const trailingAmount = Math.floor(profit / trailingX) * trailingY;
-        const calculatedStopLoss = initialStopLoss + trailingAmount;
+        const calculatedStopLoss = initialStopLoss + direction * trailingAmount;
         
-        // Only update if new stop loss is higher than current
-        if (calculatedStopLoss > symbol.slStopPrice) {
+        // Only update if new stop loss is tighter than current
+        if (direction * (calculatedStopLoss - symbol.slStopPrice) > 0) {
           newStopLoss = calculatedStopLoss;
         }
       }
       
-      return newStopLoss > symbol.slStopPrice ? newStopLoss : null;
+      return direction * (newStopLoss - symbol.slStopPrice) > 0 ? newStopLoss : null;
     } catch (error) {
       console.error('Error calculating trailing stop loss:', error);
       return null;
     }
   }
 
+  /**
+   * Check whether a monitored symbol or position is on the short side.
+   * Short symbols are added with type 'SELL'; positions synced from Fyers use 'SHORT'.
+   * @param {Object} item - Monitored symbol or active position
+   * @returns {boolean} True for short (SELL-first) trades
+   */
+  static isShort(item) {
+    return item?.type === 'SELL' || item?.type === 'SHORT';
+  }
+
+  /**
+   * Price direction of a trade: +1 when it profits from a rising price, -1 when short
+   * @param {Object} item - Monitored symbol or active position
+   * @returns {number} 1 for long, -1 for short
+   */
+  static getDirection(item) {
+    return this.isShort(item) ? -1 : 1;
+  }
+
+  /**
+   * Order side that opens a trade
+   * @param {Object} item - Monitored symbol or active position
+   * @returns {string} 'BUY' for long, 'SELL' for short
+   */
+  static getEntrySide(item) {
+    return this.isShort(item) ? 'SELL' : 'BUY';
+  }
+
+  /**
+   * Order side that closes a trade (stop loss, target and manual exits)
+   * @param {Object} item - Monitored symbol or active position
+   * @returns {string} 'SELL' for long, 'BUY' for short
+   */
+  static getExitSide(item) {
+    return this.isShort(item) ? 'BUY' : 'SELL';
+  }
+
+  /**
+   * Target and stop loss prices for an entry price. With a target ladder the target is its farthest leg.
+   * @param {Object} item - Monitored symbol or active position (type, targetPoints, stopLossPoints, targetLegs)
+   * @param {number} entryPrice - Entry fill price
+   * @returns {Object} { target, stopLoss }
+   */
+  static getExitLevels(item, entryPrice) {
+    const direction = this.getDirection(item);
+    const targetPoints = TargetLadderService.getFinalTargetPoints(item.targetLegs) ?? item.targetPoints;
+    return {
+      target: entryPrice + direction * parseFloat(targetPoints || 0),
+      stopLoss: entryPrice - direction * parseFloat(item.stopLossPoints || 0)
+    };
+  }
+
   /**
    * Get monitoring status for a user
    * @param {string} userId - User ID
@@ -2032,35 +2335,17 @@ class MonitoringService {
   }
 
   /**
-   * Cancel an order on Fyers
-   * @param {string} orderId - Fyers order ID
+   * Cancel an order with the broker that placed it
+   * @param {string} orderId - Broker order ID
    * @param {string} userId - User ID
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object>} { success, orderId, message }
    */
   static async cancelOrder(orderId, userId) {
     try {
-      const User = require('../models/User');
-      const user = await User.findById(userId);
-      
-      if (!user || !user.fyers || !user.fyers.accessToken) {
-        throw new Error('No valid Fyers access token found');
-      }
-      
-      const response = await axios.delete(`https://api-t1.fyers.in/api/v3/orders/${orderId}`, {
-        headers: {
-          'Authorization': user.fyers.accessToken
-        }
-      });
-      
-      if (response.data && response.data.s === 'ok') {
-        console.log(`✅ Order ${orderId} cancelled successfully`);
-        return true;
-      }
-      
-      return false;
+      return await TradeService.cancelOrder(orderId, userId);
     } catch (error) {
       console.error('Error cancelling order:', error);
-      return false;
+      return { success: false, orderId, message: error.message };
     }
   }
 
@@ -2189,6 +2474,8 @@ class MonitoringService {
    */
   static async handleOrderStatusUpdate(orderId, status, userId, remarks = '', fillPriceFromFyers = null) {
     try {
+      MarketRecorderService.recordOrderEvent('STATUS', { userId, orderId, status, remarks, fillPrice: fillPriceFromFyers });
+      
       const TradingState = require('../models/TradingState');
       
       // Find the symbol with this order ID
@@ -2225,6 +2512,13 @@ class MonitoringService {
           if (isBuyOrder) {
             // Safety check: Don't create duplicate positions
             const existingPosition = state.activePositions?.find(pos => pos.buyOrderId === orderId);
+            if (existingPosition?.status === 'Pending') {
+              // Live market entry: exit levels and legs are priced from the confirmed fill
+              await this.activateFilledMarketEntry(existingPosition, symbol, fillPriceFromFyers || symbol.currentLTP || symbol.hmaValue, userId);
+              shouldRemove = true;
+              shouldMoveToPositions = true;
+              break;
+            }
             if (existingPosition) {
               console.log(`⚠️ Position already exists for ${symbol.symbol} with order ID ${orderId} - skipping duplicate creation`);
               shouldRemove = true;
@@ -2232,7 +2526,7 @@ class MonitoringService {
               break;
             }
             
-            console.log(`✅ BUY order filled for ${symbol.symbol}, creating active position and placing SELL SL-L order`);
+            console.log(`✅ ${this.getEntrySide(symbol)} entry order filled for ${symbol.symbol}, creating active position and placing ${this.getExitSide(symbol)} SL-L order`);
             // Use the real fill price from Fyers if provided
             const fillPrice = fillPriceFromFyers || symbol.hmaValue || symbol.lastHmaValue;
             
@@ -2250,26 +2544,34 @@ class MonitoringService {
               }
             };
             const lotSize = getLotSize(symbol.symbol);
+            // Lots the entry order was sized for
+            const lots = Math.floor(symbol.orderLots || symbol.lots || 1);
             
             // Create active position immediately when BUY order is filled
             const position = {
               id: `${symbol.symbol}-${Date.now()}`,
               symbol: symbol.symbol,
               type: symbol.type,
-              lots: Math.floor(symbol.lots || 1),
-              quantity: Math.floor(symbol.lots || 1) * lotSize,
-              boughtPrice: fillPrice, // Entry price when BUY order filled
+              lots: lots,
+              quantity: lots * lotSize,
+              boughtPrice: fillPrice, // Entry price when the entry order filled
               currentPrice: fillPrice,
-              target: fillPrice + parseFloat(symbol.targetPoints || 0),
-              stopLoss: fillPrice - parseFloat(symbol.stopLossPoints || 0),
-              initialStopLoss: fillPrice - parseFloat(symbol.stopLossPoints || 0),
+              target: this.getExitLevels(symbol, fillPrice).target,
+              stopLoss: this.getExitLevels(symbol, fillPrice).stopLoss,
+              initialStopLoss: this.getExitLevels(symbol, fillPrice).stopLoss,
               useTrailingStoploss: symbol.useTrailingStoploss || false,
               trailingX: symbol.trailingX || 20,
               trailingY: symbol.trailingY || 15,
               status: 'Active',
               timestamp: new Date(),
-              tradingMode: 'LIVE',
-              orderType: 'BUY_SL_LIMIT',
+              tradingMode: symbol.tradingMode || 'LIVE',
+              strategyId: symbol.strategyId || null,
+              sizing: symbol.sizing,
+              targetLegs: TargetLadderService.buildPositionLegs(symbol.targetLegs, fillPrice, this.getDirection(symbol)),
+              remainingQuantity: lots * lotSize,
+              realizedPnL: 0,
+              stage: 0,
+              orderType: `${this.getEntrySide(symbol)}_SL_LIMIT`,
               productType: symbol.productType || 'INTRADAY',
               buyOrderId: orderId, // Store the BUY order ID
               sellOrderId: null, // Will be set when SELL order is placed
@@ -2281,7 +2583,7 @@ class MonitoringService {
               index: symbol.index || { name: 'NIFTY', lotSize: 75 },
               slStopPrice: null, // Will be set when SELL order is placed
               slModifications: [], // Track SL modifications
-              invested: (Math.floor(symbol.lots || 1) * lotSize) * fillPrice // Qty * bought price
+              invested: (lots * lotSize) * fillPrice // Qty * bought price
             };
             
             // Add to active positions
@@ -2289,6 +2591,7 @@ class MonitoringService {
               { userId },
               { $push: { activePositions: position } }
             );
+            await LedgerService.record(userId, 'POSITION_OPENED', { symbol: position.symbol, positionId: position.id, data: position });
             
             console.log(`✅ ${symbol.symbol} moved to active positions with invested amount: ₹${position.invested}`);
             
@@ -2323,6 +2626,11 @@ class MonitoringService {
                       }
                     }
                   );
+                  await LedgerService.record(userId, 'POSITION_MODIFIED', {
+                    symbol: position.symbol,
+                    positionId: position.id,
+                    data: { sellOrderId: slOrderResult.sellOrderId, slStopPrice: slOrderResult.stopLossPrice, slTriggerPrice: slOrderResult.triggerPrice }
+                  });
                   
                   console.log(`✅ SELL SL-L order placed for ${symbol.symbol} - Order ID: ${slOrderResult.sellOrderId}`);
                   console.log(`📊 Stop Loss Price: ${slOrderResult.stopLossPrice}, Trigger Price: ${slOrderResult.triggerPrice}`);
@@ -2367,29 +2675,34 @@ class MonitoringService {
               const closedPosition = state.activePositions.find(p => p.sellOrderId === orderId);
               
               if (closedPosition) {
+                await LedgerService.recordPositionClosed(userId, closedPosition);
+                
                 // Check if LTP is above or below HMA for re-entry decision
                 const User = require('../models/User');
                 const user = await User.findById(userId);
                 const liveQuote = await this.getLiveQuote(closedPosition.symbol, userId);
-                const hmaData = await HMAService.fetchAndCalculateHMA(closedPosition.symbol, user);
+                const strategy = await StrategyService.resolveStrategy(closedPosition.strategyId, userId, this.getEntrySide(closedPosition));
+                const hmaData = await HMAService.getStreamingHMA(closedPosition.symbol, user, StrategyService.getIndicatorOptions(strategy));
                 
                 if (liveQuote && hmaData) {
                   const ltp = liveQuote.ltp;
                   const hmaValue = hmaData.currentHMA || hmaData.hmaValue;
                   
-                  let reEntryStatus = 'WAITING_FOR_REVERSAL';
-                  if (ltp <= hmaValue) {
-                    reEntryStatus = 'WAITING_FOR_ENTRY';
-                  }
+                  // Re-enter the same strategy from the state its rules give for the current LTP
+                  const reEntryStatus = StrategyService.getInitialSignal(strategy, ltp, hmaValue).triggerStatus;
                   
                   // Add symbol back to monitoring with appropriate status
                   const symbolData = {
                     symbol: closedPosition.symbol,
                     type: closedPosition.type,
                     lots: closedPosition.lots,
-                    targetPoints: closedPosition.target - closedPosition.boughtPrice,
-                    stopLossPoints: closedPosition.boughtPrice - closedPosition.stopLoss,
+                    targetPoints: Math.abs(closedPosition.target - closedPosition.boughtPrice),
+                    stopLossPoints: Math.abs(closedPosition.boughtPrice - closedPosition.stopLoss),
                     productType: closedPosition.productType,
+                    tradingMode: closedPosition.tradingMode || 'LIVE',
+                    strategyId: closedPosition.strategyId || null,
+                    sizing: closedPosition.sizing,
+                    targetLegs: TargetLadderService.normalizeLegs(closedPosition.targetLegs),
                     index: closedPosition.index
                   };
                   
@@ -2433,6 +2746,8 @@ class MonitoringService {
             }
           );
           
+          await this.closeUnfilledMarketEntry(orderId, status, userId);
+          
           // The symbol stays in monitoring with ORDER_REJECTED status - no retries
           break;
           
@@ -2452,6 +2767,7 @@ class MonitoringService {
               }
             }
           );
+          await this.closeUnfilledMarketEntry(orderId, status, userId);
           break;
           
         default:
@@ -2552,22 +2868,24 @@ class MonitoringService {
       
       console.log(`🔄 Exiting position for ${position.symbol}`);
       
-      // Cancel any pending SELL SL-L order
+      // Cancel any pending stop loss SL-L order
       if (position.sellOrderId) {
         try {
           await TradeService.cancelOrder(position.sellOrderId, userId);
-          console.log(`✅ Cancelled SELL SL-L order ${position.sellOrderId} for ${position.symbol}`);
+          console.log(`✅ Cancelled stop loss SL-L order ${position.sellOrderId} for ${position.symbol}`);
         } catch (error) {
-          console.error(`❌ Failed to cancel SELL SL-L order: ${error.message}`);
+          console.error(`❌ Failed to cancel stop loss SL-L order: ${error.message}`);
         }
       }
       
-      // Place market sell order to exit position
+      // Place market order on the opposite side to exit position (target legs may have booked part of it)
+      const exitSide = this.getExitSide(position);
+      const exitQuantity = position.remainingQuantity ?? position.quantity;
       const exitOrderData = {
         symbol: position.symbol,
-        qty: position.quantity,
-        type: 2, // Market Order
-        side: -1, // Sell
+        qty: exitQuantity,
+        type: 'MARKET', // Market Order
+        side: exitSide,
         productType: position.productType || 'INTRADAY',
         limitPrice: 0,
         stopPrice: 0,
@@ -2581,29 +2899,37 @@ class MonitoringService {
       
       const exitResult = await TradeService.placeLiveTrade({
         symbol: position.symbol,
-        quantity: position.quantity,
+        quantity: exitQuantity,
         price: 0, // Market order
-        action: 'SELL',
+        action: exitSide,
         orderType: 'MARKET',
         productType: position.productType || 'INTRADAY',
         userId,
         offlineOrder: false,
-        orderData: exitOrderData
+        orderData: exitOrderData,
+        tradingMode: position.tradingMode || 'LIVE'
       });
       
       if (exitResult.success) {
         // Update position status
+        Object.assign(position, {
+          status: 'CLOSED',
+          exitPrice: position.currentPrice || position.boughtPrice,
+          exitTimestamp: new Date(),
+          exitOrderId: exitResult.orderId
+        });
         await TradingState.updateOne(
           { userId, 'activePositions.id': positionId },
           {
             $set: {
-              'activePositions.$.status': 'CLOSED',
-              'activePositions.$.exitPrice': position.currentPrice || position.boughtPrice,
-              'activePositions.$.exitTimestamp': new Date(),
-              'activePositions.$.exitOrderId': exitResult.orderId
+              'activePositions.$.status': position.status,
+              'activePositions.$.exitPrice': position.exitPrice,
+              'activePositions.$.exitTimestamp': position.exitTimestamp,
+              'activePositions.$.exitOrderId': position.exitOrderId
             }
           }
         );
+        await LedgerService.recordPositionClosed(userId, position);
         
         console.log(`✅ Position exited successfully for ${position.symbol}`);
         
@@ -2772,7 +3098,18 @@ class MonitoringService {
 
       // Place limit order at HMA value
       const now = new Date();
-      const position = await this.executeLimitOrder(symbol, hmaValue, now, userId);
+      let riskBlockReason = null;
+      const position = await this.executeLimitOrder(symbol, hmaValue, now, userId, {
+        onRiskBlocked: reason => { riskBlockReason = reason; }
+      });
+
+      // Report risk blocks to the caller instead of marking the symbol rejected
+      if (riskBlockReason) {
+        return {
+          success: false,
+          message: riskBlockReason
+        };
+      }
 
       if (position) {
         // Update symbol status to ORDER_PLACED (keep in monitoredSymbols for pending orders)
@@ -2859,6 +3196,9 @@ class MonitoringService {
       symbol.lastOpportunityTime = null;
     }
     await state.save();
+    
+    // A new trading day lifts kill switches engaged by limit breaches (manual ones stay)
+    await RiskService.releaseKillSwitch(userId, { breachesOnly: true });
     console.log(`🔄 Daily trade counters reset for user ${userId}`);
   }
 
@@ -2925,21 +3265,36 @@ class MonitoringService {
       };
       
       const lotSize = getLotSize(symbol.symbol);
-      const quantity = Math.floor(symbol.lots || 1) * lotSize;
+      // LTP is the best estimate of the fill price for sizing and risk checks
+      const expectedPrice = symbol.currentLTP || symbol.hmaValue;
+      const sizing = await PositionSizingService.calculateLots(symbol, { lotSize, entryPrice: expectedPrice, userId });
+      if (sizing.lots < 1) {
+        throw new Error(`Position sizing (${sizing.mode}): ${sizing.reason}`);
+      }
+      const lots = sizing.lots;
+      const quantity = sizing.quantity;
       
       console.log(`📋 Placing market order for ${symbol.symbol}:`, {
         quantity,
-        lots: symbol.lots,
+        lots,
         lotSize,
+        sizing: sizing.reason,
         productType: symbol.productType || 'INTRADAY'
       });
       
-      // Create market order data
+      // Account-level risk limits
+      const riskCheck = await RiskService.checkEntry(userId, symbol, expectedPrice, quantity);
+      if (!riskCheck.allowed) {
+        return null;
+      }
+      
+      // Create market order data (SELL opens a short)
+      const entrySide = this.getEntrySide(symbol);
       const orderData = {
         symbol: symbol.symbol,
         qty: quantity,
-        type: 2, // Market Order
-        side: 1, // Buy
+        type: 'MARKET', // Market Order
+        side: entrySide,
         productType: symbol.productType || 'INTRADAY',
         limitPrice: 0, // Market order - no limit price
         stopPrice: 0,
@@ -2954,43 +3309,51 @@ class MonitoringService {
       console.log(`🔍 [DEBUG] Market order data:`, orderData);
       
       // Place market order
-      console.log('🔍 [DEBUG] TradeService type:', typeof TradeService);
-      console.log('🔍 [DEBUG] TradeService.placeLiveTrade type:', typeof TradeService.placeLiveTrade);
-      console.log('🔍 [DEBUG] TradeService keys:', Object.keys(TradeService));
-      
       const result = await TradeService.placeLiveTrade({
         symbol: symbol.symbol,
         quantity: quantity,
         price: 0, // Market order
-        action: 'BUY',
+        action: entrySide,
         orderType: 'MARKET',
         productType: symbol.productType || 'INTRADAY',
         userId,
         offlineOrder: false,
-        orderData: orderData
+        orderData: orderData,
+        tradingMode: symbol.tradingMode || 'LIVE',
+        details: { sizing }
       });
       
       if (result.success) {
         console.log(`✅ Market order placed successfully for ${symbol.symbol}:`, result);
+        RiskService.recordOrder(userId);
         
-        // Create position object
+        // Only paper market orders know their fill up front. A live entry stays Pending, so no
+        // exits are evaluated, until handleOrderStatusUpdate prices it from the confirmed fill.
+        const fillPrice = result.fillPrice || null;
+        const exitLevels = fillPrice ? this.getExitLevels(symbol, fillPrice) : { target: null, stopLoss: null };
         const position = {
           id: `${symbol.symbol}-${Date.now()}`,
           symbol: symbol.symbol,
           type: symbol.type || 'CE',
-          lots: Math.floor(symbol.lots || 1),
+          lots: lots,
           quantity: quantity,
-          boughtPrice: result.fillPrice || 0, // Will be updated when order is filled
-          currentPrice: result.fillPrice || 0,
-          target: (result.fillPrice || 0) + parseFloat(symbol.targetPoints || 0),
-          stopLoss: (result.fillPrice || 0) - parseFloat(symbol.stopLossPoints || 0),
-          initialStopLoss: (result.fillPrice || 0) - parseFloat(symbol.stopLossPoints || 0),
+          boughtPrice: fillPrice,
+          currentPrice: fillPrice || expectedPrice,
+          target: exitLevels.target,
+          stopLoss: exitLevels.stopLoss,
+          initialStopLoss: exitLevels.stopLoss,
           useTrailingStoploss: symbol.useTrailingStoploss || false,
           trailingX: symbol.trailingX || 20,
           trailingY: symbol.trailingY || 15,
-          status: 'Active',
+          status: fillPrice ? 'Active' : 'Pending',
           timestamp: now,
-          tradingMode: 'LIVE',
+          tradingMode: symbol.tradingMode || 'LIVE',
+          strategyId: symbol.strategyId || null,
+          sizing: symbol.sizing,
+          targetLegs: fillPrice ? TargetLadderService.buildPositionLegs(symbol.targetLegs, fillPrice, this.getDirection(symbol)) : [],
+          remainingQuantity: quantity,
+          realizedPnL: 0,
+          stage: 0,
           orderType: 'MARKET',
           productType: symbol.productType || 'INTRADAY',
           buyOrderId: result.orderId,
@@ -3003,7 +3366,7 @@ class MonitoringService {
           index: symbol.index || { name: 'NIFTY', lotSize: 75 },
           slStopPrice: null,
           slModifications: [],
-          invested: quantity * (result.fillPrice || 0)
+          invested: fillPrice ? quantity * fillPrice : 0
         };
         
         return position;
@@ -3070,12 +3433,13 @@ class MonitoringService {
       const lotSize = getLotSize(position.symbol);
       const quantity = Math.floor(position.lots || 1) * lotSize;
       
-      // Create SL-M order data
+      // Create SL-M order data (BUY stop above the entry for shorts)
+      const exitSide = this.getExitSide(position);
       const orderData = {
         symbol: position.symbol,
         qty: quantity,
-        type: 4, // Stop Loss Market Order
-        side: -1, // Sell
+        type: 'SL-M', // Stop Loss Market Order
+        side: exitSide,
         productType: position.productType || 'INTRADAY',
         limitPrice: 0, // Market order
         stopPrice: position.stopLoss, // Stop loss price
@@ -3096,13 +3460,14 @@ class MonitoringService {
         symbol: position.symbol,
         quantity: quantity,
         price: 0, // Market order
-        action: 'SELL',
+        action: exitSide,
         orderType: 'SL-M',
         productType: position.productType || 'INTRADAY',
         stopPrice: position.stopLoss,
         userId,
         offlineOrder: false,
-        orderData: orderData
+        orderData: orderData,
+        tradingMode: position.tradingMode || 'LIVE'
       });
       
       if (result.success) {
@@ -3135,6 +3500,110 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Place the SL-M order of a filled market entry after a 5-second delay and store it on the position
+   * @param {Object} position - Active position
+   * @param {string} userId - User ID
+   */
+  static scheduleSLMOrder(position, userId) {
+    setTimeout(async () => {
+      try {
+        console.log(`🛡️ Placing SL-M order for ${position.symbol} after 5-second delay`);
+        const slOrderResult = await this.placeSLMOrder(position, userId);
+        
+        if (slOrderResult.success) {
+          // Update active position with SL order details
+          await TradingState.updateOne(
+            { userId, 'activePositions.buyOrderId': position.buyOrderId },
+            {
+              $set: {
+                'activePositions.$.slOrderId': slOrderResult.slOrderId,
+                'activePositions.$.slStopPrice': slOrderResult.stopLossPrice,
+                'activePositions.$.slTriggerPrice': slOrderResult.triggerPrice,
+                'activePositions.$.slOrderDetails': {
+                  orderId: slOrderResult.slOrderId,
+                  stopLossPrice: slOrderResult.stopLossPrice,
+                  triggerPrice: slOrderResult.triggerPrice,
+                  placedAt: new Date(),
+                  modifications: []
+                }
+              }
+            }
+          );
+          await LedgerService.record(userId, 'POSITION_MODIFIED', {
+            symbol: position.symbol,
+            positionId: position.id,
+            data: { slOrderId: slOrderResult.slOrderId, slStopPrice: slOrderResult.stopLossPrice, slTriggerPrice: slOrderResult.triggerPrice }
+          });
+          
+          console.log(`✅ SL-M order placed for ${position.symbol}:`, slOrderResult);
+        } else {
+          console.error(`❌ Failed to place SL-M order for ${position.symbol}:`, slOrderResult.error);
+        }
+      } catch (error) {
+        console.error(`❌ Error placing SL-M order for ${position.symbol}:`, error);
+      }
+    }, 5000);
+  }
+
+  /**
+   * Price a pending live market entry from its confirmed fill and start its protection
+   * @param {Object} position - Pending position of the market entry
+   * @param {Object} symbol - Monitored symbol that placed the entry
+   * @param {number} fillPrice - Fill price of the entry
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Activated position
+   */
+  static async activateFilledMarketEntry(position, symbol, fillPrice, userId) {
+    const exitLevels = this.getExitLevels(symbol, fillPrice);
+    const filled = {
+      boughtPrice: fillPrice,
+      currentPrice: fillPrice,
+      target: exitLevels.target,
+      stopLoss: exitLevels.stopLoss,
+      initialStopLoss: exitLevels.stopLoss,
+      targetLegs: TargetLadderService.buildPositionLegs(symbol.targetLegs, fillPrice, this.getDirection(symbol)),
+      invested: position.quantity * fillPrice,
+      status: 'Active'
+    };
+
+    const update = {};
+    Object.entries(filled).forEach(([key, value]) => { update[`activePositions.$.${key}`] = value; });
+    await TradingState.updateOne(
+      { userId, 'activePositions.buyOrderId': position.buyOrderId },
+      { $set: update }
+    );
+    await LedgerService.record(userId, 'POSITION_MODIFIED', {
+      symbol: position.symbol,
+      positionId: position.id,
+      data: filled
+    });
+    console.log(`✅ Market entry filled for ${position.symbol} at ${fillPrice} - target ${exitLevels.target}, stop loss ${exitLevels.stopLoss}`);
+
+    const activated = { ...position.toObject(), ...filled };
+    this.scheduleSLMOrder(activated, userId);
+    return activated;
+  }
+
+  /**
+   * Close the pending position of a live market entry that was rejected or cancelled before filling
+   * @param {string} orderId - Entry order ID
+   * @param {string} status - REJECTED or CANCELLED
+   * @param {string} userId - User ID
+   */
+  static async closeUnfilledMarketEntry(orderId, status, userId) {
+    const state = await TradingState.findOne({ userId, 'activePositions.buyOrderId': orderId });
+    const position = state?.activePositions.find(p => p.buyOrderId === orderId && p.status === 'Pending' && p.orderType === 'MARKET');
+    if (!position) return;
+
+    await TradingState.updateOne(
+      { userId, 'activePositions.buyOrderId': orderId },
+      { $set: { 'activePositions.$.status': 'Closed', 'activePositions.$.exitTimestamp': new Date() } }
+    );
+    await LedgerService.recordPositionClosed(userId, { ...position.toObject(), status: 'Closed', exitTimestamp: new Date() });
+    console.log(`❌ Market entry ${orderId} ${status.toLowerCase()} for ${position.symbol} before filling - pending position closed`);
+  }
+
   /**
    * Check if a symbol is tradeable (not blocked by exchange)
    * @param {string} symbol - Symbol to check
@@ -0,0 +1,199 @@
+/**
+ * Monte Carlo Service
+ * Robustness of a backtest beyond its single historical path, by resampling its trade P&Ls:
+ *   SHUFFLE   - the same trades in random order: final P&L is unchanged, drawdown and ruin vary
+ *   BOOTSTRAP - as many trades drawn with replacement: final P&L varies as well
+ * Each method reports percentile bands of final P&L and max drawdown, the probability of a loss,
+ * and the risk of ruin: the share of paths whose equity falls to the ruin level of the capital.
+ */
+
+class MonteCarloService {
+  static METHODS = ['SHUFFLE', 'BOOTSTRAP'];
+  static MAX_SIMULATIONS = 10000;
+  static PERCENTILES = [5, 25, 50, 75, 95];
+
+  /**
+   * Random number generator: seeded (mulberry32) for reproducible runs, Math.random otherwise
+   * @param {number} seed - Seed (optional)
+   * @returns {Function} Generator of numbers in [0, 1)
+   */
+  static createRandom(seed) {
+    if (seed === undefined || seed === null || seed === '') return Math.random;
+
+    let state = Number(seed) >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Validate analysis settings
+   * @param {Object} params - { simulations, method, capital, ruinPercent }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validate(params) {
+    const errors = [];
+    const simulations = Number(params.simulations ?? 1000);
+    if (!Number.isInteger(simulations) || simulations < 100 || simulations > this.MAX_SIMULATIONS) {
+      errors.push(`simulations must be a whole number from 100 to ${this.MAX_SIMULATIONS}`);
+    }
+    if (params.method && params.method !== 'BOTH' && !this.METHODS.includes(params.method)) {
+      errors.push(`Unsupported method: ${params.method} (SHUFFLE, BOOTSTRAP or BOTH)`);
+    }
+    if (params.capital !== undefined && !(Number(params.capital) > 0)) {
+      errors.push('capital must be positive');
+    }
+    const ruinPercent = Number(params.ruinPercent ?? 50);
+    if (!(ruinPercent > 0 && ruinPercent <= 100)) {
+      errors.push('ruinPercent must be above 0 and at most 100');
+    }
+    return errors;
+  }
+
+  /**
+   * Value at a percentile of sorted values (linear interpolation)
+   * @param {Array<number>} sorted - Values in ascending order
+   * @param {number} percentile - Percentile (0-100)
+   * @returns {number} Value
+   */
+  static percentile(sorted, percentile) {
+    const position = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Mean and percentile band of a sample
+   * @param {Array<number>} values - Sample
+   * @returns {Object} { mean, p5, p25, p50, p75, p95 }
+   */
+  static describe(values) {
+    const sorted = Float64Array.from(values).sort();
+    const bands = { mean: values.reduce((sum, value) => sum + value, 0) / values.length };
+    this.PERCENTILES.forEach(p => { bands[`p${p}`] = this.percentile(sorted, p); });
+    return bands;
+  }
+
+  /**
+   * Final P&L, max drawdown and lowest equity of one sequence of trade P&Ls
+   * @param {Array<number>|Float64Array} pnls - Trade P&Ls in order
+   * @returns {Object} { finalPnL, maxDrawdown, lowestPnL }
+   */
+  static walk(pnls) {
+    let equity = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    let lowestPnL = 0;
+
+    for (let i = 0; i < pnls.length; i++) {
+      equity += pnls[i];
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+      lowestPnL = Math.min(lowestPnL, equity);
+    }
+    return { finalPnL: equity, maxDrawdown, lowestPnL };
+  }
+
+  /**
+   * Simulate one resampling method
+   * @param {Array<number>} pnls - Trade P&Ls in exit order
+   * @param {string} method - SHUFFLE or BOOTSTRAP
+   * @param {number} simulations - Paths to simulate
+   * @param {Function} random - Random number generator
+   * @param {number|null} capital - Starting capital (null skips drawdown % and risk of ruin)
+   * @param {number} ruinPercent - Loss of capital, in %, that counts as ruin
+   * @returns {Object} { finalPnL, maxDrawdown, maxDrawdownPercent, probabilityOfLoss, riskOfRuin }
+   */
+  static simulate(pnls, method, simulations, random, capital, ruinPercent) {
+    const path = Float64Array.from(pnls);
+    const finals = [];
+    const drawdowns = [];
+    let losses = 0;
+    let ruined = 0;
+
+    for (let s = 0; s < simulations; s++) {
+      if (method === 'SHUFFLE') {
+        // Fisher-Yates over the previous order
+        for (let i = path.length - 1; i > 0; i--) {
+          const j = Math.floor(random() * (i + 1));
+          [path[i], path[j]] = [path[j], path[i]];
+        }
+      } else {
+        for (let i = 0; i < path.length; i++) path[i] = pnls[Math.floor(random() * pnls.length)];
+      }
+
+      const { finalPnL, maxDrawdown, lowestPnL } = this.walk(path);
+      finals.push(finalPnL);
+      drawdowns.push(maxDrawdown);
+      if (finalPnL < 0) losses++;
+      if (capital && lowestPnL <= -capital * (ruinPercent / 100)) ruined++;
+    }
+
+    return {
+      finalPnL: this.describe(finals),
+      maxDrawdown: this.describe(drawdowns),
+      maxDrawdownPercent: capital ? this.describe(drawdowns.map(drawdown => (drawdown / capital) * 100)) : null,
+      probabilityOfLoss: (losses / simulations) * 100,
+      riskOfRuin: capital ? (ruined / simulations) * 100 : null
+    };
+  }
+
+  /**
+   * Monte Carlo analysis of a saved backtest's trades
+   * @param {Object} backtest - Saved backtest
+   * @param {Object} params - { simulations (default 1000), method (SHUFFLE, BOOTSTRAP or BOTH), capital
+   *   (default kpis.requiredMargin), ruinPercent (default 50), seed }
+   * @returns {Object} { success, message, data }
+   */
+  static analyze(backtest, params = {}) {
+    const errors = this.validate(params);
+    if (errors.length > 0) return { success: false, message: errors.join('; ') };
+
+    const pnls = [...(backtest.trades || [])]
+      .filter(trade => trade.exitTime && Number.isFinite(trade.pnl))
+      .sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime))
+      .map(trade => trade.pnl);
+    if (pnls.length < 2) {
+      return { success: false, message: 'At least two closed trades are required for a Monte Carlo analysis' };
+    }
+
+    const simulations = Number(params.simulations ?? 1000);
+    const methods = !params.method || params.method === 'BOTH' ? this.METHODS : [params.method];
+    const capital = Number(params.capital) || backtest.kpis?.requiredMargin || null;
+    const ruinPercent = Number(params.ruinPercent ?? 50);
+    const random = this.createRandom(params.seed);
+    const original = this.walk(pnls);
+
+    const results = {};
+    methods.forEach(method => {
+      results[method] = this.simulate(pnls, method, simulations, random, capital, ruinPercent);
+    });
+
+    return {
+      success: true,
+      message: `${simulations} simulations of ${pnls.length} trades`,
+      data: {
+        backtestId: backtest._id,
+        name: backtest.name,
+        trades: pnls.length,
+        simulations,
+        capital,
+        ruinPercent,
+        ruinLevel: capital ? -capital * (ruinPercent / 100) : null,
+        seed: params.seed ?? null,
+        original: {
+          ...original,
+          maxDrawdownPercent: capital ? (original.maxDrawdown / capital) * 100 : null
+        },
+        results
+      }
+    };
+  }
+}
+
+module.exports = { MonteCarloService };
@@ -0,0 +1,395 @@
+/**
+ * Multi-Timeframe Service
+ * Entry filters a strategy evaluates on other timeframes than its indicator, e.g. "take 5-minute
+ * long entries only while the daily Hull Suite is bullish". A filter is { indicator, timeframe,
+ * params (or period), condition, threshold }:
+ *   HULL_SUITE - HullSuiteService.determineHullSuiteSignal of HMA-9 against HMA-55: BULLISH or BEARISH
+ *   any IndicatorService type - PRICE_ABOVE / PRICE_BELOW (LTP against a price-like indicator),
+ *                ABOVE / BELOW `threshold` (oscillators), RISING / FALLING, BULLISH / BEARISH
+ *                (indicators with a direction: SuperTrend, MACD, ADX)
+ * Filters only see bars of their timeframe that had closed at the time of the entry: minute bars
+ * are aligned to the 09:15 IST session open, a daily bar closes at the end of its IST day.
+ * Backtests build the bars from their base candles; live monitoring from the historical data store.
+ */
+const { StrategyService } = require('./strategyService');
+const { HMAService } = require('./hmaService');
+const { HistoricalDataService } = require('./historicalDataService');
+const HullSuiteService = require('./hullSuiteService');
+const { IndicatorService } = require('./indicatorService');
+const LoggerService = require('./loggerService');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HULL_FAST_PERIOD = 9;
+const HULL_SLOW_PERIOD = 55;
+
+class MultiTimeframeService {
+  static TIMEFRAMES = ['1', '3', '5', '15', '30', '60', 'D'];
+  // Threshold conditions (ABOVE / BELOW) measure a level, not a direction, and are not mirrored
+  static MIRRORED_CONDITIONS = {
+    BULLISH: 'BEARISH',
+    BEARISH: 'BULLISH',
+    PRICE_ABOVE: 'PRICE_BELOW',
+    PRICE_BELOW: 'PRICE_ABOVE',
+    RISING: 'FALLING',
+    FALLING: 'RISING'
+  };
+
+  // Bars of each live symbol and timeframe, reloaded once the next bar has closed
+  static barCache = new Map();
+
+  /**
+   * Fill missing filter fields with defaults
+   * @param {Array} filters - Strategy filters
+   * @returns {Array<Object>} Filters { indicator, timeframe, params, condition, threshold }
+   */
+  static normalizeFilters(filters) {
+    return (Array.isArray(filters) ? filters : []).map(filter => {
+      const indicator = filter.indicator || 'HULL_SUITE';
+      const isLibrary = IndicatorService.TYPES.includes(indicator);
+      // `period` is shorthand for params.period
+      const params = { ...(filter.params || {}), ...(filter.period !== undefined && filter.period !== null && { period: filter.period }) };
+      return {
+        indicator,
+        timeframe: String(filter.timeframe || 'D'),
+        params: isLibrary ? IndicatorService.normalizeParams(indicator, params) : {},
+        condition: filter.condition || (indicator === 'HULL_SUITE' ? 'BULLISH' : this.getConditions(indicator)[0]),
+        threshold: filter.threshold === undefined || filter.threshold === null ? null : Number(filter.threshold)
+      };
+    });
+  }
+
+  /**
+   * Conditions a filter on an indicator can test
+   * @param {string} indicator - HULL_SUITE or an IndicatorService type
+   * @returns {Array<string>} Conditions (empty for unknown indicators)
+   */
+  static getConditions(indicator) {
+    return indicator === 'HULL_SUITE' ? ['BULLISH', 'BEARISH'] : IndicatorService.getConditions(indicator);
+  }
+
+  /**
+   * Validate strategy filters
+   * @param {Array} filters - Strategy filters
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateFilters(filters) {
+    if (filters === undefined || filters === null) return [];
+    if (!Array.isArray(filters)) return ['filters must be a list'];
+
+    const errors = [];
+    filters.forEach((raw, index) => {
+      const label = `Filter ${index + 1}`;
+      if (!raw || typeof raw !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+      const indicator = raw.indicator || 'HULL_SUITE';
+      if (indicator !== 'HULL_SUITE' && !IndicatorService.TYPES.includes(indicator)) {
+        errors.push(`${label}: unsupported indicator ${indicator} (HULL_SUITE, ${IndicatorService.TYPES.join(', ')})`);
+        return;
+      }
+
+      const [filter] = this.normalizeFilters([raw]);
+      if (!this.TIMEFRAMES.includes(filter.timeframe)) {
+        errors.push(`${label}: unsupported timeframe ${filter.timeframe} (${this.TIMEFRAMES.join(', ')})`);
+      }
+      if (!this.getConditions(indicator).includes(filter.condition)) {
+        errors.push(`${label}: ${indicator} condition must be one of ${this.getConditions(indicator).join(', ')}`);
+      }
+      if (['ABOVE', 'BELOW'].includes(filter.condition) && !Number.isFinite(filter.threshold)) {
+        errors.push(`${label}: ${filter.condition} needs a numeric threshold`);
+      }
+      if (indicator !== 'HULL_SUITE') {
+        errors.push(...IndicatorService.validate(indicator, filter.params).map(error => `${label}: ${error}`));
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Check that a backtest's base candles can be combined into every filter timeframe
+   * @param {Array} filters - Strategy filters
+   * @param {string|number} interval - Base candle length in minutes
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateForInterval(filters, interval) {
+    const baseMinutes = Number(interval);
+    return this.normalizeFilters(filters)
+      .filter(filter => filter.timeframe !== 'D' && Number(filter.timeframe) % baseMinutes !== 0)
+      .map(filter => `The ${this.describeFilter(filter)} filter timeframe must be a multiple of the ${interval}-minute candles`);
+  }
+
+  /**
+   * Filters of a long strategy for a short entry: every condition is mirrored
+   * @param {Array} filters - Strategy filters
+   * @returns {Array<Object>} Mirrored filters
+   */
+  static mirrorFilters(filters) {
+    return this.normalizeFilters(filters).map(filter => ({ ...filter, condition: this.MIRRORED_CONDITIONS[filter.condition] || filter.condition }));
+  }
+
+  /**
+   * Readable name of a filter, used in status reasons
+   * @param {Object} filter - Filter
+   * @returns {string} e.g. "daily Hull Suite BULLISH", "15m HMA-55 PRICE_ABOVE" or "daily RSI-14 ABOVE 60"
+   */
+  static describeFilter(filter) {
+    const timeframe = filter.timeframe === 'D' ? 'daily' : `${filter.timeframe}m`;
+    const numbers = Object.values(filter.params || {}).filter(value => typeof value === 'number');
+    const indicator = filter.indicator === 'HULL_SUITE'
+      ? 'Hull Suite'
+      : `${filter.indicator}${numbers.length > 0 ? `-${numbers.join('/')}` : ''}`;
+    const threshold = ['ABOVE', 'BELOW'].includes(filter.condition) ? ` ${filter.threshold}` : '';
+    return `${timeframe} ${indicator} ${filter.condition}${threshold}`;
+  }
+
+  /**
+   * Bars a filter needs before its value can be used
+   * @param {Object} filter - Filter
+   * @returns {number} Closed bars needed
+   */
+  static getRequiredBars(filter) {
+    if (filter.indicator !== 'HULL_SUITE') {
+      // One more for RISING / FALLING, which compare with the previous bar
+      return IndicatorService.getLookback(filter.indicator, filter.params) + 1;
+    }
+    // determineHullSuiteSignal looks back three bars of HMA-55, which needs 55 + sqrt(55) - 1 bars
+    return HULL_SLOW_PERIOD + Math.floor(Math.sqrt(HULL_SLOW_PERIOD)) + 2;
+  }
+
+  /**
+   * Length of a bar in trading minutes (a day is one session)
+   * @param {string} timeframe - Timeframe
+   * @returns {number} Minutes
+   */
+  static getBarMinutes(timeframe) {
+    return timeframe === 'D' ? HistoricalDataService.SESSION_MINUTES : Number(timeframe);
+  }
+
+  /**
+   * Base candles of `interval` minutes needed before a backtest's start for every filter to have a value
+   * @param {Array} filters - Strategy filters
+   * @param {string|number} interval - Base candle length in minutes
+   * @returns {number} Prefill candles (0 without filters)
+   */
+  static getPrefillCandles(filters, interval) {
+    return this.normalizeFilters(filters).reduce((prefill, filter) => Math.max(
+      prefill,
+      // One bar more: the prefill rarely starts on a bar boundary
+      Math.ceil(((this.getRequiredBars(filter) + 1) * this.getBarMinutes(filter.timeframe)) / Number(interval))
+    ), 0);
+  }
+
+  /**
+   * Start and close time of the bar a time falls in
+   * @param {number} time - Time (UTC ms)
+   * @param {string} timeframe - Timeframe
+   * @returns {Object} { start, closeTime } (UTC ms)
+   */
+  static getBarWindow(time, timeframe) {
+    if (timeframe === 'D') {
+      const start = Math.floor((time + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+      return { start, closeTime: start + DAY_MS };
+    }
+    const start = StrategyService.getCandleStart(new Date(time), Number(timeframe)).getTime();
+    return { start, closeTime: start + Number(timeframe) * 60 * 1000 };
+  }
+
+  /**
+   * Combine base candles into bars of a longer timeframe
+   * @param {Array} candles - Base candles in time order
+   * @param {string} timeframe - Timeframe (minutes or 'D')
+   * @returns {Array} Bars with `closeTime`, the time they are complete
+   */
+  static aggregateCandles(candles, timeframe) {
+    const bars = [];
+
+    for (const candle of candles) {
+      const { start, closeTime } = this.getBarWindow(candle.timestamp, String(timeframe));
+      const last = bars[bars.length - 1];
+
+      if (last && last.timestamp === start) {
+        last.high = Math.max(last.high, candle.high);
+        last.low = Math.min(last.low, candle.low);
+        last.close = candle.close;
+        last.volume += candle.volume || 0;
+      } else {
+        bars.push({
+          timestamp: start,
+          closeTime,
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume || 0
+        });
+      }
+    }
+    return bars;
+  }
+
+  /**
+   * Indicator state of a filter after each bar closed
+   * @param {Object} filter - Filter
+   * @param {Array} bars - Bars of the filter's timeframe
+   * @returns {Array<Object>} Points { time, closeTime, close, signal } (HULL_SUITE) or { ..., value, previous }
+   */
+  static buildSeries(filter, bars) {
+    if (bars.length === 0) return [];
+
+    if (filter.indicator === 'HULL_SUITE') {
+      const hma9 = HMAService.calculateHMA(bars, HULL_FAST_PERIOD);
+      const hma55 = HMAService.calculateHMA(bars, HULL_SLOW_PERIOD);
+      return bars.map((bar, i) => ({
+        time: bar.timestamp,
+        closeTime: bar.closeTime,
+        close: bar.close,
+        signal: i >= 3
+          ? HullSuiteService.determineHullSuiteSignal(hma9[i], hma55[i], hma55[i - 2], hma9[i - 1], hma55[i - 1], hma55[i - 3])
+          : 'No Signal'
+      }));
+    }
+
+    const values = IndicatorService.calculate(filter.indicator, bars, filter.params);
+    return bars.map((bar, i) => ({
+      time: bar.timestamp,
+      closeTime: bar.closeTime,
+      close: bar.close,
+      value: values[i] ?? null,
+      previous: i > 0 ? values[i - 1] ?? null : null
+    }));
+  }
+
+  /**
+   * Filters with their series for a backtest, built once from the base candles (prefill included)
+   * @param {Array} filters - Strategy filters
+   * @param {Array} candles - Base candles in time order
+   * @returns {Array<Object>} Prepared filters { filter, series } for checkFilters
+   */
+  static prepareFilters(filters, candles) {
+    const barsByTimeframe = new Map();
+    return this.normalizeFilters(filters).map(filter => {
+      if (!barsByTimeframe.has(filter.timeframe)) {
+        barsByTimeframe.set(filter.timeframe, this.aggregateCandles(candles, filter.timeframe));
+      }
+      return { filter, series: this.buildSeries(filter, barsByTimeframe.get(filter.timeframe)) };
+    });
+  }
+
+  /**
+   * Evaluate one filter on the last bar closed by its time
+   * @param {Object} filter - Filter
+   * @param {Object|undefined} point - Series point of the last closed bar
+   * @param {number} ltp - Price of the entry
+   * @returns {Object} { passed, state }
+   */
+  static evaluate(filter, point, ltp) {
+    if (!point) return { passed: false, state: 'NO_CLOSED_BAR' };
+
+    if (filter.indicator === 'HULL_SUITE') {
+      const state = ['Buy', 'Bullish'].includes(point.signal) ? 'BULLISH'
+        : ['Sell', 'Bearish'].includes(point.signal) ? 'BEARISH' : 'NO_SIGNAL';
+      return { passed: state === filter.condition, state };
+    }
+
+    return IndicatorService.evaluateCondition(filter.indicator, filter.condition, point.value, point.previous, {
+      ltp,
+      threshold: filter.threshold
+    });
+  }
+
+  /**
+   * Check prepared filters at a time: each sees the last bar of its timeframe that closed by then
+   * @param {Array} prepared - Prepared filters { filter, series }
+   * @param {number} time - Time of the entry (UTC ms)
+   * @param {number} ltp - Price of the entry
+   * @returns {Object} { passed, reason, results: [{ filter, passed, state, barTime, value }] }
+   */
+  static checkFilters(prepared, time, ltp) {
+    const results = prepared.map(({ filter, series }) => {
+      // Last bar with closeTime <= time (binary search)
+      let low = 0;
+      let high = series.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (series[mid].closeTime <= time) low = mid + 1;
+        else high = mid;
+      }
+      const point = series[low - 1];
+      const { passed, state } = this.evaluate(filter, point, ltp);
+      return {
+        filter: this.describeFilter(filter),
+        passed,
+        state,
+        barTime: point ? point.time : null,
+        value: point ? (point.value ?? point.signal) : null
+      };
+    });
+
+    const failed = results.filter(result => !result.passed);
+    return {
+      passed: failed.length === 0,
+      reason: failed.length === 0
+        ? 'All filters passed'
+        : `Entry filtered - ${failed.map(result => `${result.filter} is ${result.state}`).join(', ')}`,
+      results
+    };
+  }
+
+  /**
+   * Closed bars of a live symbol from the historical data store, cached until the next bar closes
+   * @param {string} symbol - Symbol
+   * @param {string} timeframe - Timeframe (daily bars are built from 60-minute candles)
+   * @param {number} requiredBars - Closed bars needed
+   * @param {string} accessToken - Fyers access token to fetch candles the store is missing
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Closed bars, oldest first
+   */
+  static async getLiveBars(symbol, timeframe, requiredBars, accessToken, now) {
+    const key = `${symbol}:${timeframe}:${requiredBars}`;
+    const cached = this.barCache.get(key);
+    if (cached && now.getTime() < cached.validUntil) return cached.bars;
+
+    const resolution = timeframe === 'D' ? '60' : timeframe;
+    const sessions = Math.ceil((requiredBars * this.getBarMinutes(timeframe)) / HistoricalDataService.SESSION_MINUTES);
+    const from = now.getTime() - (Math.ceil(sessions * 7 / 5) + 4) * DAY_MS;
+
+    const stored = await HistoricalDataService.ensureRange(symbol, resolution, from, now.getTime(), { accessToken });
+    if (!stored.success) throw new Error(stored.message);
+
+    const candles = await HistoricalDataService.getCandles(symbol, resolution, from, now.getTime());
+    const bars = this.aggregateCandles(candles, timeframe).filter(bar => bar.closeTime <= now.getTime());
+    this.barCache.set(key, { bars, validUntil: this.getBarWindow(now.getTime(), timeframe).closeTime });
+    return bars;
+  }
+
+  /**
+   * Check a strategy's filters for a live entry
+   * @param {Object} strategy - Strategy definition (for the symbol's side)
+   * @param {string} symbol - Symbol
+   * @param {number} ltp - Last traded price
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { passed, reason, results } - filters that cannot be evaluated block the entry
+   */
+  static async checkLiveFilters(strategy, symbol, ltp, userId, now = new Date()) {
+    const filters = this.normalizeFilters(strategy.filters);
+    if (filters.length === 0) return { passed: true, reason: 'No filters', results: [] };
+
+    try {
+      const accessToken = await HistoricalDataService.getAccessToken(userId);
+      const prepared = [];
+      for (const filter of filters) {
+        const bars = await this.getLiveBars(symbol, filter.timeframe, this.getRequiredBars(filter), accessToken, now);
+        prepared.push({ filter, series: this.buildSeries(filter, bars) });
+      }
+      return this.checkFilters(prepared, now.getTime(), ltp);
+    } catch (error) {
+      LoggerService.error('MultiTimeframeService', `Error checking filters for ${symbol}:`, error);
+      return { passed: false, reason: `Entry filtered - filters could not be evaluated (${error.message})`, results: [] };
+    }
+  }
+}
+
+module.exports = { MultiTimeframeService };
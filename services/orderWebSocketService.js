@@ -1,6 +1,7 @@
 const FyersOrderSocket = require("fyers-api-v3").fyersOrderSocket;
 const axios = require('axios');
 const { TradeLogService } = require('./tradeLogService');
+const { BrokerRegistry, BaseBroker } = require('./brokers');
 
 class OrderWebSocketService {
   constructor() {
@@ -22,13 +23,7 @@ class OrderWebSocketService {
       }
 
       // Ensure token is in correct format (appId:accessToken)
-      let formattedToken = accessToken;
-      if (!accessToken.includes(':')) {
-        // If token doesn't contain ':', add the app ID
-        const appId = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-        formattedToken = `${appId}:${accessToken}`;
-        console.log(`[OrderWebSocketService] Formatted token with app ID: ${appId}`);
-      }
+      const formattedToken = BrokerRegistry.getBroker('fyers').formatAccessToken(accessToken);
 
       const fyersOrderdata = new FyersOrderSocket(formattedToken);
 
@@ -96,35 +91,15 @@ class OrderWebSocketService {
         message: order.message
       });
 
-      // Map Fyers status codes to our status
-      // Fyers Status Codes:
-      // 1 = Cancelled, 2 = Traded/Filled, 3 = For future use, 4 = Transit, 5 = Rejected, 6 = Pending
-      // Additional status codes from WebSocket documentation:
-      // 7 = Expired, 20 = New Ack, 21 = Modify Ack, 22 = Cancel Ack, 23 = Reject, 24 = Cancel Reject
-      const statusMap = {
-        1: 'CANCELLED',
-        2: 'FILLED',
-        3: 'UNKNOWN', // For future use
-        4: 'TRANSIT',
-        5: 'REJECTED',
-        6: 'PENDING',
-        7: 'EXPIRED',
-        20: 'PENDING', // New Ack - order accepted
-        21: 'PENDING', // Modify Ack - order modified
-        22: 'CANCELLED', // Cancel Ack - order cancelled
-        23: 'REJECTED', // Reject - order rejected
-        24: 'REJECTED' // Cancel Reject - cancel request rejected
-      };
-
-      const orderStatus = statusMap[order.status] || 'UNKNOWN';
+      // The Fyers adapter owns the numeric status and order type codes
+      const broker = BrokerRegistry.getBroker('fyers');
+      const orderStatus = broker.mapOrderStatus(order.status);
+      const orderType = broker.fromFyersOrder(order).type;
       console.log(`🔍 Status mapping: Fyers status ${order.status} -> Our status: ${orderStatus}`);
 
-      // Check if this is a SL-M order (type 3)
-      const isSLOrder = order.type === 3;
-
-      if (isSLOrder) {
+      if (orderType === BaseBroker.ORDER_TYPES.SL_MARKET) {
         // Handle SL-M order updates
-        await this.handleSLOrderUpdate(userId, order, orderStatus);
+        await this.handleSLOrderUpdate(userId, order, orderStatus, orderType);
       } else {
         // Handle regular order updates
         await this.updateOrderStatus(userId, order.id, orderStatus, {
@@ -142,7 +117,7 @@ class OrderWebSocketService {
             orderId: order.id,
             filledPrice: order.tradedPrice,
             filledQuantity: order.filledQty,
-            orderType: order.type === 1 ? 'LIMIT' : order.type === 2 ? 'MARKET' : 'SL-M',
+            orderType,
             reason: 'ENTRY',
             source: 'FYERS'
           });
@@ -151,7 +126,7 @@ class OrderWebSocketService {
             userId: userId,
             symbol: order.symbol,
             orderId: order.id,
-            orderType: order.type === 1 ? 'LIMIT' : order.type === 2 ? 'MARKET' : 'SL-M',
+            orderType,
             quantity: order.filledQty || 0,
             price: order.tradedPrice || 0,
             reason: 'SL',
@@ -176,8 +151,9 @@ class OrderWebSocketService {
    * @param {string} userId - User ID
    * @param {Object} order - SL order data
    * @param {string} status - Order status
+   * @param {string} orderType - Broker-neutral order type (SL-M, or MARKET once converted for a target exit)
    */
-  async handleSLOrderUpdate(userId, order, status) {
+  async handleSLOrderUpdate(userId, order, status, orderType) {
     try {
       const TradingState = require('../models/TradingState');
       const state = await TradingState.findOne({ userId });
@@ -188,10 +164,11 @@ class OrderWebSocketService {
       const position = state.activePositions.find(p => p.slOrderId === order.id);
       if (!position) return;
 
-      console.log(`🛡️ SL-M order update for ${position.symbol}: ${status} (Type: ${order.type})`);
+      console.log(`🛡️ SL-M order update for ${position.symbol}: ${status} (Type: ${orderType})`);
+      const { MonitoringService } = require('./monitoringService');
 
       if (status === 'FILLED') {
-        if (order.type === 3) {
+        if (orderType === BaseBroker.ORDER_TYPES.SL_MARKET) {
           // SL-M order was executed - stop loss hit
           position.status = 'Stop Loss Hit';
           position.orderStatus = 'SL_EXECUTED';
@@ -204,12 +181,13 @@ class OrderWebSocketService {
             entryPrice: position.boughtPrice,
             stopLossPrice: position.stopLoss,
             exitPrice: order.tradedPrice || position.stopLoss,
-            quantity: position.quantity,
+            quantity: position.remainingQuantity ?? position.quantity, // Target legs may have booked part of it
             pnl: position.pnl || 0,
             orderId: order.id,
+            side: MonitoringService.getExitSide(position),
             source: 'FYERS'
           });
-        } else if (order.type === 2) {
+        } else if (orderType === BaseBroker.ORDER_TYPES.MARKET) {
           // Modified to market order was executed - target hit
           position.status = 'Target Hit';
           position.orderStatus = 'TARGET_EXECUTED';
@@ -222,9 +200,10 @@ class OrderWebSocketService {
             entryPrice: position.boughtPrice,
             targetPrice: position.target,
             exitPrice: order.tradedPrice || position.target,
-            quantity: position.quantity,
+            quantity: position.remainingQuantity ?? position.quantity, // Target legs may have booked part of it
             pnl: position.pnl || 0,
             orderId: order.id,
+            side: MonitoringService.getExitSide(position),
             source: 'FYERS'
           });
         }
@@ -274,6 +253,8 @@ class OrderWebSocketService {
       const position = state.activePositions.find(p => p.orderId === order.id);
       if (!position) return;
 
+      const { MonitoringService } = require('./monitoringService');
+
       // Place SL-M order
       const slResult = await this.placeStopLossOrder(position, userId);
       
@@ -298,7 +279,7 @@ class OrderWebSocketService {
           orderType: 'SL-M',
           quantity: position.quantity,
           price: slResult.stopPrice,
-          side: 'SELL',
+          side: MonitoringService.getExitSide(position),
           productType: position.productType || 'INTRADAY',
           orderId: slResult.orderId,
           status: 'PENDING',
@@ -355,6 +336,11 @@ class OrderWebSocketService {
         position.status = 'Active';
         position.orderStatus = 'FILLED';
         position.boughtPrice = details.tradedPrice || position.boughtPrice;
+        // Target legs are priced from the actual fill
+        const { MonitoringService } = require('./monitoringService');
+        (position.targetLegs || []).filter(leg => leg.status === 'PENDING').forEach(leg => {
+          leg.price = position.boughtPrice + MonitoringService.getDirection(position) * leg.points;
+        });
         console.log(`✅ Order ${orderId} filled for ${position.symbol} at ${position.boughtPrice}`);
         
         // Reset order placement flag in monitored symbols to allow re-entries
@@ -447,21 +433,9 @@ class OrderWebSocketService {
    */
   async placeStopLossOrder(position, userId) {
     try {
-      const User = require('../models/User');
-      const user = await User.findById(userId);
-      
-      if (!user || !user.fyers || !user.fyers.accessToken) {
-        throw new Error('No valid Fyers access token found');
-      }
-
-      // Construct the proper access token format (appId:token)
-      const appIdFromEnv = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-      const fullAccessToken = `${appIdFromEnv}:${user.fyers.accessToken}`;
-
-      // Calculate stop loss price (opposite side of the position)
-      const stopPrice = position.type === 'BUY' ? 
-        position.stopLoss : // For long positions, SL below entry
-        position.stopLoss;   // For short positions, SL above entry
+      // Stop loss sits below entry for long positions and above entry for short positions
+      const { MonitoringService } = require('./monitoringService');
+      const stopPrice = position.stopLoss;
 
       // Round stop price to nearest tick size (0.0500)
       const roundToTickSize = (price, tickSize = 0.05) => {
@@ -473,74 +447,28 @@ class OrderWebSocketService {
       const orderData = {
         symbol: position.symbol,
         qty: position.quantity,
-        type: 3, // SL-M order
-        side: position.type === 'BUY' ? -1 : 1, // Opposite side for exit
+        type: BaseBroker.ORDER_TYPES.SL_MARKET, // Market order when triggered
+        side: MonitoringService.getExitSide(position), // Opposite side for exit
         productType: position.productType || 'INTRADAY',
-        limitPrice: 0, // Market order when triggered
         stopPrice: roundedStopPrice, // Use rounded stop price
-        disclosedQty: 0,
         validity: 'DAY',
-        offlineOrder: false, // SL-M orders are not offline orders
-        stopLoss: 0,
-        takeProfit: 0,
         orderTag: `VICTORYSL${Date.now()}` // Add validation parameter - alphanumeric only
       };
 
       console.log(`🛡️ [SL-M ORDER] Placing SL-M order:`, orderData);
 
-      // Use Fyers API library instead of direct HTTP calls
-      const FyersAPI = require("fyers-api-v3").fyersModel;
-      const fyers = new FyersAPI();
-      
-      // Extract appId from accessToken (format is "appId:token")
-      const [appId, token] = fullAccessToken.split(':');
-      
-      if (!appId || !token) {
-        throw new Error('Invalid access token format - expected appId:token');
-      }
-      
-      fyers.setAppId(appId);
-      fyers.setAccessToken(token);
-      
-      // Use the Fyers API library to place order
-      const response = await fyers.place_order(orderData);
-
-      console.log(`📡 [SL-M API] Response:`, response);
+      // The Fyers adapter builds the API payload and maps Fyers error codes
+      const response = await BrokerRegistry.getBroker('fyers').placeOrder(userId, orderData);
 
-      if (response.s === 'ok') {
-        console.log(`🛡️ SL-M order placed for ${position.symbol} at ${roundedStopPrice}`);
-        return {
-          success: true,
-          orderId: response.id,
-          stopPrice: roundedStopPrice
-        };
-      } else {
-        throw new Error(`SL-M order failed: ${response.message}`);
-      }
+      console.log(`🛡️ SL-M order placed for ${position.symbol} at ${roundedStopPrice}`);
+      return {
+        success: true,
+        orderId: response.id,
+        stopPrice: roundedStopPrice
+      };
     } catch (error) {
       console.error(`Error placing SL-M order for ${position.symbol}:`, error);
-      
-      // Handle specific Fyers API errors
-      if (error.response) {
-        const errorData = error.response.data;
-        if (errorData.code === -392) {
-          throw new Error('Price should be in multiples of tick size');
-        } else if (errorData.code === -50) {
-          throw new Error('StopLoss not a multiple of tick size');
-        } else if (errorData.code === -201) {
-          throw new Error('Insufficient funds');
-        } else if (errorData.code === -202) {
-          throw new Error('Market closed');
-        } else if (errorData.code === -203) {
-          throw new Error('Invalid symbol');
-        } else {
-          throw new Error(`Fyers API error (${errorData.code}): ${errorData.message || 'Unknown error'}`);
-        }
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - please try again');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
+      throw error;
     }
   }
 
@@ -553,17 +481,6 @@ class OrderWebSocketService {
    */
   async modifyStopLossOrder(orderId, newStopPrice, userId) {
     try {
-      const User = require('../models/User');
-      const user = await User.findById(userId);
-      
-      if (!user || !user.fyers || !user.fyers.accessToken) {
-        throw new Error('No valid Fyers access token found');
-      }
-
-      // Construct the proper access token format (appId:token)
-      const appIdFromEnv = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-      const fullAccessToken = `${appIdFromEnv}:${user.fyers.accessToken}`;
-
       // Round new stop price to nearest tick size (0.0500)
       const roundToTickSize = (price, tickSize = 0.05) => {
         return Math.round(price / tickSize) * tickSize;
@@ -571,79 +488,40 @@ class OrderWebSocketService {
       
       const roundedNewStopPrice = roundToTickSize(newStopPrice);
 
-      const modifyData = {
-        id: orderId,
+      console.log(`📈 [MODIFY SL] Modifying SL-M order:`, { id: orderId, stopPrice: roundedNewStopPrice });
+
+      const result = await BrokerRegistry.getBroker('fyers').modifyOrder(userId, orderId, {
         stopPrice: roundedNewStopPrice
-      };
+      });
 
-      console.log(`📈 [MODIFY SL] Modifying SL-M order:`, modifyData);
+      console.log(`📡 [MODIFY SL API] Response:`, result);
 
-      // Use Fyers API library instead of direct HTTP calls
-      const FyersAPI = require("fyers-api-v3").fyersModel;
-      const fyers = new FyersAPI();
-      
-      // Extract appId from accessToken (format is "appId:token")
-      const [appId, token] = fullAccessToken.split(':');
-      
-      if (!appId || !token) {
-        throw new Error('Invalid access token format - expected appId:token');
+      if (!result.success) {
+        throw new Error(`SL-M modification failed: ${result.message}`);
       }
-      
-      fyers.setAppId(appId);
-      fyers.setAccessToken(token);
-      
-      // Use the Fyers API library to modify order
-      const response = await fyers.modify_order(modifyData);
-
-      console.log(`📡 [MODIFY SL API] Response:`, response);
 
-      if (response.s === 'ok') {
-        console.log(`📈 SL-M order modified for ${orderId}: ${roundedNewStopPrice}`);
-        
-        // Log SL-M order modification
-        await TradeLogService.logOrderModified({
-          userId: userId,
-          symbol: 'N/A', // Will be updated when we get the position details
-          orderId: orderId,
-          orderType: 'SL-M',
-          modificationType: 'SL_MODIFIED',
-          changes: {
-            from: 'SL-M',
-            to: 'SL-M',
-            reason: 'TRAILING_STOP'
-          },
-          reason: 'TRAILING_STOP',
-          source: 'FYERS'
-        });
-        
-        return { success: true };
-      } else {
-        throw new Error(`SL-M modification failed: ${response.data.message}`);
-      }
+      console.log(`📈 SL-M order modified for ${orderId}: ${roundedNewStopPrice}`);
+      
+      // Log SL-M order modification
+      await TradeLogService.logOrderModified({
+        userId: userId,
+        symbol: 'N/A', // Will be updated when we get the position details
+        orderId: orderId,
+        orderType: 'SL-M',
+        modificationType: 'SL_MODIFIED',
+        changes: {
+          from: 'SL-M',
+          to: 'SL-M',
+          reason: 'TRAILING_STOP'
+        },
+        reason: 'TRAILING_STOP',
+        source: 'FYERS'
+      });
+      
+      return { success: true };
     } catch (error) {
       console.error(`Error modifying SL-M order ${orderId}:`, error);
-      
-      // Handle specific Fyers API errors
-      if (error.response) {
-        const errorData = error.response.data;
-        if (errorData.code === -392) {
-          throw new Error('Price should be in multiples of tick size');
-        } else if (errorData.code === -50) {
-          throw new Error('StopLoss not a multiple of tick size');
-        } else if (errorData.code === -201) {
-          throw new Error('Insufficient funds');
-        } else if (errorData.code === -202) {
-          throw new Error('Market closed');
-        } else if (errorData.code === -203) {
-          throw new Error('Invalid symbol');
-        } else {
-          throw new Error(`Fyers API error (${errorData.code}): ${errorData.message || 'Unknown error'}`);
-        }
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - please try again');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
+      throw error;
     }
   }
 
@@ -655,64 +533,21 @@ class OrderWebSocketService {
    */
   async cancelStopLossOrder(orderId, userId) {
     try {
-      const User = require('../models/User');
-      const user = await User.findById(userId);
-      
-      if (!user || !user.fyers || !user.fyers.accessToken) {
-        throw new Error('No valid Fyers access token found');
-      }
-
       console.log(`❌ [CANCEL SL] Cancelling SL-M order: ${orderId}`);
 
-      // Construct the proper access token format (appId:token)
-      const appIdFromEnv = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-      const fullAccessToken = `${appIdFromEnv}:${user.fyers.accessToken}`;
-
-      // Use Fyers API library instead of direct HTTP calls
-      const FyersAPI = require("fyers-api-v3").fyersModel;
-      const fyers = new FyersAPI();
-      
-      // Extract appId from accessToken (format is "appId:token")
-      const [appId, token] = fullAccessToken.split(':');
-      
-      if (!appId || !token) {
-        throw new Error('Invalid access token format - expected appId:token');
-      }
-      
-      fyers.setAppId(appId);
-      fyers.setAccessToken(token);
-      
-      // Use the Fyers API library to cancel order
-      const response = await fyers.cancel_order({ id: orderId });
+      const result = await BrokerRegistry.getBroker('fyers').cancelOrder(userId, orderId);
 
-      console.log(`📡 [CANCEL SL API] Response:`, response);
+      console.log(`📡 [CANCEL SL API] Response:`, result);
 
-      if (response.s === 'ok') {
-        console.log(`❌ SL-M order cancelled: ${orderId}`);
-        return { success: true };
-      } else {
-        throw new Error(`SL-M cancellation failed: ${response.data.message}`);
+      if (!result.success) {
+        throw new Error(`SL-M cancellation failed: ${result.message}`);
       }
+
+      console.log(`❌ SL-M order cancelled: ${orderId}`);
+      return { success: true };
     } catch (error) {
       console.error(`Error cancelling SL-M order ${orderId}:`, error);
-      
-      // Handle specific Fyers API errors
-      if (error.response) {
-        const errorData = error.response.data;
-        if (errorData.code === -201) {
-          throw new Error('Insufficient funds');
-        } else if (errorData.code === -202) {
-          throw new Error('Market closed');
-        } else if (errorData.code === -203) {
-          throw new Error('Invalid symbol');
-        } else {
-          throw new Error(`Fyers API error (${errorData.code}): ${errorData.message || 'Unknown error'}`);
-        }
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - please try again');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
+      throw error;
     }
   }
 
@@ -733,82 +568,33 @@ class OrderWebSocketService {
    */
   async modifySLLOrder(orderId, limitPrice, stopPrice, userId) {
     try {
-      const User = require('../models/User');
-      const user = await User.findById(userId);
-      
-      if (!user || !user.fyers || !user.fyers.accessToken) {
-        throw new Error('No valid Fyers access token found');
-      }
-
       // Round prices to tick size
       const roundToTickSize = (price, tickSize = 0.05) => {
         return Math.round(price / tickSize) * tickSize;
       };
       
-      const roundedLimitPrice = roundToTickSize(limitPrice);
-      const roundedStopPrice = roundToTickSize(stopPrice);
-
       // Modify SL-L order
-      const modifyData = {
-        id: orderId,
-        type: 4, // SL-L order type
-        limitPrice: roundedLimitPrice,
-        stopPrice: roundedStopPrice
+      const changes = {
+        type: BaseBroker.ORDER_TYPES.SL_LIMIT,
+        limitPrice: roundToTickSize(limitPrice),
+        stopPrice: roundToTickSize(stopPrice)
       };
 
-      console.log(`🔄 [MODIFY SL-L] Modifying SL-L order:`, modifyData);
+      console.log(`🔄 [MODIFY SL-L] Modifying SL-L order:`, { id: orderId, ...changes });
 
-      // Use Fyers API library instead of direct HTTP calls
-      const FyersAPI = require("fyers-api-v3").fyersModel;
-      const fyers = new FyersAPI();
-      
-      // Extract appId from accessToken (format is "appId:token")
-      const appIdFromEnv = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-      const fullAccessToken = `${appIdFromEnv}:${user.fyers.accessToken}`;
-      const [appId, token] = fullAccessToken.split(':');
-      
-      if (!appId || !token) {
-        throw new Error('Invalid access token format - expected appId:token');
-      }
-      
-      fyers.setAppId(appId);
-      fyers.setAccessToken(token);
-      
-      // Use the Fyers API library to modify order
-      const response = await fyers.modify_order(modifyData);
+      const result = await BrokerRegistry.getBroker('fyers').modifyOrder(userId, orderId, changes);
 
-      console.log(`📡 [MODIFY SL-L API] Response:`, response);
+      console.log(`📡 [MODIFY SL-L API] Response:`, result);
 
-      if (response.s === 'ok') {
-        console.log(`🔄 SL-L order modified successfully: ${orderId}`);
-        return { success: true };
-      } else {
-        throw new Error(`SL-L modification failed: ${response.message}`);
+      if (!result.success) {
+        throw new Error(`SL-L modification failed: ${result.message}`);
       }
+
+      console.log(`🔄 SL-L order modified successfully: ${orderId}`);
+      return { success: true };
     } catch (error) {
       console.error(`Error modifying SL-L order ${orderId}:`, error);
-      
-      // Handle specific Fyers API errors
-      if (error.response) {
-        const errorData = error.response.data;
-        if (errorData.code === -392) {
-          throw new Error('Price should be in multiples of tick size');
-        } else if (errorData.code === -50) {
-          throw new Error('StopLoss not a multiple of tick size');
-        } else if (errorData.code === -201) {
-          throw new Error('Insufficient funds');
-        } else if (errorData.code === -202) {
-          throw new Error('Market closed');
-        } else if (errorData.code === -203) {
-          throw new Error('Invalid symbol');
-        } else {
-          throw new Error(`Fyers API error (${errorData.code}): ${errorData.message || 'Unknown error'}`);
-        }
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - please try again');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
+      throw error;
     }
   }
 
@@ -820,95 +606,47 @@ class OrderWebSocketService {
    */
   async modifySLToMarketOrder(orderId, userId) {
     try {
-      const User = require('../models/User');
-      const user = await User.findById(userId);
-      
-      if (!user || !user.fyers || !user.fyers.accessToken) {
-        throw new Error('No valid Fyers access token found');
-      }
-
-      // Construct the proper access token format (appId:token)
-      const appIdFromEnv = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-      const fullAccessToken = `${appIdFromEnv}:${user.fyers.accessToken}`;
-
-      // Modify SL-M order to market order (type 2) for immediate exit
-      const modifyData = {
-        id: orderId,
-        type: 2, // Change from SL-M (type 3) to Market (type 2)
+      // Modify SL-M order to market order for immediate exit
+      const changes = {
+        type: BaseBroker.ORDER_TYPES.MARKET,
         stopPrice: 0, // Remove stop price since it's now a market order
         limitPrice: 0 // Market order
       };
 
-      console.log(`🎯 [SL TO MARKET] Modifying SL-M to market order:`, modifyData);
+      console.log(`🎯 [SL TO MARKET] Modifying SL-M to market order:`, { id: orderId, ...changes });
 
-      // Use Fyers API library instead of direct HTTP calls
-      const FyersAPI = require("fyers-api-v3").fyersModel;
-      const fyers = new FyersAPI();
-      
-      // Extract appId from accessToken (format is "appId:token")
-      const [appId, token] = fullAccessToken.split(':');
-      
-      if (!appId || !token) {
-        throw new Error('Invalid access token format - expected appId:token');
-      }
-      
-      fyers.setAppId(appId);
-      fyers.setAccessToken(token);
-      
-      // Use the Fyers API library to modify order
-      const response = await fyers.modify_order(modifyData);
+      const result = await BrokerRegistry.getBroker('fyers').modifyOrder(userId, orderId, changes);
 
-      console.log(`📡 [SL TO MARKET API] Response:`, response);
+      console.log(`📡 [SL TO MARKET API] Response:`, result);
 
-      if (response.s === 'ok') {
-        console.log(`🎯 Target hit - SL-M order modified to market order for ${orderId}`);
-        
-        // Log SL-M to market modification
-        await TradeLogService.logOrderModified({
-          userId: userId,
-          symbol: 'N/A', // Will be updated when we get the position details
-          orderId: orderId,
-          orderType: 'SL-M',
-          modificationType: 'SL_TO_MARKET',
-          changes: {
-            from: 'SL-M',
-            to: 'MARKET',
-            reason: 'TARGET_HIT'
-          },
-          reason: 'TARGET',
-          source: 'FYERS'
-        });
-        
-        return { success: true };
-      } else {
-        throw new Error(`SL-M to market modification failed: ${response.message}`);
+      if (!result.success) {
+        throw new Error(`SL-M to market modification failed: ${result.message}`);
       }
+
+      console.log(`🎯 Target hit - SL-M order modified to market order for ${orderId}`);
+      
+      // Log SL-M to market modification
+      await TradeLogService.logOrderModified({
+        userId: userId,
+        symbol: 'N/A', // Will be updated when we get the position details
+        orderId: orderId,
+        orderType: 'SL-M',
+        modificationType: 'SL_TO_MARKET',
+        changes: {
+          from: 'SL-M',
+          to: 'MARKET',
+          reason: 'TARGET_HIT'
+        },
+        reason: 'TARGET',
+        source: 'FYERS'
+      });
+      
+      return { success: true };
     } catch (error) {
       console.error(`Error modifying SL-M to market order ${orderId}:`, error);
-      
-      // Handle specific Fyers API errors
-      if (error.response) {
-        const errorData = error.response.data;
-        if (errorData.code === -392) {
-          throw new Error('Price should be in multiples of tick size');
-        } else if (errorData.code === -50) {
-          throw new Error('StopLoss not a multiple of tick size');
-        } else if (errorData.code === -201) {
-          throw new Error('Insufficient funds');
-        } else if (errorData.code === -202) {
-          throw new Error('Market closed');
-        } else if (errorData.code === -203) {
-          throw new Error('Invalid symbol');
-        } else {
-          throw new Error(`Fyers API error (${errorData.code}): ${errorData.message || 'Unknown error'}`);
-        }
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - please try again');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
+      throw error;
     }
   }
 }
 
-module.exports = { OrderWebSocketService };
\ No newline at end of file
+module.exports = { OrderWebSocketService };
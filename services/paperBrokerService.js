@@ -0,0 +1,531 @@
+/**
+ * Paper Broker Service
+ * Simulated order book for PAPER trading mode. Orders are accepted in the
+ * broker-neutral shape (see brokers/baseBroker.js), filled against live LTPs from
+ * MarketService and reported back through MonitoringService.handleOrderStatusUpdate,
+ * so the monitoring engine, trade logs and P&L behave exactly as they do for LIVE.
+ *
+ * The order book lives in memory. Pending orders still referenced by a PAPER symbol or position
+ * are rebuilt from the TradingState and the ledger on startup (restoreOrders).
+ */
+const EventEmitter = require('events');
+const LoggerService = require('./loggerService');
+const { BaseBroker } = require('./brokers/baseBroker');
+
+class PaperBrokerService {
+  static orders = new Map(); // orderId -> paper order
+  static fillCheckTimer = null;
+  static isRunning = false;
+  static isChecking = false;
+  static orderSequence = 0;
+  static events = new EventEmitter(); // 'order' events for PaperBroker.subscribeOrders
+
+  static FILL_CHECK_INTERVAL = 2000; // 2 seconds
+  static STARTING_CAPITAL = parseFloat(process.env.PAPER_STARTING_CAPITAL) || 1000000;
+
+  static ORDER_TYPES = BaseBroker.ORDER_TYPES;
+  static ORDER_ID_PREFIX = 'PAPER';
+
+  /**
+   * Check whether a symbol/position runs in paper mode
+   * @param {Object} item - Monitored symbol or active position
+   * @returns {boolean} True for PAPER trading mode
+   */
+  static isPaperMode(item) {
+    return item?.tradingMode === 'PAPER';
+  }
+
+  /**
+   * Check whether an order ID was issued by the paper broker
+   * Decided by the ID prefix, so paper orders that are no longer in memory (restart, pruned)
+   * are never routed to the live broker.
+   * @param {string} orderId - Order ID
+   * @returns {boolean} True if the order was placed with the paper broker
+   */
+  static isPaperOrder(orderId) {
+    return typeof orderId === 'string' && orderId.startsWith(this.ORDER_ID_PREFIX);
+  }
+
+  /**
+   * Generate a unique paper order ID
+   * @returns {string} Order ID
+   */
+  static generateOrderId() {
+    this.orderSequence = (this.orderSequence + 1) % 1000;
+    return `${this.ORDER_ID_PREFIX}${Date.now()}${this.orderSequence.toString().padStart(3, '0')}`;
+  }
+
+  /**
+   * Get the current LTP for a symbol
+   * @param {string} symbol - Symbol
+   * @param {string} userId - User ID
+   * @returns {Promise<number|null>} LTP or null if unavailable
+   */
+  static async getLTP(symbol, userId) {
+    const quotes = await this.getLTPs([symbol], userId);
+    return quotes.get(symbol) || null;
+  }
+
+  /**
+   * Get current LTPs for a list of symbols
+   * @param {Array<string>} symbols - Symbols
+   * @param {string} userId - User ID (used for Fyers market data access)
+   * @returns {Promise<Map<string, number>>} symbol -> LTP
+   */
+  static async getLTPs(symbols, userId) {
+    const { MarketService } = require('./marketService');
+    const User = require('../models/User');
+    const user = await User.findById(userId);
+    const quotes = await MarketService.getQuotes([...symbols], user);
+
+    const ltps = new Map();
+    for (const quote of quotes || []) {
+      if (quote && quote.ltp > 0) {
+        ltps.set(quote.symbol, quote.ltp);
+      }
+    }
+    return ltps;
+  }
+
+  /**
+   * Place a simulated order
+   * Market orders fill immediately at the current LTP; limit and stop orders
+   * stay pending until the fill check sees the price condition met.
+   * @param {Object} orderData - Normalized broker-neutral order
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Order response ({ id, status, message, fillPrice })
+   */
+  static async placeOrder(orderData, userId) {
+    const { symbol, qty, type, side } = orderData;
+
+    // Paper orders still need a live price to be meaningful
+    const ltp = await this.getLTP(symbol, userId);
+    if (!ltp) {
+      throw new Error(`No live price available for ${symbol} - paper order not accepted`);
+    }
+
+    const order = {
+      id: this.generateOrderId(),
+      userId: userId.toString(),
+      symbol,
+      qty,
+      type,
+      side,
+      productType: orderData.productType || 'INTRADAY',
+      limitPrice: orderData.limitPrice || 0,
+      stopPrice: orderData.stopPrice || 0,
+      orderTag: orderData.orderTag,
+      status: 'PENDING',
+      triggered: false,
+      fillPrice: null,
+      reported: false,
+      placedAt: new Date(),
+      filledAt: null
+    };
+
+    if (type === this.ORDER_TYPES.MARKET) {
+      this.markFilled(order, ltp);
+    }
+
+    this.orders.set(order.id, order);
+
+    LoggerService.info('PaperBrokerService', `Paper order ${order.id} accepted: ${side} ${qty} ${symbol} (${type}, LTP ${ltp})`);
+
+    return {
+      id: order.id,
+      status: 'ok',
+      message: order.status === 'FILLED' ? `Paper order filled at ${order.fillPrice}` : 'Paper order accepted',
+      fillPrice: order.fillPrice
+    };
+  }
+
+  /**
+   * Cancel a pending paper order
+   * @param {string} orderId - Paper order ID
+   * @returns {Promise<Object>} Cancel result
+   */
+  static async cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      return { success: false, message: `Paper order ${orderId} not found` };
+    }
+    if (order.status !== 'PENDING') {
+      return { success: false, message: `Paper order ${orderId} is already ${order.status}` };
+    }
+
+    order.status = 'CANCELLED';
+    order.reported = true;
+    this.emitOrderUpdate(order);
+
+    try {
+      const TradeLog = require('../models/TradeLog');
+      await TradeLog.updateMany(
+        { orderId },
+        { $set: { status: 'CANCELLED', fyersOrderStatus: 'CANCELLED', remarks: 'Paper order cancelled' } }
+      );
+    } catch (error) {
+      LoggerService.error('PaperBrokerService', `Error updating trade log for cancelled order ${orderId}:`, error);
+    }
+
+    LoggerService.info('PaperBrokerService', `Paper order ${orderId} cancelled`);
+    return { success: true, orderId };
+  }
+
+  /**
+   * Modify a pending paper order
+   * @param {string} orderId - Paper order ID
+   * @param {Object} changes - Any of { qty, type, limitPrice, stopPrice }
+   * @returns {Promise<Object>} Modify result
+   */
+  static async modifyOrder(orderId, changes) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      return { success: false, orderId, message: `Paper order ${orderId} not found` };
+    }
+    if (order.status !== 'PENDING') {
+      return { success: false, orderId, message: `Paper order ${orderId} is already ${order.status}` };
+    }
+
+    ['qty', 'type', 'limitPrice', 'stopPrice'].forEach(field => {
+      if (changes[field] !== undefined) order[field] = changes[field];
+    });
+    // A new trigger price re-arms the stop
+    if (changes.stopPrice !== undefined || changes.type !== undefined) {
+      order.triggered = false;
+    }
+
+    LoggerService.info('PaperBrokerService', `Paper order ${orderId} modified: ${JSON.stringify(changes)}`);
+    return { success: true, orderId, message: 'Paper order modified' };
+  }
+
+  /**
+   * Net positions built from a user's filled paper orders
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Positions in the broker-neutral shape
+   */
+  static async getPositions(userId) {
+    const bySymbol = new Map();
+    for (const order of this.getOrders(userId).reverse()) {
+      if (order.status !== 'FILLED') continue;
+
+      if (!bySymbol.has(order.symbol)) {
+        bySymbol.set(order.symbol, { symbol: order.symbol, netQty: 0, avgPrice: 0, realizedPnl: 0, productType: order.productType });
+      }
+      const position = bySymbol.get(order.symbol);
+      const signedQty = order.side === 'BUY' ? order.qty : -order.qty;
+
+      if (position.netQty === 0 || Math.sign(position.netQty) === Math.sign(signedQty)) {
+        // Adding to the position - move the average price
+        const totalQty = Math.abs(position.netQty) + order.qty;
+        position.avgPrice = (position.avgPrice * Math.abs(position.netQty) + order.fillPrice * order.qty) / totalQty;
+      } else {
+        // Reducing the position - book P&L on the closed quantity
+        const closedQty = Math.min(Math.abs(position.netQty), order.qty);
+        const direction = Math.sign(position.netQty);
+        position.realizedPnl += (order.fillPrice - position.avgPrice) * closedQty * direction;
+        if (order.qty > Math.abs(position.netQty)) {
+          position.avgPrice = order.fillPrice; // Flipped to the other side
+        }
+      }
+      position.netQty += signedQty;
+      if (position.netQty === 0) position.avgPrice = 0;
+    }
+
+    const positions = [...bySymbol.values()];
+    const openSymbols = positions.filter(p => p.netQty !== 0).map(p => p.symbol);
+    const ltps = openSymbols.length > 0 ? await this.getLTPs(openSymbols, userId) : new Map();
+
+    return positions.map(position => {
+      const ltp = ltps.get(position.symbol) || 0;
+      return {
+        ...position,
+        ltp,
+        unrealizedPnl: position.netQty !== 0 && ltp ? (ltp - position.avgPrice) * position.netQty : 0
+      };
+    });
+  }
+
+  /**
+   * Virtual funds for a user: starting capital plus booked P&L, less the value of open positions
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Funds in the broker-neutral shape
+   */
+  static async getFunds(userId) {
+    const positions = await this.getPositions(userId);
+    const realizedPnl = positions.reduce((sum, p) => sum + p.realizedPnl, 0);
+    const utilizedAmount = positions.reduce((sum, p) => sum + Math.abs(p.netQty) * p.avgPrice, 0);
+    const totalBalance = this.STARTING_CAPITAL + realizedPnl;
+
+    return {
+      totalBalance,
+      availableBalance: totalBalance - utilizedAmount,
+      utilizedAmount
+    };
+  }
+
+  /**
+   * Emit a normalized order update to subscribers
+   * @param {Object} order - Paper order
+   */
+  static emitOrderUpdate(order) {
+    this.events.emit('order', {
+      userId: order.userId,
+      orderId: order.id,
+      status: order.status,
+      filledQty: order.status === 'FILLED' ? order.qty : 0,
+      tradedPrice: order.fillPrice || 0,
+      message: order.status === 'FILLED' ? `Paper order filled at ${order.fillPrice}` : `Paper order ${order.status.toLowerCase()}`
+    });
+  }
+
+  /**
+   * Get paper orders for a user
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} Paper orders, newest first
+   */
+  static getOrders(userId) {
+    return [...this.orders.values()]
+      .filter(order => order.userId === userId.toString())
+      .sort((a, b) => b.placedAt - a.placedAt);
+  }
+
+  /**
+   * Mark an order as filled
+   * @param {Object} order - Paper order
+   * @param {number} price - Fill price
+   */
+  static markFilled(order, price) {
+    order.status = 'FILLED';
+    order.fillPrice = Math.round(price * 100) / 100;
+    order.filledAt = new Date();
+  }
+
+  /**
+   * Work out whether a pending order fills at the given LTP
+   * Stop orders follow Fyers semantics: a BUY triggers when LTP rises to the
+   * trigger price, a SELL when it falls to it. SL-L orders then rest as limits.
+   * @param {Object} order - Paper order
+   * @param {number} ltp - Current LTP
+   * @returns {number|null} Fill price or null if the order stays pending
+   */
+  static evaluateFill(order, ltp) {
+    const isBuy = order.side === 'BUY';
+    const { LIMIT, MARKET, SL_MARKET, SL_LIMIT } = this.ORDER_TYPES;
+
+    if (order.type === MARKET) {
+      return ltp;
+    }
+
+    if (order.type === SL_MARKET || order.type === SL_LIMIT) {
+      if (!order.triggered) {
+        const triggerHit = isBuy ? ltp >= order.stopPrice : ltp <= order.stopPrice;
+        if (!triggerHit) return null;
+        order.triggered = true;
+        LoggerService.debug('PaperBrokerService', `Paper order ${order.id} triggered at ${ltp} (trigger ${order.stopPrice})`);
+      }
+      if (order.type === SL_MARKET) {
+        return ltp;
+      }
+    }
+
+    if (order.type === LIMIT || order.type === SL_LIMIT) {
+      // Marketable limit orders fill at the better of LTP and the limit price
+      if (isBuy && ltp <= order.limitPrice) return ltp;
+      if (!isBuy && ltp >= order.limitPrice) return ltp;
+    }
+
+    return null;
+  }
+
+  /**
+   * Report a fill to the trade logs and the monitoring engine
+   * @param {Object} order - Filled paper order
+   */
+  static async reportFill(order) {
+    const { MonitoringService } = require('./monitoringService');
+    const TradeLog = require('../models/TradeLog');
+    const remarks = `Paper order filled at ${order.fillPrice}`;
+
+    order.reported = true;
+
+    try {
+      await TradeLog.updateMany(
+        { orderId: order.id },
+        {
+          $set: {
+            status: 'FILLED',
+            fyersOrderStatus: 'FILLED',
+            fyersRemarks: remarks,
+            remarks
+          }
+        }
+      );
+    } catch (error) {
+      LoggerService.error('PaperBrokerService', `Error updating trade log for paper order ${order.id}:`, error);
+    }
+
+    const { LedgerService } = require('./ledgerService');
+    await LedgerService.recordOrderStatus(order.userId, order.id, 'FILLED', { fillPrice: order.fillPrice, message: remarks });
+
+    // Same entry point the Fyers order socket uses for live fills
+    await MonitoringService.handleOrderStatusUpdate(order.id, 'FILLED', order.userId, remarks, order.fillPrice);
+    this.emitOrderUpdate(order);
+
+    LoggerService.success('PaperBrokerService', `Paper order ${order.id} filled: ${order.symbol} ${order.qty} @ ${order.fillPrice}`);
+  }
+
+  /**
+   * Check all open paper orders against live prices and report fills
+   * @returns {Promise<Object>} Number of orders checked and filled
+   */
+  static async checkPendingOrders() {
+    const openOrders = [...this.orders.values()].filter(order =>
+      order.status === 'PENDING' || (order.status === 'FILLED' && !order.reported)
+    );
+    if (openOrders.length === 0) return { checked: 0, filled: 0 };
+
+    // Group by user so quotes are fetched with that user's Fyers session
+    const ordersByUser = new Map();
+    for (const order of openOrders) {
+      if (!ordersByUser.has(order.userId)) ordersByUser.set(order.userId, []);
+      ordersByUser.get(order.userId).push(order);
+    }
+
+    let filled = 0;
+    for (const [userId, userOrders] of ordersByUser) {
+      try {
+        const pendingSymbols = [...new Set(userOrders.filter(o => o.status === 'PENDING').map(o => o.symbol))];
+        const ltps = pendingSymbols.length > 0 ? await this.getLTPs(pendingSymbols, userId) : new Map();
+
+        for (const order of userOrders) {
+          if (order.status === 'PENDING') {
+            const ltp = ltps.get(order.symbol);
+            if (!ltp) continue;
+
+            const fillPrice = this.evaluateFill(order, ltp);
+            if (fillPrice === null) continue;
+            this.markFilled(order, fillPrice);
+          }
+
+          await this.reportFill(order);
+          filled++;
+        }
+      } catch (error) {
+        LoggerService.error('PaperBrokerService', `Error checking paper orders for user ${userId}:`, error);
+      }
+    }
+
+    return { checked: openOrders.length, filled };
+  }
+
+  /**
+   * Remove finished orders older than a day
+   */
+  static pruneOrders() {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    for (const [orderId, order] of this.orders) {
+      if (order.status !== 'PENDING' && order.reported && order.placedAt.getTime() < cutoff) {
+        this.orders.delete(orderId);
+      }
+    }
+  }
+
+  /**
+   * Rebuild pending paper orders after a restart: entry orders of monitored symbols and stop
+   * orders of active positions that are still open in the ledger go back into the order book
+   * @returns {Promise<number>} Number of orders restored
+   */
+  static async restoreOrders() {
+    const TradingState = require('../models/TradingState');
+    const { LedgerService } = require('./ledgerService');
+    const { TradeService } = require('./tradeService');
+
+    const states = await TradingState.find({
+      $or: [{ 'monitoredSymbols.tradingMode': 'PAPER' }, { 'activePositions.tradingMode': 'PAPER' }]
+    }).lean();
+
+    let restored = 0;
+    for (const state of states) {
+      const orderIds = new Set([
+        ...(state.monitoredSymbols || []).map(symbol => symbol.orderId),
+        ...(state.activePositions || []).filter(position => position.status === 'Active').map(position => position.sellOrderId)
+      ].filter(orderId => this.isPaperOrder(orderId) && !this.orders.has(orderId)));
+
+      for (const orderId of orderIds) {
+        try {
+          const events = await LedgerService.getEvents(state.userId, { orderId });
+          const placed = LedgerService.replay(events).orders[orderId];
+          if (!placed || placed.status !== 'PENDING') continue;
+
+          this.orders.set(orderId, {
+            id: orderId,
+            userId: state.userId.toString(),
+            symbol: placed.symbol,
+            qty: placed.qty ?? placed.quantity,
+            type: placed.type || TradeService.toBrokerOrderType(placed.orderType),
+            side: placed.side,
+            productType: placed.productType || 'INTRADAY',
+            limitPrice: placed.limitPrice || 0,
+            stopPrice: placed.stopPrice || 0,
+            orderTag: placed.orderTag,
+            status: 'PENDING',
+            triggered: false,
+            fillPrice: null,
+            reported: false,
+            placedAt: new Date(placed.placedAt),
+            filledAt: null
+          });
+          restored++;
+        } catch (error) {
+          LoggerService.error('PaperBrokerService', `Error restoring paper order ${orderId}:`, error);
+        }
+      }
+    }
+
+    if (restored > 0) {
+      LoggerService.info('PaperBrokerService', `Restored ${restored} pending paper orders`);
+    }
+    return restored;
+  }
+
+  /**
+   * Start the fill checker
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('🔄 Paper broker is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.fillCheckTimer = setInterval(async () => {
+      // Skip this tick if the previous check is still waiting on quotes
+      if (this.isChecking) return;
+      this.isChecking = true;
+      try {
+        await this.checkPendingOrders();
+        this.pruneOrders();
+      } catch (error) {
+        LoggerService.error('PaperBrokerService', 'Error in paper fill check:', error);
+      } finally {
+        this.isChecking = false;
+      }
+    }, this.FILL_CHECK_INTERVAL);
+
+    console.log('📝 Paper broker started');
+  }
+
+  /**
+   * Stop the fill checker
+   */
+  static stop() {
+    if (this.fillCheckTimer) {
+      clearInterval(this.fillCheckTimer);
+      this.fillCheckTimer = null;
+    }
+    this.isRunning = false;
+    console.log('🛑 Paper broker stopped');
+  }
+}
+
+module.exports = { PaperBrokerService };
@@ -0,0 +1,117 @@
+/**
+ * Position Sizing Service
+ * Decides how many lots an entry order is for. A monitored symbol's `sizing.mode` is one of:
+ *   FIXED_LOTS        - the symbol's configured `lots`
+ *   PERCENT_OF_FUNDS  - `sizing.fundsPercent` of the broker's available funds, at the entry price
+ *   FIXED_RISK        - `sizing.riskAmount` rupees lost if the stop loss (`stopLossPoints`) is hit
+ * `sizing.maxLots` caps the computed lot count in every mode.
+ */
+const { BrokerRegistry } = require('./brokers');
+
+class PositionSizingService {
+  static SIZING_MODES = ['FIXED_LOTS', 'PERCENT_OF_FUNDS', 'FIXED_RISK'];
+
+  /**
+   * Fill missing sizing fields with defaults
+   * @param {Object} sizing - Sizing configuration from the monitored symbol
+   * @returns {Object} Complete sizing configuration
+   */
+  static normalizeSizing(sizing) {
+    return {
+      mode: (sizing && sizing.mode) || 'FIXED_LOTS',
+      fundsPercent: Number(sizing && sizing.fundsPercent) || 0,
+      riskAmount: Number(sizing && sizing.riskAmount) || 0,
+      maxLots: Number(sizing && sizing.maxLots) || 0
+    };
+  }
+
+  /**
+   * Validate a sizing configuration
+   * @param {Object} sizing - Sizing configuration
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateSizing(sizing) {
+    const errors = [];
+    if (!sizing) return errors;
+
+    const { mode } = this.normalizeSizing(sizing);
+    if (!this.SIZING_MODES.includes(mode)) {
+      errors.push(`Unsupported sizing mode: ${mode}`);
+    }
+    if (mode === 'PERCENT_OF_FUNDS' && !(Number(sizing.fundsPercent) > 0 && Number(sizing.fundsPercent) <= 100)) {
+      errors.push('PERCENT_OF_FUNDS sizing needs fundsPercent between 0 and 100');
+    }
+    if (mode === 'FIXED_RISK' && !(Number(sizing.riskAmount) > 0)) {
+      errors.push('FIXED_RISK sizing needs a positive riskAmount');
+    }
+    if (sizing.maxLots !== undefined && !(Number.isInteger(Number(sizing.maxLots)) && Number(sizing.maxLots) >= 0)) {
+      errors.push('maxLots must be a whole number of at least 0 (0 disables the cap)');
+    }
+    return errors;
+  }
+
+  /**
+   * Available funds of the broker the symbol trades through
+   * @param {string} userId - User ID
+   * @param {string} tradingMode - 'LIVE' or 'PAPER'
+   * @returns {Promise<number>} Available balance
+   */
+  static async getAvailableFunds(userId, tradingMode = 'LIVE') {
+    const funds = await BrokerRegistry.getBrokerForMode(tradingMode).getFunds(userId);
+    return funds.availableBalance || 0;
+  }
+
+  /**
+   * Compute the lot count for an entry order
+   * @param {Object} symbol - Monitored symbol
+   * @param {Object} params - { lotSize, entryPrice, userId, availableFunds } - availableFunds replaces
+   *   the broker lookup for PERCENT_OF_FUNDS (backtests size against their simulated capital)
+   * @returns {Promise<Object>} Sizing decision: { mode, lots, lotSize, quantity, entryPrice, reason, ... }
+   */
+  static async calculateLots(symbol, { lotSize, entryPrice, userId, availableFunds }) {
+    const sizing = this.normalizeSizing(symbol.sizing);
+    const decision = { mode: sizing.mode, lotSize, entryPrice, maxLots: sizing.maxLots, capped: false };
+    let lots = 0;
+
+    if (sizing.mode === 'PERCENT_OF_FUNDS') {
+      const lotCost = entryPrice * lotSize;
+      try {
+        decision.availableFunds = availableFunds ?? await this.getAvailableFunds(userId, symbol.tradingMode);
+      } catch (error) {
+        console.error(`❌ Could not fetch funds for sizing ${symbol.symbol}:`, error.message);
+        return { ...decision, lots: 0, quantity: 0, reason: `Available funds could not be fetched: ${error.message}` };
+      }
+      decision.fundsPercent = sizing.fundsPercent;
+      decision.budget = decision.availableFunds * sizing.fundsPercent / 100;
+      lots = lotCost > 0 ? Math.floor(decision.budget / lotCost) : 0;
+      decision.reason = `${sizing.fundsPercent}% of ₹${decision.availableFunds.toFixed(2)} = ₹${decision.budget.toFixed(2)}, ₹${lotCost.toFixed(2)} per lot`;
+    } else if (sizing.mode === 'FIXED_RISK') {
+      const stopLossPoints = parseFloat(symbol.stopLossPoints || 0);
+      const riskPerLot = stopLossPoints * lotSize;
+      decision.riskAmount = sizing.riskAmount;
+      decision.stopLossPoints = stopLossPoints;
+      decision.riskPerLot = riskPerLot;
+      if (!(riskPerLot > 0)) {
+        return { ...decision, lots: 0, quantity: 0, reason: 'FIXED_RISK sizing needs stopLossPoints greater than 0' };
+      }
+      lots = Math.floor(sizing.riskAmount / riskPerLot);
+      decision.reason = `₹${sizing.riskAmount} risk / (${stopLossPoints} pts x ${lotSize}) = ₹${riskPerLot.toFixed(2)} per lot`;
+    } else {
+      lots = Math.floor(symbol.lots || 1);
+      decision.reason = `Fixed ${lots} lot(s)`;
+    }
+
+    if (sizing.maxLots > 0 && lots > sizing.maxLots) {
+      lots = sizing.maxLots;
+      decision.capped = true;
+      decision.reason += `, capped at ${sizing.maxLots} lot(s)`;
+    }
+    if (lots < 1) {
+      decision.reason += ' - not enough for one lot';
+    }
+
+    return { ...decision, lots: Math.max(lots, 0), quantity: Math.max(lots, 0) * lotSize };
+  }
+}
+
+module.exports = { PositionSizingService };
@@ -0,0 +1,587 @@
+/**
+ * Reconciliation Service
+ * Compares what the broker reports (order book, trade book and net positions) with the app's
+ * TradingState and TradeLog, and reports every discrepancy as a finding with a fix action:
+ *   ORPHAN_ORDER          open broker order the app does not track               -> CANCEL_ORDER
+ *   UNPROTECTED_POSITION  active position without a working stop order           -> PLACE_STOP_ORDER
+ *   QUANTITY_MISMATCH     app open quantity differs from the broker net quantity -> SYNC_QUANTITY,
+ *                                                                                   ADOPT_POSITION or CLOSE_POSITION
+ *   STALE_STATUS          app shows an order pending that the broker has closed  -> APPLY_BROKER_STATUS
+ * Reports run on demand (/api/monitoring/reconcile) and on the monitoring scheduler; fixes are
+ * only applied when asked for.
+ */
+const TradingState = require('../models/TradingState');
+const TradeLog = require('../models/TradeLog');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const LoggerService = require('./loggerService');
+const { BrokerRegistry } = require('./brokers');
+const { TradeService } = require('./tradeService');
+const { LedgerService } = require('./ledgerService');
+const { RiskService } = require('./riskService');
+const { SymbolService } = require('./symbolService');
+
+// Orders and positions younger than this are still being wired up (the stop is placed 5s after a fill)
+const GRACE_PERIOD_MS = 30 * 1000;
+const OPEN_ORDER_STATUSES = ['PENDING', 'PARTIALLY_FILLED'];
+const FINAL_ORDER_STATUSES = ['FILLED', 'CANCELLED', 'REJECTED'];
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReconciliationService {
+  // Latest report per user, from the scheduler or an on-demand run
+  static lastReports = new Map();
+
+  /**
+   * Open quantity of an app position
+   * @param {Object} position - Active position
+   * @returns {number} Quantity still open
+   */
+  static getOpenQuantity(position) {
+    return position.remainingQuantity ?? position.quantity ?? 0;
+  }
+
+  /**
+   * Trading modes to reconcile: those the user has symbols or positions in, plus LIVE when
+   * Fyers is connected (a live position may exist that the app never opened)
+   * @param {Object} state - Trading state
+   * @param {boolean} fyersConnected - Whether the user has a Fyers access token
+   * @returns {Array<string>} Trading modes
+   */
+  static getTradingModes(state, fyersConnected) {
+    const modes = new Set(fyersConnected ? ['LIVE'] : []);
+    [...(state?.monitoredSymbols || []), ...(state?.activePositions || [])]
+      .forEach(item => modes.add(item.tradingMode || 'LIVE'));
+    return [...modes];
+  }
+
+  /**
+   * Order IDs the app is tracking in its trading state
+   * @param {Object} state - Trading state
+   * @returns {Set<string>} Order IDs
+   */
+  static getTrackedOrderIds(state) {
+    const ids = new Set();
+    for (const symbol of state?.monitoredSymbols || []) {
+      [symbol.orderId, symbol.sellOrderId].forEach(id => id && ids.add(id));
+    }
+    for (const position of state?.activePositions || []) {
+      [position.buyOrderId, position.sellOrderId, position.slOrderId, position.exitOrderId].forEach(id => id && ids.add(id));
+      (position.targetLegs || []).forEach(leg => leg.exitOrderId && ids.add(leg.exitOrderId));
+    }
+    return ids;
+  }
+
+  /**
+   * Build a finding
+   * @param {string} type - Finding type
+   * @param {string} key - Order ID, position ID or symbol the finding is about
+   * @param {Object} fields - { severity, tradingMode, symbol, message, details, fix }
+   * @returns {Object} Finding with a stable id
+   */
+  static createFinding(type, key, fields) {
+    return { id: `${type}:${fields.tradingMode}:${key}`, type, ...fields };
+  }
+
+  /**
+   * Compare one broker's books with the app
+   * @param {string} userId - User ID
+   * @param {string} tradingMode - LIVE or PAPER
+   * @param {Object} state - Trading state
+   * @param {Object} books - { orders, trades, positions } from the broker
+   * @param {Array} tradeLogs - Trade logs of the user from this IST session, and any still open
+   * @returns {Array<Object>} Findings
+   */
+  static compareBooks(userId, tradingMode, state, { orders, trades, positions }, tradeLogs) {
+    const findings = [];
+    const now = Date.now();
+    const ordersById = new Map(orders.map(order => [order.id, order]));
+    const logsByOrder = new Map(tradeLogs.filter(log => log.orderId).map(log => [log.orderId, log]));
+    const trackedOrderIds = this.getTrackedOrderIds(state);
+    const appSymbols = (state.monitoredSymbols || []).filter(s => (s.tradingMode || 'LIVE') === tradingMode);
+    const appPositions = (state.activePositions || []).filter(p => p.status === 'Active' && (p.tradingMode || 'LIVE') === tradingMode);
+
+    // Fills per order from the trade book - authoritative even when the order book lags
+    const fills = new Map();
+    for (const trade of trades) {
+      const fill = fills.get(trade.orderId) || { qty: 0, value: 0 };
+      fill.qty += trade.qty;
+      fill.value += trade.qty * trade.price;
+      fills.set(trade.orderId, fill);
+    }
+    const getBrokerStatus = (order) => {
+      const fill = fills.get(order.id);
+      return OPEN_ORDER_STATUSES.includes(order.status) && fill && fill.qty >= order.qty ? 'FILLED' : order.status;
+    };
+    const getFillPrice = (order) => {
+      const fill = fills.get(order.id);
+      return fill && fill.qty > 0 ? fill.value / fill.qty : order.tradedPrice || null;
+    };
+
+    // Open broker orders nobody in the app is tracking
+    for (const order of orders) {
+      if (!OPEN_ORDER_STATUSES.includes(getBrokerStatus(order)) || trackedOrderIds.has(order.id)) continue;
+      const log = logsByOrder.get(order.id);
+      if (log && now - new Date(log.timestamp).getTime() < GRACE_PERIOD_MS) continue;
+
+      findings.push(this.createFinding('ORPHAN_ORDER', order.id, {
+        severity: 'medium',
+        tradingMode,
+        symbol: order.symbol,
+        message: `${order.side} ${order.type} order ${order.id} for ${order.qty} ${order.symbol} is open at the broker but not tracked by the app${log ? '' : ' (not placed by the app)'}`,
+        details: { orderId: order.id, side: order.side, type: order.type, qty: order.qty, status: order.status, placedByApp: Boolean(log) },
+        fix: { action: 'CANCEL_ORDER', description: `Cancel order ${order.id}`, params: { orderId: order.id } }
+      }));
+    }
+
+    // Active positions whose stop order is missing or no longer working
+    for (const position of appPositions) {
+      if (now - new Date(position.timestamp).getTime() < GRACE_PERIOD_MS) continue;
+      const stopOrderId = position.sellOrderId || position.slOrderId;
+      const stopOrder = stopOrderId ? ordersById.get(stopOrderId) : null;
+      if (stopOrder && OPEN_ORDER_STATUSES.includes(getBrokerStatus(stopOrder))) continue;
+      // A filled stop closed the position at the broker - that is a quantity mismatch, not a missing stop
+      if (stopOrder && getBrokerStatus(stopOrder) === 'FILLED') continue;
+
+      findings.push(this.createFinding('UNPROTECTED_POSITION', position.id, {
+        severity: 'high',
+        tradingMode,
+        symbol: position.symbol,
+        message: stopOrderId
+          ? `Stop order ${stopOrderId} of ${position.symbol} is ${stopOrder ? getBrokerStatus(stopOrder) : 'not in the broker order book'} - the position has no working stop`
+          : `${position.symbol} has no stop order`,
+        details: { positionId: position.id, stopOrderId: stopOrderId || null, stopOrderStatus: stopOrder ? getBrokerStatus(stopOrder) : null, stopLoss: position.stopLoss, quantity: this.getOpenQuantity(position) },
+        fix: { action: 'PLACE_STOP_ORDER', description: `Place a stop order for ${this.getOpenQuantity(position)} at ${position.stopLoss}`, params: { positionId: position.id } }
+      }));
+    }
+
+    // Net quantity per symbol: broker vs the app's active positions (negative = short)
+    const { MonitoringService } = require('./monitoringService');
+    const appQuantities = new Map();
+    for (const position of appPositions) {
+      const signedQty = MonitoringService.getDirection(position) * this.getOpenQuantity(position);
+      appQuantities.set(position.symbol, (appQuantities.get(position.symbol) || 0) + signedQty);
+    }
+    // An entry the broker filled but the app still shows pending becomes a position through its
+    // STALE_STATUS fix; counting it here keeps the same fill from also being adopted
+    for (const symbol of appSymbols) {
+      const order = symbol.orderStatus === 'PENDING' && symbol.orderId ? ordersById.get(symbol.orderId) : null;
+      if (!order || getBrokerStatus(order) !== 'FILLED') continue;
+      const signedQty = MonitoringService.getDirection(symbol) * order.qty;
+      appQuantities.set(symbol.symbol, (appQuantities.get(symbol.symbol) || 0) + signedQty);
+    }
+    const brokerPositions = new Map(positions.map(position => [position.symbol, position]));
+    const symbols = new Set([...appQuantities.keys(), ...positions.filter(p => p.netQty !== 0).map(p => p.symbol)]);
+
+    for (const symbol of symbols) {
+      const appQty = appQuantities.get(symbol) || 0;
+      const brokerPosition = brokerPositions.get(symbol);
+      const brokerQty = brokerPosition?.netQty || 0;
+      if (appQty === brokerQty) continue;
+
+      let fix;
+      if (brokerQty === 0) {
+        fix = { action: 'CLOSE_POSITION', description: `Close the app's ${symbol} position(s) - the broker is flat`, params: { symbol } };
+      } else if (appQty === 0 || Math.sign(appQty) !== Math.sign(brokerQty)) {
+        fix = { action: 'ADOPT_POSITION', description: `Track the broker's ${brokerQty} ${symbol} as an app position`, params: { symbol, netQty: brokerQty, avgPrice: brokerPosition.avgPrice, closeExisting: appQty !== 0 } };
+      } else {
+        fix = { action: 'SYNC_QUANTITY', description: `Set the app's open ${symbol} quantity to ${Math.abs(brokerQty)}`, params: { symbol, netQty: brokerQty } };
+      }
+
+      findings.push(this.createFinding('QUANTITY_MISMATCH', symbol, {
+        severity: 'high',
+        tradingMode,
+        symbol,
+        message: `${symbol}: app holds ${appQty}, broker holds ${brokerQty}`,
+        details: { appQty, brokerQty, positionIds: appPositions.filter(p => p.symbol === symbol).map(p => p.id) },
+        fix
+      }));
+    }
+
+    // Orders the app still shows as pending that the broker has filled, cancelled or rejected
+    const staleOrderIds = new Set();
+    for (const symbol of appSymbols) {
+      if (!symbol.orderId || symbol.orderStatus !== 'PENDING') continue;
+      const order = ordersById.get(symbol.orderId);
+      // The order book only holds today's orders; a DAY order missing from it has expired
+      const brokerStatus = order ? getBrokerStatus(order) : 'CANCELLED';
+      if (!FINAL_ORDER_STATUSES.includes(brokerStatus)) continue;
+
+      staleOrderIds.add(symbol.orderId);
+      findings.push(this.createFinding('STALE_STATUS', symbol.orderId, {
+        severity: brokerStatus === 'FILLED' ? 'high' : 'medium',
+        tradingMode,
+        symbol: symbol.symbol,
+        message: `Entry order ${symbol.orderId} of ${symbol.symbol} is PENDING in the app but ${order ? brokerStatus : 'missing (expired)'} at the broker`,
+        details: { orderId: symbol.orderId, symbolId: symbol.id, appStatus: symbol.orderStatus, brokerStatus, fillPrice: order ? getFillPrice(order) : null },
+        fix: {
+          action: 'APPLY_BROKER_STATUS',
+          description: `Process the ${brokerStatus} update for the monitored symbol`,
+          params: { orderId: symbol.orderId, status: brokerStatus, fillPrice: order ? getFillPrice(order) : null, target: 'MONITORED_SYMBOL' }
+        }
+      }));
+    }
+
+    for (const log of tradeLogs) {
+      if (log.status !== 'PENDING' || !log.orderId || staleOrderIds.has(log.orderId)) continue;
+      const order = ordersById.get(log.orderId);
+      if (!order || !FINAL_ORDER_STATUSES.includes(getBrokerStatus(order))) continue;
+
+      staleOrderIds.add(log.orderId);
+      const brokerStatus = getBrokerStatus(order);
+      findings.push(this.createFinding('STALE_STATUS', log.orderId, {
+        severity: 'low',
+        tradingMode,
+        symbol: log.symbol,
+        message: `Trade log of order ${log.orderId} (${log.symbol}) is PENDING but the order is ${brokerStatus} at the broker`,
+        details: { orderId: log.orderId, appStatus: log.status, brokerStatus, fillPrice: getFillPrice(order) },
+        fix: {
+          action: 'APPLY_BROKER_STATUS',
+          description: `Mark the trade log ${brokerStatus}`,
+          params: { orderId: log.orderId, status: brokerStatus, fillPrice: getFillPrice(order), target: 'TRADE_LOG' }
+        }
+      }));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Reconcile a user's trading state and trade logs with their brokers
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Report: { userId, generatedAt, summary, findings, errors }
+   */
+  static async reconcile(userId) {
+    const state = await TradingState.findOne({ userId });
+    const user = await User.findById(userId).select('fyers.accessToken').lean();
+    // The broker books cover the IST trading day whatever the server's time zone; orders still open
+    // from before it (e.g. carried-over paper orders) are matched by their trade log too
+    const sessionStart = new Date(Math.floor((Date.now() + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS);
+    const tradeLogs = await TradeLog.find({
+      userId,
+      $or: [{ timestamp: { $gte: sessionStart } }, { status: { $in: OPEN_ORDER_STATUSES } }]
+    }).lean();
+
+    const findings = [];
+    const errors = [];
+    for (const tradingMode of this.getTradingModes(state, Boolean(user?.fyers?.accessToken))) {
+      const broker = BrokerRegistry.getBrokerForMode(tradingMode);
+      try {
+        const [orders, trades, positions] = await Promise.all([
+          broker.getOrderBook(userId),
+          broker.getTradeBook(userId),
+          broker.getPositions(userId)
+        ]);
+        const modeLogs = tradeLogs.filter(log => (log.tradeType || 'LIVE') === tradingMode);
+        findings.push(...this.compareBooks(userId, tradingMode, state || {}, { orders, trades, positions }, modeLogs));
+      } catch (error) {
+        LoggerService.error('ReconciliationService', `Could not load ${broker.name} books for user ${userId}:`, error);
+        errors.push({ tradingMode, broker: broker.name, message: error.message });
+      }
+    }
+
+    const summary = findings.reduce((counts, finding) => {
+      counts[finding.type] = (counts[finding.type] || 0) + 1;
+      return counts;
+    }, { total: findings.length });
+
+    const report = { userId: String(userId), generatedAt: new Date(), summary, findings, errors };
+    this.lastReports.set(String(userId), report);
+    return report;
+  }
+
+  /**
+   * Run fix actions of findings from a fresh reconciliation
+   * @param {string} userId - User ID
+   * @param {Object} options - { findingIds } to pick findings, or { all: true }
+   * @returns {Promise<Object>} { success, message, data: { results, report } }
+   */
+  static async applyFixes(userId, { findingIds = [], all = false } = {}) {
+    const report = await this.reconcile(userId);
+    const selected = all ? report.findings : report.findings.filter(finding => findingIds.includes(finding.id));
+    if (selected.length === 0) {
+      return { success: false, message: all ? 'No discrepancies to fix' : 'None of the findings are present any more', data: { results: [], report } };
+    }
+
+    const results = [];
+    for (const finding of selected) {
+      try {
+        const result = await this.applyFix(userId, finding);
+        results.push({ id: finding.id, action: finding.fix.action, ...result });
+      } catch (error) {
+        LoggerService.error('ReconciliationService', `Fix ${finding.fix.action} failed for ${finding.id}:`, error);
+        results.push({ id: finding.id, action: finding.fix.action, success: false, message: error.message });
+      }
+    }
+
+    const fixed = results.filter(r => r.success).length;
+    return {
+      success: fixed > 0,
+      message: `${fixed} of ${results.length} fix(es) applied`,
+      data: { results, report: await this.reconcile(userId) }
+    };
+  }
+
+  /**
+   * Run the fix action of one finding
+   * @param {string} userId - User ID
+   * @param {Object} finding - Finding from reconcile()
+   * @returns {Promise<Object>} { success, message }
+   */
+  static async applyFix(userId, finding) {
+    const { MonitoringService } = require('./monitoringService');
+    const { action, params } = finding.fix;
+
+    switch (action) {
+      case 'CANCEL_ORDER': {
+        const result = await TradeService.cancelOrder(params.orderId, userId);
+        return { success: result.success, message: result.message || `Order ${params.orderId} cancelled` };
+      }
+
+      case 'PLACE_STOP_ORDER': {
+        const state = await TradingState.findOne({ userId });
+        const position = state?.activePositions.find(p => p.id === params.positionId);
+        if (!position) return { success: false, message: 'Position no longer exists' };
+
+        const result = await MonitoringService.placeLadderStopOrder(position, this.getOpenQuantity(position), userId);
+        if (!result.success) return { success: false, message: result.error };
+        await state.save();
+        await LedgerService.record(userId, 'POSITION_MODIFIED', {
+          symbol: position.symbol,
+          positionId: position.id,
+          data: LedgerService.pick(position, ['sellOrderId', 'slStopPrice', 'slTriggerPrice', 'slOrderDetails'])
+        });
+        return { success: true, message: `Stop order ${result.sellOrderId} placed at ${result.stopLossPrice}` };
+      }
+
+      case 'APPLY_BROKER_STATUS': {
+        if (params.target === 'MONITORED_SYMBOL') {
+          const result = await MonitoringService.handleOrderStatusUpdate(params.orderId, params.status, userId, 'Applied by reconciliation', params.fillPrice);
+          return { success: result?.success !== false, message: result?.message || `Order ${params.orderId} set to ${params.status}` };
+        }
+        await TradeLog.updateMany({ userId, orderId: params.orderId }, { $set: { status: params.status, fyersOrderStatus: params.status } });
+        await LedgerService.recordOrderStatus(userId, params.orderId, params.status, { fillPrice: params.fillPrice, message: 'Applied by reconciliation' });
+        return { success: true, message: `Trade log of order ${params.orderId} set to ${params.status}` };
+      }
+
+      case 'CLOSE_POSITION':
+        return this.closePositions(userId, finding.tradingMode, params.symbol);
+
+      case 'ADOPT_POSITION':
+        if (params.closeExisting) {
+          await this.closePositions(userId, finding.tradingMode, params.symbol);
+        }
+        return this.adoptPosition(userId, finding.tradingMode, params);
+
+      case 'SYNC_QUANTITY':
+        return this.syncQuantity(userId, finding.tradingMode, params);
+
+      default:
+        return { success: false, message: `Unknown fix action: ${action}` };
+    }
+  }
+
+  /**
+   * Close the app's active positions in a symbol (the broker is flat or on the other side)
+   * @param {string} userId - User ID
+   * @param {string} tradingMode - LIVE or PAPER
+   * @param {string} symbol - Symbol
+   * @returns {Promise<Object>} { success, message }
+   */
+  static async closePositions(userId, tradingMode, symbol) {
+    const state = await TradingState.findOne({ userId });
+    const positions = (state?.activePositions || []).filter(p => p.status === 'Active' && p.symbol === symbol && (p.tradingMode || 'LIVE') === tradingMode);
+    if (positions.length === 0) return { success: false, message: `No active ${symbol} position` };
+
+    for (const position of positions) {
+      // A working stop would open a fresh position once the broker is flat
+      const stopOrderId = position.sellOrderId || position.slOrderId;
+      if (stopOrderId) {
+        await TradeService.cancelOrder(stopOrderId, userId);
+      }
+      position.status = 'Closed';
+      position.exitPrice = position.currentPrice || position.boughtPrice;
+      position.exitTimestamp = new Date();
+      await LedgerService.record(userId, 'POSITION_CLOSED', {
+        symbol: position.symbol,
+        positionId: position.id,
+        data: LedgerService.pick(position, ['status', 'currentPrice', 'pnl', 'exitPrice', 'exitTimestamp'])
+      });
+    }
+
+    // Target legs booked earlier were realized when they were booked
+    const realized = positions.reduce((sum, p) => sum + (p.pnl || 0) - (p.realizedPnL || 0), 0);
+    state.tradeExecutionState.totalPnL += realized;
+    RiskService.recordRealizedPnL(state, realized);
+    const closedIds = positions.map(p => p.id);
+    state.activePositions = state.activePositions.filter(p => !closedIds.includes(p.id));
+    await state.save();
+
+    return { success: true, message: `Closed ${positions.length} ${symbol} position(s)` };
+  }
+
+  /**
+   * Start tracking a broker position the app does not know about
+   * @param {string} userId - User ID
+   * @param {string} tradingMode - LIVE or PAPER
+   * @param {Object} params - { symbol, netQty, avgPrice }
+   * @returns {Promise<Object>} { success, message }
+   */
+  static async adoptPosition(userId, tradingMode, { symbol, netQty, avgPrice }) {
+    const { MonitoringService } = require('./monitoringService');
+    const state = await TradingState.findOne({ userId });
+    if (!state) return { success: false, message: 'Trading state not found' };
+
+    // Exit levels come from the symbol's monitoring config when there is one
+    const type = netQty > 0 ? 'BUY' : 'SELL';
+    const config = state.monitoredSymbols.find(s => s.symbol === symbol) || { targetPoints: 50, stopLossPoints: 30 };
+    const levels = MonitoringService.getExitLevels({ ...(config.toObject ? config.toObject() : config), type }, avgPrice);
+    const lotSize = SymbolService.getLotSizeForSymbol(symbol);
+    const quantity = Math.abs(netQty);
+
+    const position = {
+      id: `${symbol}-${Date.now()}`,
+      symbol,
+      type,
+      lots: Math.floor(quantity / lotSize),
+      quantity,
+      remainingQuantity: quantity,
+      boughtPrice: avgPrice,
+      currentPrice: avgPrice,
+      target: levels.target,
+      stopLoss: levels.stopLoss,
+      initialStopLoss: levels.stopLoss,
+      status: 'Active',
+      timestamp: new Date(),
+      tradingMode,
+      orderType: 'MARKET',
+      productType: config.productType || 'INTRADAY',
+      sellOrderId: null,
+      pnl: 0,
+      pnlPercentage: 0,
+      realizedPnL: 0,
+      slModifications: [],
+      invested: quantity * avgPrice
+    };
+
+    state.activePositions.push(position);
+    await state.save();
+    await LedgerService.record(userId, 'POSITION_OPENED', { symbol, positionId: position.id, data: position });
+
+    return { success: true, message: `Adopted ${netQty} ${symbol} @ ${avgPrice} (stop ${levels.stopLoss}) - it has no stop order yet` };
+  }
+
+  /**
+   * Set the app's open quantity in a symbol to the broker's, oldest position first, and
+   * resize the working stop orders to match
+   * @param {string} userId - User ID
+   * @param {string} tradingMode - LIVE or PAPER
+   * @param {Object} params - { symbol, netQty }
+   * @returns {Promise<Object>} { success, message }
+   */
+  static async syncQuantity(userId, tradingMode, { symbol, netQty }) {
+    const { MonitoringService } = require('./monitoringService');
+    const state = await TradingState.findOne({ userId });
+    const positions = (state?.activePositions || [])
+      .filter(p => p.status === 'Active' && p.symbol === symbol && (p.tradingMode || 'LIVE') === tradingMode)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (positions.length === 0) return { success: false, message: `No active ${symbol} position` };
+
+    let unallocated = Math.abs(netQty);
+    const changes = [];
+    positions.forEach((position, i) => {
+      const isNewest = i === positions.length - 1;
+      const keep = isNewest ? unallocated : Math.min(this.getOpenQuantity(position), unallocated);
+      unallocated -= keep;
+      if (keep !== this.getOpenQuantity(position)) {
+        changes.push({ position, from: this.getOpenQuantity(position), to: keep });
+      }
+    });
+
+    for (const { position, to } of changes) {
+      const stopOrderId = position.sellOrderId || position.slOrderId;
+      if (stopOrderId) {
+        await TradeService.cancelOrder(stopOrderId, userId);
+        position.sellOrderId = null;
+        position.slOrderId = null;
+      }
+
+      if (to === 0) {
+        position.status = 'Closed';
+        position.exitPrice = position.currentPrice || position.boughtPrice;
+        position.exitTimestamp = new Date();
+        await LedgerService.record(userId, 'POSITION_CLOSED', {
+          symbol,
+          positionId: position.id,
+          data: LedgerService.pick(position, ['status', 'currentPrice', 'pnl', 'exitPrice', 'exitTimestamp'])
+        });
+        continue;
+      }
+
+      position.remainingQuantity = to;
+      position.invested = to * position.boughtPrice;
+      if (stopOrderId) {
+        await MonitoringService.placeLadderStopOrder(position, to, userId);
+      }
+      await LedgerService.record(userId, 'POSITION_MODIFIED', {
+        symbol,
+        positionId: position.id,
+        data: LedgerService.pick(position, ['remainingQuantity', 'invested', 'sellOrderId', 'slOrderId', 'slStopPrice', 'slTriggerPrice', 'slOrderDetails'])
+      });
+    }
+
+    const closed = changes.filter(c => c.to === 0).map(c => c.position);
+    if (closed.length > 0) {
+      const realized = closed.reduce((sum, p) => sum + (p.pnl || 0) - (p.realizedPnL || 0), 0);
+      state.tradeExecutionState.totalPnL += realized;
+      RiskService.recordRealizedPnL(state, realized);
+      state.activePositions = state.activePositions.filter(p => !closed.includes(p));
+    }
+    await state.save();
+
+    return {
+      success: true,
+      message: changes.map(c => `${c.position.id}: ${c.from} → ${c.to}`).join(', ') || 'Quantities already match'
+    };
+  }
+
+  /**
+   * Scheduled run: reconcile every user with monitoring on or open positions, and notify
+   * them of high-severity findings that were not in their previous report
+   * @returns {Promise<void>}
+   */
+  static async runScheduledReconciliation() {
+    const states = await TradingState.find({
+      $or: [
+        { 'tradeExecutionState.isMonitoring': true },
+        { 'activePositions.0': { $exists: true } }
+      ]
+    }).select('userId');
+
+    for (const { userId } of states) {
+      try {
+        const previous = this.lastReports.get(String(userId));
+        const previousIds = new Set((previous?.findings || []).map(f => f.id));
+        const report = await this.reconcile(userId);
+        if (report.findings.length === 0) continue;
+
+        LoggerService.warn('ReconciliationService', `User ${userId}: ${report.findings.length} discrepancy(ies) with the broker`);
+        const newFindings = report.findings.filter(f => f.severity === 'high' && !previousIds.has(f.id));
+        if (newFindings.length > 0) {
+          await Notification.create({
+            userId,
+            type: 'warning',
+            title: 'Broker Reconciliation',
+            message: newFindings.map(f => f.message).join('; '),
+            data: { action: 'RECONCILIATION', findingIds: newFindings.map(f => f.id) },
+            read: false
+          });
+        }
+      } catch (error) {
+        LoggerService.error('ReconciliationService', `Scheduled reconciliation failed for user ${userId}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = { ReconciliationService };
@@ -0,0 +1,511 @@
+/**
+ * Risk Service
+ * Account-level risk manager. Enforces the per-user limits in models/RiskProfile.js
+ * (daily loss, open positions, capital deployed, orders per minute) and engages the
+ * kill switch when one of them is breached: new entries are blocked, pending entry
+ * orders are cancelled and, if the profile asks for it, open positions are squared off.
+ */
+const RiskProfile = require('../models/RiskProfile');
+const TradingState = require('../models/TradingState');
+const { TradeService } = require('./tradeService');
+const { TradeLogService } = require('./tradeLogService');
+const { SymbolService } = require('./symbolService');
+const { LedgerService } = require('./ledgerService');
+
+// IST is UTC+05:30; the trading day for daily P&L rolls over at IST midnight
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const ORDER_RATE_WINDOW_MS = 60 * 1000;
+
+class RiskService {
+  // Entry order timestamps per user for the orders-per-minute limit (userId -> [ms])
+  static recentOrders = new Map();
+
+  static PROFILE_LIMITS = ['maxDailyLoss', 'maxOpenPositions', 'maxCapitalDeployed', 'maxOrdersPerMinute'];
+
+  /**
+   * Trading day of a date in IST
+   * @param {Date} date - Date to convert
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  static getTradingDay(date = new Date()) {
+    return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the risk profile of a user (defaults, with no limits, when none is saved)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Risk profile
+   */
+  static async getProfile(userId) {
+    const profile = await RiskProfile.findOne({ userId }).lean();
+    return profile || new RiskProfile({ userId }).toObject();
+  }
+
+  /**
+   * Validate risk profile changes
+   * @param {Object} changes - Profile fields to change
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateProfile(changes) {
+    const errors = [];
+    for (const field of this.PROFILE_LIMITS) {
+      if (changes[field] === undefined) continue;
+      if (!(Number(changes[field]) >= 0)) {
+        errors.push(`${field} must be a number of at least 0 (0 disables the limit)`);
+      }
+    }
+    for (const field of ['maxOpenPositions', 'maxOrdersPerMinute']) {
+      if (changes[field] !== undefined && !Number.isInteger(Number(changes[field]))) {
+        errors.push(`${field} must be a whole number`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Create or update the risk profile of a user
+   * @param {string} userId - User ID
+   * @param {Object} changes - Limits and flattenOnBreach
+   * @returns {Promise<Object>} Result with success flag, message and data
+   */
+  static async updateProfile(userId, changes = {}) {
+    const errors = this.validateProfile(changes);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join('; ') };
+    }
+
+    const fields = {};
+    for (const field of this.PROFILE_LIMITS) {
+      if (changes[field] !== undefined) fields[field] = Number(changes[field]);
+    }
+    if (changes.flattenOnBreach !== undefined) {
+      fields.flattenOnBreach = Boolean(changes.flattenOnBreach);
+    }
+
+    const profile = await RiskProfile.findOneAndUpdate(
+      { userId },
+      { $set: fields },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🛡️ Risk profile updated for user ${userId}`);
+    return { success: true, message: 'Risk profile updated successfully', data: profile };
+  }
+
+  /**
+   * Realized P&L of the current trading day
+   * @param {Object} state - Trading state
+   * @param {Date} now - Current time
+   * @returns {number} Realized P&L
+   */
+  static getDailyRealizedPnL(state, now = new Date()) {
+    const execution = state && state.tradeExecutionState;
+    if (!execution || execution.dailyPnLDate !== this.getTradingDay(now)) return 0;
+    return execution.dailyRealizedPnL || 0;
+  }
+
+  /**
+   * Add realized P&L of closed positions to the day's total (caller saves the state)
+   * @param {Object} state - Trading state document
+   * @param {number} pnl - Realized P&L
+   * @param {Date} now - Current time
+   */
+  static recordRealizedPnL(state, pnl, now = new Date()) {
+    const execution = state.tradeExecutionState;
+    const today = this.getTradingDay(now);
+    if (execution.dailyPnLDate !== today) {
+      execution.dailyPnLDate = today;
+      execution.dailyRealizedPnL = 0;
+    }
+    execution.dailyRealizedPnL = (execution.dailyRealizedPnL || 0) + (pnl || 0);
+  }
+
+  /**
+   * Whether a monitored symbol has an entry order waiting at the exchange
+   * @param {Object} symbol - Monitored symbol
+   * @returns {boolean} True for a pending entry order
+   */
+  static isPendingEntry(symbol) {
+    return Boolean(symbol.orderPlaced && symbol.orderId && symbol.orderStatus === 'PENDING');
+  }
+
+  /**
+   * Capital an entry for a monitored symbol ties up
+   * @param {Object} symbol - Monitored symbol
+   * @param {number} price - Entry price
+   * @param {number} quantity - Order quantity (defaults to the sized or configured lots)
+   * @returns {number} Quantity * price
+   */
+  static getEntryCost(symbol, price, quantity = null) {
+    const qty = quantity || Math.floor(symbol.orderLots || symbol.lots || 1) * SymbolService.getLotSizeForSymbol(symbol.symbol);
+    return qty * (price || 0);
+  }
+
+  /**
+   * Current exposure of a trading state
+   * @param {Object} state - Trading state
+   * @param {string} excludeSymbolId - Monitored symbol to leave out (the one being checked)
+   * @returns {Object} Open positions, pending entries, capital deployed and unrealized P&L
+   */
+  static calculateExposure(state, excludeSymbolId = null) {
+    const positions = (state?.activePositions || []).filter(p => p.status === 'Active');
+    const pendingEntries = (state?.monitoredSymbols || []).filter(s => this.isPendingEntry(s) && s.id !== excludeSymbolId);
+
+    const positionCapital = positions.reduce((sum, p) => sum + (p.invested || (p.boughtPrice || 0) * (p.quantity || 0)), 0);
+    const pendingCapital = pendingEntries.reduce((sum, s) => sum + this.getEntryCost(s, s.hmaValue), 0);
+
+    return {
+      openPositions: positions.length,
+      pendingEntries: pendingEntries.length,
+      capitalDeployed: positionCapital + pendingCapital,
+      // Target legs already booked are part of the realized P&L
+      unrealizedPnL: positions.reduce((sum, p) => sum + (p.pnl || 0) - (p.realizedPnL || 0), 0)
+    };
+  }
+
+  /**
+   * Record an entry order for the orders-per-minute limit
+   * @param {string} userId - User ID
+   * @param {number} now - Current time in ms
+   */
+  static recordOrder(userId, now = Date.now()) {
+    const key = String(userId);
+    const timestamps = (this.recentOrders.get(key) || []).filter(t => now - t < ORDER_RATE_WINDOW_MS);
+    timestamps.push(now);
+    this.recentOrders.set(key, timestamps);
+  }
+
+  /**
+   * Number of entry orders placed in the last minute
+   * @param {string} userId - User ID
+   * @param {number} now - Current time in ms
+   * @returns {number} Order count
+   */
+  static countRecentOrders(userId, now = Date.now()) {
+    return (this.recentOrders.get(String(userId)) || []).filter(t => now - t < ORDER_RATE_WINDOW_MS).length;
+  }
+
+  /**
+   * Pre-trade check for a new entry order
+   * @param {string} userId - User ID
+   * @param {Object} symbol - Monitored symbol the entry is for
+   * @param {number} price - Expected entry price
+   * @param {number} quantity - Order quantity from the sizing decision
+   * @returns {Promise<Object>} { allowed, reason }
+   */
+  static async checkEntry(userId, symbol, price, quantity = null) {
+    const profile = await this.getProfile(userId);
+    let reason = null;
+
+    if (profile.killSwitch && profile.killSwitch.active) {
+      reason = `Kill switch active: ${profile.killSwitch.reason}`;
+    } else {
+      const state = await TradingState.findOne({ userId });
+      const exposure = this.calculateExposure(state, symbol.id);
+      const cost = this.getEntryCost(symbol, price, quantity);
+      const ordersLastMinute = this.countRecentOrders(userId);
+
+      if (profile.maxOpenPositions > 0 && exposure.openPositions + exposure.pendingEntries >= profile.maxOpenPositions) {
+        reason = `Max open positions reached (${exposure.openPositions} open, ${exposure.pendingEntries} pending, limit ${profile.maxOpenPositions})`;
+      } else if (profile.maxCapitalDeployed > 0 && exposure.capitalDeployed + cost > profile.maxCapitalDeployed) {
+        reason = `Entry would deploy ₹${(exposure.capitalDeployed + cost).toFixed(2)}, limit ₹${profile.maxCapitalDeployed}`;
+      } else if (profile.maxOrdersPerMinute > 0 && ordersLastMinute >= profile.maxOrdersPerMinute) {
+        // Hitting the order rate limit means something is looping - treat it as a breach
+        reason = `${ordersLastMinute} entry orders in the last minute, limit ${profile.maxOrdersPerMinute}`;
+        await this.handleBreach(userId, {
+          breachType: 'MAX_ORDERS_PER_MINUTE',
+          message: reason,
+          limit: profile.maxOrdersPerMinute,
+          value: ordersLastMinute,
+          symbol: symbol.symbol
+        });
+      }
+    }
+
+    if (reason) {
+      console.log(`🚫 Entry blocked for ${symbol.symbol} (user ${userId}): ${reason}`);
+      return { allowed: false, reason };
+    }
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Risk profile, kill switch and current metrics of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Risk status
+   */
+  static async getRiskStatus(userId) {
+    const [profile, state] = await Promise.all([
+      this.getProfile(userId),
+      TradingState.findOne({ userId })
+    ]);
+    const exposure = this.calculateExposure(state);
+    const realizedPnL = this.getDailyRealizedPnL(state);
+
+    return {
+      profile,
+      killSwitch: profile.killSwitch,
+      metrics: {
+        realizedPnL,
+        unrealizedPnL: exposure.unrealizedPnL,
+        dailyPnL: realizedPnL + exposure.unrealizedPnL,
+        openPositions: exposure.openPositions,
+        pendingEntries: exposure.pendingEntries,
+        capitalDeployed: exposure.capitalDeployed,
+        ordersLastMinute: this.countRecentOrders(userId)
+      }
+    };
+  }
+
+  /**
+   * First account limit the metrics breach
+   * @param {Object} profile - Risk profile
+   * @param {Object} metrics - Metrics from getRiskStatus
+   * @returns {Object|null} Breach or null
+   */
+  static findBreach(profile, metrics) {
+    if (profile.maxDailyLoss > 0 && metrics.dailyPnL <= -profile.maxDailyLoss) {
+      return {
+        breachType: 'DAILY_LOSS',
+        message: `Daily loss ₹${(-metrics.dailyPnL).toFixed(2)} reached the ₹${profile.maxDailyLoss} limit`,
+        limit: profile.maxDailyLoss,
+        value: metrics.dailyPnL
+      };
+    }
+    if (profile.maxOpenPositions > 0 && metrics.openPositions > profile.maxOpenPositions) {
+      return {
+        breachType: 'MAX_OPEN_POSITIONS',
+        message: `${metrics.openPositions} open positions exceed the limit of ${profile.maxOpenPositions}`,
+        limit: profile.maxOpenPositions,
+        value: metrics.openPositions
+      };
+    }
+    if (profile.maxCapitalDeployed > 0 && metrics.capitalDeployed > profile.maxCapitalDeployed) {
+      return {
+        breachType: 'MAX_CAPITAL_DEPLOYED',
+        message: `Capital deployed ₹${metrics.capitalDeployed.toFixed(2)} exceeds the ₹${profile.maxCapitalDeployed} limit`,
+        limit: profile.maxCapitalDeployed,
+        value: metrics.capitalDeployed
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Check account limits after positions are updated; engages the kill switch on a breach
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Evaluation result
+   */
+  static async evaluateAccountRisk(userId) {
+    try {
+      const status = await this.getRiskStatus(userId);
+      if (status.killSwitch && status.killSwitch.active) {
+        return { breached: false, killSwitchActive: true };
+      }
+
+      const breach = this.findBreach(status.profile, status.metrics);
+      if (!breach) {
+        return { breached: false, killSwitchActive: false };
+      }
+
+      const result = await this.handleBreach(userId, breach);
+      return { breached: true, killSwitchActive: true, breach, ...result };
+    } catch (error) {
+      console.error(`❌ Error evaluating account risk for user ${userId}:`, error);
+      return { breached: false, error: error.message };
+    }
+  }
+
+  /**
+   * Engage the kill switch for a breach: block entries, cancel pending entries,
+   * optionally flatten positions, then record the breach in TradeLog and notify the user
+   * @param {string} userId - User ID
+   * @param {Object} breach - { breachType, message, limit, value, symbol }
+   * @param {Object} options - { flatten } overrides the profile's flattenOnBreach
+   * @returns {Promise<Object>} Cancelled order IDs and flattened position IDs
+   */
+  static async handleBreach(userId, breach, options = {}) {
+    const current = await this.getProfile(userId);
+    if (current.killSwitch && current.killSwitch.active) {
+      return { alreadyActive: true, cancelledOrders: [], flattenedPositions: [] };
+    }
+
+    const profile = await RiskProfile.findOneAndUpdate(
+      { userId },
+      {
+        $set: {
+          'killSwitch.active': true,
+          'killSwitch.breachType': breach.breachType,
+          'killSwitch.reason': breach.message,
+          'killSwitch.engagedAt': new Date()
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    console.log(`🛑 Kill switch engaged for user ${userId} (${breach.breachType}): ${breach.message}`);
+
+    const cancelledOrders = await this.cancelPendingEntries(userId, breach.message);
+    const flatten = options.flatten !== undefined ? options.flatten : profile.flattenOnBreach;
+    const flattenedPositions = flatten ? await this.flattenPositions(userId) : [];
+
+    try {
+      await TradeLogService.logRiskBreach({
+        userId,
+        symbol: breach.symbol || 'ACCOUNT',
+        breachType: breach.breachType,
+        message: breach.message,
+        limit: breach.limit || 0,
+        value: breach.value || 0,
+        details: { cancelledOrders, flattenedPositions }
+      });
+    } catch (logError) {
+      console.error('Error logging risk breach:', logError);
+    }
+
+    return { alreadyActive: false, cancelledOrders, flattenedPositions };
+  }
+
+  /**
+   * Engage the kill switch manually
+   * @param {string} userId - User ID
+   * @param {string} reason - Why trading is being stopped
+   * @param {Object} options - { flatten } square off open positions as well
+   * @returns {Promise<Object>} Result with success flag, message and data
+   */
+  static async engageKillSwitch(userId, reason, options = {}) {
+    const result = await this.handleBreach(userId, {
+      breachType: 'MANUAL',
+      message: reason || 'Kill switch engaged manually'
+    }, options);
+
+    if (result.alreadyActive) {
+      return { success: false, message: 'Kill switch is already active' };
+    }
+    return { success: true, message: 'Kill switch engaged', data: result };
+  }
+
+  /**
+   * Release the kill switch so new entries are allowed again.
+   * If a limit is still breached, the next evaluation engages it again.
+   * @param {string} userId - User ID
+   * @param {Object} options - { breachesOnly } leave a manually engaged kill switch alone
+   * @returns {Promise<Object>} Result with success flag, message and data
+   */
+  static async releaseKillSwitch(userId, options = {}) {
+    const filter = { userId, 'killSwitch.active': true };
+    if (options.breachesOnly) {
+      filter['killSwitch.breachType'] = { $ne: 'MANUAL' };
+    }
+
+    const profile = await RiskProfile.findOneAndUpdate(
+      filter,
+      { $set: { 'killSwitch.active': false, 'killSwitch.releasedAt': new Date() } },
+      { new: true }
+    );
+    if (!profile) {
+      return { success: false, message: 'Kill switch is not active' };
+    }
+
+    console.log(`✅ Kill switch released for user ${userId}`);
+    return { success: true, message: 'Kill switch released', data: profile };
+  }
+
+  /**
+   * Cancel all pending entry orders and send their symbols back to waiting
+   * @param {string} userId - User ID
+   * @param {string} reason - Recorded on the symbols
+   * @returns {Promise<Array<string>>} Cancelled order IDs
+   */
+  static async cancelPendingEntries(userId, reason) {
+    const state = await TradingState.findOne({ userId });
+    if (!state) return [];
+
+    const cancelled = [];
+    for (const symbol of state.monitoredSymbols.filter(s => this.isPendingEntry(s))) {
+      try {
+        const result = await TradeService.cancelOrder(symbol.orderId, userId);
+        if (!result.success) {
+          console.error(`❌ Risk manager could not cancel entry order ${symbol.orderId} for ${symbol.symbol}: ${result.message}`);
+          continue;
+        }
+
+        cancelled.push(symbol.orderId);
+        await TradingState.updateOne(
+          { userId, 'monitoredSymbols.id': symbol.id },
+          {
+            $set: {
+              'monitoredSymbols.$.triggerStatus': 'WAITING_FOR_REVERSAL',
+              'monitoredSymbols.$.orderPlaced': false,
+              'monitoredSymbols.$.orderPlacedAt': null,
+              'monitoredSymbols.$.orderId': null,
+              'monitoredSymbols.$.orderStatus': 'CANCELLED',
+              'monitoredSymbols.$.pendingSignal': null,
+              'monitoredSymbols.$.orderModificationReason': `Cancelled by risk manager: ${reason}`
+            }
+          }
+        );
+        console.log(`🚫 Risk manager cancelled entry order ${symbol.orderId} for ${symbol.symbol}`);
+      } catch (error) {
+        console.error(`❌ Error cancelling entry order for ${symbol.symbol}:`, error);
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * Square off all open positions at market through MonitoringService.placeMarketSellOrder
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} IDs of the positions that were closed
+   */
+  static async flattenPositions(userId) {
+    const { MonitoringService } = require('./monitoringService');
+    const state = await TradingState.findOne({ userId });
+    if (!state) return [];
+
+    const flattened = [];
+    for (const position of state.activePositions.filter(p => p.status === 'Active')) {
+      try {
+        // Cancel the protective stop first so it cannot fill after the exit
+        const stopOrderId = position.sellOrderId || position.slOrderId;
+        if (stopOrderId) {
+          await TradeService.cancelOrder(stopOrderId, userId);
+        }
+
+        const exitResult = await MonitoringService.placeMarketSellOrder(position, userId);
+        if (!exitResult.success) {
+          console.error(`❌ Risk manager could not flatten ${position.symbol}: ${exitResult.error}`);
+          continue;
+        }
+
+        position.status = 'Closed';
+        position.exitOrderId = exitResult.orderId;
+        position.exitPrice = position.currentPrice || position.boughtPrice;
+        position.exitTimestamp = new Date();
+        flattened.push(position.id);
+        console.log(`🧹 Risk manager flattened ${position.symbol} (order ${exitResult.orderId})`);
+      } catch (error) {
+        console.error(`❌ Error flattening ${position.symbol}:`, error);
+      }
+    }
+
+    if (flattened.length > 0) {
+      const closedPositions = state.activePositions.filter(p => flattened.includes(p.id));
+      // Target legs booked earlier were realized when they were booked
+      const realized = closedPositions.reduce((sum, p) => sum + (p.pnl || 0) - (p.realizedPnL || 0), 0);
+      state.tradeExecutionState.totalPnL += realized;
+      this.recordRealizedPnL(state, realized);
+      for (const position of closedPositions) {
+        await LedgerService.record(userId, 'POSITION_CLOSED', {
+          symbol: position.symbol,
+          positionId: position.id,
+          data: LedgerService.pick(position, ['status', 'currentPrice', 'pnl', 'exitPrice', 'exitTimestamp', 'exitOrderId'])
+        });
+      }
+      state.activePositions = state.activePositions.filter(p => !flattened.includes(p.id));
+      await state.save();
+    }
+    return flattened;
+  }
+}
+
+module.exports = { RiskService };
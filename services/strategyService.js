@@ -0,0 +1,611 @@
+/**
+ * Strategy Service
+ * Loads user strategy definitions and evaluates their rules for the monitoring cycle.
+ * A strategy describes the indicator, the entry condition, the confirmation windows,
+ * the entry order type, filters on other timeframes and default exit rules; see models/Strategy.js.
+ * Strategies are written for long entries; short (SELL) symbols run the mirror image.
+ */
+const mongoose = require('mongoose');
+const Strategy = require('../models/Strategy');
+const { IndicatorService } = require('./indicatorService');
+
+// NSE session opens at 09:15 IST (03:45 UTC); candles are aligned to the session open
+const SESSION_OPEN_UTC_MINUTES = 3 * 60 + 45;
+
+/**
+ * Recursively fill missing values in `target` from `defaults`
+ * @param {Object} defaults - Default values
+ * @param {Object} target - Values to keep
+ * @returns {Object} Merged copy
+ */
+function mergeDefaults(defaults, target = {}) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(target || {})) {
+    if (value === undefined || value === null) continue;
+    const isPlainObject = typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !mongoose.Types.ObjectId.isValid(value);
+    merged[key] = isPlainObject && defaults[key] && typeof defaults[key] === 'object'
+      ? mergeDefaults(defaults[key], value)
+      : value;
+  }
+  return merged;
+}
+
+class StrategyService {
+  /**
+   * Built-in strategy used when a symbol has no strategy and the user has no default.
+   * Mirrors the original behaviour: wait for LTP <= HMA-55, confirm for 15 minutes,
+   * then buy at market when a 5-minute candle closes above the HMA.
+   */
+  static DEFAULT_STRATEGY = Object.freeze({
+    _id: null,
+    name: 'HMA Reversal',
+    description: 'LTP below HMA for 15 minutes, then market entry on a 5-minute candle close above HMA',
+    indicator: { name: 'HMA', period: 55, timeframe: '5' },
+    entry: {
+      condition: 'CROSS_ABOVE',
+      requireReversal: true,
+      reversalConfirmationMinutes: 15,
+      confirmation: { mode: 'CANDLE_CLOSE', minutes: 5 },
+      orderType: 'MARKET'
+    },
+    filters: [],
+    exit: {
+      targetPoints: 0,
+      stopLossPoints: 0,
+      useTrailingStoploss: false,
+      trailingX: 20,
+      trailingY: 15
+    },
+    isDefault: false
+  });
+
+  // Indicators a strategy can enter on: LTP is compared with their value, so only price-like ones
+  static INDICATOR_TYPES = IndicatorService.TYPES.filter(type => IndicatorService.getConditions(type).includes('PRICE_ABOVE'));
+
+  // Fields of a monitored symbol's pendingSignal (see models/TradingState.js)
+  static SIGNAL_FIELDS = [
+    'direction', 'triggeredAt', 'hmaAtTrigger', 'ltpAtTrigger', 'state', 'reversalDetected', 'waitStartTime',
+    'confirmationStartTime', 'confirmationEndTime', 'reversalConfirmed', 'entryReadyAt', 'crossoverDetected', 'crossoverTime'
+  ];
+
+  /**
+   * Fill any missing fields of a strategy definition with the built-in defaults
+   * @param {Object} definition - Strategy document or plain definition
+   * @returns {Object} Complete strategy definition
+   */
+  static normalizeStrategy(definition) {
+    const plain = definition && typeof definition.toObject === 'function' ? definition.toObject() : definition;
+    return mergeDefaults(this.DEFAULT_STRATEGY, plain || {});
+  }
+
+  /**
+   * Validate a strategy definition
+   * @param {Object} definition - Strategy definition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateStrategy(definition) {
+    const errors = [];
+    const strategy = this.normalizeStrategy(definition);
+    const { indicator, entry, exit } = strategy;
+
+    if (!definition || !definition.name || !String(definition.name).trim()) {
+      errors.push('Strategy name is required');
+    }
+    if (!this.INDICATOR_TYPES.includes(indicator.name)) {
+      errors.push(`Unsupported indicator: ${indicator.name} (${this.INDICATOR_TYPES.join(', ')})`);
+    } else {
+      errors.push(...IndicatorService.validate(indicator.name, this.getIndicatorParams(strategy)));
+    }
+    if (!['1', '3', '5', '15', '30', '60'].includes(String(indicator.timeframe))) {
+      errors.push(`Unsupported indicator timeframe: ${indicator.timeframe}`);
+    }
+    if (!['CROSS_ABOVE', 'CROSS_BELOW'].includes(entry.condition)) {
+      errors.push(`Unsupported entry condition: ${entry.condition}`);
+    }
+    if (!(Number(entry.reversalConfirmationMinutes) >= 0)) {
+      errors.push('Reversal confirmation minutes cannot be negative');
+    }
+    if (!['NONE', 'TIMER', 'CANDLE_CLOSE'].includes(entry.confirmation.mode)) {
+      errors.push(`Unsupported confirmation mode: ${entry.confirmation.mode}`);
+    } else if (entry.confirmation.mode !== 'NONE' && !(Number(entry.confirmation.minutes) > 0)) {
+      errors.push(`${entry.confirmation.mode} confirmation needs a positive number of minutes`);
+    }
+    if (!['MARKET', 'SL_LIMIT'].includes(entry.orderType)) {
+      errors.push(`Unsupported entry order type: ${entry.orderType}`);
+    }
+    for (const field of ['targetPoints', 'stopLossPoints']) {
+      if (!(Number(exit[field]) >= 0)) {
+        errors.push(`Exit ${field} cannot be negative`);
+      }
+    }
+
+    const { MultiTimeframeService } = require('./multiTimeframeService');
+    errors.push(...MultiTimeframeService.validateFilters(definition?.filters));
+
+    return errors;
+  }
+
+  /**
+   * Get all strategies of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Strategies
+   */
+  static async getStrategies(userId) {
+    return Strategy.find({ userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * Get one strategy of a user
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @returns {Promise<Object|null>} Strategy or null when not found
+   */
+  static async getStrategy(userId, strategyId) {
+    if (!mongoose.Types.ObjectId.isValid(strategyId)) return null;
+    return Strategy.findOne({ _id: strategyId, userId }).lean();
+  }
+
+  /**
+   * Create a strategy
+   * @param {string} userId - User ID
+   * @param {Object} definition - Strategy definition
+   * @returns {Promise<Object>} Result with success flag, message and data
+   */
+  static async createStrategy(userId, definition) {
+    const errors = this.validateStrategy(definition);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join('; ') };
+    }
+
+    const existing = await Strategy.findOne({ userId, name: definition.name.trim() });
+    if (existing) {
+      return { success: false, message: `A strategy named "${definition.name.trim()}" already exists` };
+    }
+
+    const { _id, userId: ignoredUserId, createdAt, updatedAt, ...fields } = this.normalizeStrategy(definition);
+    const strategy = await Strategy.create({
+      ...fields,
+      name: fields.name.trim(),
+      description: definition.description || '',
+      userId
+    });
+
+    if (strategy.isDefault) {
+      await this.clearOtherDefaults(userId, strategy._id);
+    }
+
+    console.log(`🧩 Strategy "${strategy.name}" created for user ${userId}`);
+    return { success: true, message: 'Strategy created successfully', data: strategy };
+  }
+
+  /**
+   * Update a strategy. Nested fields that are not supplied keep their current values.
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Result with success flag, message and data
+   */
+  static async updateStrategy(userId, strategyId, changes) {
+    const current = await this.getStrategy(userId, strategyId);
+    if (!current) {
+      return { success: false, notFound: true, message: 'Strategy not found' };
+    }
+
+    const { _id, userId: ignoredUserId, createdAt, updatedAt, __v, ...fields } = mergeDefaults(current, changes);
+    const errors = this.validateStrategy(fields);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join('; ') };
+    }
+
+    fields.name = fields.name.trim();
+    if (fields.name !== current.name) {
+      const duplicate = await Strategy.findOne({ userId, name: fields.name, _id: { $ne: strategyId } });
+      if (duplicate) {
+        return { success: false, message: `A strategy named "${fields.name}" already exists` };
+      }
+    }
+
+    const strategy = await Strategy.findOneAndUpdate(
+      { _id: strategyId, userId },
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+
+    if (strategy.isDefault) {
+      await this.clearOtherDefaults(userId, strategy._id);
+    }
+
+    console.log(`🧩 Strategy "${strategy.name}" updated for user ${userId}`);
+    return { success: true, message: 'Strategy updated successfully', data: strategy };
+  }
+
+  /**
+   * Delete a strategy that no monitored symbol or active position uses
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @returns {Promise<Object>} Result with success flag, message and data
+   */
+  static async deleteStrategy(userId, strategyId) {
+    const strategy = await this.getStrategy(userId, strategyId);
+    if (!strategy) {
+      return { success: false, notFound: true, message: 'Strategy not found' };
+    }
+
+    const TradingState = require('../models/TradingState');
+    const inUse = await TradingState.findOne({
+      userId,
+      $or: [
+        { 'monitoredSymbols.strategyId': String(strategy._id) },
+        { 'activePositions.strategyId': String(strategy._id) }
+      ]
+    });
+    if (inUse) {
+      return { success: false, message: `Strategy "${strategy.name}" is used by monitored symbols or active positions` };
+    }
+
+    await Strategy.deleteOne({ _id: strategy._id, userId });
+    console.log(`🗑️ Strategy "${strategy.name}" deleted for user ${userId}`);
+    return { success: true, message: 'Strategy deleted successfully', data: strategy };
+  }
+
+  /**
+   * Make sure only one strategy per user is marked as default
+   * @param {string} userId - User ID
+   * @param {string} keepId - Strategy that stays default
+   */
+  static async clearOtherDefaults(userId, keepId) {
+    await Strategy.updateMany(
+      { userId, _id: { $ne: keepId }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  /**
+   * Resolve the strategy a monitored symbol runs.
+   * Falls back to the user's default strategy, then to the built-in strategy.
+   * @param {string|null} strategyId - Strategy ID from the monitored symbol
+   * @param {string} userId - User ID
+   * @param {string} side - Entry side of the symbol ('BUY' or 'SELL')
+   * @returns {Promise<Object>} Complete strategy definition
+   */
+  static async resolveStrategy(strategyId, userId, side = 'BUY') {
+    try {
+      if (strategyId) {
+        const strategy = await this.getStrategy(userId, strategyId);
+        if (strategy) return this.forSide(strategy, side);
+        console.warn(`⚠️ Strategy ${strategyId} not found for user ${userId} - using default strategy`);
+      }
+
+      const userDefault = await Strategy.findOne({ userId, isDefault: true }).lean();
+      return this.forSide(userDefault || this.DEFAULT_STRATEGY, side);
+    } catch (error) {
+      console.error(`Error resolving strategy ${strategyId} for user ${userId}:`, error);
+      return this.forSide(this.DEFAULT_STRATEGY, side);
+    }
+  }
+
+  /**
+   * Resolve strategies for a list of monitored symbols, loading each strategy once
+   * @param {Array} symbols - Monitored symbols
+   * @param {string} userId - User ID
+   * @returns {Promise<Map>} Map of symbol ID to strategy definition
+   */
+  static async resolveStrategiesForSymbols(symbols, userId) {
+    const { MonitoringService } = require('./monitoringService');
+    const byStrategyId = new Map();
+    const bySymbolId = new Map();
+
+    for (const symbol of symbols) {
+      const side = MonitoringService.getEntrySide(symbol);
+      const key = `${symbol.strategyId || ''}:${side}`;
+      if (!byStrategyId.has(key)) {
+        byStrategyId.set(key, await this.resolveStrategy(symbol.strategyId, userId, side));
+      }
+      bySymbolId.set(symbol.id, byStrategyId.get(key));
+    }
+
+    return bySymbolId;
+  }
+
+  /**
+   * Adapt a strategy to the side it trades. Short entries mirror the long rules:
+   * a CROSS_ABOVE strategy enters shorts on a bearish cross below the indicator,
+   * and a BULLISH higher-timeframe filter requires a BEARISH one.
+   * @param {Object} strategy - Strategy definition
+   * @param {string} side - Entry side ('BUY' or 'SELL')
+   * @returns {Object} Complete strategy definition for that side
+   */
+  static forSide(strategy, side = 'BUY') {
+    const { MultiTimeframeService } = require('./multiTimeframeService');
+    const normalized = this.normalizeStrategy(strategy);
+    if (side !== 'SELL') {
+      return { ...normalized, side: 'BUY', filters: MultiTimeframeService.normalizeFilters(normalized.filters) };
+    }
+
+    return {
+      ...normalized,
+      side: 'SELL',
+      entry: {
+        ...normalized.entry,
+        condition: normalized.entry.condition === 'CROSS_ABOVE' ? 'CROSS_BELOW' : 'CROSS_ABOVE'
+      },
+      filters: MultiTimeframeService.mirrorFilters(normalized.filters)
+    };
+  }
+
+  /**
+   * IndicatorService parameters of the strategy indicator (`period` is stored next to the others)
+   * @param {Object} strategy - Strategy definition
+   * @returns {Object} Parameters
+   */
+  static getIndicatorParams(strategy) {
+    const { indicator } = this.normalizeStrategy(strategy);
+    return { ...(indicator.params || {}), period: Number(indicator.period) };
+  }
+
+  /**
+   * Options for HMAService.getStreamingHMA derived from the strategy indicator
+   * @param {Object} strategy - Strategy definition
+   * @returns {Object} { type, params, period, interval }
+   */
+  static getIndicatorOptions(strategy) {
+    const { indicator } = this.normalizeStrategy(strategy);
+    return {
+      type: indicator.name,
+      params: this.getIndicatorParams(strategy),
+      period: Number(indicator.period),
+      interval: String(indicator.timeframe)
+    };
+  }
+
+  /**
+   * Level of the strategy indicator that LTP is compared with (the SuperTrend line, the middle band, ...)
+   * @param {Object} strategy - Strategy definition
+   * @param {number|Object} indicatorValue - Indicator value
+   * @returns {number|null} Level
+   */
+  static getIndicatorLevel(strategy, indicatorValue) {
+    return IndicatorService.getPrimaryValue(strategy.indicator.name, indicatorValue);
+  }
+
+  /**
+   * Fill exit rules the symbol does not set from the strategy defaults
+   * @param {Object} symbolData - Symbol configuration
+   * @param {Object} strategy - Strategy definition
+   * @returns {Object} Symbol configuration with exit rules
+   */
+  static applyExitRules(symbolData, strategy) {
+    const { exit } = this.normalizeStrategy(strategy);
+    return {
+      ...symbolData,
+      targetPoints: symbolData.targetPoints || exit.targetPoints,
+      stopLossPoints: symbolData.stopLossPoints || exit.stopLossPoints,
+      useTrailingStoploss: symbolData.useTrailingStoploss || exit.useTrailingStoploss,
+      trailingX: symbolData.trailingX || exit.trailingX,
+      trailingY: symbolData.trailingY || exit.trailingY
+    };
+  }
+
+  /**
+   * Check whether LTP satisfies the entry condition
+   * @param {Object} strategy - Strategy definition
+   * @param {number} ltp - Last traded price
+   * @param {number|Object} indicatorValue - Current indicator value
+   * @returns {boolean} True when the entry side of the indicator is reached
+   */
+  static isEntryConditionMet(strategy, ltp, indicatorValue) {
+    const level = this.getIndicatorLevel(strategy, indicatorValue);
+    return strategy.entry.condition === 'CROSS_BELOW' ? ltp < level : ltp > level;
+  }
+
+  /**
+   * Check whether LTP is on the reversal side of the indicator (opposite to the entry side)
+   * @param {Object} strategy - Strategy definition
+   * @param {number} ltp - Last traded price
+   * @param {number|Object} indicatorValue - Current indicator value
+   * @returns {boolean} True when the reversal side of the indicator is reached
+   */
+  static isReversalConditionMet(strategy, ltp, indicatorValue) {
+    return !this.isEntryConditionMet(strategy, ltp, indicatorValue);
+  }
+
+  /**
+   * Human-readable name of the entry crossover, used in status reasons
+   * @param {Object} strategy - Strategy definition
+   * @returns {string} Crossover description
+   */
+  static describeEntry(strategy) {
+    return strategy.entry.condition === 'CROSS_BELOW' ? 'bearish crossover' : 'bullish crossover';
+  }
+
+  /**
+   * When the reversal confirmation window ends
+   * @param {Object} strategy - Strategy definition
+   * @param {Date} now - Current time
+   * @returns {Date} Confirmation end time
+   */
+  static getReversalConfirmationEndTime(strategy, now) {
+    return new Date(now.getTime() + Number(strategy.entry.reversalConfirmationMinutes || 0) * 60 * 1000);
+  }
+
+  /**
+   * When the entry confirmation window ends
+   * NONE ends immediately, TIMER after `minutes`, CANDLE_CLOSE at the last second (MM:59)
+   * of the current `minutes` candle, aligned to the 09:15 IST session open.
+   * @param {Object} strategy - Strategy definition
+   * @param {Date} now - Current time
+   * @returns {Date} Confirmation end time
+   */
+  static getEntryConfirmationEndTime(strategy, now) {
+    const { mode, minutes } = strategy.entry.confirmation;
+
+    if (mode === 'NONE') {
+      return new Date(now.getTime());
+    }
+    if (mode === 'TIMER') {
+      return new Date(now.getTime() + Number(minutes) * 60 * 1000);
+    }
+
+    const candleMs = Number(minutes) * 60 * 1000;
+    return new Date(this.getCandleStart(now, minutes).getTime() + candleMs - 1000);
+  }
+
+  /**
+   * Start of the `minutes` candle a time falls in, with candles aligned to the 09:15 IST session open
+   * @param {Date} time - Time
+   * @param {number} minutes - Candle length in minutes
+   * @returns {Date} Candle start
+   */
+  static getCandleStart(time, minutes) {
+    const candleMs = Number(minutes) * 60 * 1000;
+    const sessionOffsetMs = SESSION_OPEN_UTC_MINUTES * 60 * 1000;
+    return new Date(Math.floor((time.getTime() - sessionOffsetMs) / candleMs) * candleMs + sessionOffsetMs);
+  }
+
+  /**
+   * Plain copy of a pending signal (a nested path of the monitored symbol), for persisting
+   * the state a transition left it in
+   * @param {Object} pendingSignal - Pending signal
+   * @returns {Object} Copy
+   */
+  static snapshotSignal(pendingSignal) {
+    return Object.fromEntries(
+      this.SIGNAL_FIELDS.filter(field => pendingSignal[field] !== undefined).map(field => [field, pendingSignal[field]])
+    );
+  }
+
+  /**
+   * Put an entry signal back to waiting for its crossover (confirmation cancelled or the entry order failed)
+   * @param {Object} pendingSignal - Pending signal (updated in place)
+   */
+  static resetEntrySignal(pendingSignal) {
+    pendingSignal.state = 'WAITING';
+    pendingSignal.crossoverDetected = false;
+    pendingSignal.crossoverTime = null;
+    pendingSignal.confirmationEndTime = null;
+  }
+
+  /**
+   * Advance the reversal → confirmation → entry state machine of a monitored symbol by one price update.
+   * Only `pendingSignal` is changed; the caller acts on the returned transitions - the live monitoring
+   * cycle persists them and places the entry order, the live-engine backtest replays them on candles.
+   * @param {Object} strategy - Strategy definition (for the symbol's side)
+   * @param {Object} pendingSignal - Pending signal of the symbol (updated in place)
+   * @param {number} ltp - Last traded price
+   * @param {number|Object} indicatorValue - Current indicator value (compared through getIndicatorLevel)
+   * @param {Date} now - Time of the price update
+   * @returns {Array<Object>} Transitions in order: { event, triggerStatus, reason, resetOpportunity, pendingSignal }
+   *   event is REVERSAL_DETECTED, REVERSAL_CANCELLED, REVERSAL_CONFIRMED, ENTRY_DETECTED, ENTRY_CANCELLED or ENTRY_CONFIRMED
+   */
+  static advanceSignal(strategy, pendingSignal, ltp, indicatorValue, now) {
+    const transitions = [];
+    const indicatorName = strategy.indicator.name;
+    const entryDescription = this.describeEntry(strategy);
+    const reversalMinutes = Number(strategy.entry.reversalConfirmationMinutes || 0);
+    const transition = (event, triggerStatus, reason, resetOpportunity = false) => {
+      transitions.push({ event, triggerStatus, reason, resetOpportunity, pendingSignal: this.snapshotSignal(pendingSignal) });
+    };
+
+    if (pendingSignal.direction === 'REVERSAL') {
+      // Waiting for LTP to cross to the reversal side of the indicator
+      if (pendingSignal.state === 'WAITING' && this.isReversalConditionMet(strategy, ltp, indicatorValue)) {
+        pendingSignal.state = 'CONFIRMING';
+        pendingSignal.reversalDetected = true;
+        pendingSignal.confirmationStartTime = now;
+        pendingSignal.confirmationEndTime = this.getReversalConfirmationEndTime(strategy, now);
+        transition('REVERSAL_DETECTED', 'CONFIRMING_REVERSAL', `Reversal detected - ${reversalMinutes}-minute confirmation timer started`);
+      }
+
+      if (pendingSignal.state === 'CONFIRMING') {
+        if (!this.isReversalConditionMet(strategy, ltp, indicatorValue)) {
+          // LTP went back across the indicator during confirmation
+          pendingSignal.state = 'WAITING';
+          pendingSignal.reversalDetected = false;
+          pendingSignal.confirmationStartTime = null;
+          pendingSignal.confirmationEndTime = null;
+          transition('REVERSAL_CANCELLED', 'WAITING_FOR_REVERSAL', `Confirmation canceled - LTP back across ${indicatorName}`, true);
+        } else if (now >= pendingSignal.confirmationEndTime) {
+          // Still on the reversal side when the timer ends - wait for the entry crossover
+          pendingSignal.direction = 'ENTRY';
+          pendingSignal.state = 'WAITING';
+          pendingSignal.reversalConfirmed = true;
+          pendingSignal.entryReadyAt = now;
+          transition('REVERSAL_CONFIRMED', 'WAITING_FOR_ENTRY', `Reversal confirmed - waiting for ${entryDescription}`);
+        }
+      }
+    }
+
+    if (pendingSignal.direction === 'ENTRY') {
+      if (pendingSignal.state === 'WAITING' && this.isEntryConditionMet(strategy, ltp, indicatorValue)) {
+        const { mode, minutes } = strategy.entry.confirmation;
+        pendingSignal.state = 'CONFIRMING';
+        pendingSignal.crossoverDetected = true;
+        pendingSignal.crossoverTime = now;
+        pendingSignal.confirmationEndTime = this.getEntryConfirmationEndTime(strategy, now);
+
+        const confirmationReason = mode === 'CANDLE_CLOSE'
+          ? `waiting for ${minutes}-minute candle close confirmation`
+          : mode === 'TIMER' ? `waiting ${minutes} minutes for confirmation` : 'entering without confirmation';
+        transition('ENTRY_DETECTED', 'CONFIRMING_ENTRY', `${entryDescription.charAt(0).toUpperCase()}${entryDescription.slice(1)} detected - ${confirmationReason}`);
+      }
+
+      if (pendingSignal.state === 'CONFIRMING') {
+        if (!this.isEntryConditionMet(strategy, ltp, indicatorValue)) {
+          this.resetEntrySignal(pendingSignal);
+          transition('ENTRY_CANCELLED', 'WAITING_FOR_ENTRY', `Entry confirmation canceled - LTP back across ${indicatorName}`, true);
+        } else if (now >= pendingSignal.confirmationEndTime) {
+          // Still on the entry side when confirmation ends - the caller places the entry order
+          transition('ENTRY_CONFIRMED', null, `${entryDescription.charAt(0).toUpperCase()}${entryDescription.slice(1)} confirmed`);
+        }
+      }
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Initial monitoring state for a symbol that starts (or restarts) running a strategy
+   * @param {Object} strategy - Strategy definition
+   * @param {number} ltp - Last traded price
+   * @param {number|Object} indicatorValue - Current indicator value
+   * @param {Date} now - Current time
+   * @returns {Object} triggerStatus, orderModificationReason and pendingSignal
+   */
+  static getInitialSignal(strategy, ltp, indicatorValue, now = new Date()) {
+    const { name } = strategy.indicator;
+    const level = this.getIndicatorLevel(strategy, indicatorValue);
+    const waitForReversal = strategy.entry.requireReversal && this.isEntryConditionMet(strategy, ltp, indicatorValue);
+
+    if (waitForReversal) {
+      return {
+        triggerStatus: 'WAITING_FOR_REVERSAL',
+        orderModificationReason: `LTP ${strategy.entry.condition === 'CROSS_BELOW' ? 'below' : 'above'} ${name} - waiting for reversal crossover`,
+        pendingSignal: {
+          direction: 'REVERSAL',
+          triggeredAt: now,
+          hmaAtTrigger: level,
+          ltpAtTrigger: ltp,
+          state: 'WAITING',
+          reversalDetected: false,
+          confirmationTimer: null
+        }
+      };
+    }
+
+    return {
+      triggerStatus: 'WAITING_FOR_ENTRY',
+      orderModificationReason: `Ready for ${this.describeEntry(strategy)} entry (${strategy.name})`,
+      pendingSignal: {
+        direction: 'ENTRY',
+        triggeredAt: now,
+        hmaAtTrigger: level,
+        ltpAtTrigger: ltp,
+        state: 'WAITING',
+        reversalConfirmed: true,
+        entryReadyAt: now
+      }
+    };
+  }
+}
+
+module.exports = { StrategyService };
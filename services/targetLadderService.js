@@ -0,0 +1,146 @@
+/**
+ * Target Ladder Service
+ * Multi-leg target exits. A monitored symbol's `targetLegs` replaces its single `targetPoints`:
+ *   points         - distance of the leg's target from the entry price
+ *   exitPercent    - share of the original quantity booked at the leg (the last leg books whatever remains)
+ *   moveStop       - where the stop goes once the leg is booked: NONE, COST (entry price) or PREVIOUS_TARGET
+ *   trailRemainder - switch the remaining quantity to X/Y trailing (trailingX / trailingY) after the leg
+ * e.g. [{ points: 20, exitPercent: 50, moveStop: 'COST' }, { points: 40, exitPercent: 50, trailRemainder: true }]
+ * books half at T1, moves the stop to cost and trails the rest to T2.
+ */
+class TargetLadderService {
+  static STOP_MOVES = ['NONE', 'COST', 'PREVIOUS_TARGET'];
+
+  /**
+   * Fill missing leg fields with defaults and order legs from nearest to farthest target
+   * @param {Array<Object>} legs - Target legs from the monitored symbol
+   * @returns {Array<Object>} Leg configuration
+   */
+  static normalizeLegs(legs) {
+    if (!Array.isArray(legs)) return [];
+
+    return legs
+      .map(leg => ({
+        points: Number(leg.points) || 0,
+        exitPercent: Number(leg.exitPercent) || 0,
+        moveStop: leg.moveStop || 'NONE',
+        trailRemainder: Boolean(leg.trailRemainder)
+      }))
+      .sort((a, b) => a.points - b.points);
+  }
+
+  /**
+   * Validate a target ladder
+   * @param {Array<Object>} legs - Target legs
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateLegs(legs) {
+    const errors = [];
+    if (legs === undefined || legs === null) return errors;
+    if (!Array.isArray(legs)) return ['targetLegs must be an array'];
+
+    const normalized = this.normalizeLegs(legs);
+    normalized.forEach((leg, i) => {
+      if (!(leg.points > 0)) {
+        errors.push(`Target leg ${i + 1} needs points greater than 0`);
+      }
+      if (!(leg.exitPercent > 0 && leg.exitPercent <= 100)) {
+        errors.push(`Target leg ${i + 1} needs exitPercent between 0 and 100`);
+      }
+      if (!this.STOP_MOVES.includes(leg.moveStop)) {
+        errors.push(`Target leg ${i + 1} has unsupported moveStop: ${leg.moveStop}`);
+      }
+      if (i > 0 && leg.points === normalized[i - 1].points) {
+        errors.push(`Target legs ${i} and ${i + 1} share the same points`);
+      }
+    });
+
+    const totalPercent = normalized.reduce((sum, leg) => sum + leg.exitPercent, 0);
+    if (totalPercent > 100) {
+      errors.push(`Target legs book ${totalPercent}% of the position, more than 100%`);
+    }
+    return errors;
+  }
+
+  /**
+   * Target points of the farthest leg (the position's final target)
+   * @param {Array<Object>} legs - Target legs
+   * @returns {number|null} Points, or null without a ladder
+   */
+  static getFinalTargetPoints(legs) {
+    const normalized = this.normalizeLegs(legs);
+    return normalized.length > 0 ? normalized[normalized.length - 1].points : null;
+  }
+
+  /**
+   * Position legs for an entry: leg configuration plus target price and booking state
+   * @param {Array<Object>} legs - Target legs from the monitored symbol
+   * @param {number} entryPrice - Entry fill price
+   * @param {number} direction - 1 for long, -1 for short
+   * @returns {Array<Object>} Legs to store on the active position
+   */
+  static buildPositionLegs(legs, entryPrice, direction) {
+    return this.normalizeLegs(legs).map(leg => ({
+      ...leg,
+      price: entryPrice + direction * leg.points,
+      status: 'PENDING',
+      quantity: 0,
+      exitOrderId: null,
+      exitPrice: null,
+      pnl: 0,
+      bookedAt: null
+    }));
+  }
+
+  /**
+   * Index of the next leg to book
+   * @param {Object} position - Active position
+   * @returns {number} Leg index, or -1 when every leg is booked
+   */
+  static getNextLegIndex(position) {
+    return (position.targetLegs || []).findIndex(leg => leg.status === 'PENDING');
+  }
+
+  /**
+   * Lots to book at a leg: its share of the original lots, at least one lot and never more than remain.
+   * The last pending leg books everything that remains.
+   * @param {Object} position - Active position
+   * @param {number} legIndex - Leg being booked
+   * @param {number} remainingLots - Lots still open
+   * @returns {number} Lots to exit
+   */
+  static getLegLots(position, legIndex, remainingLots) {
+    const legs = position.targetLegs || [];
+    const isLastLeg = legs.slice(legIndex + 1).every(leg => leg.status !== 'PENDING');
+    if (isLastLeg) return remainingLots;
+
+    const lots = Math.floor(Math.floor(position.lots || 1) * legs[legIndex].exitPercent / 100);
+    return Math.min(Math.max(lots, 1), remainingLots);
+  }
+
+  /**
+   * Stop loss price after a leg is booked
+   * @param {Object} position - Active position
+   * @param {number} legIndex - Leg that was booked
+   * @param {number} direction - 1 for long, -1 for short
+   * @returns {number|null} New stop price, or null to keep the current stop
+   */
+  static getStopAfterLeg(position, legIndex, direction) {
+    const leg = position.targetLegs[legIndex];
+    let stopPrice = null;
+
+    if (leg.moveStop === 'COST') {
+      stopPrice = position.boughtPrice;
+    } else if (leg.moveStop === 'PREVIOUS_TARGET') {
+      stopPrice = legIndex > 0 ? position.targetLegs[legIndex - 1].price : position.boughtPrice;
+    }
+
+    // A stop only ever tightens
+    if (stopPrice === null || direction * (stopPrice - position.stopLoss) <= 0) {
+      return null;
+    }
+    return stopPrice;
+  }
+}
+
+module.exports = { TargetLadderService };
@@ -379,6 +379,7 @@ class TradeLogService {
     pnl = 0,
     orderId,
     details = {},
+    side = 'SELL',
     source = 'APP'
   }) {
     // Only log FYERS source logs, skip APP logs
@@ -425,7 +426,7 @@ class TradeLogService {
         orderType: 'SL-M',
         quantity,
         price: exitPrice,
-        side: 'SELL', // Always SELL for stop loss
+        side, // Exit side: SELL closes a long, BUY covers a short
         status: 'FILLED',
         reason: 'STOP_LOSS',
         orderId,
@@ -486,6 +487,7 @@ class TradeLogService {
     pnl = 0,
     orderId,
     details = {},
+    side = 'SELL',
     source = 'APP'
   }) {
     // Only log FYERS source logs, skip APP logs
@@ -532,7 +534,7 @@ class TradeLogService {
         orderType: 'MARKET',
         quantity,
         price: exitPrice,
-        side: 'SELL', // Always SELL for target hit
+        side, // Exit side: SELL closes a long, BUY covers a short
         status: 'FILLED',
         reason: 'TARGET',
         orderId,
@@ -578,6 +580,95 @@ class TradeLogService {
     }
   }
 
+  /**
+   * Log a target leg booked by a partial exit
+   * @param {Object} params Partial exit details
+   * @returns {Object} Saved trade log entry
+   */
+  static async logPartialExit({
+    userId,
+    symbol,
+    leg,
+    entryPrice,
+    targetPrice,
+    exitPrice,
+    quantity,
+    remainingQuantity = 0,
+    pnl = 0,
+    orderId,
+    side = 'SELL',
+    tradingMode = 'LIVE',
+    details = {}
+  }) {
+    try {
+      const tradeLog = new TradeLog({
+        userId,
+        symbol,
+        action: 'PARTIAL_EXIT',
+        orderType: 'MARKET',
+        quantity,
+        price: exitPrice,
+        side, // Exit side: SELL closes a long, BUY covers a short
+        status: 'TARGET_EXECUTED',
+        reason: 'TARGET',
+        orderId,
+        pnl,
+        tradeType: tradingMode === 'PAPER' ? 'PAPER' : 'LIVE',
+        remarks: `Target T${leg} booked: ${symbol} ${quantity} @ ₹${exitPrice}, PnL: ₹${pnl}, ${remainingQuantity} open`,
+        details: {
+          ...details,
+          leg,
+          entryPrice,
+          targetPrice,
+          exitPrice,
+          remainingQuantity,
+          pnl,
+          source: 'TARGET_LADDER'
+        }
+      });
+
+      await tradeLog.save();
+      LoggerService.info('TradeLogService', `Partial exit log created for ${symbol} T${leg}: ${quantity} @ ${exitPrice}, PnL: ${pnl}`);
+
+      // Send real-time update via WebSocket
+      try {
+        const WebSocketService = require('./websocketService');
+        const wsService = WebSocketService.getInstance();
+        if (wsService) {
+          wsService.sendTradeLogUpdate(userId, tradeLog);
+        }
+      } catch (wsError) {
+        LoggerService.error('TradeLogService', 'Error sending WebSocket update:', wsError);
+      }
+
+      // Create notification for the booked leg
+      try {
+        await Notification.create({
+          userId,
+          type: 'success',
+          title: `Target T${leg} Booked: ${symbol}`,
+          message: `Booked ${quantity} of ${symbol} @ ₹${exitPrice}, PnL: ₹${pnl}. ${remainingQuantity} still open.`,
+          data: {
+            symbol,
+            action: 'PARTIAL_EXIT',
+            leg,
+            exitPrice,
+            pnl,
+            remainingQuantity
+          },
+          read: false
+        });
+      } catch (notificationError) {
+        LoggerService.error('TradeLogService', 'Error creating partial exit notification:', notificationError);
+      }
+
+      return tradeLog;
+    } catch (error) {
+      LoggerService.error('TradeLogService', 'Error logging partial exit:', error);
+      throw error;
+    }
+  }
+
   /**
    * Log manual exit
    * @param {Object} params Manual exit details
@@ -592,6 +683,7 @@ class TradeLogService {
     pnl = 0,
     orderId,
     details = {},
+    side = 'SELL',
     source = 'APP'
   }) {
     // Only log FYERS source logs, skip APP logs
@@ -610,7 +702,7 @@ class TradeLogService {
         orderType: 'MARKET',
         quantity,
         price: exitPrice,
-        side: 'SELL', // Always SELL for position close
+        side, // Exit side: SELL closes a long, BUY covers a short
         status: 'FILLED',
         reason: 'MANUAL',
         orderId,
@@ -635,6 +727,80 @@ class TradeLogService {
     }
   }
 
+  /**
+   * Log an account-level risk limit breach and notify the user
+   * @param {Object} params Breach details
+   * @returns {Object} Saved trade log entry
+   */
+  static async logRiskBreach({
+    userId,
+    symbol = 'ACCOUNT',
+    breachType,
+    message,
+    limit = 0,
+    value = 0,
+    details = {}
+  }) {
+    try {
+      const tradeLog = new TradeLog({
+        userId,
+        symbol,
+        action: 'RISK_LIMIT_BREACHED',
+        quantity: 0,
+        price: 0,
+        status: 'BLOCKED',
+        reason: 'RISK',
+        remarks: `Risk limit breached (${breachType}): ${message}`,
+        details: {
+          ...details,
+          breachType,
+          limit,
+          value,
+          source: 'RISK'
+        }
+      });
+
+      await tradeLog.save();
+      LoggerService.warn('TradeLogService', `Risk limit breach logged for user ${userId}: ${breachType} - ${message}`);
+
+      // Send real-time update via WebSocket
+      try {
+        const WebSocketService = require('./websocketService');
+        const wsService = WebSocketService.getInstance();
+        if (wsService) {
+          wsService.sendTradeLogUpdate(userId, tradeLog);
+        }
+      } catch (wsError) {
+        LoggerService.error('TradeLogService', 'Error sending WebSocket update:', wsError);
+      }
+
+      // Create notification for the breach
+      try {
+        await Notification.create({
+          userId,
+          type: 'error',
+          title: 'Risk Limit Breached',
+          message: `${message}. New entries are blocked until the kill switch is released.`,
+          data: {
+            action: 'RISK_LIMIT_BREACHED',
+            breachType,
+            limit,
+            value,
+            ...details
+          },
+          read: false
+        });
+      } catch (notificationError) {
+        LoggerService.error('TradeLogService', 'Error creating risk breach notification:', notificationError);
+      }
+
+      return tradeLog;
+    } catch (error) {
+      LoggerService.error('TradeLogService', 'Error logging risk breach:', error);
+      throw error;
+    }
+  }
+
   /**
    * Helper method to deduplicate logs
    * @param {Object} query - Query to find existing logs
@@ -666,7 +832,8 @@ class TradeLogService {
     const logMap = new Map(); // orderId_action -> log
     
     logs.forEach(log => {
-      const key = `${log.orderId}_${log.action}`;
+      // Logs without an order (e.g. risk breaches) are never duplicates of each other
+      const key = log.orderId ? `${log.orderId}_${log.action}` : String(log._id);
       const existingLog = logMap.get(key);
       
       if (!existingLog) {
@@ -694,7 +861,8 @@ class TradeLogService {
     const seenKeys = new Set();
     
     filteredLogs.forEach(log => {
-      const key = `${log.orderId}_${log.action}`;
+      // Logs without an order (e.g. risk breaches) are never duplicates of each other
+      const key = log.orderId ? `${log.orderId}_${log.action}` : String(log._id);
       if (!seenKeys.has(key)) {
         seenKeys.add(key);
         finalLogs.push(log);
@@ -6,7 +6,9 @@ const mongoose = require('mongoose');
 const axios = require('axios');
 const TradeLog = require('../models/TradeLog');
 const TradingState = require('../models/TradingState');
-const User = require('../models/User');
+const { BrokerRegistry, BaseBroker } = require('./brokers');
+const { LedgerService } = require('./ledgerService');
+const { MarketRecorderService } = require('./marketRecorderService');
 
 class TradeService {
   /**
@@ -20,7 +22,9 @@ class TradeService {
    * @param {string} tradeData.userId - User ID
    * @param {string} tradeData.fyersAccessToken - Fyers access token
    * @param {boolean} tradeData.offlineOrder - Whether this is an offline order (AMO)
-   * @param {Object} tradeData.orderData - Complete order data for Fyers API
+   * @param {Object} tradeData.orderData - Complete broker-neutral order (see brokers/baseBroker.js)
+   * @param {string} tradeData.tradingMode - LIVE (default) or PAPER; selects the broker adapter
+   * @param {Object} tradeData.details - Extra context stored in the trade log (e.g. the sizing decision)
    * @returns {Promise<Object>} Trade log
    */
   static async placeLiveTrade(tradeData) {
@@ -34,20 +38,12 @@ class TradeService {
         userId,
         fyersAccessToken,
         offlineOrder = false,
-        orderData = null
+        orderData = null,
+        tradingMode = 'LIVE',
+        details = {}
       } = tradeData;
-      
-      // Get user's Fyers access token if not provided
-      let accessToken = fyersAccessToken;
-      if (!accessToken) {
-        const user = await User.findById(userId);
-        if (!user || !user.fyers || !user.fyers.accessToken) {
-          throw new Error('No valid Fyers access token found');
-        }
-        // Construct the proper access token format (appId:token)
-        const appId = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-        accessToken = `${appId}:${user.fyers.accessToken}`;
-      }
+      const isPaper = tradingMode === 'PAPER';
+      const broker = BrokerRegistry.getBrokerForMode(tradingMode);
       
       // Create trade log with correct enum values
       const tradeLog = new TradeLog({
@@ -57,125 +53,102 @@ class TradeService {
         action: 'ORDER_PLACED', // Use correct enum value
         orderType,
         side: action, // Store BUY/SELL in side field
-        tradeType: 'LIVE',
+        tradeType: isPaper ? 'PAPER' : 'LIVE',
         status: 'PENDING',
         userId,
-        remarks: `Order placed via Fyers API - ${orderType} ${action}`,
+        remarks: `Order placed via ${broker.name} broker - ${orderType} ${action}`,
         fyersOrderId: null, // Will be updated after order placement
         fyersOrderStatus: 'PENDING',
-        fyersRemarks: 'Order submitted to exchange'
+        fyersRemarks: 'Order submitted to exchange',
+        details
       });
       
-      // Prepare order data according to Fyers API documentation
-      let fyersOrderData;
+      // Broker-neutral order; call sites that pass orderData have already built it
+      const brokerOrder = orderData ? { ...orderData } : {
+        symbol,
+        qty: quantity,
+        type: this.toBrokerOrderType(orderType),
+        side: action,
+        productType: 'INTRADAY',
+        limitPrice: price,
+        stopPrice: 0,
+        offlineOrder
+      };
       
-      if (orderData) {
-        // Use provided order data (for offline orders)
-        console.log(`🔍 [DEBUG] Using provided orderData:`, orderData);
-        
-        // Validate and fix order data for market orders
-        if (orderType === 'MARKET') {
-          if (orderData.type !== 2) {
-            console.warn(`⚠️ [DEBUG] Market order has wrong type: ${orderData.type}, fixing to type: 2`);
-            orderData.type = 2;
-          }
-          if (orderData.limitPrice !== 0) {
-            console.warn(`⚠️ [DEBUG] Market order has non-zero limitPrice: ${orderData.limitPrice}, fixing to 0`);
-            orderData.limitPrice = 0;
-          }
-        }
-        
-        fyersOrderData = orderData;
-      } else {
-        // Create order data based on parameters
-        let orderTypeCode;
-        let limitPriceValue;
-        let stopPriceValue;
-        
-        switch (orderType) {
-          case 'MARKET':
-            orderTypeCode = 2; // Market Order
-            limitPriceValue = 0;
-            stopPriceValue = 0;
-            break;
-          case 'LIMIT':
-            orderTypeCode = 1; // Limit Order
-            limitPriceValue = price;
-            stopPriceValue = 0;
-            break;
-          case 'SL_LIMIT':
-            orderTypeCode = 4; // Stop Limit Order (SL-L)
-            limitPriceValue = price;
-            // For SL-L orders, the trigger logic depends on the side
-            // This will be overridden by the orderData parameter
-            stopPriceValue = 0; // Will be set by orderData
-            break;
-          default:
-            orderTypeCode = 1; // Default to Limit Order
-            limitPriceValue = price;
-            stopPriceValue = 0;
-        }
-        
-        fyersOrderData = {
-          symbol,
-          qty: quantity,
-          type: orderTypeCode,
-          side: action === 'BUY' ? 1 : -1, // 1=Buy, -1=Sell
-          productType: 'INTRADAY',
-          limitPrice: limitPriceValue,
-          stopPrice: stopPriceValue,
-          validity: 'DAY',
-          disclosedQty: 0,
-          stopLoss: 0,
-          takeProfit: 0,
-          offlineOrder: offlineOrder
-        };
+      // Validate and fix order data for market orders
+      if (orderType === 'MARKET' && brokerOrder.type !== BaseBroker.ORDER_TYPES.MARKET) {
+        console.warn(`⚠️ [DEBUG] Market order has wrong type: ${brokerOrder.type}, fixing to MARKET`);
+        brokerOrder.type = BaseBroker.ORDER_TYPES.MARKET;
       }
       
-      // Add validation parameters required by Fyers API
-      fyersOrderData = {
-        ...fyersOrderData,
-        // Ensure all required fields are present (orderTag should already be provided)
-        validity: fyersOrderData.validity || 'DAY',
-        disclosedQty: fyersOrderData.disclosedQty || 0,
-        stopLoss: fyersOrderData.stopLoss || 0,
-        takeProfit: fyersOrderData.takeProfit || 0,
-        offlineOrder: fyersOrderData.offlineOrder || false
-      };
-      
-      console.log(`📋 [TRADE SERVICE] Placing order with Fyers:`, fyersOrderData);
-      console.log(`🔍 [DEBUG] Final order data validation:`, {
-        type: fyersOrderData.type,
-        limitPrice: fyersOrderData.limitPrice,
-        orderType: orderType,
-        isMarketOrder: orderType === 'MARKET'
-      });
-      console.log(`🔍 [DEBUG] Access token format: ${accessToken ? 'Valid' : 'Invalid'}`);
+      console.log(`📋 [TRADE SERVICE] Placing order with ${broker.name} broker:`, brokerOrder);
       console.log(`🔍 [DEBUG] User ID: ${userId}`);
       
-      // Place order with Fyers
-      const fyersOrder = await this.fyersPlaceOrder(fyersOrderData, accessToken);
+      // An explicit token from the request takes precedence over the stored one
+      const placedOrder = await broker.placeOrder(userId, brokerOrder, { accessToken: fyersAccessToken });
       
-      // Update trade log with Fyers order ID
-      tradeLog.orderId = fyersOrder.id;
-      tradeLog.fyersOrderId = fyersOrder.id;
-      tradeLog.fyersOrderStatus = fyersOrder.status || 'PENDING';
-      tradeLog.remarks = `Order placed successfully - Fyers Order ID: ${fyersOrder.id}`;
-      tradeLog.fyersRemarks = fyersOrder.message || 'Order submitted to exchange';
+      // Update trade log with broker order ID
+      tradeLog.orderId = placedOrder.id;
+      tradeLog.fyersOrderId = placedOrder.id;
+      tradeLog.fyersOrderStatus = placedOrder.status || 'PENDING';
+      tradeLog.remarks = `Order placed successfully - ${isPaper ? 'Paper' : 'Broker'} Order ID: ${placedOrder.id}`;
+      tradeLog.fyersRemarks = placedOrder.message || 'Order submitted to exchange';
       tradeLog.status = 'PENDING'; // Keep as pending until filled
       await tradeLog.save();
       
-      console.log(`[TradeService] Live trade placed: ${symbol} ${action} ${quantity} @ ${price}, Fyers Order ID: ${fyersOrder.id}`);
+      console.log(`[TradeService] ${isPaper ? 'Paper' : 'Live'} trade placed: ${symbol} ${action} ${quantity} @ ${price}, Order ID: ${placedOrder.id}`);
+      
+      MarketRecorderService.recordOrderEvent('PLACE', {
+        userId,
+        orderId: placedOrder.id,
+        symbol,
+        side: action,
+        type: brokerOrder.type,
+        qty: brokerOrder.qty,
+        limitPrice: brokerOrder.limitPrice,
+        stopPrice: brokerOrder.stopPrice,
+        tradingMode,
+        broker: broker.name
+      });
+      
+      await LedgerService.record(userId, 'ORDER_PLACED', {
+        symbol,
+        orderId: placedOrder.id,
+        data: {
+          side: action,
+          orderType,
+          type: brokerOrder.type,
+          quantity,
+          price,
+          limitPrice: brokerOrder.limitPrice,
+          stopPrice: brokerOrder.stopPrice,
+          productType: brokerOrder.productType,
+          tradingMode,
+          broker: broker.name
+        }
+      });
       
       return {
         success: true,
-        orderId: fyersOrder.id,
-        status: fyersOrder.status,
+        orderId: placedOrder.id,
+        status: placedOrder.status,
+        fillPrice: placedOrder.fillPrice, // Only known up front for paper market orders
         message: 'Order placed successfully'
       };
     } catch (error) {
       console.error('[TradeService] Failed to place live trade:', error);
       
+      MarketRecorderService.recordOrderEvent('PLACE_FAILED', {
+        userId: tradeData.userId,
+        symbol: tradeData.symbol,
+        side: tradeData.action,
+        orderType: tradeData.orderType,
+        qty: tradeData.quantity,
+        price: tradeData.price,
+        tradingMode: tradeData.tradingMode || 'LIVE',
+        message: error.message
+      });
+      
       // Create failed trade log with correct enum values
       const failedLog = new TradeLog({
         symbol: tradeData.symbol,
@@ -184,7 +157,7 @@ class TradeService {
         action: 'ORDER_REJECTED', // Use correct enum value
         orderType: tradeData.orderType,
         side: tradeData.action, // Store BUY/SELL in side field
-        tradeType: 'LIVE',
+        tradeType: tradeData.tradingMode === 'PAPER' ? 'PAPER' : 'LIVE',
         status: 'REJECTED',
         userId: tradeData.userId,
         remarks: `Order placement failed: ${error.message}`,
@@ -192,6 +165,7 @@ class TradeService {
         fyersOrderStatus: 'REJECTED',
         fyersRemarks: error.message,
         details: {
+          ...(tradeData.details || {}),
           message: `Order placement failed: ${error.message}`,
           error: error.message
         }
@@ -203,6 +177,17 @@ class TradeService {
         console.error('[TradeService] Failed to save failed trade log:', logError);
       }
       
+      await LedgerService.record(tradeData.userId, 'ORDER_REJECTED', {
+        symbol: tradeData.symbol,
+        data: {
+          side: tradeData.action,
+          orderType: tradeData.orderType,
+          quantity: tradeData.quantity,
+          price: tradeData.price,
+          message: error.message
+        }
+      });
+      
       return {
         success: false,
         message: error.message
@@ -211,71 +196,69 @@ class TradeService {
   }
 
   /**
-   * Place order with Fyers API
-   * @param {Object} orderData - Order data
-   * @param {string} accessToken - Fyers access token
-   * @returns {Promise<Object>} Fyers order response
+   * Map a TradeService order type to a broker-neutral order type
+   * @param {string} orderType - MARKET, LIMIT, SL_LIMIT/SL-L or SL_MARKET/SL-M
+   * @returns {string} Broker-neutral order type
    */
-  static async fyersPlaceOrder(orderData, accessToken) {
-    try {
-      console.log(`🚀 [FYERS API] Placing order:`, orderData);
-      
-      // Use Fyers API library instead of direct HTTP calls
-      const FyersAPI = require("fyers-api-v3").fyersModel;
-      const fyers = new FyersAPI();
-      
-      // Extract appId from accessToken (format is "appId:token")
-      const [appId, token] = accessToken.split(':');
-      
-      if (!appId || !token) {
-        throw new Error('Invalid access token format - expected appId:token');
-      }
-      
-      fyers.setAppId(appId);
-      fyers.setAccessToken(token);
-      
-      // Use the Fyers API library to place order
-      console.log(`🔍 [DEBUG] Calling Fyers API with orderData:`, orderData);
-      const response = await fyers.place_order(orderData);
-      
-      console.log(`📡 [FYERS API] Response:`, response);
-      
-      if (response.s === 'ok') {
-        return {
-          id: response.id,
-          status: response.s,
-          message: response.message
-        };
-      } else {
-        throw new Error(`Fyers API error: ${response.message || JSON.stringify(response)}`);
-      }
-    } catch (error) {
-      console.error('[TradeService] Fyers order placement failed:', error);
-      
-      // Handle specific Fyers API errors
-      if (error.response) {
-        const errorData = error.response.data;
-        if (errorData.code === -392) {
-          throw new Error('Price should be in multiples of tick size');
-        } else if (errorData.code === -50) {
-          throw new Error('StopLoss not a multiple of tick size');
-        } else if (errorData.code === -201) {
-          throw new Error('Insufficient funds');
-        } else if (errorData.code === -202) {
-          throw new Error('Market closed');
-        } else if (errorData.code === -203) {
-          throw new Error('Invalid symbol');
-        } else {
-          throw new Error(`Fyers API error (${errorData.code}): ${errorData.message || 'Unknown error'}`);
-        }
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - please try again');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
+  static toBrokerOrderType(orderType) {
+    const { ORDER_TYPES } = BaseBroker;
+    switch (orderType) {
+      case 'MARKET':
+        return ORDER_TYPES.MARKET;
+      case 'SL_LIMIT':
+      case 'SL-L':
+        return ORDER_TYPES.SL_LIMIT;
+      case 'SL_MARKET':
+      case 'SL-M':
+        return ORDER_TYPES.SL_MARKET;
+      default:
+        return ORDER_TYPES.LIMIT;
     }
   }
 
+  /**
+   * Cancel an order with the broker that placed it
+   * @param {string} orderId - Order ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, orderId, message }
+   */
+  static async cancelOrder(orderId, userId) {
+    const broker = BrokerRegistry.getBrokerForOrder(orderId);
+    const result = await broker.cancelOrder(userId, orderId);
+    MarketRecorderService.recordOrderEvent('CANCEL', { userId, orderId, success: result.success, message: result.message });
+    
+    if (result.success) {
+      await TradeLog.updateMany({ orderId }, { $set: { status: 'CANCELLED', fyersOrderStatus: 'CANCELLED' } });
+      await LedgerService.recordOrderStatus(userId, orderId, 'CANCELLED');
+      console.log(`[TradeService] Order ${orderId} cancelled via ${broker.name} broker`);
+    } else {
+      console.error(`[TradeService] Failed to cancel order ${orderId}: ${result.message}`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Modify a pending order with the broker that placed it
+   * @param {string} orderId - Order ID
+   * @param {string} userId - User ID
+   * @param {Object} changes - Any of { qty, type, limitPrice, stopPrice }
+   * @returns {Promise<Object>} { success, orderId, message }
+   */
+  static async modifyOrder(orderId, userId, changes) {
+    const broker = BrokerRegistry.getBrokerForOrder(orderId);
+    const result = await broker.modifyOrder(userId, orderId, changes);
+    MarketRecorderService.recordOrderEvent('MODIFY', { userId, orderId, changes, success: result.success, message: result.message });
+    
+    if (result.success) {
+      await LedgerService.record(userId, 'ORDER_MODIFIED', { orderId, data: changes });
+    } else {
+      console.error(`[TradeService] Failed to modify order ${orderId}: ${result.message}`);
+    }
+    
+    return result;
+  }
+
   /**
    * Helper method to implement retry with exponential backoff
    * @param {Function} fn - Function to retry
@@ -577,6 +560,8 @@ class TradeService {
         userId: new mongoose.Types.ObjectId(userId) 
       });
       
+      await LedgerService.record(userId, 'STATE_RESET');
+      
       console.log(`[TradeService] Trading state cleared for user ${userId}`);
       return true;
     } catch (error) {
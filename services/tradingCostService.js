@@ -0,0 +1,223 @@
+/**
+ * Trading Cost Service
+ * Slippage and statutory charges of Indian exchange trades, for backtests that report gross and net P&L.
+ * Segments (detected from the symbol, or set with `costs.segment`):
+ *   OPTIONS          - index and stock options (NIFTY25JUL25000CE), charges on premium turnover
+ *   FUTURES          - index, stock and commodity futures (...FUT)
+ *   EQUITY_INTRADAY  - cash market, INTRADAY product
+ *   EQUITY_DELIVERY  - cash market, CNC product
+ * Index symbols (NSE:NIFTY50-INDEX) are not tradable; they are costed as FUTURES unless a segment is given.
+ *
+ * Rates are the published NSE/BSE schedule (FY 2025-26) with a flat-fee discount broker:
+ * brokerage per executed order, STT/CTT and stamp duty on one side, exchange transaction charges,
+ * SEBI turnover fees, and 18% GST on brokerage + exchange charges + SEBI fees.
+ * Any rate can be overridden per backtest with `costs.rates`.
+ */
+const { SymbolService } = require('./symbolService');
+
+class TradingCostService {
+  static SEGMENTS = ['OPTIONS', 'FUTURES', 'EQUITY_INTRADAY', 'EQUITY_DELIVERY'];
+
+  // Fractions of turnover unless named per order; exchange charges are keyed by exchange
+  static RATES = Object.freeze({
+    OPTIONS: {
+      brokeragePerOrder: 20,
+      brokeragePercent: null,
+      sttBuy: 0,
+      sttSell: 0.001,
+      exchange: { NSE: 0.0003503, BSE: 0.000325 },
+      stampDutyBuy: 0.00003
+    },
+    FUTURES: {
+      brokeragePerOrder: 20,
+      brokeragePercent: 0.0003,
+      sttBuy: 0,
+      sttSell: 0.0002,
+      exchange: { NSE: 0.0000173, BSE: 0 },
+      stampDutyBuy: 0.00002
+    },
+    EQUITY_INTRADAY: {
+      brokeragePerOrder: 20,
+      brokeragePercent: 0.0003,
+      sttBuy: 0,
+      sttSell: 0.00025,
+      exchange: { NSE: 0.0000297, BSE: 0.0000375 },
+      stampDutyBuy: 0.00003
+    },
+    EQUITY_DELIVERY: {
+      brokeragePerOrder: 0,
+      brokeragePercent: null,
+      sttBuy: 0.001,
+      sttSell: 0.001,
+      exchange: { NSE: 0.0000297, BSE: 0.0000375 },
+      stampDutyBuy: 0.00015
+    }
+  });
+
+  static SEBI_FEE_RATE = 10 / 10000000; // ₹10 per crore
+  static GST_RATE = 0.18;
+
+  /**
+   * Segment a symbol trades in
+   * @param {string} symbol - Symbol (e.g. NSE:NIFTY2571025300CE, NSE:SBIN-EQ)
+   * @param {string} productType - INTRADAY, CNC or MARGIN
+   * @returns {string} Segment
+   */
+  static getSegment(symbol, productType = 'INTRADAY') {
+    const symbolUpper = symbol?.toUpperCase() || '';
+
+    if (/\d(CE|PE)$/.test(symbolUpper)) return 'OPTIONS';
+    if (symbolUpper.endsWith('FUT') || symbolUpper.endsWith('-INDEX')) return 'FUTURES';
+    return productType === 'CNC' ? 'EQUITY_DELIVERY' : 'EQUITY_INTRADAY';
+  }
+
+  /**
+   * Validate the cost settings of a backtest
+   * @param {Object} costs - { enabled, segment, exchange, rates }
+   * @param {number} slippageTicks - Slippage per fill in ticks
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validate(costs, slippageTicks) {
+    const errors = [];
+    if (slippageTicks !== undefined && !(Number(slippageTicks) >= 0)) {
+      errors.push('slippageTicks cannot be negative');
+    }
+    if (!costs) return errors;
+
+    if (costs.segment && !this.SEGMENTS.includes(costs.segment)) {
+      errors.push(`Unsupported cost segment: ${costs.segment}`);
+    }
+    if (costs.exchange && !['NSE', 'BSE'].includes(costs.exchange)) {
+      errors.push(`Unsupported exchange: ${costs.exchange}`);
+    }
+    Object.entries(costs.rates || {}).forEach(([name, value]) => {
+      if (name !== 'exchange' && value !== null && !(Number(value) >= 0)) {
+        errors.push(`Cost rate ${name} cannot be negative`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Complete cost model of a backtest: the symbol's segment and exchange, with rate overrides applied
+   * @param {Object} costs - { enabled (default true), segment, exchange, rates }
+   * @param {string} symbol - Symbol
+   * @param {string} productType - Product type
+   * @returns {Object} { enabled, segment, exchange, rates }
+   */
+  static buildCostModel(costs = {}, symbol, productType = 'INTRADAY') {
+    const segment = costs.segment || this.getSegment(symbol, productType);
+    const exchange = costs.exchange || (String(symbol).toUpperCase().startsWith('BSE:') ? 'BSE' : 'NSE');
+    const base = this.RATES[segment];
+    const overrides = costs.rates || {};
+
+    return {
+      enabled: costs.enabled !== false,
+      segment,
+      exchange,
+      rates: {
+        ...base,
+        ...overrides,
+        exchange: overrides.exchange !== undefined ? Number(overrides.exchange) : base.exchange[exchange]
+      }
+    };
+  }
+
+  /**
+   * Price after slippage: buys fill higher and sells lower by `ticks` ticks
+   * @param {number} price - Price the order would fill at
+   * @param {string} side - 'BUY' or 'SELL'
+   * @param {number} ticks - Slippage in ticks
+   * @param {string} symbol - Symbol (for its tick size)
+   * @returns {number} Fill price
+   */
+  static applySlippage(price, side, ticks, symbol) {
+    if (!ticks) return price;
+    const slippage = Number(ticks) * SymbolService.getTickSizeForSymbol(symbol);
+    return side === 'BUY' ? price + slippage : price - slippage;
+  }
+
+  /**
+   * Charges of a round trip
+   * @param {Object} model - Cost model from buildCostModel
+   * @param {Object} turnover - { buyValue, sellValue, buyOrders, sellOrders }
+   * @returns {Object} { brokerage, stt, exchangeCharges, sebiFees, stampDuty, gst, total }
+   */
+  static calculateCharges(model, { buyValue, sellValue, buyOrders = 1, sellOrders = 1 }) {
+    if (!model.enabled) {
+      return { brokerage: 0, stt: 0, exchangeCharges: 0, sebiFees: 0, stampDuty: 0, gst: 0, total: 0 };
+    }
+
+    const { rates } = model;
+    // Flat fee per executed order, or the percentage of its value when that is lower
+    const orderBrokerage = (value, orders) => {
+      const flat = rates.brokeragePerOrder * orders;
+      return rates.brokeragePercent !== null && rates.brokeragePercent !== undefined
+        ? Math.min(flat, value * rates.brokeragePercent)
+        : flat;
+    };
+    const turnover = buyValue + sellValue;
+
+    const brokerage = orderBrokerage(buyValue, buyOrders) + orderBrokerage(sellValue, sellOrders);
+    const stt = buyValue * rates.sttBuy + sellValue * rates.sttSell;
+    const exchangeCharges = turnover * rates.exchange;
+    const sebiFees = turnover * this.SEBI_FEE_RATE;
+    const stampDuty = buyValue * rates.stampDutyBuy;
+    const gst = (brokerage + exchangeCharges + sebiFees) * this.GST_RATE;
+
+    const round = value => Math.round(value * 100) / 100;
+    const charges = {
+      brokerage: round(brokerage),
+      stt: round(stt),
+      exchangeCharges: round(exchangeCharges),
+      sebiFees: round(sebiFees),
+      stampDuty: round(stampDuty),
+      gst: round(gst)
+    };
+    return { ...charges, total: round(Object.values(charges).reduce((sum, value) => sum + value, 0)) };
+  }
+
+  /**
+   * Add charges to a closed trade: `grossPnL` is the price P&L, `pnl` becomes the net P&L
+   * @param {Object} trade - Trade with entryPrice, quantity and pnl (gross); legs as `fills` when it exited in parts
+   * @param {Object} model - Cost model
+   * @param {number} direction - 1 for long, -1 for short
+   * @returns {Object} The trade (updated in place)
+   */
+  static applyToTrade(trade, model, direction = 1) {
+    const exits = trade.fills && trade.fills.length > 0
+      ? trade.fills
+      : [{ price: trade.exitPrice, quantity: trade.quantity }];
+    const entryValue = trade.entryPrice * trade.quantity;
+    const exitValue = exits.reduce((sum, fill) => sum + fill.price * fill.quantity, 0);
+
+    const charges = this.calculateCharges(model, direction === 1
+      ? { buyValue: entryValue, sellValue: exitValue, buyOrders: 1, sellOrders: exits.length }
+      : { buyValue: exitValue, sellValue: entryValue, buyOrders: exits.length, sellOrders: 1 });
+
+    trade.grossPnL = trade.pnl;
+    trade.charges = charges;
+    trade.netPnL = trade.grossPnL - charges.total;
+    trade.pnl = trade.netPnL;
+    trade.pnlPercentage = entryValue > 0 ? (trade.netPnL / entryValue) * 100 : 0;
+    return trade;
+  }
+
+  /**
+   * Gross P&L, charges and net P&L of a set of trades
+   * @param {Array} trades - Trades with grossPnL and charges
+   * @returns {Object} { grossPnL, totalCharges, netPnL, charges }
+   */
+  static summarize(trades) {
+    const charges = { brokerage: 0, stt: 0, exchangeCharges: 0, sebiFees: 0, stampDuty: 0, gst: 0 };
+    trades.forEach(trade => {
+      Object.keys(charges).forEach(key => { charges[key] += trade.charges?.[key] || 0; });
+    });
+
+    const grossPnL = trades.reduce((sum, t) => sum + (t.grossPnL ?? t.pnl), 0);
+    const totalCharges = trades.reduce((sum, t) => sum + (t.charges?.total || 0), 0);
+    return { grossPnL, totalCharges, netPnL: grossPnL - totalCharges, charges };
+  }
+}
+
+module.exports = { TradingCostService };
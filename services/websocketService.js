@@ -420,13 +420,8 @@ class WebSocketService {
       }
 
       // Ensure token is in correct format (appId:accessToken)
-      let formattedToken = user.fyers.accessToken;
-      if (!user.fyers.accessToken.includes(':')) {
-        // If token doesn't contain ':', add the app ID
-        const appId = process.env.FYERS_APP_ID || 'XJFL311ATX-100';
-        formattedToken = `${appId}:${user.fyers.accessToken}`;
-        console.log(`[WebSocketService] Formatted token with app ID: ${appId}`);
-      }
+      const { BrokerRegistry } = require('./brokers');
+      const formattedToken = BrokerRegistry.getBroker('fyers').formatAccessToken(user.fyers.accessToken);
 
       // Initialize Fyers order WebSocket
       const FyersOrderSocket = require("fyers-api-v3").fyersOrderSocket;
@@ -505,6 +500,21 @@ class WebSocketService {
     }
   }
   
+  /**
+   * Send backtest job status, progress or result to a specific user
+   * @param {string} userId - User ID
+   * @param {Object} job - Job summary
+   */
+  sendBacktestJobUpdate(userId, job) {
+    const ws = this.clients.get(userId);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      this.safeSend(ws, {
+        type: 'backtest_job_update',
+        data: job
+      });
+    }
+  }
+
   /**
    * Broadcast message to all connected clients
    * @param {Object} message - Message to broadcast
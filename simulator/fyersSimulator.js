@@ -0,0 +1,854 @@
+/**
+ * Fyers API Simulator
+ * Local stand-in for the Fyers API v3 REST endpoints and the order WebSocket,
+ * so the trading engine can be exercised after market hours and in CI.
+ *
+ * Prices are scripted per symbol (setPrice / setPricePath) and advanced with tick().
+ * New orders sit in Transit until the exchange accepts them (exchangeLatencyMs), then
+ * rest as Pending and are matched against the LTP on every tick. Rejections and partial
+ * fills can be scripted with addRejection() and setPartialFill().
+ *
+ * Point the app at it with FYERS_SIMULATOR_URL=http://localhost:<port> (see README.md).
+ * There is no market data socket: with the simulator set the market feed stays off and
+ * quotes are polled from /data/depth.
+ * Run standalone with: npm run simulator
+ */
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+
+const LOG_PREFIX = '[FyersSimulator]';
+
+class FyersSimulator {
+  // REST order book codes (same as the real API): 1=Limit, 2=Market, 3=SL-M, 4=SL-L
+  static ORDER_TYPES = {
+    LIMIT: 1,
+    MARKET: 2,
+    SL_MARKET: 3,
+    SL_LIMIT: 4
+  };
+
+  // REST order book statuses: 1=Cancelled, 2=Traded, 4=Transit (not yet at the exchange), 5=Rejected, 6=Pending
+  static STATUS = {
+    CANCELLED: 1,
+    FILLED: 2,
+    TRANSIT: 4,
+    REJECTED: 5,
+    PENDING: 6
+  };
+
+  // Raw OMS statuses sent on the order socket; the SDK maps them back to the REST codes above
+  static SOCKET_STATUS = {
+    1: 91,
+    2: 90,
+    4: 11,
+    5: 92,
+    6: 22
+  };
+
+  /**
+   * @param {Object} options - Simulator options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {boolean} options.verbose - Log every request and order event
+   * @param {number} options.exchangeLatencyMs - Delay between accepting an order and the exchange acting on it
+   */
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.verbose = options.verbose || false;
+    this.exchangeLatencyMs = options.exchangeLatencyMs ?? 100;
+    this.server = null;
+    this.wss = null;
+    this.url = null;
+    this.reset();
+  }
+
+  /**
+   * Clear all prices, orders and scripted behaviour
+   */
+  reset() {
+    this.exchangeTimers?.forEach(timer => clearTimeout(timer));
+    this.exchangeTimers = new Set();
+    this.prices = new Map(); // symbol -> { ltp, open, high, low, close, volume }
+    this.pricePaths = new Map(); // symbol -> remaining scripted prices
+    this.history = new Map(); // symbol -> candles
+    this.orders = new Map();
+    this.rejections = [];
+    this.partialFills = new Map(); // symbol -> quantity filled per tick
+    this.orderSequence = 0;
+    this.availableBalance = 1000000;
+  }
+
+  log(...args) {
+    if (this.verbose) {
+      console.log(LOG_PREFIX, ...args);
+    }
+  }
+
+  /**
+   * Start the HTTP and WebSocket servers
+   * @returns {Promise<string>} Base URL of the simulator
+   */
+  start() {
+    const app = express();
+    app.use(express.json());
+    this.registerControlRoutes(app);
+    app.use((req, res, next) => {
+      this.log(`${req.method} ${req.path}`);
+      if (!this.isAuthorized(req.headers.authorization)) {
+        return res.status(401).json({ s: 'error', code: -16, message: 'Could not authenticate the user' });
+      }
+      next();
+    });
+    this.registerRoutes(app);
+
+    this.server = http.createServer(app);
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => {
+      if (req.url !== '/socket/order' || !this.isAuthorized(req.headers.authorization)) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.handleOrderSocket(ws));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        this.url = `http://127.0.0.1:${this.port}`;
+        console.log(`${LOG_PREFIX} 🧪 Listening on ${this.url}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the servers and drop all socket clients
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    this.exchangeTimers.forEach(timer => clearTimeout(timer));
+    this.exchangeTimers.clear();
+    for (const client of this.wss.clients) {
+      client.terminate();
+    }
+    this.wss.close();
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        console.log(`${LOG_PREFIX} 🛑 Stopped`);
+        resolve();
+      });
+    });
+  }
+
+  // The real API expects "appId:token"; the simulator accepts any token in that shape
+  isAuthorized(authorization) {
+    if (!authorization) return false;
+    const [appId, token] = authorization.split(':');
+    return Boolean(appId && token);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scripting API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Set the current price of a symbol
+   * @param {string} symbol - Fyers symbol (e.g. NSE:NIFTY2571725150CE)
+   * @param {number} ltp - Last traded price
+   */
+  setPrice(symbol, ltp) {
+    const quote = this.prices.get(symbol);
+    if (!quote) {
+      this.prices.set(symbol, { ltp, open: ltp, high: ltp, low: ltp, close: ltp, volume: 0 });
+      return;
+    }
+    quote.ltp = ltp;
+    quote.high = Math.max(quote.high, ltp);
+    quote.low = Math.min(quote.low, ltp);
+    quote.volume += 75;
+  }
+
+  /**
+   * Set a complete quote, e.g. one from a recorded session
+   * @param {string} symbol - Fyers symbol
+   * @param {Object} quote - { ltp, open, high, low, close (previous close), volume }
+   */
+  setQuote(symbol, quote) {
+    this.prices.set(symbol, {
+      ltp: quote.ltp,
+      open: quote.open || quote.ltp,
+      high: quote.high || quote.ltp,
+      low: quote.low || quote.ltp,
+      close: quote.close || quote.ltp,
+      volume: quote.volume || 0
+    });
+  }
+
+  /**
+   * Script the prices a symbol will move through, one per tick()
+   * @param {string} symbol - Fyers symbol
+   * @param {Array<number>} prices - Prices to step through
+   */
+  setPricePath(symbol, prices) {
+    if (!this.prices.has(symbol) && prices.length > 0) {
+      this.setPrice(symbol, prices[0]);
+      prices = prices.slice(1);
+    }
+    this.pricePaths.set(symbol, [...prices]);
+  }
+
+  /**
+   * Set the candles returned by the history endpoint
+   * Without scripted candles the endpoint returns flat candles at the current LTP.
+   * @param {string} symbol - Fyers symbol
+   * @param {Array<Array<number>>} candles - [epochSeconds, open, high, low, close, volume]
+   */
+  setHistory(symbol, candles) {
+    this.history.set(symbol, candles);
+  }
+
+  /**
+   * Reject matching orders
+   * @param {Object} rule - Rejection rule
+   * @param {string} rule.symbol - Only orders for this symbol (optional)
+   * @param {number} rule.side - Only this side, 1 or -1 (optional)
+   * @param {number} rule.type - Only this order type code (optional)
+   * @param {string} rule.stage - 'place' fails the REST call, 'exchange' accepts it and rejects on the socket
+   * @param {string} rule.message - Rejection message
+   * @param {number} rule.code - Error code for 'place' rejections
+   * @param {boolean} rule.once - Remove the rule after it rejects one order (default true)
+   */
+  addRejection(rule) {
+    this.rejections.push({
+      stage: 'exchange',
+      message: 'RED:Order rejected by simulator',
+      code: -99,
+      once: true,
+      ...rule
+    });
+  }
+
+  /**
+   * Fill orders for a symbol in chunks instead of all at once
+   * @param {string} symbol - Fyers symbol
+   * @param {number} qtyPerTick - Quantity filled each time the order is marketable
+   */
+  setPartialFill(symbol, qtyPerTick) {
+    if (qtyPerTick) {
+      this.partialFills.set(symbol, qtyPerTick);
+    } else {
+      this.partialFills.delete(symbol);
+    }
+  }
+
+  /**
+   * Advance every scripted price path by one step and match resting orders
+   * @returns {Object} Current LTP per symbol
+   */
+  tick() {
+    for (const [symbol, path] of this.pricePaths) {
+      if (path.length > 0) {
+        this.setPrice(symbol, path.shift());
+      }
+    }
+    this.matchOrders();
+
+    const ltps = {};
+    for (const [symbol, quote] of this.prices) {
+      ltps[symbol] = quote.ltp;
+    }
+    return ltps;
+  }
+
+  /**
+   * Tick until every scripted price path is exhausted
+   * @param {number} intervalMs - Delay between ticks so socket updates can be processed
+   * @returns {Promise<void>}
+   */
+  async runPricePaths(intervalMs = 0) {
+    while ([...this.pricePaths.values()].some(path => path.length > 0)) {
+      this.tick();
+      if (intervalMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+      }
+    }
+  }
+
+  /**
+   * Get an order in the REST order book shape
+   * @param {string} orderId - Order ID
+   * @returns {Object|undefined} Order
+   */
+  getOrder(orderId) {
+    return this.orders.get(orderId);
+  }
+
+  /**
+   * Get all orders, optionally for one symbol
+   * @param {string} symbol - Fyers symbol (optional)
+   * @returns {Array} Orders
+   */
+  getOrders(symbol = null) {
+    const orders = [...this.orders.values()];
+    return symbol ? orders.filter(order => order.symbol === symbol) : orders;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Order handling
+  // ---------------------------------------------------------------------------
+
+  findRejection(order, stage) {
+    const index = this.rejections.findIndex(rule =>
+      rule.stage === stage &&
+      (!rule.symbol || rule.symbol === order.symbol) &&
+      (!rule.side || rule.side === order.side) &&
+      (!rule.type || rule.type === order.type)
+    );
+    if (index === -1) return null;
+
+    const rule = this.rejections[index];
+    if (rule.once) {
+      this.rejections.splice(index, 1);
+    }
+    return rule;
+  }
+
+  /**
+   * Validate and accept a new order
+   * @param {Object} body - Fyers place_order payload
+   * @returns {Object} { httpStatus, body }
+   */
+  placeOrder(body) {
+    const { ORDER_TYPES, STATUS } = FyersSimulator;
+    const qty = parseInt(body.qty);
+    const type = parseInt(body.type);
+    const side = parseInt(body.side);
+
+    if (!body.symbol || !qty || qty <= 0) {
+      return { httpStatus: 400, body: { s: 'error', code: -50, message: 'Invalid symbol or quantity' } };
+    }
+    if (!Object.values(ORDER_TYPES).includes(type) || ![1, -1].includes(side)) {
+      return { httpStatus: 400, body: { s: 'error', code: -50, message: 'Invalid order type or side' } };
+    }
+    if ((type === ORDER_TYPES.SL_MARKET || type === ORDER_TYPES.SL_LIMIT) && !(body.stopPrice > 0)) {
+      return { httpStatus: 400, body: { s: 'error', code: -50, message: 'StopLoss not a multiple of tick size' } };
+    }
+    if (!this.prices.has(body.symbol)) {
+      return { httpStatus: 400, body: { s: 'error', code: -203, message: 'Invalid symbol' } };
+    }
+
+    const candidate = { symbol: body.symbol, side, type };
+    const placeRejection = this.findRejection(candidate, 'place');
+    if (placeRejection) {
+      return { httpStatus: 400, body: { s: 'error', code: placeRejection.code, message: placeRejection.message } };
+    }
+
+    this.orderSequence++;
+    const order = {
+      id: `SIM${Date.now()}${this.orderSequence}`,
+      symbol: body.symbol,
+      qty,
+      remainingQuantity: qty,
+      filledQty: 0,
+      limitPrice: parseFloat(body.limitPrice) || 0,
+      stopPrice: parseFloat(body.stopPrice) || 0,
+      tradedPrice: 0,
+      type,
+      side,
+      status: STATUS.TRANSIT,
+      message: 'Order placed',
+      productType: body.productType || 'INTRADAY',
+      orderTag: body.orderTag || '',
+      orderDateTime: new Date().toISOString(),
+      triggered: false
+    };
+    this.orders.set(order.id, order);
+    this.log(`Order ${order.id} placed:`, { symbol: order.symbol, qty, type, side, limitPrice: order.limitPrice, stopPrice: order.stopPrice });
+
+    // The exchange acts after the API has responded, so callers always see the order ID first
+    const exchangeRejection = this.findRejection(candidate, 'exchange');
+    this.afterExchangeLatency(() => {
+      if (order.status !== STATUS.TRANSIT) return; // Cancelled while in transit
+      if (exchangeRejection) {
+        this.updateOrder(order, { status: STATUS.REJECTED, message: exchangeRejection.message });
+      } else {
+        this.updateOrder(order, { status: STATUS.PENDING, message: 'Order confirmed by exchange' });
+        this.matchOrder(order);
+      }
+    });
+
+    return { httpStatus: 200, body: { s: 'ok', code: 1101, message: 'Order submitted successfully', id: order.id } };
+  }
+
+  afterExchangeLatency(callback) {
+    const timer = setTimeout(() => {
+      this.exchangeTimers.delete(timer);
+      callback();
+    }, this.exchangeLatencyMs);
+    this.exchangeTimers.add(timer);
+  }
+
+  /**
+   * Modify a pending order
+   * @param {Object} body - Fyers modify_order payload
+   * @returns {Object} { httpStatus, body }
+   */
+  modifyOrder(body) {
+    const order = this.orders.get(body.id);
+    if (!order) {
+      return { httpStatus: 400, body: { s: 'error', code: -52, message: 'Order not found' } };
+    }
+    if (order.status !== FyersSimulator.STATUS.PENDING) {
+      return { httpStatus: 400, body: { s: 'error', code: -52, message: 'Order is not pending and cannot be modified' } };
+    }
+
+    if (body.qty !== undefined) {
+      const qty = parseInt(body.qty);
+      if (qty < order.filledQty) {
+        return { httpStatus: 400, body: { s: 'error', code: -50, message: 'Quantity is below the filled quantity' } };
+      }
+      order.qty = qty;
+      order.remainingQuantity = qty - order.filledQty;
+    }
+    if (body.type !== undefined) order.type = parseInt(body.type);
+    if (body.limitPrice !== undefined) order.limitPrice = parseFloat(body.limitPrice);
+    if (body.stopPrice !== undefined) order.stopPrice = parseFloat(body.stopPrice);
+    order.message = 'Order modified';
+    this.log(`Order ${order.id} modified:`, body);
+
+    this.afterExchangeLatency(() => {
+      this.publishOrder(order);
+      this.matchOrder(order);
+    });
+    return { httpStatus: 200, body: { s: 'ok', code: 1102, message: 'Successfully modified order', id: order.id } };
+  }
+
+  /**
+   * Cancel a pending order
+   * @param {Object} body - Fyers cancel_order payload
+   * @returns {Object} { httpStatus, body }
+   */
+  cancelOrder(body) {
+    const order = this.orders.get(body.id);
+    if (!order) {
+      return { httpStatus: 400, body: { s: 'error', code: -52, message: 'Order not found' } };
+    }
+    if (![FyersSimulator.STATUS.PENDING, FyersSimulator.STATUS.TRANSIT].includes(order.status)) {
+      return { httpStatus: 400, body: { s: 'error', code: -52, message: 'Order is not pending and cannot be cancelled' } };
+    }
+
+    this.updateOrder(order, { status: FyersSimulator.STATUS.CANCELLED, message: 'Cancelled by user' });
+    return { httpStatus: 200, body: { s: 'ok', code: 1103, message: 'Successfully cancelled order', id: order.id } };
+  }
+
+  /**
+   * Whether a pending order can trade at the given LTP
+   * Stop orders trigger once (BUY when LTP >= stop, SELL when LTP <= stop); a triggered
+   * SL-L then behaves like a limit order.
+   * @param {Object} order - Order
+   * @param {number} ltp - Last traded price
+   * @returns {boolean} True if the order is marketable
+   */
+  isMarketable(order, ltp) {
+    const { ORDER_TYPES } = FyersSimulator;
+    const isBuy = order.side === 1;
+
+    if (order.type === ORDER_TYPES.SL_MARKET || order.type === ORDER_TYPES.SL_LIMIT) {
+      if (!order.triggered) {
+        order.triggered = isBuy ? ltp >= order.stopPrice : ltp <= order.stopPrice;
+      }
+      if (!order.triggered) return false;
+      if (order.type === ORDER_TYPES.SL_MARKET) return true;
+    }
+
+    if (order.type === ORDER_TYPES.MARKET) return true;
+    return isBuy ? ltp <= order.limitPrice : ltp >= order.limitPrice;
+  }
+
+  matchOrder(order) {
+    if (order.status !== FyersSimulator.STATUS.PENDING) return;
+
+    const quote = this.prices.get(order.symbol);
+    if (!quote || !this.isMarketable(order, quote.ltp)) return;
+
+    const chunk = this.partialFills.get(order.symbol) || order.remainingQuantity;
+    const fillQty = Math.min(chunk, order.remainingQuantity);
+    this.fillOrder(order, fillQty, quote.ltp);
+  }
+
+  matchOrders() {
+    for (const order of this.orders.values()) {
+      this.matchOrder(order);
+    }
+  }
+
+  fillOrder(order, fillQty, price) {
+    const { STATUS } = FyersSimulator;
+    const previousValue = order.tradedPrice * order.filledQty;
+    const filledQty = order.filledQty + fillQty;
+    const complete = filledQty >= order.qty;
+
+    this.updateOrder(order, {
+      filledQty,
+      remainingQuantity: order.qty - filledQty,
+      tradedPrice: Math.round(((previousValue + price * fillQty) / filledQty) * 100) / 100,
+      status: complete ? STATUS.FILLED : STATUS.PENDING,
+      message: complete ? 'TRADE CONFIRMED' : `Partially filled ${filledQty}/${order.qty}`
+    });
+
+    const value = fillQty * price;
+    this.availableBalance += order.side === 1 ? -value : value;
+  }
+
+  updateOrder(order, changes) {
+    Object.assign(order, changes);
+    this.log(`Order ${order.id} updated:`, changes);
+    this.publishOrder(order);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Order WebSocket
+  // ---------------------------------------------------------------------------
+
+  handleOrderSocket(ws) {
+    ws.subscriptions = new Set();
+    this.log('Order socket client connected');
+
+    ws.on('message', (message) => {
+      const data = message.toString();
+      if (data === 'ping') {
+        ws.send('pong');
+        return;
+      }
+
+      try {
+        const parsed = JSON.parse(data);
+        if (parsed.T === 'SUB_ORD' && Array.isArray(parsed.SLIST)) {
+          parsed.SLIST.forEach(item => ws.subscriptions.add(item));
+          ws.send(JSON.stringify({ s: 'ok', code: 1605, message: `Successfully subscribed to ${parsed.SLIST.join(',')}` }));
+        }
+      } catch (error) {
+        ws.send(JSON.stringify({ s: 'error', code: -1, message: 'Invalid message' }));
+      }
+    });
+  }
+
+  /**
+   * Convert an order to the raw key names the order socket uses
+   * @param {Object} order - Order
+   * @returns {Object} Raw socket payload
+   */
+  toSocketOrder(order) {
+    return {
+      id: order.id,
+      symbol: order.symbol,
+      qty: order.qty,
+      qty_remaining: order.remainingQuantity,
+      qty_filled: order.filledQty,
+      price_limit: order.limitPrice,
+      price_stop: order.stopPrice,
+      price_traded: order.tradedPrice,
+      ord_type: order.type,
+      tran_side: order.side,
+      ord_status: FyersSimulator.SOCKET_STATUS[order.status],
+      oms_msg: order.message,
+      product_type: order.productType,
+      ordertag: order.orderTag,
+      time_oms: order.orderDateTime
+    };
+  }
+
+  publishOrder(order) {
+    if (!this.wss) return;
+
+    const payload = JSON.stringify({ orders: this.toSocketOrder(order) });
+    for (const client of this.wss.clients) {
+      if (client.readyState === WebSocket.OPEN && client.subscriptions.has('orders')) {
+        client.send(payload);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // REST endpoints
+  // ---------------------------------------------------------------------------
+
+  // Unauthenticated /sim/* routes script the simulator from another process (standalone mode)
+  registerControlRoutes(app) {
+    app.post('/sim/prices', (req, res) => {
+      const { symbol, ltp, prices } = req.body;
+      if (!symbol) {
+        return res.status(400).json({ success: false, message: 'symbol is required' });
+      }
+      if (Array.isArray(prices)) {
+        this.setPricePath(symbol, prices);
+      } else {
+        this.setPrice(symbol, parseFloat(ltp));
+        this.matchOrders();
+      }
+      res.json({ success: true, data: this.prices.get(symbol) });
+    });
+
+    app.post('/sim/tick', (req, res) => {
+      res.json({ success: true, data: this.tick() });
+    });
+
+    app.post('/sim/rejections', (req, res) => {
+      this.addRejection(req.body);
+      res.json({ success: true, data: this.rejections });
+    });
+
+    app.post('/sim/partial-fills', (req, res) => {
+      this.setPartialFill(req.body.symbol, parseInt(req.body.qtyPerTick) || 0);
+      res.json({ success: true });
+    });
+
+    app.get('/sim/orders', (req, res) => {
+      res.json({ success: true, data: this.getOrders(req.query.symbol) });
+    });
+
+    app.post('/sim/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+  }
+
+  registerRoutes(app) {
+    const send = (res, result) => res.status(result.httpStatus).json(result.body);
+
+    app.post('/api/v3/orders/sync', (req, res) => send(res, this.placeOrder(req.body)));
+    app.patch('/api/v3/orders/sync', (req, res) => send(res, this.modifyOrder(req.body)));
+    app.delete('/api/v3/orders/sync', (req, res) => send(res, this.cancelOrder(req.body)));
+
+    app.get('/api/v3/orders', (req, res) => {
+      const orderBook = req.query.id ? this.getOrders().filter(order => order.id === req.query.id) : this.getOrders();
+      res.json({ s: 'ok', code: 200, message: '', orderBook: orderBook.map(({ triggered, ...order }) => order) });
+    });
+
+    app.get('/api/v3/tradebook', (req, res) => {
+      res.json({ s: 'ok', code: 200, message: '', tradeBook: this.buildTradeBook() });
+    });
+
+    app.get('/api/v3/positions', (req, res) => {
+      const netPositions = this.buildPositions();
+      const realized = netPositions.reduce((sum, p) => sum + p.realized_profit, 0);
+      const unrealized = netPositions.reduce((sum, p) => sum + p.unrealized_profit, 0);
+      res.json({
+        s: 'ok',
+        code: 200,
+        message: '',
+        netPositions,
+        overall: { count_total: netPositions.length, pl_realized: realized, pl_unrealized: unrealized, pl_total: realized + unrealized }
+      });
+    });
+
+    app.get('/api/v3/funds', (req, res) => {
+      res.json({
+        s: 'ok',
+        code: 200,
+        message: '',
+        fund_limit: [
+          { id: 1, title: 'Total Balance', equityAmount: this.availableBalance, commodityAmount: 0 },
+          { id: 10, title: 'Available Balance', equityAmount: this.availableBalance, commodityAmount: 0 },
+          { id: 2, title: 'Utilized Amount', equityAmount: 0, commodityAmount: 0 }
+        ]
+      });
+    });
+
+    app.get('/api/v3/profile', (req, res) => {
+      res.json({ s: 'ok', code: 200, message: '', data: { fy_id: 'SIM0001', name: 'Fyers Simulator', email_id: 'simulator@example.com' } });
+    });
+
+    app.get('/data/depth', (req, res) => {
+      const symbols = String(req.query.symbol || '').split(',').filter(Boolean);
+      const d = {};
+      for (const symbol of symbols) {
+        const quote = this.prices.get(symbol);
+        if (!quote) continue;
+        const ch = quote.ltp - quote.close;
+        d[symbol] = {
+          ltp: quote.ltp,
+          ch: Math.round(ch * 100) / 100,
+          chp: quote.close ? Math.round((ch / quote.close) * 10000) / 100 : 0,
+          v: quote.volume,
+          o: quote.open,
+          h: quote.high,
+          l: quote.low,
+          c: quote.close,
+          totalbuyqty: 0,
+          totalsellqty: 0,
+          bids: [],
+          ask: []
+        };
+      }
+      res.json({ s: 'ok', code: 200, message: '', d });
+    });
+
+    app.get('/data/quotes', (req, res) => {
+      const symbols = String(req.query.symbols || '').split(',').filter(Boolean);
+      const d = symbols.map(symbol => {
+        const quote = this.prices.get(symbol);
+        if (!quote) {
+          return { n: symbol, s: 'error', v: { errmsg: 'Invalid symbol' } };
+        }
+        const ch = quote.ltp - quote.close;
+        return {
+          n: symbol,
+          s: 'ok',
+          v: {
+            lp: quote.ltp,
+            ch: Math.round(ch * 100) / 100,
+            chp: quote.close ? Math.round((ch / quote.close) * 10000) / 100 : 0,
+            open_price: quote.open,
+            high_price: quote.high,
+            low_price: quote.low,
+            prev_close_price: quote.close,
+            volume: quote.volume,
+            symbol
+          }
+        };
+      });
+      res.json({ s: 'ok', code: 200, message: '', d });
+    });
+
+    app.get('/data/history', (req, res) => {
+      const symbol = req.query.symbol;
+      if (!this.prices.has(symbol) && !this.history.has(symbol)) {
+        return res.status(400).json({ s: 'error', code: -300, message: 'Invalid symbol' });
+      }
+      res.json({ s: 'ok', candles: this.buildHistory(symbol, req.query) });
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ s: 'error', code: -404, message: `Simulator does not implement ${req.method} ${req.path}` });
+    });
+  }
+
+  buildTradeBook() {
+    // One trade per order with a fill; partial fills are reported as their running total
+    return [...this.orders.values()]
+      .filter(order => order.filledQty > 0)
+      .map(order => ({
+        tradeNumber: `${order.id}-T1`,
+        orderNumber: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        tradedQty: order.filledQty,
+        tradePrice: order.tradedPrice,
+        tradeValue: order.filledQty * order.tradedPrice,
+        productType: order.productType,
+        orderDateTime: order.orderDateTime
+      }));
+  }
+
+  buildPositions() {
+    const positions = new Map();
+
+    for (const order of this.orders.values()) {
+      if (order.filledQty === 0) continue;
+
+      const position = positions.get(order.symbol) || { buyQty: 0, buyValue: 0, sellQty: 0, sellValue: 0, productType: order.productType };
+      if (order.side === 1) {
+        position.buyQty += order.filledQty;
+        position.buyValue += order.filledQty * order.tradedPrice;
+      } else {
+        position.sellQty += order.filledQty;
+        position.sellValue += order.filledQty * order.tradedPrice;
+      }
+      positions.set(order.symbol, position);
+    }
+
+    return [...positions.entries()].map(([symbol, p]) => {
+      const ltp = this.prices.get(symbol)?.ltp || 0;
+      const buyAvg = p.buyQty ? p.buyValue / p.buyQty : 0;
+      const sellAvg = p.sellQty ? p.sellValue / p.sellQty : 0;
+      const netQty = p.buyQty - p.sellQty;
+      const closedQty = Math.min(p.buyQty, p.sellQty);
+      const netAvg = netQty > 0 ? buyAvg : netQty < 0 ? sellAvg : 0;
+      const realized = closedQty * (sellAvg - buyAvg);
+      const unrealized = netQty * (ltp - netAvg);
+
+      return {
+        symbol,
+        id: `${symbol}-${p.productType}`,
+        buyQty: p.buyQty,
+        buyAvg: Math.round(buyAvg * 100) / 100,
+        sellQty: p.sellQty,
+        sellAvg: Math.round(sellAvg * 100) / 100,
+        netQty,
+        netAvg: Math.round(netAvg * 100) / 100,
+        side: netQty > 0 ? 1 : netQty < 0 ? -1 : 0,
+        productType: p.productType,
+        ltp,
+        realized_profit: Math.round(realized * 100) / 100,
+        unrealized_profit: Math.round(unrealized * 100) / 100,
+        pl: Math.round((realized + unrealized) * 100) / 100
+      };
+    });
+  }
+
+  /**
+   * Build history candles for a symbol
+   * Scripted candles are filtered to the requested range; otherwise flat candles at the
+   * current LTP are generated for the range (capped at 500 candles).
+   * @param {string} symbol - Fyers symbol
+   * @param {Object} query - History request ({ resolution, date_format, range_from, range_to })
+   * @returns {Array<Array<number>>} Candles
+   */
+  buildHistory(symbol, query) {
+    const toEpoch = (value, endOfDay) => {
+      if (query.date_format === '1') {
+        const date = new Date(`${value}T00:00:00Z`);
+        return Math.floor(date.getTime() / 1000) + (endOfDay ? 86399 : 0);
+      }
+      return parseInt(value);
+    };
+    const from = toEpoch(query.range_from, false);
+    const to = toEpoch(query.range_to, true);
+
+    if (this.history.has(symbol)) {
+      return this.history.get(symbol).filter(candle => candle[0] >= from && candle[0] <= to);
+    }
+
+    const resolution = parseInt(query.resolution) || 5;
+    const step = (query.resolution === 'D' || query.resolution === '1D') ? 86400 : resolution * 60;
+    const ltp = this.prices.get(symbol).ltp;
+    const candles = [];
+    for (let time = Math.max(from, to - step * 499); time <= to; time += step) {
+      candles.push([time, ltp, ltp, ltp, ltp, 0]);
+    }
+    return candles;
+  }
+}
+
+module.exports = { FyersSimulator };
+
+// Standalone mode: npm run simulator
+if (require.main === module) {
+  const simulator = new FyersSimulator({
+    port: parseInt(process.env.FYERS_SIMULATOR_PORT) || 8090,
+    verbose: true
+  });
+
+  const tickInterval = parseInt(process.env.FYERS_SIMULATOR_TICK_MS) || 1000;
+  let tickTimer = null;
+
+  simulator.start().then(url => {
+    console.log(`${LOG_PREFIX} Start the backend with FYERS_SIMULATOR_URL=${url}`);
+    console.log(`${LOG_PREFIX} ⏰ Advancing price paths every ${tickInterval}ms`);
+    tickTimer = setInterval(() => simulator.tick(), tickInterval);
+  });
+
+  const shutdown = () => {
+    clearInterval(tickTimer);
+    simulator.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
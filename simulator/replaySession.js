@@ -0,0 +1,422 @@
+/**
+ * Session Replay
+ * Feeds a session recorded by services/marketRecorderService.js through MarketService and the
+ * monitoring cycle against the local Fyers simulator, at 1x to 100x speed, so the monitoring
+ * state machine can be re-run on a day's ticks after the fact:
+ * - recorded quotes become the simulator's prices, which MarketService fetches like live quotes
+ * - the recorded user's monitored symbols and strategies are loaded into a dedicated replay user;
+ *   symbols the user added or removed during the day are added and removed at the same time
+ * - recorded HMA values are applied as the HMA scheduler applied them (MonitoringService.applyHMAValue)
+ * - every 5 recorded seconds the monitoring cycle runs as MonitoringScheduler runs it, with the
+ *   recorded time as its clock; LIVE symbols trade with the simulator, PAPER symbols with the
+ *   paper broker
+ * - the recorded order events are printed as they pass and listed next to the replay's orders
+ *   at the end
+ *
+ * Positions that were open when the replay starts are not carried over, and orders that were
+ * already working when a state snapshot was taken do not exist in the simulator. Delays inside
+ * the engine and the simulator (the 5-second wait before an SL-L goes out, exchange latency) run
+ * on the wall clock, so they cover more recorded time at higher speeds.
+ *
+ * Needs a MongoDB instance. Like the scenario runner it uses SIMULATOR_MONGODB_URI (default
+ * mongodb://127.0.0.1:27017/victory_simulator) and never writes to MONGODB_URI. The replay user's
+ * trading state and trade logs are left there for inspection and cleared by the next replay.
+ *
+ * Usage:
+ *   npm run replay -- 2025-07-17 --speed 20
+ *   npm run replay -- recordings/2025-07-17.jsonl.gz --user <userId> --from 09:30 --to 11:00
+ *   npm run replay -- 2025-07-17 --mongo    (MARKET_RECORDER=mongo; reads RECORDING_MONGODB_URI or MONGODB_URI)
+ */
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const { FyersSimulator } = require('./fyersSimulator');
+const { MarketRecorderService } = require('../services/marketRecorderService');
+
+const LOG_PREFIX = '[SessionReplay]';
+const MONGODB_URI = process.env.SIMULATOR_MONGODB_URI || 'mongodb://127.0.0.1:27017/victory_simulator';
+const REPLAY_EMAIL = 'replay@victory.local';
+const STEP_MS = 1000; // Recorded time advanced per step
+const CYCLE_MS = 5000; // Monitoring cycle interval, as in MonitoringScheduler
+const MIN_SPEED = 1;
+const MAX_SPEED = 100;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USAGE = 'Usage: npm run replay -- <session date | recording file> [--speed 1-100] [--user <userId>] [--from HH:MM] [--to HH:MM] [--mongo]';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function formatTime(time) {
+  return new Date(time + IST_OFFSET_MS).toISOString().slice(11, 19);
+}
+
+/**
+ * Resolve an IST clock time on the day of a recorded event
+ * @param {number} reference - Any time on the session day (epoch milliseconds)
+ * @param {string} clock - HH:MM (IST)
+ * @returns {number} Epoch milliseconds
+ */
+function atSessionTime(reference, clock) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(clock);
+  if (!match) {
+    throw new Error(`Invalid time ${clock}, expected HH:MM (IST)`);
+  }
+  const dayStart = Math.floor((reference + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+  return dayStart + (parseInt(match[1]) * 60 + parseInt(match[2])) * 60 * 1000;
+}
+
+function parseArgs(argv) {
+  const options = { source: null, speed: 10, user: null, from: null, to: null, mongo: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--mongo') options.mongo = true;
+    else if (arg === '--speed') options.speed = parseFloat(argv[++i]);
+    else if (arg === '--user') options.user = argv[++i];
+    else if (arg === '--from') options.from = argv[++i];
+    else if (arg === '--to') options.to = argv[++i];
+    else options.source = arg;
+  }
+  return options;
+}
+
+/**
+ * Read the recorded events from a file, the recording directory or MongoDB
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<Array<Object>>} Events in time order
+ */
+async function loadEvents(options) {
+  if (options.mongo) {
+    const uri = process.env.RECORDING_MONGODB_URI || process.env.MONGODB_URI;
+    if (!uri) {
+      throw new Error('Set RECORDING_MONGODB_URI or MONGODB_URI to read recordings from MongoDB');
+    }
+    // Read-only connection to the recording database; the replay itself runs on MONGODB_URI above
+    const connection = await mongoose.createConnection(uri).asPromise();
+    try {
+      const model = connection.model('MarketRecording', require('../models/MarketRecording').schema);
+      return await MarketRecorderService.readSession({ session: options.source, model });
+    } finally {
+      await connection.close();
+    }
+  }
+
+  if (options.source.endsWith('.gz')) {
+    return MarketRecorderService.readSession({ file: path.resolve(options.source) });
+  }
+  return MarketRecorderService.readSession({ session: options.source });
+}
+
+async function getReplayUser() {
+  const User = require('../models/User');
+
+  let user = await User.findOne({ email: REPLAY_EMAIL });
+  if (!user) {
+    user = new User({
+      fullName: 'Session Replay',
+      email: REPLAY_EMAIL,
+      password: 'replay-only'
+    });
+  }
+  user.fyers = { accessToken: 'simulator-token', refreshToken: null, profile: null, connected: true };
+  await user.save();
+  return user;
+}
+
+async function resetUserData(userId) {
+  const TradingState = require('../models/TradingState');
+  const TradeLog = require('../models/TradeLog');
+  const Strategy = require('../models/Strategy');
+
+  await TradingState.deleteMany({ userId });
+  await TradeLog.deleteMany({ userId });
+  await Strategy.deleteMany({ userId });
+}
+
+class SessionReplay {
+  /**
+   * @param {Object} options - Replay options
+   * @param {FyersSimulator} options.simulator - Running simulator
+   * @param {Object} options.user - Replay user
+   * @param {string} options.recordedUserId - User whose monitoring is replayed
+   * @param {number} options.speed - Recorded seconds per wall-clock second
+   */
+  constructor({ simulator, user, recordedUserId, speed }) {
+    this.simulator = simulator;
+    this.userId = user._id;
+    this.recordedUserId = recordedUserId;
+    this.speed = speed;
+    this.recordedSymbolIds = null; // Symbol IDs of the last applied state snapshot
+    this.recordedOrders = new Map(); // orderId -> recorded order summary
+    this.replayOrders = new Map(); // orderId -> { time, order, paper }
+    this.stats = { quotes: 0, hma: 0, states: 0, orderEvents: 0, cycles: 0 };
+  }
+
+  async applyEvent(event) {
+    if (event.type === 'quote') {
+      this.simulator.setQuote(event.symbol, event);
+      this.stats.quotes++;
+      return;
+    }
+    if (event.userId !== this.recordedUserId) return;
+
+    if (event.type === 'state') await this.applyState(event);
+    else if (event.type === 'hma') await this.applyHMA(event);
+    else if (event.type === 'order') this.recordOrderEvent(event);
+  }
+
+  /**
+   * Load a monitoring state snapshot: the first one as is, later ones only for the symbols
+   * the user added or removed since the previous snapshot (entries and exits are the replay's own)
+   * @param {Object} event - Recorded state event
+   */
+  async applyState(event) {
+    const TradingState = require('../models/TradingState');
+    const Strategy = require('../models/Strategy');
+
+    for (const strategy of event.strategies || []) {
+      await Strategy.replaceOne({ _id: strategy._id }, { ...strategy, userId: this.userId }, { upsert: true });
+    }
+
+    const recordedIds = new Set(event.monitoredSymbols.map(symbol => symbol.id));
+    const state = await TradingState.findOne({ userId: this.userId });
+    if (!state) {
+      await TradingState.create({
+        userId: this.userId,
+        monitoredSymbols: event.monitoredSymbols,
+        activePositions: [],
+        tradeExecutionState: { isMonitoring: event.isMonitoring, lastMarketDataUpdate: new Date(event.t), totalPnL: 0 }
+      });
+    } else {
+      const previousIds = this.recordedSymbolIds;
+      const currentIds = new Set(state.monitoredSymbols.map(symbol => symbol.id));
+      state.monitoredSymbols = state.monitoredSymbols.filter(symbol => recordedIds.has(symbol.id) || !previousIds.has(symbol.id));
+      for (const symbol of event.monitoredSymbols) {
+        if (!previousIds.has(symbol.id) && !currentIds.has(symbol.id)) {
+          state.monitoredSymbols.push(symbol);
+        }
+      }
+      state.tradeExecutionState.isMonitoring = event.isMonitoring;
+      await state.save();
+    }
+
+    this.recordedSymbolIds = recordedIds;
+    this.stats.states++;
+    console.log(`${LOG_PREFIX} 📋 ${formatTime(event.t)} monitoring ${recordedIds.size} symbols${event.isMonitoring ? '' : ' (monitoring stopped)'}`);
+  }
+
+  async applyHMA(event) {
+    const TradingState = require('../models/TradingState');
+    const { MonitoringService } = require('../services/monitoringService');
+
+    const state = await TradingState.findOne({ userId: this.userId });
+    const symbol = state && state.monitoredSymbols.find(s => s.id === event.symbolId);
+    if (!symbol) return;
+
+    await MonitoringService.applyHMAValue(symbol, {
+      currentHMA: event.hmaValue,
+      provisionalHMA: event.provisionalHmaValue,
+      lastUpdate: new Date(event.t)
+    }, this.userId);
+    this.stats.hma++;
+  }
+
+  recordOrderEvent(event) {
+    this.stats.orderEvents++;
+    console.log(`${LOG_PREFIX} 📼 ${formatTime(event.t)} recorded ${event.event} ${event.orderId || ''} ${event.symbol || ''} ${event.status || event.message || ''}`.replace(/\s+/g, ' ').trim());
+
+    if (event.event === 'PLACE' || event.event === 'PLACE_FAILED') {
+      this.recordedOrders.set(event.orderId || `${event.event}-${event.t}`, {
+        time: event.t,
+        symbol: event.symbol,
+        side: event.side,
+        limitPrice: event.limitPrice ?? event.price,
+        stopPrice: event.stopPrice || 0,
+        status: event.event === 'PLACE' ? 'PLACED' : `FAILED (${event.message})`,
+        fillPrice: null
+      });
+      return;
+    }
+
+    const order = this.recordedOrders.get(event.orderId);
+    if (!order) return;
+    if (event.event === 'STATUS') {
+      order.status = event.status;
+      order.fillPrice = event.fillPrice ?? order.fillPrice;
+    } else if (event.event === 'CANCEL' && event.success) {
+      order.status = 'CANCELLED';
+    } else if (event.event === 'MODIFY' && event.success) {
+      order.limitPrice = event.changes.limitPrice ?? order.limitPrice;
+      order.stopPrice = event.changes.stopPrice ?? order.stopPrice;
+    }
+  }
+
+  // Note the recorded time at which each simulator and paper order first appeared
+  trackReplayOrders(time) {
+    const { PaperBrokerService } = require('../services/paperBrokerService');
+    const orders = [
+      ...this.simulator.getOrders().map(order => ({ order, paper: false })),
+      ...PaperBrokerService.getOrders(this.userId).map(order => ({ order, paper: true }))
+    ];
+    for (const { order, paper } of orders) {
+      if (this.replayOrders.has(order.id)) continue;
+      this.replayOrders.set(order.id, { time, order, paper });
+      console.log(`${LOG_PREFIX} 🧪 ${formatTime(time)} replay placed ${order.id} ${order.symbol}`);
+    }
+  }
+
+  async runCycle(now) {
+    const { MonitoringService } = require('../services/monitoringService');
+    const { RiskService } = require('../services/riskService');
+
+    try {
+      await MonitoringService.executeMonitoringCycle(this.userId, now);
+      await MonitoringService.updateActivePositions(this.userId);
+      await RiskService.evaluateAccountRisk(this.userId);
+      this.stats.cycles++;
+    } catch (error) {
+      console.error(`${LOG_PREFIX} ❌ Monitoring cycle at ${formatTime(now.getTime())} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Step through recorded time from `from` to `to`
+   * @param {Array<Object>} events - Recorded events in time order
+   * @param {number} from - Start (epoch milliseconds); earlier events are applied without cycles
+   * @param {number} to - End (epoch milliseconds)
+   */
+  async run(events, from, to) {
+    const { MarketService } = require('../services/marketService');
+    const { PaperBrokerService } = require('../services/paperBrokerService');
+
+    let index = 0;
+    while (index < events.length && events[index].t < from) {
+      await this.applyEvent(events[index++]);
+    }
+
+    let nextCycle = from;
+    for (let clock = from; clock <= to; clock += STEP_MS) {
+      const stepStartedAt = Date.now();
+
+      while (index < events.length && events[index].t <= clock) {
+        await this.applyEvent(events[index++]);
+      }
+
+      // Resting orders match against the new prices; quotes must not come from the cache
+      this.simulator.tick();
+      MarketService.marketDataCache.quotes.clear();
+      await PaperBrokerService.checkPendingOrders();
+
+      if (clock >= nextCycle) {
+        await this.runCycle(new Date(clock));
+        nextCycle += CYCLE_MS;
+      }
+      this.trackReplayOrders(clock);
+
+      const wait = STEP_MS / this.speed - (Date.now() - stepStartedAt);
+      if (wait > 0) await sleep(wait);
+    }
+  }
+
+  async printSummary() {
+    const TradingState = require('../models/TradingState');
+    const statusNames = Object.fromEntries(Object.entries(FyersSimulator.STATUS).map(([name, code]) => [code, name]));
+
+    console.log(`\n${LOG_PREFIX} 📼 Recorded orders (${this.recordedOrders.size}):`);
+    for (const order of this.recordedOrders.values()) {
+      console.log(`  ${formatTime(order.time)} ${order.side} ${order.symbol} limit ${order.limitPrice} stop ${order.stopPrice} → ${order.status}${order.fillPrice ? ` @ ${order.fillPrice}` : ''}`);
+    }
+
+    console.log(`\n${LOG_PREFIX} 🧪 Replay orders (${this.replayOrders.size}):`);
+    for (const { time, order, paper } of this.replayOrders.values()) {
+      const side = paper ? order.side : (order.side === 1 ? 'BUY' : 'SELL');
+      const status = paper ? order.status : statusNames[order.status];
+      const fillPrice = paper ? order.fillPrice : order.tradedPrice;
+      console.log(`  ${formatTime(time)} ${side} ${order.symbol} limit ${order.limitPrice} stop ${order.stopPrice} → ${status}${fillPrice ? ` @ ${fillPrice}` : ''}${paper ? ' (paper)' : ''}`);
+    }
+
+    const state = await TradingState.findOne({ userId: this.userId });
+    console.log(`\n${LOG_PREFIX} 🧾 Final replay state:`);
+    for (const symbol of state?.monitoredSymbols || []) {
+      console.log(`  monitoring ${symbol.symbol}: ${symbol.triggerStatus}${symbol.orderId ? `, order ${symbol.orderId} ${symbol.orderStatus}` : ''}`);
+    }
+    for (const position of state?.activePositions || []) {
+      console.log(`  position ${position.symbol}: ${position.status}, entry ${position.boughtPrice}, stop ${position.stopLoss}, target ${position.target}`);
+    }
+    console.log(`  P&L ${state?.tradeExecutionState?.totalPnL ?? 0}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.source) {
+    console.error(`${LOG_PREFIX} ${USAGE}`);
+    process.exit(1);
+  }
+  if (!(options.speed >= MIN_SPEED && options.speed <= MAX_SPEED)) {
+    console.error(`${LOG_PREFIX} ❌ Speed must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+    process.exit(1);
+  }
+
+  const events = await loadEvents(options);
+  if (events.length === 0) {
+    throw new Error(`Recording ${options.source} has no events`);
+  }
+
+  const firstState = events.find(event => event.type === 'state' && event.monitoredSymbols.length > 0);
+  const recordedUserId = options.user || (firstState && firstState.userId);
+  if (!recordedUserId) {
+    throw new Error('No monitoring state was recorded in this session; pass --user to pick a user');
+  }
+
+  const from = options.from ? atSessionTime(events[0].t, options.from) : events[0].t;
+  const to = options.to ? atSessionTime(events[0].t, options.to) : events[events.length - 1].t;
+  if (to <= from) {
+    throw new Error(`Nothing to replay between ${formatTime(from)} and ${formatTime(to)}`);
+  }
+  console.log(`${LOG_PREFIX} ▶️  Replaying ${events.length} events for user ${recordedUserId}, ${formatTime(from)} to ${formatTime(to)} IST at ${options.speed}x`);
+
+  // Exchange events lag the API response, as on the real exchange (see runScenarios.js)
+  const simulator = new FyersSimulator({ exchangeLatencyMs: 500 });
+  const simulatorUrl = await simulator.start();
+
+  // Must be set before any app module loads fyersService
+  process.env.FYERS_SIMULATOR_URL = simulatorUrl;
+  require('../fyersService');
+
+  await mongoose.connect(MONGODB_URI);
+  console.log(`${LOG_PREFIX} ✅ Connected to MongoDB at ${MONGODB_URI}`);
+
+  const user = await getReplayUser();
+  await resetUserData(user._id);
+
+  const { fyersWebSocketService } = require('../services/fyersWebSocketService');
+  fyersWebSocketService.initialize({ emit: () => {} });
+  fyersWebSocketService.connectWithToken(user.fyers.accessToken);
+  const deadline = Date.now() + 10000;
+  while (!fyersWebSocketService.isConnected) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the order socket to connect');
+    await sleep(100);
+  }
+
+  const replay = new SessionReplay({ simulator, user, recordedUserId, speed: options.speed });
+  const startedAt = Date.now();
+  await replay.run(events, from, to);
+
+  // Let the last order updates arrive before reading the final state
+  await sleep(1000);
+  const elapsed = (Date.now() - startedAt) / 1000;
+  console.log(`\n${LOG_PREFIX} 📊 Replayed ${formatTime(from)}-${formatTime(to)} in ${elapsed.toFixed(1)}s (${((to - from) / 1000 / elapsed).toFixed(1)}x):`, replay.stats);
+  await replay.printSummary();
+
+  await mongoose.disconnect();
+  await simulator.stop();
+
+  // The Fyers order socket keeps its own ping timer, so exit explicitly
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`${LOG_PREFIX} ❌ Replay failed:`, error);
+  process.exit(1);
+});
@@ -0,0 +1,250 @@
+/**
+ * Simulator Scenario Runner
+ * Runs the order lifecycle scenarios in simulator/scenarios against a local Fyers simulator,
+ * so they can run after market hours and in CI. Exits with code 1 if any scenario fails.
+ *
+ * Needs a running MongoDB instance (CI must provide one, e.g. a mongo service container).
+ * Scenarios use a dedicated simulator user and database (SIMULATOR_MONGODB_URI, default
+ * mongodb://127.0.0.1:27017/victory_simulator) and never touch MONGODB_URI.
+ * Scenarios marked `offline: true` are pure calculations: they run first, with only `assert`,
+ * and the simulator and MongoDB are started only when an order lifecycle scenario is selected.
+ *
+ * Usage:
+ *   npm test
+ *   npm test -- market-order partial-fill
+ *   npm run test:offline            (offline scenarios only, no MongoDB needed)
+ */
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { FyersSimulator } = require('./fyersSimulator');
+
+const LOG_PREFIX = '[SimulatorScenarios]';
+const MONGODB_URI = process.env.SIMULATOR_MONGODB_URI || 'mongodb://127.0.0.1:27017/victory_simulator';
+const SIMULATOR_EMAIL = 'simulator@victory.local';
+const SCENARIO_TIMEOUT = 60000;
+
+/**
+ * Poll until a condition returns a truthy value
+ * @param {Function} condition - Sync or async function
+ * @param {string} description - Shown in the timeout error
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<*>} The truthy value returned by the condition
+ */
+async function waitFor(condition, description, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await condition();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out after ${timeoutMs}ms waiting for ${description}`);
+}
+
+function loadScenarios(filter) {
+  const dir = path.join(__dirname, 'scenarios');
+  const scenarios = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => require(path.join(dir, file)));
+
+  return filter.length > 0 ? scenarios.filter(s => filter.includes(s.name)) : scenarios;
+}
+
+async function getSimulatorUser() {
+  const User = require('../models/User');
+
+  let user = await User.findOne({ email: SIMULATOR_EMAIL });
+  if (!user) {
+    user = new User({
+      fullName: 'Fyers Simulator',
+      email: SIMULATOR_EMAIL,
+      password: 'simulator-only'
+    });
+  }
+  user.fyers = { accessToken: 'simulator-token', refreshToken: null, profile: null, connected: true };
+  await user.save();
+  return user;
+}
+
+/**
+ * Build the context passed to each scenario
+ * @param {FyersSimulator} simulator - Running simulator
+ * @param {Object} user - Simulator user
+ * @returns {Object} Scenario context
+ */
+function createContext(simulator, user) {
+  const TradingState = require('../models/TradingState');
+  const TradeLog = require('../models/TradeLog');
+  const { MarketService } = require('../services/marketService');
+
+  return {
+    simulator,
+    user,
+    userId: user._id,
+    assert,
+    waitFor,
+
+    /**
+     * Create a fresh trading state with monitoring switched on
+     * @param {Array} monitoredSymbols - Monitored symbol entries
+     */
+    async createTradingState(monitoredSymbols = []) {
+      await TradingState.deleteMany({ userId: user._id });
+      return TradingState.create({
+        userId: user._id,
+        monitoredSymbols,
+        activePositions: [],
+        tradeExecutionState: { isMonitoring: true, lastMarketDataUpdate: new Date(), totalPnL: 0 }
+      });
+    },
+
+    getTradingState() {
+      return TradingState.findOne({ userId: user._id });
+    },
+
+    getTradeLogs(orderId) {
+      return TradeLog.find({ userId: user._id, orderId }).sort({ timestamp: 1 });
+    },
+
+    // Quotes are cached for a few seconds; scenarios move prices faster than that
+    clearQuoteCache() {
+      MarketService.marketDataCache.quotes.clear();
+    },
+
+    /**
+     * Advance the simulator one price step and give socket updates time to be processed
+     * @param {number} settleMs - Delay after the tick
+     */
+    async tick(settleMs = 300) {
+      const ltps = simulator.tick();
+      MarketService.marketDataCache.quotes.clear();
+      await new Promise(resolve => setTimeout(resolve, settleMs));
+      return ltps;
+    }
+  };
+}
+
+async function resetUserData(userId) {
+  const TradingState = require('../models/TradingState');
+  const TradeLog = require('../models/TradeLog');
+
+  await TradingState.deleteMany({ userId });
+  await TradeLog.deleteMany({ userId });
+}
+
+async function runScenario(scenario, context) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Scenario timed out after ${SCENARIO_TIMEOUT}ms`)), SCENARIO_TIMEOUT);
+  });
+
+  try {
+    await Promise.race([scenario.run(context), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run one scenario and record its result
+ * @param {Object} scenario - Scenario module
+ * @param {Object} context - Scenario context
+ * @param {Array} results - Results so far (appended to)
+ */
+async function runAndRecord(scenario, context, results) {
+  console.log(`\n${LOG_PREFIX} ▶️  ${scenario.name}: ${scenario.description}`);
+  console.log('='.repeat(80));
+
+  const startedAt = Date.now();
+  try {
+    await runScenario(scenario, context);
+    results.push({ name: scenario.name, passed: true, duration: Date.now() - startedAt });
+    console.log(`${LOG_PREFIX} ✅ ${scenario.name} passed`);
+  } catch (error) {
+    results.push({ name: scenario.name, passed: false, duration: Date.now() - startedAt, error });
+    console.error(`${LOG_PREFIX} ❌ ${scenario.name} failed:`, error.message);
+  }
+}
+
+/**
+ * Run the order lifecycle scenarios against the simulator, MongoDB and the order socket
+ * @param {Array} scenarios - Scenarios that are not offline
+ * @param {Array} results - Results so far (appended to)
+ */
+async function runLifecycleScenarios(scenarios, results) {
+  // Exchange events lag the API response, as on the real exchange, so the engine has
+  // persisted the order ID by the time a fill or rejection arrives on the socket
+  const simulator = new FyersSimulator({ exchangeLatencyMs: 500 });
+  const simulatorUrl = await simulator.start();
+
+  // Must be set before any app module loads fyersService
+  process.env.FYERS_SIMULATOR_URL = simulatorUrl;
+  require('../fyersService');
+
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  } catch (error) {
+    console.error(`${LOG_PREFIX} ❌ MongoDB is required at ${MONGODB_URI} - start one or set SIMULATOR_MONGODB_URI`);
+    await simulator.stop();
+    throw error;
+  }
+  console.log(`${LOG_PREFIX} ✅ Connected to MongoDB at ${MONGODB_URI}`);
+
+  const user = await getSimulatorUser();
+  const { fyersWebSocketService } = require('../services/fyersWebSocketService');
+  fyersWebSocketService.initialize({ emit: () => {} });
+  fyersWebSocketService.connectWithToken(user.fyers.accessToken);
+  await waitFor(() => fyersWebSocketService.isConnected, 'the order socket to connect');
+
+  for (const scenario of scenarios) {
+    simulator.reset();
+    await resetUserData(user._id);
+    await runAndRecord(scenario, createContext(simulator, user), results);
+
+    // Let delayed work from the scenario (e.g. the 5s SL-L placement) drain before the next one
+    await new Promise(resolve => setTimeout(resolve, scenario.drainMs || 500));
+  }
+
+  await resetUserData(user._id);
+  await mongoose.disconnect();
+  await simulator.stop();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const offlineOnly = args.includes('--offline');
+  const filter = args.filter(arg => arg !== '--offline');
+  const scenarios = loadScenarios(filter).filter(scenario => !offlineOnly || scenario.offline);
+  if (scenarios.length === 0) {
+    console.error(`${LOG_PREFIX} ❌ No scenarios matched ${args.join(', ')}`);
+    process.exit(1);
+  }
+
+  const results = [];
+  for (const scenario of scenarios.filter(s => s.offline)) {
+    await runAndRecord(scenario, { assert }, results);
+  }
+
+  const lifecycleScenarios = scenarios.filter(s => !s.offline);
+  if (lifecycleScenarios.length > 0) {
+    await runLifecycleScenarios(lifecycleScenarios, results);
+  }
+
+  console.log(`\n${LOG_PREFIX} 📊 Results:`);
+  results.forEach(result => {
+    console.log(`  ${result.passed ? '✅' : '❌'} ${result.name} (${result.duration}ms)${result.passed ? '' : ` - ${result.error.message}`}`);
+  });
+
+  const failed = results.filter(result => !result.passed).length;
+  console.log(`\n${LOG_PREFIX} ${results.length - failed}/${results.length} scenarios passed`);
+
+  // The Fyers order socket keeps its own ping timer, so exit explicitly
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(`${LOG_PREFIX} ❌ Scenario run failed:`, error);
+  process.exit(1);
+});
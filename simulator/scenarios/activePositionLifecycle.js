@@ -0,0 +1,90 @@
+/**
+ * Active position lifecycle scenario (offline version of test-active-position-lifecycle.js)
+ * Entry fill -> active position -> SL-L protection order -> stop loss hit -> position closed.
+ */
+const { MonitoringService } = require('../../services/monitoringService');
+const { FyersSimulator } = require('../fyersSimulator');
+
+const SYMBOL = 'NSE:NIFTY2571725150CE';
+
+module.exports = {
+  name: 'active-position-lifecycle',
+  description: 'Filled entry opens a position, places its SL-L and closes when the stop is hit',
+
+  async run({ simulator, userId, assert, waitFor, createTradingState, getTradingState, getTradeLogs, tick }) {
+    simulator.setPrice(SYMBOL, 95);
+
+    await createTradingState([{
+      id: 'sim-lifecycle',
+      symbol: SYMBOL,
+      type: 'CE',
+      lots: 1,
+      targetPoints: 40,
+      stopLossPoints: 10,
+      productType: 'INTRADAY',
+      tradingMode: 'LIVE',
+      hmaValue: 100,
+      triggerStatus: 'WAITING_FOR_ENTRY'
+    }]);
+
+    const placed = await MonitoringService.placeLimitOrderForSymbol('sim-lifecycle', userId);
+    assert.ok(placed.success, `entry order should be placed: ${placed.message}`);
+
+    const entry = simulator.getOrder(placed.data.orderId);
+    assert.strictEqual(entry.type, FyersSimulator.ORDER_TYPES.SL_LIMIT);
+    assert.strictEqual(entry.side, 1);
+    await waitFor(() => entry.status === FyersSimulator.STATUS.PENDING, 'the exchange to accept the entry');
+
+    // LTP crosses the 99.5 trigger and fills inside the 100 limit
+    simulator.setPricePath(SYMBOL, [97, 99.8]);
+    await tick();
+    await tick();
+    assert.strictEqual(entry.status, FyersSimulator.STATUS.FILLED);
+
+    let position = await waitFor(async () => {
+      const state = await getTradingState();
+      return state.activePositions.find(p => p.buyOrderId === entry.id);
+    }, 'the entry fill to open a position');
+    assert.strictEqual(position.status, 'Active');
+    assert.strictEqual(position.boughtPrice, 99.8);
+    assert.ok(Math.abs(position.stopLoss - 89.8) < 0.01, `stop loss should be 89.8, got ${position.stopLoss}`);
+
+    const state = await getTradingState();
+    assert.ok(!state.monitoredSymbols.some(s => s.id === 'sim-lifecycle'), 'symbol should leave monitoring once entered');
+
+    // The SL-L protection order goes out 5 seconds after the fill
+    position = await waitFor(async () => {
+      const current = await getTradingState();
+      const active = current.activePositions.find(p => p.buyOrderId === entry.id);
+      return active && active.sellOrderId && active;
+    }, 'the SL-L protection order', 10000);
+
+    const stopOrder = simulator.getOrder(position.sellOrderId);
+    assert.ok(stopOrder, 'SL-L order should reach the simulator');
+    assert.strictEqual(stopOrder.type, FyersSimulator.ORDER_TYPES.SL_LIMIT);
+    assert.strictEqual(stopOrder.side, -1);
+    assert.ok(Math.abs(stopOrder.limitPrice - 89.8) < 0.01, `SL-L limit should be 89.8, got ${stopOrder.limitPrice}`);
+    assert.ok(Math.abs(stopOrder.stopPrice - 90.3) < 0.01, `SL-L trigger should be 90.3, got ${stopOrder.stopPrice}`);
+    await waitFor(() => stopOrder.status === FyersSimulator.STATUS.PENDING, 'the exchange to accept the SL-L');
+
+    // Price falls through the trigger: the exchange fills the SL-L, then LTP breaches the stop loss
+    simulator.setPricePath(SYMBOL, [92, 90.1, 89.5]);
+    await tick();
+    assert.strictEqual(stopOrder.status, FyersSimulator.STATUS.PENDING, 'SL-L should wait for its trigger');
+    await tick();
+    assert.strictEqual(stopOrder.status, FyersSimulator.STATUS.FILLED);
+    assert.strictEqual(stopOrder.tradedPrice, 90.1);
+    await tick();
+
+    const result = await MonitoringService.updateActivePositions(userId);
+    assert.strictEqual(result.closed, 1, 'stop loss hit should close the position');
+
+    const closedState = await getTradingState();
+    assert.ok(!closedState.activePositions.some(p => p.buyOrderId === entry.id), 'closed position should be removed');
+
+    await waitFor(async () => {
+      const logs = await getTradeLogs(stopOrder.id);
+      return logs.some(log => log.status === 'FILLED');
+    }, 'the SL-L trade log to be marked FILLED');
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Indicator streaming scenario
+ * The running calculators must give the same numbers as the batch calculations: streaming HMA-55
+ * matches HMAService.calculateHMA value for value, and preview(candle) of a forming candle is
+ * exactly what update(candle) returns once it closes.
+ */
+const { IndicatorService } = require('../../services/indicatorService');
+const { HMAService } = require('../../services/hmaService');
+
+const CANDLE_COUNT = 300;
+const PREVIEW_TYPES = ['RSI', 'MACD', 'ADX', 'SUPERTREND', 'HMA'];
+
+/**
+ * Deterministic 5-minute candles: a trending, oscillating walk so every indicator warms up
+ * and changes direction
+ * @param {number} count - Candles
+ * @returns {Array<Object>} Candles
+ */
+function buildCandles(count) {
+  const start = Date.UTC(2025, 6, 17, 3, 45);
+  const candles = [];
+  let close = 100;
+  for (let i = 0; i < count; i++) {
+    const open = close;
+    close = Math.round((open + Math.sin(i / 7) * 1.5 + Math.cos(i / 3) * 0.8 + 0.05) * 20) / 20;
+    candles.push({
+      timestamp: start + i * 5 * 60 * 1000,
+      open,
+      high: Math.max(open, close) + 0.35 + (i % 4) * 0.1,
+      low: Math.min(open, close) - 0.3 - (i % 3) * 0.1,
+      close,
+      volume: 1000 + (i % 11) * 150
+    });
+  }
+  return candles;
+}
+
+module.exports = {
+  name: 'indicator-streaming',
+  description: 'Streaming HMA-55 matches the batch HMA and preview() equals update() for closed candles',
+  offline: true,
+
+  async run({ assert }) {
+    const candles = buildCandles(CANDLE_COUNT);
+
+    const hma = IndicatorService.create('HMA', { period: 55 });
+    const streamed = candles.map(candle => hma.update(candle));
+    const batch = HMAService.calculateHMA(candles, 55);
+    assert.strictEqual(streamed.length, batch.length);
+    streamed.forEach((value, i) => {
+      assert.strictEqual(value, batch[i], `HMA-55 at candle ${i}: streamed ${value}, batch ${batch[i]}`);
+    });
+    assert.ok(streamed[CANDLE_COUNT - 1] !== null, 'HMA-55 should have warmed up');
+
+    for (const type of PREVIEW_TYPES) {
+      const indicator = IndicatorService.create(type);
+      candles.forEach((candle, i) => {
+        // A forming candle previewed first must leave no trace in the state
+        indicator.preview({ ...candle, close: candle.close + 2, high: candle.high + 2 });
+        const previewed = indicator.preview(candle);
+        const updated = indicator.update(candle);
+        assert.deepStrictEqual(previewed, updated, `${type} preview and update differ at candle ${i}`);
+      });
+      assert.ok(indicator.value !== null, `${type} should have warmed up`);
+    }
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Market order scenario (offline version of test-market-order.js)
+ * A market BUY fills at the LTP and the fill reaches the trade log over the order socket.
+ */
+const { MonitoringService } = require('../../services/monitoringService');
+const { FyersSimulator } = require('../fyersSimulator');
+
+const SYMBOL = 'NSE:NIFTY2571725150CE';
+
+module.exports = {
+  name: 'market-order',
+  description: 'Market BUY fills at the LTP and the trade log is marked FILLED',
+
+  async run({ simulator, userId, assert, waitFor, createTradingState, getTradeLogs }) {
+    simulator.setPrice(SYMBOL, 120.5);
+
+    const symbol = {
+      id: 'sim-market-order',
+      symbol: SYMBOL,
+      type: 'CE',
+      lots: 1,
+      targetPoints: 40,
+      stopLossPoints: 10,
+      productType: 'INTRADAY',
+      tradingMode: 'LIVE',
+      hmaValue: 118
+    };
+    await createTradingState([symbol]);
+
+    const position = await MonitoringService.executeMarketOrder(symbol, new Date(), userId);
+    assert.ok(position, 'executeMarketOrder should return a position');
+    assert.ok(position.buyOrderId, 'position should carry the broker order ID');
+
+    const order = simulator.getOrder(position.buyOrderId);
+    assert.ok(order, 'order should reach the simulator');
+    assert.strictEqual(order.type, FyersSimulator.ORDER_TYPES.MARKET);
+    assert.strictEqual(order.side, 1);
+    assert.strictEqual(order.qty, 75, 'one NIFTY lot is 75');
+
+    await waitFor(() => order.status === FyersSimulator.STATUS.FILLED, 'the market order to fill');
+    assert.strictEqual(order.tradedPrice, 120.5, 'market orders fill at the LTP');
+
+    const logs = await waitFor(async () => {
+      const orderLogs = await getTradeLogs(order.id);
+      return orderLogs.some(log => log.status === 'FILLED') && orderLogs;
+    }, 'the trade log to be marked FILLED');
+    assert.strictEqual(logs[0].side, 'BUY');
+    assert.strictEqual(logs[0].orderType, 'MARKET');
+  }
+};
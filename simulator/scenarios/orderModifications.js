@@ -0,0 +1,73 @@
+/**
+ * Order modification scenario (offline version of test-order-modifications.js)
+ * A pending BUY SL-L entry is replaced when the HMA moves, and the replacement fills.
+ */
+const { MonitoringService } = require('../../services/monitoringService');
+const { FyersSimulator } = require('../fyersSimulator');
+
+const SYMBOL = 'NSE:NIFTY2571725150CE';
+
+module.exports = {
+  name: 'order-modifications',
+  description: 'HMA change cancels the pending BUY SL-L, places a new one and records the modification',
+
+  async run({ simulator, userId, assert, waitFor, createTradingState, getTradingState, tick }) {
+    simulator.setPrice(SYMBOL, 95);
+
+    await createTradingState([{
+      id: 'sim-order-modifications',
+      symbol: SYMBOL,
+      type: 'CE',
+      lots: 1,
+      targetPoints: 40,
+      stopLossPoints: 10,
+      productType: 'INTRADAY',
+      tradingMode: 'LIVE',
+      hmaValue: 100,
+      triggerStatus: 'WAITING_FOR_ENTRY'
+    }]);
+
+    const placed = await MonitoringService.placeLimitOrderForSymbol('sim-order-modifications', userId);
+    assert.ok(placed.success, `entry order should be placed: ${placed.message}`);
+    const originalOrderId = placed.data.orderId;
+
+    // HMA drops from 100 to 98 - the entry must follow it
+    let state = await getTradingState();
+    let symbol = state.monitoredSymbols.find(s => s.id === 'sim-order-modifications');
+    const modified = await MonitoringService.modifyPendingOrderForHMAChange(symbol, 100, 98, userId);
+    assert.ok(modified, 'pending order should be modified');
+
+    const originalOrder = simulator.getOrder(originalOrderId);
+    assert.strictEqual(originalOrder.status, FyersSimulator.STATUS.CANCELLED, 'original order should be cancelled');
+
+    state = await getTradingState();
+    symbol = state.monitoredSymbols.find(s => s.id === 'sim-order-modifications');
+    assert.notStrictEqual(symbol.orderId, originalOrderId, 'symbol should track the replacement order');
+    assert.strictEqual(symbol.orderModificationCount, 1);
+    assert.strictEqual(symbol.orderModifications.length, 1);
+    assert.strictEqual(symbol.orderModifications[0].oldOrderId, originalOrderId);
+    assert.strictEqual(symbol.orderModifications[0].newOrderId, symbol.orderId);
+
+    const replacement = simulator.getOrder(symbol.orderId);
+    await waitFor(() => replacement.status === FyersSimulator.STATUS.PENDING, 'the exchange to accept the replacement');
+    assert.ok(Math.abs(replacement.limitPrice - 98) < 0.01, `replacement limit should be 98, got ${replacement.limitPrice}`);
+    assert.ok(Math.abs(replacement.stopPrice - 97.5) < 0.01, `replacement trigger should be 97.5, got ${replacement.stopPrice}`);
+
+    // Price rises through the new trigger and fills inside the limit
+    simulator.setPricePath(SYMBOL, [96, 97.8]);
+    await tick();
+    assert.strictEqual(replacement.status, FyersSimulator.STATUS.PENDING, 'replacement should wait for its trigger');
+    await tick();
+    assert.strictEqual(replacement.status, FyersSimulator.STATUS.FILLED);
+    assert.strictEqual(replacement.tradedPrice, 97.8);
+
+    const position = await waitFor(async () => {
+      const current = await getTradingState();
+      return current.activePositions.find(p => p.buyOrderId === replacement.id);
+    }, 'the replacement fill to open a position');
+    assert.strictEqual(position.boughtPrice, 97.8);
+  },
+
+  // The filled entry schedules an SL-L order 5 seconds later
+  drainMs: 6000
+};
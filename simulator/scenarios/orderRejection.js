@@ -0,0 +1,71 @@
+/**
+ * Order rejection scenario
+ * Covers both ways Fyers rejects an order: the API refusing it outright, and the
+ * exchange rejecting it after the API accepted it (reported on the order socket).
+ */
+const { MonitoringService } = require('../../services/monitoringService');
+const { FyersSimulator } = require('../fyersSimulator');
+
+const SYMBOL = 'NSE:NIFTY2571725150CE';
+
+function entrySymbol(id) {
+  return {
+    id,
+    symbol: SYMBOL,
+    type: 'CE',
+    lots: 1,
+    targetPoints: 40,
+    stopLossPoints: 10,
+    productType: 'INTRADAY',
+    tradingMode: 'LIVE',
+    hmaValue: 100,
+    triggerStatus: 'WAITING_FOR_ENTRY'
+  };
+}
+
+module.exports = {
+  name: 'order-rejection',
+  description: 'API and exchange rejections leave the symbol in ORDER_REJECTED without a position',
+
+  async run({ simulator, userId, assert, waitFor, createTradingState, getTradingState, getTradeLogs }) {
+    simulator.setPrice(SYMBOL, 95);
+
+    // Exchange rejection: the order gets an ID, then a rejection arrives on the socket
+    await createTradingState([entrySymbol('sim-exchange-reject')]);
+    simulator.addRejection({ symbol: SYMBOL, stage: 'exchange', message: 'RED:Margin Shortfall:INR 1,200.00 Available:INR 0.00' });
+
+    const placed = await MonitoringService.placeLimitOrderForSymbol('sim-exchange-reject', userId);
+    assert.ok(placed.success, 'the API accepts the order before the exchange rejects it');
+
+    const order = simulator.getOrder(placed.data.orderId);
+    await waitFor(() => order.status === FyersSimulator.STATUS.REJECTED, 'the exchange rejection');
+
+    const symbol = await waitFor(async () => {
+      const state = await getTradingState();
+      const current = state.monitoredSymbols.find(s => s.id === 'sim-exchange-reject');
+      return current && current.triggerStatus === 'ORDER_REJECTED' && current;
+    }, 'the symbol to be marked ORDER_REJECTED');
+    assert.strictEqual(symbol.orderStatus, 'REJECTED');
+
+    const logs = await waitFor(async () => {
+      const orderLogs = await getTradeLogs(order.id);
+      return orderLogs.some(log => log.status === 'REJECTED') && orderLogs;
+    }, 'the trade log to be marked REJECTED');
+    assert.ok(logs[0].fyersRemarks.includes('Margin Shortfall'), 'rejection message should be kept');
+
+    // API rejection: placement fails and no order reaches the exchange
+    await createTradingState([entrySymbol('sim-api-reject')]);
+    simulator.addRejection({ symbol: SYMBOL, stage: 'place', code: -201, message: 'Insufficient funds' });
+    const ordersBefore = simulator.getOrders().length;
+
+    const rejected = await MonitoringService.placeLimitOrderForSymbol('sim-api-reject', userId);
+    assert.strictEqual(rejected.success, false, 'placement should fail');
+    assert.ok(rejected.message.includes('Insufficient funds'), `unexpected message: ${rejected.message}`);
+    assert.strictEqual(simulator.getOrders().length, ordersBefore, 'no order should be created');
+
+    const state = await getTradingState();
+    const apiRejected = state.monitoredSymbols.find(s => s.id === 'sim-api-reject');
+    assert.strictEqual(apiRejected.triggerStatus, 'ORDER_REJECTED');
+    assert.strictEqual(state.activePositions.length, 0, 'rejections must not open positions');
+  }
+};
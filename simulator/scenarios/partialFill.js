@@ -0,0 +1,70 @@
+/**
+ * Partial fill scenario
+ * An entry that fills in chunks only opens a position once it is completely filled,
+ * at the average traded price.
+ */
+const { MonitoringService } = require('../../services/monitoringService');
+const { BrokerRegistry } = require('../../services/brokers');
+const { FyersSimulator } = require('../fyersSimulator');
+
+const SYMBOL = 'NSE:NIFTY2571725150CE';
+
+module.exports = {
+  name: 'partial-fill',
+  description: 'Entry filled 25 at a time opens one position at the average price',
+
+  async run({ simulator, userId, assert, waitFor, createTradingState, getTradingState, tick }) {
+    simulator.setPrice(SYMBOL, 95);
+    simulator.setPartialFill(SYMBOL, 25);
+
+    await createTradingState([{
+      id: 'sim-partial-fill',
+      symbol: SYMBOL,
+      type: 'CE',
+      lots: 1,
+      targetPoints: 40,
+      stopLossPoints: 10,
+      productType: 'INTRADAY',
+      tradingMode: 'LIVE',
+      hmaValue: 100,
+      triggerStatus: 'WAITING_FOR_ENTRY'
+    }]);
+
+    const placed = await MonitoringService.placeLimitOrderForSymbol('sim-partial-fill', userId);
+    assert.ok(placed.success, `entry order should be placed: ${placed.message}`);
+    const entry = simulator.getOrder(placed.data.orderId);
+    await waitFor(() => entry.status === FyersSimulator.STATUS.PENDING, 'the exchange to accept the entry');
+
+    simulator.setPricePath(SYMBOL, [99.8, 99.9, 99.7]);
+    await tick();
+    assert.strictEqual(entry.filledQty, 25);
+    assert.strictEqual(entry.status, FyersSimulator.STATUS.PENDING);
+
+    const orderBook = await BrokerRegistry.getBroker('fyers').getOrderBook(userId);
+    const bookEntry = orderBook.find(o => o.id === entry.id);
+    assert.strictEqual(bookEntry.status, 'PARTIALLY_FILLED', 'order book should report the partial fill');
+
+    let state = await getTradingState();
+    assert.strictEqual(state.activePositions.length, 0, 'partial fills must not open a position');
+    assert.ok(state.monitoredSymbols.some(s => s.id === 'sim-partial-fill'), 'symbol should stay monitored');
+
+    await tick();
+    await tick();
+    assert.strictEqual(entry.status, FyersSimulator.STATUS.FILLED);
+    assert.strictEqual(entry.filledQty, 75);
+    assert.strictEqual(entry.tradedPrice, 99.8, 'traded price should be the average of the fills');
+
+    const position = await waitFor(async () => {
+      const current = await getTradingState();
+      return current.activePositions.find(p => p.buyOrderId === entry.id);
+    }, 'the completed fill to open a position');
+    assert.strictEqual(position.quantity, 75);
+    assert.strictEqual(position.boughtPrice, 99.8);
+
+    state = await getTradingState();
+    assert.strictEqual(state.activePositions.length, 1, 'exactly one position should be opened');
+  },
+
+  // The filled entry schedules an SL-L order 5 seconds later
+  drainMs: 6000
+};
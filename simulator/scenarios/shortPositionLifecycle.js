@@ -0,0 +1,97 @@
+/**
+ * Short position lifecycle scenario
+ * SELL SL-L entry fill -> short position -> BUY SL-L protection above entry -> stop loss hit -> position closed.
+ */
+const { MonitoringService } = require('../../services/monitoringService');
+const { FyersSimulator } = require('../fyersSimulator');
+
+const SYMBOL = 'NSE:NIFTY2571725150CE';
+
+module.exports = {
+  name: 'short-position-lifecycle',
+  description: 'Filled SELL entry opens a short, places a BUY SL-L above it and closes when the stop is hit',
+
+  async run({ simulator, userId, assert, waitFor, createTradingState, getTradingState, getTradeLogs, tick }) {
+    simulator.setPrice(SYMBOL, 105);
+
+    await createTradingState([{
+      id: 'sim-short-lifecycle',
+      symbol: SYMBOL,
+      type: 'SELL',
+      lots: 1,
+      targetPoints: 40,
+      stopLossPoints: 10,
+      productType: 'INTRADAY',
+      tradingMode: 'LIVE',
+      hmaValue: 100,
+      triggerStatus: 'WAITING_FOR_ENTRY'
+    }]);
+
+    const placed = await MonitoringService.placeLimitOrderForSymbol('sim-short-lifecycle', userId);
+    assert.ok(placed.success, `entry order should be placed: ${placed.message}`);
+
+    const entry = simulator.getOrder(placed.data.orderId);
+    assert.strictEqual(entry.type, FyersSimulator.ORDER_TYPES.SL_LIMIT);
+    assert.strictEqual(entry.side, -1);
+    assert.ok(Math.abs(entry.stopPrice - 100.5) < 0.01, `SELL SL-L trigger should be 100.5, got ${entry.stopPrice}`);
+    await waitFor(() => entry.status === FyersSimulator.STATUS.PENDING, 'the exchange to accept the entry');
+
+    // LTP falls through the 100.5 trigger and fills above the 100 limit
+    simulator.setPricePath(SYMBOL, [103, 100.2]);
+    await tick();
+    await tick();
+    assert.strictEqual(entry.status, FyersSimulator.STATUS.FILLED);
+
+    let position = await waitFor(async () => {
+      const state = await getTradingState();
+      return state.activePositions.find(p => p.buyOrderId === entry.id);
+    }, 'the entry fill to open a position');
+    assert.strictEqual(position.type, 'SELL');
+    assert.strictEqual(position.boughtPrice, 100.2);
+    assert.ok(Math.abs(position.stopLoss - 110.2) < 0.01, `stop loss should be 110.2, got ${position.stopLoss}`);
+    assert.ok(Math.abs(position.target - 60.2) < 0.01, `target should be 60.2, got ${position.target}`);
+
+    // The BUY SL-L protection order goes out 5 seconds after the fill
+    position = await waitFor(async () => {
+      const current = await getTradingState();
+      const active = current.activePositions.find(p => p.buyOrderId === entry.id);
+      return active && active.sellOrderId && active;
+    }, 'the SL-L protection order', 10000);
+
+    const stopOrder = simulator.getOrder(position.sellOrderId);
+    assert.ok(stopOrder, 'SL-L order should reach the simulator');
+    assert.strictEqual(stopOrder.type, FyersSimulator.ORDER_TYPES.SL_LIMIT);
+    assert.strictEqual(stopOrder.side, 1);
+    assert.ok(Math.abs(stopOrder.limitPrice - 110.2) < 0.01, `SL-L limit should be 110.2, got ${stopOrder.limitPrice}`);
+    assert.ok(Math.abs(stopOrder.stopPrice - 109.7) < 0.01, `SL-L trigger should be 109.7, got ${stopOrder.stopPrice}`);
+    await waitFor(() => stopOrder.status === FyersSimulator.STATUS.PENDING, 'the exchange to accept the SL-L');
+
+    // A falling price is profit for the short
+    simulator.setPricePath(SYMBOL, [95]);
+    await tick();
+    await MonitoringService.updateActivePositions(userId);
+    let state = await getTradingState();
+    position = state.activePositions.find(p => p.buyOrderId === entry.id);
+    assert.ok(position.pnl > 0, `short P&L should be positive when price falls, got ${position.pnl}`);
+
+    // Price rises through the trigger: the exchange fills the SL-L, then LTP breaches the stop loss
+    simulator.setPricePath(SYMBOL, [105, 109.9, 110.5]);
+    await tick();
+    assert.strictEqual(stopOrder.status, FyersSimulator.STATUS.PENDING, 'SL-L should wait for its trigger');
+    await tick();
+    assert.strictEqual(stopOrder.status, FyersSimulator.STATUS.FILLED);
+    assert.strictEqual(stopOrder.tradedPrice, 109.9);
+    await tick();
+
+    const result = await MonitoringService.updateActivePositions(userId);
+    assert.strictEqual(result.closed, 1, 'stop loss hit should close the short position');
+
+    state = await getTradingState();
+    assert.ok(!state.activePositions.some(p => p.buyOrderId === entry.id), 'closed position should be removed');
+
+    await waitFor(async () => {
+      const logs = await getTradeLogs(stopOrder.id);
+      return logs.some(log => log.status === 'FILLED');
+    }, 'the SL-L trade log to be marked FILLED');
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Trading cost scenario
+ * Checks the option charges of a 100 -> 110 x 75 round trip against the published NSE schedule:
+ * ₹20 per order, 0.1% STT on the sell premium and 0.03503% exchange charges on turnover.
+ */
+const { TradingCostService } = require('../../services/tradingCostService');
+
+const SYMBOL = 'NSE:NIFTY2571725150CE';
+
+module.exports = {
+  name: 'trading-costs',
+  description: 'Option round trip charges match the NSE schedule for long and short trades',
+  offline: true,
+
+  async run({ assert }) {
+    const model = TradingCostService.buildCostModel({}, SYMBOL);
+    assert.strictEqual(model.segment, 'OPTIONS');
+    assert.strictEqual(model.exchange, 'NSE');
+
+    // Buy 7,500 and sell 8,250 of premium: 15,750 turnover
+    const charges = TradingCostService.calculateCharges(model, { buyValue: 100 * 75, sellValue: 110 * 75 });
+    assert.strictEqual(charges.brokerage, 40);
+    assert.strictEqual(charges.stt, 8.25);
+    assert.strictEqual(charges.exchangeCharges, 5.52);
+    assert.strictEqual(charges.sebiFees, 0.02);
+    assert.strictEqual(charges.stampDuty, 0.23);
+    assert.strictEqual(charges.gst, 8.2);
+    assert.strictEqual(charges.total, 62.22);
+
+    const long = TradingCostService.applyToTrade({ entryPrice: 100, exitPrice: 110, quantity: 75, pnl: 750 }, model, 1);
+    assert.strictEqual(long.grossPnL, 750);
+    assert.deepStrictEqual(long.charges, charges);
+    assert.ok(Math.abs(long.netPnL - 687.78) < 0.001, `net P&L should be 687.78, got ${long.netPnL}`);
+
+    // A short sells first, so STT and stamp duty fall on the same premiums
+    const short = TradingCostService.applyToTrade({ entryPrice: 110, exitPrice: 100, quantity: 75, pnl: 750 }, model, -1);
+    assert.deepStrictEqual(short.charges, charges);
+
+    const disabled = TradingCostService.calculateCharges({ ...model, enabled: false }, { buyValue: 7500, sellValue: 8250 });
+    assert.strictEqual(disabled.total, 0);
+  }
+};